@@ -6,7 +6,11 @@ import Layout from './components/Layout';
 import HomePage from './pages/HomePage';
 import DiscoverPage from './pages/DiscoverPage';
 import AlbumPage from './pages/AlbumPage';
+import MoodPlaylistPage from './pages/MoodPlaylistPage';
+import ComparePage from './pages/ComparePage';
 import CallbackPage from './pages/CallbackPage';
+import SharedHighlightPage from './pages/SharedHighlightPage';
+import EmbedHighlightPage from './pages/EmbedHighlightPage';
 import LandingPage from './components/LandingPage';
 import AppleMusicTest from './components/AppleMusicTest';
 import SpotifyTest from './components/SpotifyTest';
@@ -23,8 +27,20 @@ const App = () => {
           <Route index element={<HomePage />} />
           <Route path="discover" element={<DiscoverPage />} />
           <Route path="album/:albumId" element={<AlbumPage />} />
+          <Route path="moods" element={<MoodPlaylistPage />} />
         </Route>
         
+        {/* Albums side by side, /compare?albums=id1,id2 */}
+        <Route path="/compare" element={<Layout />}>
+          <Route index element={<ComparePage />} />
+        </Route>
+        
+        {/* Shared highlights, also for visitors who aren't logged in */}
+        <Route path="/h" element={<Layout />}>
+          <Route path=":trackId" element={<SharedHighlightPage />} />
+        </Route>
+        <Route path="/embed/highlight/:trackId" element={<EmbedHighlightPage />} />
+        
         <Route path="/spotify" element={
           <Box>
             <Navigation />
@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from 'react';
+import { Box, HStack, Text, Wrap, WrapItem, useColorModeValue, useToken } from '@chakra-ui/react';
+import { getArcMoments } from '@shared/albums';
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 28, right: 48, bottom: 32, left: 12 };
+
+// Tempo axis, in BPM; tempos outside it sit on its edges
+const TEMPO_RANGE = { min: 60, max: 180 };
+
+// Lines of the arc, with the Chakra color each is drawn in. Energy and
+// valence run from 0 to 1, tempo over the tempo axis on the right.
+const SERIES = [
+  { key: 'energy', label: 'Energy', color: 'red.400', scale: (value) => value },
+  { key: 'valence', label: 'Valence', color: 'yellow.400', scale: (value) => value },
+  {
+    key: 'tempo',
+    label: 'Tempo',
+    color: 'blue.400',
+    dashed: true,
+    scale: (value) => Math.min(Math.max((value - TEMPO_RANGE.min) / (TEMPO_RANGE.max - TEMPO_RANGE.min), 0), 1)
+  }
+];
+
+const formatValue = (key, value) => (key === 'tempo' ? `${Math.round(value)} BPM` : `${Math.round(value * 100)}%`);
+
+/**
+ * The album's emotional arc: energy, valence and tempo of each track in album
+ * order, with the peak, the calmest track and sharp mood shifts marked.
+ * Clicking a track's column selects it.
+ *
+ * @param {Array} arc - { trackId, name, position, energy, valence, tempo } per track, from analyzeAlbum
+ * @param {string} currentTrackId - Track to mark as playing
+ * @param {Function} onSelect - Called with the track ID of a clicked column
+ */
+const AlbumArc = ({ arc, currentTrackId, onSelect }) => {
+  const [hovered, setHovered] = useState(null);
+
+  const colors = useToken('colors', [...SERIES.map(series => series.color), 'green.400', 'teal.400', 'purple.400']);
+  const [peakColor, calmColor, shiftColor] = colors.slice(SERIES.length);
+  const gridColor = useColorModeValue('#E2E8F0', '#4A5568');
+  const textColor = useColorModeValue('#718096', '#A0AEC0');
+  const columnColor = useColorModeValue('rgba(0, 0, 0, 0.05)', 'rgba(255, 255, 255, 0.08)');
+
+  const moments = useMemo(() => getArcMoments(arc), [arc]);
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const columnWidth = innerWidth / arc.length;
+  const x = (position) => PADDING.left + (position - 0.5) * columnWidth;
+  const y = (value) => PADDING.top + (1 - value) * innerHeight;
+
+  const marker = (point, label, color) => point && (
+    <g>
+      <line x1={x(point.position)} x2={x(point.position)} y1={PADDING.top - 10} y2={y(point.energy)} stroke={color} strokeWidth={1.5} />
+      <text x={x(point.position)} y={PADDING.top - 14} textAnchor="middle" fontSize={11} fontWeight="bold" fill={color}>
+        {label}
+      </text>
+    </g>
+  );
+
+  const hoveredPoint = hovered !== null ? arc[hovered] : null;
+
+  return (
+    <Box>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="group" aria-label="Energy, valence and tempo across the album">
+        {[0, 0.5, 1].map(level => (
+          <line
+            key={level}
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(level)}
+            y2={y(level)}
+            stroke={gridColor}
+            strokeDasharray="4 4"
+          />
+        ))}
+        <text x={WIDTH - PADDING.right + 6} y={y(1) + 4} fontSize={10} fill={textColor}>{TEMPO_RANGE.max} BPM</text>
+        <text x={WIDTH - PADDING.right + 6} y={y(0) + 4} fontSize={10} fill={textColor}>{TEMPO_RANGE.min} BPM</text>
+
+        {/* Sharp mood shifts, between the two tracks */}
+        {moments.shifts.map(shift => (
+          <g key={shift.trackId}>
+            <line
+              x1={x(shift.to) - columnWidth / 2}
+              x2={x(shift.to) - columnWidth / 2}
+              y1={PADDING.top}
+              y2={HEIGHT - PADDING.bottom}
+              stroke={shiftColor}
+              strokeWidth={2}
+              strokeDasharray="2 3"
+            />
+            <text x={x(shift.to) - columnWidth / 2} y={HEIGHT - PADDING.bottom + 26} textAnchor="middle" fontSize={10} fill={shiftColor}>
+              shift
+            </text>
+          </g>
+        ))}
+
+        {SERIES.map((series, index) => {
+          // Tracks without features leave out their point
+          const points = arc.filter(point => point[series.key] !== null);
+          return (
+            <g key={series.key}>
+              <polyline
+                points={points.map(point => `${x(point.position)},${y(series.scale(point[series.key]))}`).join(' ')}
+                fill="none"
+                stroke={colors[index]}
+                strokeWidth={2}
+                strokeDasharray={series.dashed ? '6 4' : undefined}
+                strokeLinejoin="round"
+              />
+              {points.map(point => (
+                <circle
+                  key={point.position}
+                  cx={x(point.position)}
+                  cy={y(series.scale(point[series.key]))}
+                  r={point.trackId === currentTrackId || point.position - 1 === hovered ? 5 : 3}
+                  fill={colors[index]}
+                />
+              ))}
+            </g>
+          );
+        })}
+
+        {marker(moments.peak, 'Peak', peakColor)}
+        {moments.calmest !== moments.peak && marker(moments.calmest, 'Calmest', calmColor)}
+
+        {/* One column per track, to hover and click */}
+        {arc.map((point, index) => (
+          <rect
+            key={point.trackId}
+            x={PADDING.left + index * columnWidth}
+            y={PADDING.top}
+            width={columnWidth}
+            height={innerHeight}
+            fill={hovered === index || point.trackId === currentTrackId ? columnColor : 'transparent'}
+            style={{ cursor: 'pointer' }}
+            tabIndex={0}
+            role="button"
+            aria-label={`Play the highlight of track ${point.position}, ${point.name}`}
+            onMouseEnter={() => setHovered(index)}
+            onMouseLeave={() => setHovered(null)}
+            onFocus={() => setHovered(index)}
+            onBlur={() => setHovered(null)}
+            onClick={() => onSelect(point.trackId)}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                onSelect(point.trackId);
+              }
+            }}
+          />
+        ))}
+
+        {arc.map(point => (
+          <text key={point.trackId} x={x(point.position)} y={HEIGHT - PADDING.bottom + 12} textAnchor="middle" fontSize={10} fill={textColor}>
+            {point.position}
+          </text>
+        ))}
+      </svg>
+
+      <Text fontSize="sm" minH="1.5em" textAlign="center">
+        {hoveredPoint
+          ? `${hoveredPoint.position}. ${hoveredPoint.name}: ${SERIES
+            .filter(series => hoveredPoint[series.key] !== null)
+            .map(series => `${series.label} ${formatValue(series.key, hoveredPoint[series.key])}`)
+            .join(' · ') || 'no audio features'}`
+          : 'Click a track to play its highlight'}
+      </Text>
+
+      <Wrap spacing={4} justify="center" fontSize="xs" color="gray.500" mt={2}>
+        {SERIES.map((series, index) => (
+          <WrapItem key={series.key}>
+            <HStack spacing={1}>
+              <Box width="12px" height="3px" bg={colors[index]} />
+              <Text>{series.label}</Text>
+            </HStack>
+          </WrapItem>
+        ))}
+        {moments.peak && (
+          <WrapItem>
+            <Text>
+              Peak: {moments.peak.position}. {moments.peak.name}
+              {moments.calmest !== moments.peak && ` · Calmest: ${moments.calmest.position}. ${moments.calmest.name}`}
+            </Text>
+          </WrapItem>
+        )}
+        {moments.shifts.length > 0 && (
+          <WrapItem>
+            <Text color={shiftColor}>
+              {moments.shifts.length} sharp mood {moments.shifts.length === 1 ? 'shift' : 'shifts'}
+            </Text>
+          </WrapItem>
+        )}
+      </Wrap>
+    </Box>
+  );
+};
+
+export default AlbumArc;
@@ -1,13 +1,16 @@
-import React from 'react';
-import { Box, Image, Text, Flex, Badge, useColorModeValue, Skeleton, Icon, Tooltip, VStack, HStack } from '@chakra-ui/react';
+import React, { useState } from 'react';
+import { Box, Image, Text, Flex, Badge, useColorModeValue, Skeleton, Icon, Tooltip, VStack, HStack, IconButton, Button, useToast } from '@chakra-ui/react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { FaCompactDisc, FaCalendarAlt, FaMusic } from 'react-icons/fa';
+import { FaCompactDisc, FaCalendarAlt, FaMusic, FaBalanceScale, FaCheck } from 'react-icons/fa';
+import { getCompareAlbums, toggleCompareAlbum, MAX_COMPARE_ALBUMS } from '../utils/storage';
 
 const MotionBox = motion(Box);
 
 const AlbumCard = ({ album, isLoading = false }) => {
   const navigate = useNavigate();
+  const toast = useToast();
+  const [inCompare, setInCompare] = useState(() => Boolean(album?.id && getCompareAlbums().includes(album.id)));
   const bgColor = useColorModeValue('white', 'gray.800');
   const borderColor = useColorModeValue('gray.200', 'gray.700');
   const textColor = useColorModeValue('gray.800', 'white');
@@ -43,6 +46,32 @@ const AlbumCard = ({ album, isLoading = false }) => {
     navigate(`/album/${id}`);
   };
   
+  // Add the album to the side-by-side comparison, or take it out
+  const handleToggleCompare = (event) => {
+    event.stopPropagation();
+    
+    const added = toggleCompareAlbum(id);
+    setInCompare(added);
+    
+    const count = getCompareAlbums().length;
+    toast({
+      title: added ? 'Added to compare' : 'Removed from compare',
+      description: (
+        <Flex align="center" justify="space-between" gap={3}>
+          <Text>{count} of {MAX_COMPARE_ALBUMS} albums picked</Text>
+          {count > 1 && (
+            <Button size="xs" onClick={() => navigate(`/compare?albums=${getCompareAlbums().join(',')}`)}>
+              Compare
+            </Button>
+          )}
+        </Flex>
+      ),
+      status: 'info',
+      duration: 4000,
+      isClosable: true,
+    });
+  };
+  
   if (isLoading) {
     return (
       <MotionBox
@@ -114,6 +143,20 @@ const AlbumCard = ({ album, isLoading = false }) => {
         >
           <Icon as={FaCompactDisc} w={12} h={12} color="white" />
         </Box>
+        {type !== 'playlist' && (
+          <Tooltip label={inCompare ? 'Remove from compare' : 'Add to compare'} placement="left">
+            <IconButton
+              aria-label={inCompare ? 'Remove from compare' : 'Add to compare'}
+              icon={inCompare ? <FaCheck /> : <FaBalanceScale />}
+              size="sm"
+              position="absolute"
+              top={2}
+              right={2}
+              colorScheme={inCompare ? 'green' : 'gray'}
+              onClick={handleToggleCompare}
+            />
+          </Tooltip>
+        )}
       </Box>
       
       <VStack p={4} align="stretch" spacing={2}>
@@ -1,5 +1,7 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import appleMusicService from '../services/appleMusicService';
+import playbackService, { isSameSource } from '../services/playback';
+import usePlayback from '../hooks/usePlayback';
 import {
   Box,
   Button,
@@ -34,11 +36,7 @@ const AppleMusicTest = () => {
   const [debugInfo, setDebugInfo] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [currentlyPlaying, setCurrentlyPlaying] = useState(null);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [volume, setVolume] = useState(0.5);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const audioRef = useRef(null);
+  const playback = usePlayback();
 
   const bgColor = useColorModeValue('white', 'gray.800');
   const borderColor = useColorModeValue('gray.200', 'gray.700');
@@ -73,47 +71,45 @@ const AppleMusicTest = () => {
     initializeMusicKit();
   }, []);
 
+  // Songs play in MusicKit once authorized, otherwise their preview plays
+  const getSource = (track) => ({
+    appleId: track.id,
+    url: track.attributes?.previews?.[0]?.url,
+    track
+  });
+
+  // The shared player's state, while it plays the selected song
+  const isCurrent = Boolean(currentlyPlaying) && isSameSource(playback.source, getSource(currentlyPlaying));
+  const isPlaying = isCurrent && playback.isPlaying;
+  const currentTime = isCurrent ? playback.position : 0;
+  const duration = isCurrent ? playback.duration : 0;
+  const volume = playback.volume;
+
+  useEffect(() => playbackService.on('error', () => {
+    setError('Audio playback error');
+  }), []);
+
   const handlePlayPause = async (track) => {
-    if (currentlyPlaying?.id === track.id) {
-      if (isPlaying) {
-        audioRef.current?.pause();
+    try {
+      if (currentlyPlaying?.id === track.id && isCurrent) {
+        await playbackService.toggle();
       } else {
-        audioRef.current?.play();
-      }
-      setIsPlaying(!isPlaying);
-    } else {
-      try {
         setCurrentlyPlaying(track);
-        setIsPlaying(true);
-        if (audioRef.current) {
-          audioRef.current.src = track.attributes.previews[0].url;
-          await audioRef.current.play();
-        }
-      } catch (error) {
-        console.error('Error playing track:', error);
-        setError('Failed to play track preview');
+        await playbackService.load(getSource(track));
       }
-    }
-  };
-
-  const handleTimeUpdate = () => {
-    if (audioRef.current) {
-      setCurrentTime(audioRef.current.currentTime);
-      setDuration(audioRef.current.duration);
+    } catch (error) {
+      console.error('Error playing track:', error);
+      setError('Failed to play track preview');
     }
   };
 
   const handleVolumeChange = (value) => {
-    setVolume(value);
-    if (audioRef.current) {
-      audioRef.current.volume = value;
-    }
+    playbackService.setVolume(value);
   };
 
   const handleSeek = (value) => {
-    setCurrentTime(value);
-    if (audioRef.current) {
-      audioRef.current.currentTime = value;
+    if (isCurrent) {
+      playbackService.seek(value);
     }
   };
 
@@ -456,17 +452,6 @@ const AppleMusicTest = () => {
             </Container>
           </Box>
         )}
-
-        <audio
-          ref={audioRef}
-          onTimeUpdate={handleTimeUpdate}
-          onEnded={() => setIsPlaying(false)}
-          onError={() => {
-            setError('Audio playback error');
-            setIsPlaying(false);
-          }}
-          style={{ display: 'none' }}
-        />
       </Container>
     </Box>
   );
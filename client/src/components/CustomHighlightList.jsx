@@ -0,0 +1,132 @@
+import React from 'react';
+import {
+  Box,
+  Flex,
+  Text,
+  Button,
+  IconButton,
+  HStack,
+  VStack,
+  Editable,
+  EditablePreview,
+  EditableInput,
+  Tooltip,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FaPlay, FaPlus, FaArrowUp, FaArrowDown, FaTrash } from 'react-icons/fa';
+import { formatSeconds } from '../utils/formatters';
+
+/**
+ * The user's own highlights of a track: play, rename, reorder and delete them
+ *
+ * @param {Array} highlights - The user's highlights, in their order
+ * @param {Object} currentHighlight - Highlight selected in the player
+ * @param {Function} onPlay - Called with a highlight to play
+ * @param {Function} onChange - Called with the new list, and { removed } when one was deleted
+ * @param {Function} onAdd - Marks a new highlight, disabled when missing
+ */
+const CustomHighlightList = ({ highlights = [], currentHighlight, onPlay, onChange, onAdd }) => {
+  const selectedBg = useColorModeValue('green.50', 'green.900');
+
+  const rename = (index, value) => {
+    const name = value.trim();
+    if (!name || name === highlights[index].name) return;
+
+    onChange(highlights.map((highlight, i) => (
+      i === index ? { ...highlight, name, reason: name } : highlight
+    )));
+  };
+
+  const move = (index, offset) => {
+    const reordered = [...highlights];
+    const [highlight] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, highlight);
+    onChange(reordered);
+  };
+
+  const remove = (index) => {
+    onChange(highlights.filter((_, i) => i !== index), { removed: highlights[index] });
+  };
+
+  return (
+    <Box>
+      <Flex justify="space-between" align="center" mb={2}>
+        <Text fontSize="sm" fontWeight="medium">
+          Your Highlights
+        </Text>
+        <Button size="xs" leftIcon={<FaPlus />} onClick={onAdd} isDisabled={!onAdd}>
+          Mark highlight
+        </Button>
+      </Flex>
+
+      {highlights.length === 0 ? (
+        <Text fontSize="sm" color="gray.500">
+          Mark a moment while listening, or drag the edges of a highlight on the timeline to make it yours.
+        </Text>
+      ) : (
+        <VStack spacing={1} align="stretch">
+          {highlights.map((highlight, index) => (
+            <HStack
+              key={highlight.id}
+              spacing={2}
+              px={2}
+              py={1}
+              borderRadius="md"
+              bg={highlight === currentHighlight ? selectedBg : 'transparent'}
+            >
+              <IconButton
+                aria-label={`Play ${highlight.name}`}
+                icon={<FaPlay />}
+                size="xs"
+                variant="ghost"
+                colorScheme="green"
+                onClick={() => onPlay(highlight)}
+              />
+              <Editable
+                key={highlight.name}
+                defaultValue={highlight.name}
+                onSubmit={(value) => rename(index, value)}
+                flex="1"
+                fontSize="sm"
+              >
+                <Tooltip label="Click to rename">
+                  <EditablePreview cursor="text" />
+                </Tooltip>
+                <EditableInput />
+              </Editable>
+              <Text fontSize="xs" color="gray.500" whiteSpace="nowrap">
+                {formatSeconds(highlight.start)} - {formatSeconds(highlight.start + highlight.duration)}
+              </Text>
+              <IconButton
+                aria-label="Move up"
+                icon={<FaArrowUp />}
+                size="xs"
+                variant="ghost"
+                isDisabled={index === 0}
+                onClick={() => move(index, -1)}
+              />
+              <IconButton
+                aria-label="Move down"
+                icon={<FaArrowDown />}
+                size="xs"
+                variant="ghost"
+                isDisabled={index === highlights.length - 1}
+                onClick={() => move(index, 1)}
+              />
+              <IconButton
+                aria-label={`Delete ${highlight.name}`}
+                icon={<FaTrash />}
+                size="xs"
+                variant="ghost"
+                colorScheme="red"
+                onClick={() => remove(index)}
+              />
+            </HStack>
+          ))}
+        </VStack>
+      )}
+    </Box>
+  );
+};
+
+export default CustomHighlightList;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Box, Flex, Text, Tooltip, useColorModeValue } from '@chakra-ui/react';
+
+/**
+ * Small bar chart of counts, e.g. an album's tracks per tempo range or key
+ *
+ * @param {Array} bins - { label, count, tooltip } from left to right
+ * @param {string} color - Chakra color of the bars
+ * @param {number} max - Count of a full-height bar, to share a scale between charts
+ */
+const DistributionBars = ({ bins, color, max }) => {
+  const emptyColor = useColorModeValue('gray.100', 'gray.700');
+  const scale = max || Math.max(...bins.map(bin => bin.count), 1);
+
+  return (
+    <Box>
+      <Flex align="flex-end" gap="2px" height="64px">
+        {bins.map(bin => (
+          <Tooltip key={bin.label} label={bin.tooltip || `${bin.label}: ${bin.count}`}>
+            <Box
+              flex="1"
+              height={bin.count ? `${(bin.count / scale) * 100}%` : '2px'}
+              bg={bin.count ? color : emptyColor}
+              borderTopRadius="sm"
+            />
+          </Tooltip>
+        ))}
+      </Flex>
+      <Flex gap="2px" mt={1}>
+        {bins.map(bin => (
+          <Text key={bin.label} flex="1" fontSize="2xs" color="gray.500" textAlign="center" noOfLines={1}>
+            {bin.label}
+          </Text>
+        ))}
+      </Flex>
+    </Box>
+  );
+};
+
+export default DistributionBars;
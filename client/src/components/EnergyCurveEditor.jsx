@@ -0,0 +1,79 @@
+import React, { useRef, useState } from 'react';
+import { Box, useColorModeValue } from '@chakra-ui/react';
+
+const WIDTH = 400;
+const HEIGHT = 160;
+const PADDING = 12;
+
+/**
+ * Energy curve drawn with the pointer: one point per column, from the first
+ * track of the playlist on the left to the last on the right, low energy at
+ * the bottom and high at the top
+ *
+ * @param {Array} value - Energy of each point, between 0 and 1
+ * @param {Function} onChange - Called with the new curve while drawing
+ */
+const EnergyCurveEditor = ({ value, onChange }) => {
+  const svgRef = useRef(null);
+  const [drawing, setDrawing] = useState(false);
+
+  const gridColor = useColorModeValue('#E2E8F0', '#4A5568');
+  const lineColor = useColorModeValue('#38A169', '#68D391');
+
+  const x = (index) => PADDING + (index / (value.length - 1)) * (WIDTH - PADDING * 2);
+  const y = (energy) => PADDING + (1 - energy) * (HEIGHT - PADDING * 2);
+
+  // Set the point of the column under the pointer to its height
+  const draw = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const left = ((event.clientX - rect.left) / rect.width) * WIDTH;
+    const top = ((event.clientY - rect.top) / rect.height) * HEIGHT;
+
+    const index = Math.round(((left - PADDING) / (WIDTH - PADDING * 2)) * (value.length - 1));
+    const energy = 1 - (top - PADDING) / (HEIGHT - PADDING * 2);
+    if (index < 0 || index >= value.length) return;
+
+    const next = [...value];
+    next[index] = Math.round(Math.min(Math.max(energy, 0), 1) * 100) / 100;
+    onChange(next);
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDrawing(true);
+    draw(event);
+  };
+
+  return (
+    <Box borderWidth="1px" borderRadius="md" p={2}>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label="Energy curve, drag to draw"
+        style={{ touchAction: 'none', cursor: 'crosshair', display: 'block' }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={(event) => drawing && draw(event)}
+        onPointerUp={() => setDrawing(false)}
+        onPointerCancel={() => setDrawing(false)}
+      >
+        {[0, 0.5, 1].map(level => (
+          <line key={level} x1={PADDING} x2={WIDTH - PADDING} y1={y(level)} y2={y(level)} stroke={gridColor} strokeDasharray="4 4" />
+        ))}
+        <polyline
+          points={value.map((energy, index) => `${x(index)},${y(energy)}`).join(' ')}
+          fill="none"
+          stroke={lineColor}
+          strokeWidth={3}
+          strokeLinejoin="round"
+        />
+        {value.map((energy, index) => (
+          <circle key={index} cx={x(index)} cy={y(energy)} r={5} fill={lineColor} />
+        ))}
+      </svg>
+    </Box>
+  );
+};
+
+export default EnergyCurveEditor;
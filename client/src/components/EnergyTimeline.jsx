@@ -0,0 +1,242 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  Box,
+  Flex,
+  Text,
+  Tooltip,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { calculateEnergyDistribution } from '../utils/audioAnalysis';
+import { formatSeconds } from '../utils/formatters';
+
+// Shortest highlight the edges can be dragged to, in seconds
+const MIN_HIGHLIGHT_DURATION = 5;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Energy over a whole track, with its highlights and sections
+ *
+ * Bars show the loudness of the analysis segments, highlights are shaded
+ * regions and section starts are ticks along the top. Clicking seeks, and
+ * dragging a highlight's edges adjusts it.
+ *
+ * @param {Object} analysis - Spotify audio analysis, may be missing
+ * @param {number} duration - Length of the timeline in seconds
+ * @param {Array} highlights - { start, duration } highlights to show
+ * @param {Object} activeHighlight - Highlight to emphasize
+ * @param {number} position - Playhead in seconds, null to hide it
+ * @param {number} playableUntil - Time after which playback can't reach, e.g. the preview's end
+ * @param {Function} onSeek - Called with the clicked time in seconds
+ * @param {Function} onHighlightChange - Called with the previous and adjusted highlight
+ */
+const EnergyTimeline = ({
+  analysis,
+  duration,
+  highlights = [],
+  activeHighlight,
+  position = null,
+  playableUntil,
+  onSeek,
+  onHighlightChange,
+  bars = 80,
+  height = '72px'
+}) => {
+  const containerRef = useRef(null);
+  // Highlight edge being dragged: { index, edge, start, end }
+  const [draft, setDraft] = useState(null);
+  const draftRef = useRef(null);
+  draftRef.current = draft;
+  // The click that ends a drag shouldn't seek
+  const justDraggedRef = useRef(false);
+
+  const barColor = useColorModeValue('green.300', 'green.600');
+  const regionColor = useColorModeValue('yellow.300', 'yellow.500');
+  const tickColor = useColorModeValue('gray.500', 'gray.400');
+  const unreachableBg = useColorModeValue('whiteAlpha.700', 'blackAlpha.600');
+  const railBg = useColorModeValue('gray.50', 'gray.700');
+
+  const hasSegments = Boolean(analysis?.segments?.length);
+  const energy = useMemo(() => (
+    hasSegments ? calculateEnergyDistribution(analysis, bars) : Array(bars).fill(0)
+  ), [analysis, hasSegments, bars]);
+  const sections = analysis?.sections || [];
+
+  const toPercent = (seconds) => `${Math.min(Math.max(seconds / duration, 0), 1) * 100}%`;
+
+  // Time under the pointer
+  const timeAt = (clientX) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const ratio = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    return ratio * duration;
+  };
+
+  const isDragging = Boolean(draft);
+
+  // Follow the pointer while an edge is dragged, anywhere on the page. The
+  // listeners live for one drag, during which the highlights don't change.
+  useEffect(() => {
+    if (!isDragging) return;
+
+    const handleMove = (event) => {
+      const time = timeAt(event.clientX);
+      setDraft(current => (current.edge === 'start'
+        ? { ...current, start: Math.min(time, current.end - MIN_HIGHLIGHT_DURATION) }
+        : { ...current, end: Math.max(time, current.start + MIN_HIGHLIGHT_DURATION) }
+      ));
+    };
+
+    const handleUp = () => {
+      const { index, start, end } = draftRef.current;
+      const previous = highlights[index];
+      setDraft(null);
+      justDraggedRef.current = true;
+      setTimeout(() => { justDraggedRef.current = false; }, 0);
+
+      if (previous && onHighlightChange) {
+        const adjustedStart = round(Math.max(start, 0));
+        onHighlightChange(previous, {
+          ...previous,
+          start: adjustedStart,
+          duration: round(Math.min(end, duration) - adjustedStart)
+        });
+      }
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [isDragging]);
+
+  const startDrag = (event, index, edge) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const highlight = highlights[index];
+    setDraft({ index, edge, start: highlight.start, end: highlight.start + highlight.duration });
+  };
+
+  const handleClick = (event) => {
+    if (!onSeek || justDraggedRef.current) return;
+    onSeek(Math.min(timeAt(event.clientX), playableUntil ?? duration));
+  };
+
+  if (!duration) return null;
+
+  return (
+    <Box>
+      <Box
+        ref={containerRef}
+        position="relative"
+        height={height}
+        bg={railBg}
+        borderRadius="md"
+        overflow="hidden"
+        cursor={onSeek ? 'pointer' : 'default'}
+        userSelect="none"
+        onClick={handleClick}
+      >
+        {/* Energy bars */}
+        <Flex height="100%" align="flex-end" gap="1px" px="1px">
+          {energy.map((value, index) => (
+            <Box key={index} flex="1" height={`${Math.max(value * 100, 2)}%`} bg={barColor} borderTopRadius="sm" />
+          ))}
+        </Flex>
+
+        {/* Beyond what playback can reach */}
+        {playableUntil !== undefined && playableUntil < duration && (
+          <Tooltip label="Only the 30-second preview can be played">
+            <Box
+              position="absolute"
+              top={0}
+              bottom={0}
+              left={toPercent(playableUntil)}
+              right={0}
+              bg={unreachableBg}
+            />
+          </Tooltip>
+        )}
+
+        {/* Highlight regions, with draggable edges */}
+        {highlights.map((highlight, index) => {
+          const start = draft?.index === index ? draft.start : highlight.start;
+          const end = draft?.index === index ? draft.end : highlight.start + highlight.duration;
+          const isActive = highlight === activeHighlight;
+
+          return (
+            <Tooltip
+              key={index}
+              label={`${highlight.reason || 'Highlight'}: ${formatSeconds(start)} - ${formatSeconds(end)}`}
+              isDisabled={isDragging}
+            >
+              <Box
+                position="absolute"
+                top={0}
+                bottom={0}
+                left={toPercent(start)}
+                width={`calc(${toPercent(end)} - ${toPercent(start)})`}
+                bg={regionColor}
+                opacity={isActive ? 0.45 : 0.25}
+                borderX="2px solid"
+                borderColor={isActive ? 'yellow.500' : 'transparent'}
+              >
+                {onHighlightChange && ['start', 'end'].map(edge => (
+                  <Box
+                    key={edge}
+                    position="absolute"
+                    top={0}
+                    bottom={0}
+                    {...(edge === 'start' ? { left: '-4px' } : { right: '-4px' })}
+                    width="8px"
+                    cursor="ew-resize"
+                    style={{ touchAction: 'none' }}
+                    aria-label={`Drag highlight ${edge}`}
+                    onPointerDown={(event) => startDrag(event, index, edge)}
+                    onClick={(event) => event.stopPropagation()}
+                  />
+                ))}
+              </Box>
+            </Tooltip>
+          );
+        })}
+
+        {/* Section starts */}
+        {sections.slice(1).map((section, index) => (
+          <Tooltip key={index} label={`Section ${index + 2} at ${formatSeconds(section.start)}`}>
+            <Box
+              position="absolute"
+              top={0}
+              left={toPercent(section.start)}
+              width="2px"
+              height="10px"
+              bg={tickColor}
+            />
+          </Tooltip>
+        ))}
+
+        {/* Playhead */}
+        {position !== null && (
+          <Box
+            position="absolute"
+            top={0}
+            bottom={0}
+            left={toPercent(position)}
+            width="2px"
+            bg="red.400"
+            pointerEvents="none"
+          />
+        )}
+      </Box>
+
+      <Flex justify="space-between" fontSize="xs" color="gray.500" mt={1}>
+        <Text>0:00</Text>
+        {!hasSegments && <Text>No energy data for this track</Text>}
+        <Text>{formatSeconds(duration)}</Text>
+      </Flex>
+    </Box>
+  );
+};
+
+export default EnergyTimeline;
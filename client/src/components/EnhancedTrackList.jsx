@@ -19,7 +19,8 @@ import {
   Flex,
   Divider,
   Alert,
-  AlertIcon
+  AlertIcon,
+  ButtonGroup
 } from '@chakra-ui/react';
 import { 
   FaPlay, 
@@ -29,19 +30,30 @@ import {
   FaRegLightbulb, 
   FaThumbsUp, 
   FaClock,
-  FaLock
+  FaLock,
+  FaListOl,
+  FaRandom
 } from 'react-icons/fa';
 import TrackAnalysis from './TrackAnalysis';
+import MixOrderList from './MixOrderList';
 import { findHighlightSegments, generateRecommendationReasons } from '../utils/trackAnalysis';
+import { formatSeconds } from '../utils/formatters';
+import { pickBestHighlight } from '@shared/highlights';
+import { orderForMix } from '@shared/mixing';
+
+// Most tracks one audio features request takes
+const AUDIO_FEATURES_BATCH_SIZE = 100;
 
 const EnhancedTrackList = ({ 
   tracks, 
   album,
   onPlayHighlight, 
+  canPlayFullTracks,
   loadingHighlights, 
   currentTrackId,
   getTrackAnalysis,
-  getTrackRecommendations
+  getTrackRecommendations,
+  getMultipleAudioFeatures
 }) => {
   // Define all state hooks at the top level
   const [expandedTrack, setExpandedTrack] = useState(null);
@@ -51,6 +63,10 @@ const EnhancedTrackList = ({
   const [highlightSegments, setHighlightSegments] = useState({});
   const [userPreferences, setUserPreferences] = useState(null);
   const [analysisErrors, setAnalysisErrors] = useState({});
+  const [view, setView] = useState('album');
+  const [mixFeatures, setMixFeatures] = useState(null);
+  const [loadingMix, setLoadingMix] = useState(false);
+  const [mixError, setMixError] = useState(null);
   
   // Define color mode values
   const bgColor = useColorModeValue('white', 'gray.800');
@@ -93,8 +109,8 @@ const EnhancedTrackList = ({
     const highlights = highlightSegments[trackId];
     if (!highlights || highlights.length === 0) return null;
     
-    // Return the highest scored segment
-    return highlights[0];
+    // Highlights come back in track order, so pick the highest scored one
+    return pickBestHighlight(highlights);
   }, [highlightSegments]);
   
   // Toggle expanded track
@@ -143,6 +159,53 @@ const EnhancedTrackList = ({
     }
   }, [expandedTrack, trackAnalysisData, analysisErrors, getTrackAnalysis, getTrackRecommendations]);
   
+  // Replace a highlight adjusted on the energy timeline
+  const handleHighlightChange = useCallback((trackId, previous, adjusted) => {
+    setHighlightSegments(prev => ({
+      ...prev,
+      [trackId]: (prev[trackId] || []).map(highlight => (highlight === previous ? adjusted : highlight))
+    }));
+  }, []);
+  
+  // The mix order needs every track's key, tempo and energy
+  useEffect(() => {
+    if (view !== 'mix' || mixFeatures || !getMultipleAudioFeatures) return;
+    
+    let cancelled = false;
+    setLoadingMix(true);
+    setMixError(null);
+    
+    getMultipleAudioFeatures(tracks.slice(0, AUDIO_FEATURES_BATCH_SIZE).map(track => track.id))
+      .then(response => {
+        if (cancelled) return;
+        const byId = {};
+        (response.audio_features || []).filter(Boolean).forEach(features => {
+          byId[features.id] = features;
+        });
+        setMixFeatures(byId);
+      })
+      .catch(err => {
+        console.error('Error fetching audio features for mix order:', err);
+        if (!cancelled) setMixError(err.message || 'Failed to fetch audio features');
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingMix(false);
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [view, mixFeatures, tracks, getMultipleAudioFeatures]);
+  
+  // Features belong to the tracks they were fetched for
+  useEffect(() => {
+    setMixFeatures(null);
+  }, [tracks]);
+  
+  const mix = useMemo(() => (
+    mixFeatures ? orderForMix(tracks.map(track => ({ track, features: mixFeatures[track.id] || null }))) : null
+  ), [tracks, mixFeatures]);
+  
   // Determine if a track is recommended based on available data
   const getIsRecommended = useCallback((track, analysis) => {
     if (!analysis || !analysis.features) return false;
@@ -163,142 +226,189 @@ const EnhancedTrackList = ({
       borderWidth="1px"
       borderColor={borderColor}
     >
-      <Table variant="simple">
-        <Thead>
-          <Tr>
-            <Th width="50px">#</Th>
-            <Th>Title</Th>
-            <Th width="100px" textAlign="right">
-              <FaClock />
-            </Th>
-            <Th width="120px">Preview</Th>
-            <Th width="80px">Analysis</Th>
-          </Tr>
-        </Thead>
-        <Tbody>
-          {tracks.map((track, index) => {
-            const isExpanded = expandedTrack === track.id;
-            const isLoading = loadingHighlights && currentTrackId === track.id;
-            const isLoadingAnalysis = loadingAnalysis[track.id];
-            const analysis = trackAnalysisData[track.id];
-            const error = analysisErrors[track.id];
-            const recommendations = recommendedTracks[track.id];
-            const previewSegment = getBestPreviewSegment(track.id);
+      {/* Album order or the order the tracks mix best in */}
+      <Flex justify="flex-end" p={3} borderBottomWidth="1px" borderColor={borderColor}>
+        <ButtonGroup size="sm" isAttached variant="outline">
+          <Button
+            leftIcon={<FaListOl />}
+            isActive={view === 'album'}
+            onClick={() => setView('album')}
+          >
+            Album order
+          </Button>
+          <Tooltip label="Order the tracks by harmonic key, tempo and energy for a smooth mix">
+            <Button
+              leftIcon={<FaRandom />}
+              isActive={view === 'mix'}
+              onClick={() => setView('mix')}
+              isDisabled={!getMultipleAudioFeatures}
+            >
+              Mix order
+            </Button>
+          </Tooltip>
+        </ButtonGroup>
+      </Flex>
+      
+      {view === 'mix' ? (
+        loadingMix || (!mix && !mixError) ? (
+          <Flex justify="center" align="center" py={8}>
+            <Spinner size="md" color={accentColor} mr={3} />
+            <Text>Working out the mix...</Text>
+          </Flex>
+        ) : mixError ? (
+          <Alert status="warning">
+            <AlertIcon />
+            <Text>Unable to order the mix: {mixError}</Text>
+          </Alert>
+        ) : (
+          <MixOrderList
+            mix={mix}
+            onPlayHighlight={onPlayHighlight}
+            canPlayFullTracks={canPlayFullTracks}
+            currentTrackId={currentTrackId}
+          />
+        )
+      ) : (
+        <Table variant="simple">
+          <Thead>
+            <Tr>
+              <Th width="50px">#</Th>
+              <Th>Title</Th>
+              <Th width="100px" textAlign="right">
+                <FaClock />
+              </Th>
+              <Th width="120px">Preview</Th>
+              <Th width="80px">Analysis</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {tracks.map((track, index) => {
+              const isExpanded = expandedTrack === track.id;
+              const isLoading = loadingHighlights && currentTrackId === track.id;
+              const isLoadingAnalysis = loadingAnalysis[track.id];
+              const analysis = trackAnalysisData[track.id];
+              const error = analysisErrors[track.id];
+              const recommendations = recommendedTracks[track.id];
+              const previewSegment = getBestPreviewSegment(track.id);
             
-            // Generate recommendation reasons using our utility
-            const recommendationReasons = analysis && analysis.features ? 
-              generateRecommendationReasons(track, analysis.features, userPreferences) : [];
+              // Generate recommendation reasons using our utility
+              const recommendationReasons = analysis && analysis.features ? 
+                generateRecommendationReasons(track, analysis.features, userPreferences) : [];
             
-            // Determine if this track is recommended
-            const isRecommended = getIsRecommended(track, analysis);
+              // Determine if this track is recommended
+              const isRecommended = getIsRecommended(track, analysis);
             
-            return (
-              <React.Fragment key={track.id}>
-                <Tr 
-                  _hover={{ bg: hoverBg }}
-                  bg={isExpanded ? hoverBg : 'inherit'}
-                >
-                  <Td>{index + 1}</Td>
-                  <Td>
-                    <HStack>
-                      <Text fontWeight="medium">{track.name}</Text>
-                      {isRecommended && (
-                        <Tooltip label="Recommended for you based on your preferences">
-                          <Badge colorScheme="green" variant="solid">
-                            <HStack spacing={1}>
-                              <FaThumbsUp size={10} />
-                              <Text fontSize="xs">Recommended</Text>
-                            </HStack>
-                          </Badge>
-                        </Tooltip>
-                      )}
-                    </HStack>
-                    <Text fontSize="sm" color="gray.500">
-                      {track.artists.map(artist => artist.name).join(', ')}
-                    </Text>
-                  </Td>
-                  <Td isNumeric>{formatDuration(track.duration_ms)}</Td>
-                  <Td>
-                    {track.preview_url ? (
-                      <HStack spacing={2}>
-                        <Tooltip label="Play 30-second preview">
-                          <IconButton
-                            aria-label="Play preview"
-                            icon={<FaPlay />}
-                            size="sm"
-                            colorScheme="green"
-                            variant="ghost"
-                            isLoading={isLoading}
-                            onClick={() => onPlayHighlight(track)}
-                          />
-                        </Tooltip>
-                        {previewSegment && (
-                          <Tooltip label={`Best segment: ${previewSegment.start}s - ${previewSegment.start + previewSegment.duration}s`}>
-                            <Badge colorScheme="purple" variant="outline">
-                              {previewSegment.start}s
+              return (
+                <React.Fragment key={track.id}>
+                  <Tr 
+                    _hover={{ bg: hoverBg }}
+                    bg={isExpanded ? hoverBg : 'inherit'}
+                  >
+                    <Td>{index + 1}</Td>
+                    <Td>
+                      <HStack>
+                        <Text fontWeight="medium">{track.name}</Text>
+                        {isRecommended && (
+                          <Tooltip label="Recommended for you based on your preferences">
+                            <Badge colorScheme="green" variant="solid">
+                              <HStack spacing={1}>
+                                <FaThumbsUp size={10} />
+                                <Text fontSize="xs">Recommended</Text>
+                              </HStack>
                             </Badge>
                           </Tooltip>
                         )}
                       </HStack>
-                    ) : (
-                      <Text fontSize="sm" color="gray.500">No preview</Text>
-                    )}
-                  </Td>
-                  <Td>
-                    <IconButton
-                      aria-label={isExpanded ? "Hide analysis" : "Show analysis"}
-                      icon={isExpanded ? <FaChevronUp /> : <FaChevronDown />}
-                      size="sm"
-                      variant="ghost"
-                      onClick={() => toggleTrackExpansion(track.id)}
-                      isLoading={isLoadingAnalysis}
-                    />
-                  </Td>
-                </Tr>
+                      <Text fontSize="sm" color="gray.500">
+                        {track.artists.map(artist => artist.name).join(', ')}
+                      </Text>
+                    </Td>
+                    <Td isNumeric>{formatDuration(track.duration_ms)}</Td>
+                    <Td>
+                      {track.preview_url || canPlayFullTracks ? (
+                        <HStack spacing={2}>
+                          <Tooltip label={canPlayFullTracks ? 'Play highlights' : 'Play 30-second preview'}>
+                            <IconButton
+                              aria-label={canPlayFullTracks ? 'Play highlights' : 'Play preview'}
+                              icon={<FaPlay />}
+                              size="sm"
+                              colorScheme="green"
+                              variant="ghost"
+                              isLoading={isLoading}
+                              onClick={() => onPlayHighlight(track)}
+                            />
+                          </Tooltip>
+                          {previewSegment && (
+                            <Tooltip label={`${previewSegment.reason}: ${formatSeconds(previewSegment.start)} - ${formatSeconds(previewSegment.start + previewSegment.duration)}`}>
+                              <Badge colorScheme="purple" variant="outline">
+                                {formatSeconds(previewSegment.start)}
+                              </Badge>
+                            </Tooltip>
+                          )}
+                        </HStack>
+                      ) : (
+                        <Text fontSize="sm" color="gray.500">No preview</Text>
+                      )}
+                    </Td>
+                    <Td>
+                      <IconButton
+                        aria-label={isExpanded ? "Hide analysis" : "Show analysis"}
+                        icon={isExpanded ? <FaChevronUp /> : <FaChevronDown />}
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => toggleTrackExpansion(track.id)}
+                        isLoading={isLoadingAnalysis}
+                      />
+                    </Td>
+                  </Tr>
                 
-                {/* Expanded analysis section */}
-                <Tr>
-                  <Td colSpan={5} p={0}>
-                    <Collapse in={isExpanded} animateOpacity>
-                      <Box p={4} bg={expandedBgColor}>
-                        {isLoadingAnalysis ? (
-                          <Flex justify="center" align="center" py={4}>
-                            <Spinner size="md" color={accentColor} mr={3} />
-                            <Text>Analyzing track...</Text>
-                          </Flex>
-                        ) : error ? (
-                          <Alert status="warning" borderRadius="md">
-                            <AlertIcon />
-                            {error.isPremiumFeature ? (
-                              <Flex direction="column" align="flex-start">
-                                <HStack>
-                                  <FaLock />
-                                  <Text fontWeight="medium">Premium Feature</Text>
-                                </HStack>
-                                <Text>Detailed track analysis requires a Spotify Premium account.</Text>
-                              </Flex>
-                            ) : (
-                              <Text>Unable to analyze this track: {error.message}</Text>
-                            )}
-                          </Alert>
-                        ) : analysis && analysis.features ? (
-                          <TrackAnalysis 
-                            track={track} 
-                            audioFeatures={analysis.features} 
-                            recommendations={recommendationReasons}
-                          />
-                        ) : (
-                          <Text>Analysis not available for this track.</Text>
-                        )}
-                      </Box>
-                    </Collapse>
-                  </Td>
-                </Tr>
-              </React.Fragment>
-            );
-          })}
-        </Tbody>
-      </Table>
+                  {/* Expanded analysis section */}
+                  <Tr>
+                    <Td colSpan={5} p={0}>
+                      <Collapse in={isExpanded} animateOpacity>
+                        <Box p={4} bg={expandedBgColor}>
+                          {isLoadingAnalysis ? (
+                            <Flex justify="center" align="center" py={4}>
+                              <Spinner size="md" color={accentColor} mr={3} />
+                              <Text>Analyzing track...</Text>
+                            </Flex>
+                          ) : error ? (
+                            <Alert status="warning" borderRadius="md">
+                              <AlertIcon />
+                              {error.isPremiumFeature ? (
+                                <Flex direction="column" align="flex-start">
+                                  <HStack>
+                                    <FaLock />
+                                    <Text fontWeight="medium">Premium Feature</Text>
+                                  </HStack>
+                                  <Text>Detailed track analysis requires a Spotify Premium account.</Text>
+                                </Flex>
+                              ) : (
+                                <Text>Unable to analyze this track: {error.message}</Text>
+                              )}
+                            </Alert>
+                          ) : analysis && analysis.features ? (
+                            <TrackAnalysis 
+                              track={track} 
+                              audioFeatures={analysis.features} 
+                              analysis={analysis.analysis}
+                              highlights={highlightSegments[track.id]}
+                              onHighlightChange={(previous, adjusted) => handleHighlightChange(track.id, previous, adjusted)}
+                              recommendations={recommendationReasons}
+                            />
+                          ) : (
+                            <Text>Analysis not available for this track.</Text>
+                          )}
+                        </Box>
+                      </Collapse>
+                    </Td>
+                  </Tr>
+                </React.Fragment>
+              );
+            })}
+          </Tbody>
+        </Table>
+      )}
     </Box>
   );
 };
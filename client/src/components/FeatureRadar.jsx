@@ -0,0 +1,77 @@
+import React from 'react';
+import { Box, HStack, Text, Wrap, WrapItem, useColorModeValue, useToken } from '@chakra-ui/react';
+
+const SIZE = 320;
+const CENTER = SIZE / 2;
+const RADIUS = 110;
+
+/**
+ * Radar chart of several series over the same axes, drawn on top of each
+ * other, e.g. the average audio features of albums
+ *
+ * @param {Array} axes - { key, label } per spoke
+ * @param {Array} series - { id, label, color, values } with values by axis key, between 0 and 1
+ */
+const FeatureRadar = ({ axes, series }) => {
+  const colors = useToken('colors', series.map(item => item.color));
+  const gridColor = useColorModeValue('#E2E8F0', '#4A5568');
+  const textColor = useColorModeValue('#4A5568', '#CBD5E0');
+
+  // Spokes start at the top and go clockwise
+  const point = (index, value) => {
+    const angle = (Math.PI * 2 * index) / axes.length - Math.PI / 2;
+    return [CENTER + Math.cos(angle) * RADIUS * value, CENTER + Math.sin(angle) * RADIUS * value];
+  };
+  const polygon = (values) => axes.map((axis, index) => point(index, values[axis.key] ?? 0).join(',')).join(' ');
+
+  return (
+    <Box>
+      <svg viewBox={`0 0 ${SIZE} ${SIZE}`} width="100%" style={{ maxWidth: SIZE, margin: '0 auto', display: 'block' }} role="img" aria-label="Feature radar">
+        {[0.25, 0.5, 0.75, 1].map(level => (
+          <polygon
+            key={level}
+            points={polygon(Object.fromEntries(axes.map(axis => [axis.key, level])))}
+            fill="none"
+            stroke={gridColor}
+          />
+        ))}
+        {axes.map((axis, index) => {
+          const [x, y] = point(index, 1);
+          const [labelX, labelY] = point(index, 1.18);
+          return (
+            <g key={axis.key}>
+              <line x1={CENTER} y1={CENTER} x2={x} y2={y} stroke={gridColor} />
+              <text x={labelX} y={labelY + 4} textAnchor="middle" fontSize={11} fill={textColor}>{axis.label}</text>
+            </g>
+          );
+        })}
+        {series.map((item, index) => (
+          <polygon
+            key={item.id}
+            points={polygon(item.values)}
+            fill={colors[index]}
+            fillOpacity={0.15}
+            stroke={colors[index]}
+            strokeWidth={2}
+          >
+            <title>
+              {`${item.label}: ${axes.map(axis => `${axis.label} ${Math.round((item.values[axis.key] ?? 0) * 100)}%`).join(', ')}`}
+            </title>
+          </polygon>
+        ))}
+      </svg>
+      <Wrap spacing={4} justify="center" fontSize="sm" mt={2}>
+        {series.map((item, index) => (
+          <WrapItem key={item.id}>
+            <HStack spacing={1}>
+              <Box width="10px" height="10px" borderRadius="full" bg={colors[index]} />
+              <Text noOfLines={1}>{item.label}</Text>
+            </HStack>
+          </WrapItem>
+        ))}
+      </Wrap>
+    </Box>
+  );
+};
+
+export default FeatureRadar;
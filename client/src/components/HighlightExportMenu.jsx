@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import {
+  Menu,
+  MenuButton,
+  MenuList,
+  MenuItem,
+  Button,
+  Box,
+  Text,
+  useToast
+} from '@chakra-ui/react';
+import { FaDownload } from 'react-icons/fa';
+import useSpotifyAPI from '../hooks/useSpotifyAPI';
+
+// Formats the server writes, in menu order
+const EXPORT_OPTIONS = [
+  { format: 'm3u', label: 'Extended M3U', description: 'VLC and most players' },
+  { format: 'xspf', label: 'XSPF playlist', description: 'VLC, Strawberry, Clementine' },
+  { format: 'cue', label: 'CUE sheet', description: 'Highlights as track markers' },
+  { format: 'json', label: 'JSON', description: 'Every highlight detail' }
+];
+
+// Save a blob through a temporary link
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Errors of blob requests come back as blobs too
+const getExportError = async (err) => {
+  try {
+    const body = JSON.parse(await err.response.data.text());
+    return body.message || body.error;
+  } catch {
+    return err.message;
+  }
+};
+
+/**
+ * Download highlights as a playlist, CUE sheet or JSON file. Exports an
+ * album's highlights with `albumId`, or the ones in `tracks` otherwise.
+ *
+ * @param {string} albumId - Album to export
+ * @param {string} title - Title of a session export
+ * @param {Array} tracks - Session export, { id, highlights } in order
+ */
+const HighlightExportMenu = ({ albumId, title, tracks, size = 'md', isDisabled = false }) => {
+  const { exportAlbumHighlights, exportHighlights } = useSpotifyAPI();
+  const toast = useToast();
+  const [exporting, setExporting] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const { blob, filename } = albumId
+        ? await exportAlbumHighlights(albumId, format)
+        : await exportHighlights(format, { title, tracks });
+      saveBlob(blob, filename);
+    } catch (err) {
+      console.error('Error exporting highlights:', err);
+      toast({
+        title: 'Export failed',
+        description: await getExportError(err),
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <Menu>
+      <MenuButton
+        as={Button}
+        size={size}
+        variant="outline"
+        leftIcon={<FaDownload />}
+        isLoading={Boolean(exporting)}
+        loadingText="Exporting"
+        isDisabled={isDisabled || (!albumId && !tracks?.length)}
+      >
+        Export
+      </MenuButton>
+      <MenuList>
+        {EXPORT_OPTIONS.map(option => (
+          <MenuItem key={option.format} onClick={() => handleExport(option.format)}>
+            <Box>
+              <Text>{option.label}</Text>
+              <Text fontSize="xs" color="gray.500">{option.description}</Text>
+            </Box>
+          </MenuItem>
+        ))}
+      </MenuList>
+    </Menu>
+  );
+};
+
+export default HighlightExportMenu;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import {
   Box,
   Flex,
@@ -30,82 +30,200 @@ import {
   FaHeartbeat,
   FaRegLightbulb
 } from 'react-icons/fa';
+import playbackService, { isSameSource, PREVIEW_LENGTH } from '../services/playback';
+import usePlayback from '../hooks/usePlayback';
+import useTrackSource from '../hooks/useTrackSource';
+import useSpotifyAPI from '../hooks/useSpotifyAPI';
+import EnergyTimeline from './EnergyTimeline';
+import CustomHighlightList from './CustomHighlightList';
+import ShareHighlightButton from './ShareHighlightButton';
+import { mergeHighlights, overlaps } from '../utils/trackAnalysis';
 
-const HighlightPlayer = ({ track, highlights, onNext, onPrevious }) => {
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(0.7);
-  const [isMuted, setIsMuted] = useState(false);
+// Length of a newly marked highlight, in seconds
+const NEW_HIGHLIGHT_DURATION = 20;
+const MAX_CUSTOM_HIGHLIGHTS = 20;
+
+// A highlight of the user's own, with an ID to save it under
+const createOwnHighlight = ({ start, duration, name, clip }) => ({
+  id: window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+  start: Math.round(start * 10) / 10,
+  duration: Math.round(duration * 10) / 10,
+  name,
+  reason: name,
+  custom: true,
+  ...(clip ? { clip } : {})
+});
+
+// The user's highlights can't overlap each other on the same clip
+const findOverlap = (own, highlight, except) => own.find(other => (
+  other !== except && other.clip === highlight.clip && overlaps(other, highlight)
+));
+
+// highlights are the detected ones; customHighlights, the user's own, come
+// first and replace detected ones they overlap. With onCustomHighlightsChange
+// (list, { removed }) users can mark, rename, reorder and delete their own and
+// adjust any highlight on the timeline, which makes it theirs.
+// autoPlay starts the first highlight whenever the track changes, or when it
+// turns on again, and calls onAutoPlay once it has. With autoPlayStart
+// (seconds) it starts the highlight that starts there instead, or the one
+// playing at that time, e.g. the user's own in its place.
+// crossfade (seconds) fades between highlights, as in the album highlight reel.
+// analysis, when given, draws the energy timeline instead of fetching the
+// track's analysis, which needs a login (e.g. for shared highlights).
+const HighlightPlayer = ({
+  track,
+  highlights: detectedHighlights,
+  customHighlights,
+  onCustomHighlightsChange,
+  onNext,
+  onPrevious,
+  autoPlay = false,
+  autoPlayStart,
+  onAutoPlay,
+  crossfade = 0,
+  analysis: providedAnalysis
+}) => {
   const [currentHighlight, setCurrentHighlight] = useState(null);
   const [showTooltip, setShowTooltip] = useState(false);
   const [highlightInfo, setHighlightInfo] = useState([]);
+  const [analysis, setAnalysis] = useState(null);
+  
+  const playback = usePlayback();
+  const { getAudioAnalysis } = useSpotifyAPI();
+  
+  // The user's highlights take priority over detected ones
+  const highlights = useMemo(
+    () => mergeHighlights(detectedHighlights, customHighlights),
+    [detectedHighlights, customHighlights]
+  );
   
-  const audioRef = useRef(null);
-  const progressIntervalRef = useRef(null);
+  // Volume to restore when unmuting
+  const unmutedVolumeRef = useRef(0.7);
+  // Latest values for the playback event listeners
+  const currentHighlightRef = useRef(null);
+  currentHighlightRef.current = currentHighlight;
+  const autoPlayRef = useRef(autoPlay);
+  autoPlayRef.current = autoPlay;
+  // Source last started by autoPlay, so it starts only once per track
+  const autoPlayedRef = useRef(null);
   
   const bgColor = useColorModeValue('white', 'gray.800');
   const textColor = useColorModeValue('gray.800', 'white');
   const progressColor = useColorModeValue('green.500', 'green.300');
   
-  // Initialize audio when track changes
+  // Premium users hear highlights in the full track on the SDK device, others
+  // the preview clip. Highlights detected offline are timed within the
+  // preview, so they keep playing from it.
+  const fromPreview = Boolean(highlights?.some(highlight => highlight.clip === 'preview'));
+  const { source, fullTrack } = useTrackSource(track, { previewOnly: fromPreview });
+  
+  // Highlights past the end of the preview can only be heard in the full track
+  const isPlayable = (highlight) => (
+    fullTrack || highlight.clip === 'preview' || highlight.start < PREVIEW_LENGTH
+  );
+  const hasUnplayable = !fullTrack && Boolean(source) && Boolean(highlights?.some(highlight => !isPlayable(highlight)));
+  
+  // Only show the shared player's state while it plays this track
+  const isActive = isSameSource(playback.source, source);
+  const isPlaying = isActive && playback.isPlaying;
+  const currentTime = isActive ? playback.position : 0;
+  const duration = isActive ? playback.duration : 0;
+  const volume = playback.volume;
+  const isMuted = volume === 0;
+  
+  // The timeline spans the full track, or the preview its highlights are timed in
+  const timelineDuration = fromPreview
+    ? PREVIEW_LENGTH
+    : analysis?.track?.duration || (track?.duration_ms || 0) / 1000;
+  
+  // Load the track's analysis for the energy timeline
   useEffect(() => {
-    if (!track || !track.preview_url) return;
+    setAnalysis(providedAnalysis || null);
+    if (!track?.id || fromPreview || providedAnalysis !== undefined) return;
+    
+    let cancelled = false;
+    getAudioAnalysis(track.id)
+      .then(result => {
+        if (!cancelled) setAnalysis(result);
+      })
+      .catch(error => console.error('Error loading analysis for the timeline:', error));
     
-    // Reset state
-    setIsPlaying(false);
-    setCurrentTime(0);
+    return () => {
+      cancelled = true;
+    };
+  }, [track?.id, fromPreview, providedAnalysis, getAudioAnalysis]);
+  
+  // Reset state when track changes, and stop its playback when it goes away.
+  // With autoPlay the next track takes over (or fades in over) the playback.
+  useEffect(() => {
     setCurrentHighlight(null);
     
-    // Create new audio element
-    const audio = new Audio(track.preview_url);
-    audioRef.current = audio;
+    return () => {
+      if (!autoPlayRef.current && playbackService.isLoaded(source)) {
+        playbackService.pause();
+      }
+    };
+  }, [source]);
+  
+  // Play a specific highlight, stopping at its end
+  const playHighlight = useCallback((highlight) => {
+    if (!source || !highlight) {
+      console.error('Cannot play highlight: track or highlight not available');
+      return;
+    }
     
-    // Set up event listeners
-    audio.addEventListener('loadedmetadata', () => {
-      console.log(`Audio loaded: duration = ${audio.duration}s`);
-      setDuration(audio.duration);
-    });
+    console.log(`Playing highlight at ${highlight.start}s`);
+    setCurrentHighlight(highlight);
     
-    audio.addEventListener('ended', () => {
-      console.log('Audio playback ended');
-      setIsPlaying(false);
-      setCurrentTime(0);
-      
-      // If there are highlights, move to the next one
-      if (highlights && highlights.length > 0) {
-        const currentIndex = currentHighlight ? highlights.indexOf(currentHighlight) : -1;
-        if (currentIndex < highlights.length - 1) {
-          playHighlight(highlights[currentIndex + 1]);
-        } else {
-          setCurrentHighlight(null);
-          if (onNext) onNext();
-        }
-      } else if (onNext) {
-        onNext();
-      }
-    });
+    playbackService.playSegment(source, highlight.start, highlight.start + highlight.duration, { crossfade })
+      .catch(error => console.error('Error playing highlight:', error));
+  }, [source, crossfade]);
+  
+  // Start the first highlight of each new track, or the one at autoPlayStart.
+  // Once autoPlay is off, the next time it turns on starts over, even on the
+  // same track.
+  useEffect(() => {
+    if (!autoPlay) {
+      autoPlayedRef.current = null;
+      return;
+    }
+    if (!source || !highlights?.length || autoPlayedRef.current === source) return;
     
-    audio.addEventListener('error', (e) => {
-      console.error('Audio playback error:', e);
-      setIsPlaying(false);
-    });
+    const highlight = autoPlayStart === undefined ? highlights[0] : (
+      highlights.find(candidate => candidate.start === autoPlayStart)
+      || highlights.find(candidate => candidate.start <= autoPlayStart && autoPlayStart < candidate.start + candidate.duration)
+      || highlights[0]
+    );
     
-    // Set volume
-    audio.volume = volume;
+    autoPlayedRef.current = source;
+    playHighlight(highlight);
+    if (onAutoPlay) onAutoPlay();
+  }, [autoPlay, autoPlayStart, source, highlights, playHighlight, onAutoPlay]);
+  
+  // Move on to the next highlight, or the next track, when a highlight ends
+  useEffect(() => playbackService.on('ended', (ended) => {
+    if (!isSameSource(ended, source)) return;
     
-    // Clean up
-    return () => {
-      if (audioRef.current) {
-        audioRef.current.pause();
-        audioRef.current.src = '';
-      }
-      
-      if (progressIntervalRef.current) {
-        clearInterval(progressIntervalRef.current);
+    console.log('Audio playback ended');
+    if (highlights && highlights.length > 0) {
+      const current = currentHighlightRef.current;
+      const currentIndex = current ? highlights.indexOf(current) : -1;
+      if (currentIndex < highlights.length - 1) {
+        playHighlight(highlights[currentIndex + 1]);
+      } else {
+        setCurrentHighlight(null);
+        if (onNext) onNext();
       }
-    };
-  }, [track, highlights, onNext]);
+    } else if (onNext) {
+      onNext();
+    }
+  }), [source, highlights, onNext, playHighlight]);
+  
+  // Follow the selected highlight of the user's when it's renamed or adjusted
+  useEffect(() => {
+    if (!currentHighlight?.custom || highlights.includes(currentHighlight)) return;
+    setCurrentHighlight(highlights.find(highlight => highlight.id === currentHighlight.id) || null);
+  }, [highlights, currentHighlight]);
   
   // Generate highlight descriptions when highlights change
   useEffect(() => {
@@ -137,7 +255,9 @@ const HighlightPlayer = ({ track, highlights, onNext, onPrevious }) => {
       let description = '';
       
       // Determine what makes this highlight special
-      if (highlight.energy > 0.8) {
+      if (highlight.reason) {
+        description = highlight.reason;
+      } else if (highlight.energy > 0.8) {
         description = 'High energy section';
       } else if (highlight.loudness > -5) {
         description = 'Prominent, loud section';
@@ -169,95 +289,113 @@ const HighlightPlayer = ({ track, highlights, onNext, onPrevious }) => {
   
   // Handle play/pause
   const togglePlay = () => {
-    if (!audioRef.current) {
-      console.error('No audio element available');
+    if (!source) {
+      console.error('No preview available');
       return;
     }
     
-    if (isPlaying) {
-      console.log('Pausing audio playback');
-      audioRef.current.pause();
-      clearInterval(progressIntervalRef.current);
-    } else {
+    if (!isActive) {
+      // Start this track at the selected highlight if there is one
       console.log('Starting audio playback');
-      const playPromise = audioRef.current.play();
-      
-      if (playPromise !== undefined) {
-        playPromise.then(() => {
-          console.log('Audio playback started successfully');
-          // Update progress
-          progressIntervalRef.current = setInterval(() => {
-            if (audioRef.current) {
-              setCurrentTime(audioRef.current.currentTime);
-            }
-          }, 1000);
-        }).catch(error => {
-          console.error('Error starting audio playback:', error);
-          // Handle autoplay restrictions
-          if (error.name === 'NotAllowedError') {
-            console.warn('Autoplay prevented by browser. User interaction required.');
-          }
-        });
+      if (currentHighlight) {
+        playHighlight(currentHighlight);
+      } else {
+        playbackService.load(source)
+          .catch(error => console.error('Error starting audio playback:', error));
       }
+      return;
     }
     
-    setIsPlaying(!isPlaying);
+    playbackService.toggle()
+      .catch(error => console.error('Error toggling audio playback:', error));
   };
   
   // Handle volume change
   const handleVolumeChange = (value) => {
-    setVolume(value);
-    if (audioRef.current) {
-      audioRef.current.volume = value;
-    }
-    
-    if (value === 0) {
-      setIsMuted(true);
-    } else {
-      setIsMuted(false);
+    playbackService.setVolume(value);
+    if (value > 0) {
+      unmutedVolumeRef.current = value;
     }
   };
   
   // Toggle mute
   const toggleMute = () => {
-    if (!audioRef.current) return;
-    
     if (isMuted) {
-      audioRef.current.volume = volume;
-      setIsMuted(false);
+      playbackService.setVolume(unmutedVolumeRef.current || 0.7);
     } else {
-      audioRef.current.volume = 0;
-      setIsMuted(true);
+      unmutedVolumeRef.current = volume;
+      playbackService.setVolume(0);
     }
   };
   
   // Handle seeking
   const handleSeek = (value) => {
-    if (!audioRef.current) return;
+    if (!isActive) return;
+    playbackService.seek(value);
+  };
+  
+  // Seek from the timeline, starting the track there if it isn't playing
+  const handleTimelineSeek = (seconds) => {
+    if (!source) return;
     
-    audioRef.current.currentTime = value;
-    setCurrentTime(value);
+    if (isActive) {
+      playbackService.seek(seconds);
+    } else {
+      playbackService.load(source, { position: seconds })
+        .catch(error => console.error('Error starting audio playback:', error));
+    }
   };
   
-  // Play a specific highlight
-  const playHighlight = (highlight) => {
-    if (!audioRef.current || !highlight) {
-      console.error('Cannot play highlight: audio element or highlight not available');
+  // Mark a highlight where playback is, or at the selected highlight, ending
+  // before the next one of the user's. Where they already have one, select it.
+  const handleAddHighlight = () => {
+    const own = customHighlights || [];
+    const start = isActive ? currentTime : currentHighlight?.start || 0;
+    const clip = fromPreview ? 'preview' : undefined;
+    const next = own
+      .filter(other => other.clip === clip && other.start > start)
+      .reduce((end, other) => Math.min(end, other.start), timelineDuration);
+    const highlight = createOwnHighlight({
+      start,
+      duration: Math.max(Math.min(NEW_HIGHLIGHT_DURATION, next - start), 1),
+      name: `Highlight ${own.length + 1}`,
+      clip
+    });
+    
+    const existing = findOverlap(own, highlight);
+    if (existing) {
+      setCurrentHighlight(existing);
       return;
     }
     
-    console.log(`Playing highlight at ${highlight.start}s`);
     setCurrentHighlight(highlight);
-    audioRef.current.currentTime = highlight.start;
+    onCustomHighlightsChange([...own, highlight]);
+  };
+  
+  // A highlight adjusted on the timeline becomes (or stays) the user's own,
+  // unless it now overlaps another of theirs
+  const handleHighlightChange = (previous, adjusted) => {
+    const own = customHighlights || [];
+    if (findOverlap(own, adjusted, previous)) return;
+    
+    let highlight;
+    let updated;
     
-    if (!isPlaying) {
-      togglePlay();
+    if (previous.custom) {
+      highlight = adjusted;
+      updated = own.map(existing => (existing === previous ? adjusted : existing));
+    } else {
+      highlight = createOwnHighlight({ ...adjusted, name: previous.reason || `Highlight ${own.length + 1}` });
+      updated = [...own, highlight];
     }
+    
+    if (currentHighlight === previous) setCurrentHighlight(highlight);
+    onCustomHighlightsChange(updated);
   };
   
   // Handle next highlight
   const handleNextHighlight = () => {
-    if (!highlights || highlights.length <= 1 || !currentHighlight) return;
+    if (!highlights || !currentHighlight || (highlights.length <= 1 && !onNext)) return;
     
     const currentIndex = highlights.indexOf(currentHighlight);
     if (currentIndex < highlights.length - 1) {
@@ -270,7 +408,7 @@ const HighlightPlayer = ({ track, highlights, onNext, onPrevious }) => {
   
   // Handle previous highlight
   const handlePreviousHighlight = () => {
-    if (!highlights || highlights.length <= 1 || !currentHighlight) return;
+    if (!highlights || !currentHighlight || (highlights.length <= 1 && !onPrevious)) return;
     
     const currentIndex = highlights.indexOf(currentHighlight);
     if (currentIndex > 0) {
@@ -336,6 +474,8 @@ const HighlightPlayer = ({ track, highlights, onNext, onPrevious }) => {
               <Text fontSize="sm" color="gray.500">
                 {currentInfo.timeRange}
               </Text>
+              <Box flex="1" />
+              <ShareHighlightButton track={track} highlight={currentHighlight} size="xs" />
             </HStack>
           </Box>
         )}
@@ -346,7 +486,7 @@ const HighlightPlayer = ({ track, highlights, onNext, onPrevious }) => {
             aria-label="Previous highlight"
             icon={<FaStepBackward />}
             onClick={handlePreviousHighlight}
-            isDisabled={!highlights || highlights.length <= 1 || !currentHighlight}
+            isDisabled={!highlights || !currentHighlight || (highlights.length <= 1 && !onPrevious)}
             variant="ghost"
           />
           
@@ -354,7 +494,7 @@ const HighlightPlayer = ({ track, highlights, onNext, onPrevious }) => {
             aria-label={isPlaying ? "Pause" : "Play"}
             icon={isPlaying ? <FaPause /> : <FaPlay />}
             onClick={togglePlay}
-            isDisabled={!track || !track.preview_url}
+            isDisabled={!source}
             colorScheme="green"
             size="lg"
             borderRadius="full"
@@ -364,20 +504,34 @@ const HighlightPlayer = ({ track, highlights, onNext, onPrevious }) => {
             aria-label="Next highlight"
             icon={<FaStepForward />}
             onClick={handleNextHighlight}
-            isDisabled={!highlights || highlights.length <= 1 || !currentHighlight}
+            isDisabled={!highlights || !currentHighlight || (highlights.length <= 1 && !onNext)}
             variant="ghost"
           />
         </HStack>
         
+        {/* Energy timeline */}
+        {track && timelineDuration > 0 && (
+          <EnergyTimeline
+            analysis={fromPreview ? null : analysis}
+            duration={timelineDuration}
+            highlights={highlights || []}
+            activeHighlight={currentHighlight}
+            position={isActive ? currentTime : null}
+            playableUntil={fullTrack || fromPreview ? timelineDuration : PREVIEW_LENGTH}
+            onSeek={source ? handleTimelineSeek : undefined}
+            onHighlightChange={onCustomHighlightsChange ? handleHighlightChange : undefined}
+          />
+        )}
+        
         {/* Progress bar */}
         <Box>
           <Slider
             aria-label="Progress"
             value={currentTime}
             min={0}
-            max={duration || 30}
+            max={duration || source?.duration || PREVIEW_LENGTH}
             onChange={handleSeek}
-            isDisabled={!track || !track.preview_url}
+            isDisabled={!source}
           >
             <SliderTrack>
               <SliderFilledTrack bg={progressColor} />
@@ -428,10 +582,11 @@ const HighlightPlayer = ({ track, highlights, onNext, onPrevious }) => {
               {highlightInfo.map((info, index) => (
                 <Badge
                   key={index}
-                  colorScheme={currentHighlight === info.highlight ? "green" : "gray"}
+                  colorScheme={currentHighlight === info.highlight ? "green" : info.highlight.custom ? "purple" : "gray"}
                   p={2}
                   borderRadius="md"
                   cursor="pointer"
+                  opacity={isPlayable(info.highlight) ? 1 : 0.5}
                   onClick={() => playHighlight(info.highlight)}
                 >
                   {info.timeRange}
@@ -441,8 +596,32 @@ const HighlightPlayer = ({ track, highlights, onNext, onPrevious }) => {
           </Box>
         )}
         
-        {/* Error message if no preview available */}
-        {(!track || !track.preview_url) && (
+        {/* The user's own highlights */}
+        {onCustomHighlightsChange && (
+          <Box>
+            <Divider mb={2} />
+            <CustomHighlightList
+              highlights={customHighlights || []}
+              currentHighlight={currentHighlight}
+              onPlay={playHighlight}
+              onChange={onCustomHighlightsChange}
+              onAdd={source && (customHighlights || []).length < MAX_CUSTOM_HIGHLIGHTS ? handleAddHighlight : undefined}
+            />
+          </Box>
+        )}
+        
+        {/* Highlights the preview doesn't reach */}
+        {hasUnplayable && (
+          <Alert status="info" borderRadius="md">
+            <AlertIcon />
+            <Text fontSize="sm">
+              Only the 30-second preview is playing. Highlights after it can be heard with Spotify Premium.
+            </Text>
+          </Alert>
+        )}
+        
+        {/* Error message if nothing can be played */}
+        {!source && (
           <Alert status="warning" borderRadius="md">
             <AlertIcon />
             <Text fontSize="sm">
@@ -0,0 +1,197 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  ModalFooter,
+  Button,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Input,
+  Textarea,
+  RadioGroup,
+  Radio,
+  Stack,
+  Switch,
+  NumberInput,
+  NumberInputField,
+  NumberInputStepper,
+  NumberIncrementStepper,
+  NumberDecrementStepper,
+  Alert,
+  AlertIcon,
+  Text,
+  useToast
+} from '@chakra-ui/react';
+import { FaSpotify } from 'react-icons/fa';
+import useSpotifyAPI from '../hooks/useSpotifyAPI';
+
+/**
+ * Save an album's tracks as a playlist in the user's Spotify account,
+ * in album order or best highlights first
+ *
+ * @param {Object} album - Spotify album
+ * @param {boolean} isOpen - Whether the modal is shown
+ * @param {Function} onClose - Closes the modal
+ */
+const HighlightPlaylistModal = ({ album, isOpen, onClose }) => {
+  const { createPlaylistFromHighlights } = useSpotifyAPI();
+  const toast = useToast();
+
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [order, setOrder] = useState('score');
+  const [limit, setLimit] = useState('');
+  const [isPublic, setIsPublic] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [created, setCreated] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Start from the album's defaults each time the modal opens
+  useEffect(() => {
+    if (!isOpen || !album) return;
+    setName(`${album.name} Highlights`);
+    setDescription('');
+    setCreated(null);
+    setError(null);
+  }, [isOpen, album]);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError(null);
+
+    try {
+      const result = await createPlaylistFromHighlights({
+        albumId: album.id,
+        name,
+        description,
+        order,
+        public: isPublic,
+        limit: limit ? parseInt(limit) : undefined
+      });
+
+      setCreated(result.playlist);
+      toast({
+        title: 'Playlist created',
+        description: `${result.playlist.name} with ${result.tracks.length} tracks`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error creating playlist:', err);
+      // Logins from before playlists could be created lack the scope for it
+      setError(err.response?.status === 403
+        ? 'Spotify refused to create the playlist. Log out and back in to allow it.'
+        : err.response?.data?.message || err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="md">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>Save as Playlist</ModalHeader>
+        <ModalCloseButton />
+
+        <ModalBody>
+          {created ? (
+            <Stack spacing={4}>
+              <Text>
+                <strong>{created.name}</strong> is in your Spotify library.
+              </Text>
+              {created.external_urls?.spotify && (
+                <Button
+                  as="a"
+                  href={created.external_urls.spotify}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  leftIcon={<FaSpotify />}
+                  colorScheme="green"
+                >
+                  Open in Spotify
+                </Button>
+              )}
+            </Stack>
+          ) : (
+            <Stack spacing={4}>
+              <FormControl isRequired>
+                <FormLabel>Name</FormLabel>
+                <Input value={name} maxLength={100} onChange={(event) => setName(event.target.value)} />
+              </FormControl>
+
+              <FormControl>
+                <FormLabel>Description</FormLabel>
+                <Textarea
+                  value={description}
+                  maxLength={300}
+                  placeholder="Describes the album and ordering when left empty"
+                  onChange={(event) => setDescription(event.target.value)}
+                />
+              </FormControl>
+
+              <FormControl>
+                <FormLabel>Order</FormLabel>
+                <RadioGroup value={order} onChange={setOrder}>
+                  <Stack>
+                    <Radio value="score">Best highlights first</Radio>
+                    <Radio value="original">Album order</Radio>
+                  </Stack>
+                </RadioGroup>
+              </FormControl>
+
+              <FormControl>
+                <FormLabel>Number of tracks</FormLabel>
+                <NumberInput value={limit} min={1} max={album?.total_tracks || undefined} onChange={setLimit}>
+                  <NumberInputField placeholder="All" />
+                  <NumberInputStepper>
+                    <NumberIncrementStepper />
+                    <NumberDecrementStepper />
+                  </NumberInputStepper>
+                </NumberInput>
+                <FormHelperText>Keeps the first tracks in the chosen order</FormHelperText>
+              </FormControl>
+
+              <FormControl display="flex" alignItems="center">
+                <FormLabel mb={0}>Public playlist</FormLabel>
+                <Switch isChecked={isPublic} onChange={(event) => setIsPublic(event.target.checked)} colorScheme="green" />
+              </FormControl>
+
+              {error && (
+                <Alert status="error" borderRadius="md">
+                  <AlertIcon />
+                  <Text fontSize="sm">{error}</Text>
+                </Alert>
+              )}
+            </Stack>
+          )}
+        </ModalBody>
+
+        <ModalFooter>
+          <Button variant="ghost" mr={3} onClick={onClose}>
+            {created ? 'Close' : 'Cancel'}
+          </Button>
+          {!created && (
+            <Button
+              colorScheme="green"
+              onClick={handleCreate}
+              isLoading={creating}
+              loadingText="Creating"
+              isDisabled={!name.trim()}
+            >
+              Create Playlist
+            </Button>
+          )}
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default HighlightPlaylistModal;
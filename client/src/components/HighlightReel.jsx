@@ -0,0 +1,137 @@
+import React from 'react';
+import {
+  Box,
+  Flex,
+  Text,
+  Button,
+  HStack,
+  Slider,
+  SliderTrack,
+  SliderFilledTrack,
+  SliderThumb,
+  Tooltip,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FaTimes } from 'react-icons/fa';
+import usePlayback from '../hooks/usePlayback';
+import HighlightExportMenu from './HighlightExportMenu';
+import { formatSeconds } from '../utils/formatters';
+
+// Longest crossfade offered, in seconds
+const MAX_CROSSFADE = 5;
+
+/**
+ * Progress rail and settings of the album highlight reel
+ *
+ * The reel plays one highlight per track, in album order, through the
+ * HighlightPlayer below it. Each track's highlight takes a share of the rail
+ * proportional to its length; clicking one skips to it.
+ *
+ * @param {Array} entries - { track, highlight } in reel order
+ * @param {string} title - Title of the reel's export
+ * @param {number} index - Entry playing
+ */
+const HighlightReel = ({ entries, title, index, crossfade, onSelect, onCrossfadeChange, onExit }) => {
+  const playback = usePlayback();
+
+  const railBg = useColorModeValue('gray.200', 'gray.600');
+  const playedColor = useColorModeValue('green.300', 'green.600');
+  const currentColor = useColorModeValue('green.500', 'green.300');
+
+  const current = entries[index];
+  const total = entries.reduce((sum, entry) => sum + entry.highlight.duration, 0);
+
+  // Share of the current highlight already played
+  const isPlayingCurrent = playback.source?.track?.id === current?.track.id;
+  const currentProgress = isPlayingCurrent
+    ? Math.min(Math.max((playback.position - current.highlight.start) / current.highlight.duration, 0), 1)
+    : 0;
+
+  const elapsed = entries
+    .slice(0, index)
+    .reduce((sum, entry) => sum + entry.highlight.duration, 0) + currentProgress * (current?.highlight.duration || 0);
+
+  return (
+    <Box mb={4}>
+      <Flex justify="space-between" align="center" mb={2}>
+        <Box>
+          <Text fontWeight="bold">Album Highlight Reel</Text>
+          <Text fontSize="sm" color="gray.500">
+            {current ? `${index + 1}/${entries.length} · ${current.track.name}` : 'No highlights yet'}
+          </Text>
+        </Box>
+
+        <HStack spacing={2}>
+          <HighlightExportMenu
+            size="sm"
+            title={title}
+            tracks={entries.map(entry => ({ id: entry.track.id, highlights: [entry.highlight] }))}
+          />
+          <Button size="sm" variant="ghost" leftIcon={<FaTimes />} onClick={onExit}>
+            Exit reel
+          </Button>
+        </HStack>
+      </Flex>
+
+      {/* Progress rail */}
+      <Flex height="12px" borderRadius="full" overflow="hidden" gap="2px">
+        {entries.map((entry, entryIndex) => {
+          const filled = entryIndex < index ? 1 : entryIndex === index ? currentProgress : 0;
+          const { start, duration } = entry.highlight;
+
+          return (
+            <Tooltip
+              key={entry.track.id}
+              label={`${entryIndex + 1}. ${entry.track.name} (${formatSeconds(start)} - ${formatSeconds(start + duration)})`}
+            >
+              <Box
+                flex={duration}
+                bg={railBg}
+                position="relative"
+                cursor="pointer"
+                onClick={() => onSelect(entryIndex)}
+                aria-label={`Skip to ${entry.track.name}`}
+              >
+                <Box
+                  position="absolute"
+                  left={0}
+                  top={0}
+                  bottom={0}
+                  width={`${filled * 100}%`}
+                  bg={entryIndex === index ? currentColor : playedColor}
+                />
+              </Box>
+            </Tooltip>
+          );
+        })}
+      </Flex>
+
+      <Flex justify="space-between" align="center" mt={2}>
+        <Text fontSize="sm" color="gray.500">
+          {formatSeconds(elapsed)} / {formatSeconds(total)}
+        </Text>
+
+        <HStack spacing={3} width="220px">
+          <Text fontSize="sm" color="gray.500" whiteSpace="nowrap">
+            Crossfade {crossfade}s
+          </Text>
+          <Slider
+            aria-label="Crossfade"
+            value={crossfade}
+            min={0}
+            max={MAX_CROSSFADE}
+            step={0.5}
+            onChange={onCrossfadeChange}
+          >
+            <SliderTrack>
+              <SliderFilledTrack bg={currentColor} />
+            </SliderTrack>
+            <SliderThumb boxSize={3} />
+          </Slider>
+        </HStack>
+      </Flex>
+    </Box>
+  );
+};
+
+export default HighlightReel;
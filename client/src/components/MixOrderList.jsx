@@ -0,0 +1,115 @@
+import React from 'react';
+import {
+  Table,
+  TableCaption,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Text,
+  Badge,
+  HStack,
+  IconButton,
+  Tooltip,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FaPlay, FaArrowDown } from 'react-icons/fa';
+import { getKeyName } from '@shared/mixing';
+
+const scoreColor = (score) => (score >= 0.75 ? 'green' : score >= 0.5 ? 'yellow' : 'red');
+
+const tempoText = ({ relation, ratio }) => {
+  if (ratio === null) return 'Unknown tempo';
+  const change = `${ratio >= 1 ? '+' : ''}${Math.round((ratio - 1) * 100)}%`;
+  return relation === 'same' ? `Tempo ${change}` : `Tempo ${change} at ${relation} time`;
+};
+
+const energyText = ({ delta }) => (
+  delta === null ? 'Unknown energy' : `Energy ${delta >= 0 ? '+' : ''}${Math.round(delta * 100)}`
+);
+
+/**
+ * Tracks in the order they mix best, with each one's Camelot key and how
+ * well it mixes in from the track before
+ *
+ * @param {Object} mix - { tracks, score } from orderForMix
+ */
+const MixOrderList = ({ mix, onPlayHighlight, canPlayFullTracks, currentTrackId }) => {
+  const hoverBg = useColorModeValue('gray.50', 'gray.700');
+  const currentBg = useColorModeValue('green.50', 'green.900');
+
+  return (
+    <Table variant="simple">
+      <Thead>
+        <Tr>
+          <Th width="50px">#</Th>
+          <Th>Title</Th>
+          <Th width="110px">Key</Th>
+          <Th width="90px" isNumeric>BPM</Th>
+          <Th width="220px">Transition in</Th>
+          <Th width="60px" />
+        </Tr>
+      </Thead>
+      <Tbody>
+        {mix.tracks.map(({ track, features, camelot, transition }, index) => (
+          <Tr key={track.id} _hover={{ bg: hoverBg }} bg={currentTrackId === track.id ? currentBg : 'inherit'}>
+            <Td>{index + 1}</Td>
+            <Td>
+              <Text fontWeight="medium">{track.name}</Text>
+              <Text fontSize="sm" color="gray.500">
+                Track {track.track_number} · {track.artists.map(artist => artist.name).join(', ')}
+              </Text>
+            </Td>
+            <Td>
+              {camelot ? (
+                <Tooltip label={getKeyName(features.key, features.mode)}>
+                  <Badge colorScheme="purple" fontSize="sm">{camelot.code}</Badge>
+                </Tooltip>
+              ) : (
+                <Text fontSize="sm" color="gray.500">—</Text>
+              )}
+            </Td>
+            <Td isNumeric>{features?.tempo ? Math.round(features.tempo) : '—'}</Td>
+            <Td>
+              {transition ? (
+                <Tooltip
+                  label={`${transition.key.label} · ${tempoText(transition.tempo)} · ${energyText(transition.energy)}`}
+                >
+                  <HStack spacing={2}>
+                    <FaArrowDown size={10} />
+                    <Badge colorScheme={scoreColor(transition.score)}>
+                      {Math.round(transition.score * 100)}%
+                    </Badge>
+                    <Text fontSize="sm" color="gray.500" noOfLines={1}>{transition.key.label}</Text>
+                  </HStack>
+                </Tooltip>
+              ) : (
+                <Text fontSize="sm" color="gray.500">{features ? 'Opener' : 'No audio features'}</Text>
+              )}
+            </Td>
+            <Td>
+              {(track.preview_url || canPlayFullTracks) && (
+                <IconButton
+                  aria-label="Play highlights"
+                  icon={<FaPlay />}
+                  size="sm"
+                  colorScheme="green"
+                  variant="ghost"
+                  onClick={() => onPlayHighlight(track)}
+                />
+              )}
+            </Td>
+          </Tr>
+        ))}
+      </Tbody>
+      {mix.score !== null && (
+        <TableCaption placement="bottom" textAlign="left">
+          Average transition {Math.round(mix.score * 100)}%, scored on Camelot key, tempo (with half and double time) and energy
+        </TableCaption>
+      )}
+    </Table>
+  );
+};
+
+export default MixOrderList;
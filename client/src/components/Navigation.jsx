@@ -83,6 +83,8 @@ const Navigation = () => {
               <NavLink to="/spotify">Spotify</NavLink>
               <NavLink to="/apple-music">Apple Music</NavLink>
               <NavLink to="/discover">Discover</NavLink>
+              <NavLink to="/spotify-original/moods">Moods</NavLink>
+              <NavLink to="/compare">Compare</NavLink>
             </HStack>
           </HStack>
 
@@ -101,6 +103,8 @@ const Navigation = () => {
               <NavLink to="/spotify">Spotify</NavLink>
               <NavLink to="/apple-music">Apple Music</NavLink>
               <NavLink to="/discover">Discover</NavLink>
+              <NavLink to="/spotify-original/moods">Moods</NavLink>
+              <NavLink to="/compare">Compare</NavLink>
             </Stack>
           </Box>
         )}
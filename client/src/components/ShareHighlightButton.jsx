@@ -0,0 +1,105 @@
+import React from 'react';
+import {
+  Button,
+  IconButton,
+  Input,
+  InputGroup,
+  InputRightElement,
+  Text,
+  VStack,
+  Popover,
+  PopoverTrigger,
+  PopoverContent,
+  PopoverArrow,
+  PopoverCloseButton,
+  PopoverHeader,
+  PopoverBody,
+  Tooltip,
+  useClipboard
+} from '@chakra-ui/react';
+import { FaShareAlt, FaCopy, FaCheck } from 'react-icons/fa';
+import { getHighlightSharePath } from '@shared/highlights';
+import { formatSeconds } from '../utils/formatters';
+
+// A text field with a copy button
+const CopyField = ({ label, value }) => {
+  const { hasCopied, onCopy } = useClipboard(value);
+
+  return (
+    <>
+      <Text fontSize="xs" fontWeight="medium" color="gray.500">
+        {label}
+      </Text>
+      <InputGroup size="sm">
+        <Input value={value} isReadOnly pr="2.5rem" onFocus={(event) => event.target.select()} />
+        <InputRightElement>
+          <IconButton
+            aria-label={`Copy ${label.toLowerCase()}`}
+            icon={hasCopied ? <FaCheck /> : <FaCopy />}
+            size="xs"
+            variant="ghost"
+            colorScheme={hasCopied ? 'green' : 'gray'}
+            onClick={onCopy}
+          />
+        </InputRightElement>
+      </InputGroup>
+    </>
+  );
+};
+
+/**
+ * Share a highlight as a link to /h/:trackId, or embed it on another site
+ *
+ * @param {Object} track - Spotify track
+ * @param {Object} highlight - { start, duration, clip } to share
+ */
+const ShareHighlightButton = ({ track, highlight, size = 'sm' }) => {
+  if (!track?.id || !highlight) return null;
+
+  const origin = window.location.origin;
+  const link = `${origin}${getHighlightSharePath(track.id, highlight)}`;
+  const embedLink = `${origin}${getHighlightSharePath(track.id, highlight, { embed: true })}`;
+  const embedCode = `<iframe src="${embedLink}" width="480" height="200" frameborder="0" allow="autoplay; encrypted-media" title="${track.name} highlight"></iframe>`;
+  const range = `${formatSeconds(highlight.start)} - ${formatSeconds(highlight.start + highlight.duration)}`;
+
+  // The system share sheet, where there is one (mostly mobile)
+  const canShareNatively = typeof navigator !== 'undefined' && Boolean(navigator.share);
+  const shareNatively = () => {
+    navigator.share({ title: track.name, text: `Listen to this bit (${range})`, url: link })
+      .catch(error => {
+        if (error.name !== 'AbortError') console.error('Error sharing highlight:', error);
+      });
+  };
+
+  return (
+    <Popover placement="bottom-end" isLazy>
+      <Tooltip label="Share this highlight">
+        <span>
+          <PopoverTrigger>
+            <IconButton aria-label="Share highlight" icon={<FaShareAlt />} size={size} variant="ghost" />
+          </PopoverTrigger>
+        </span>
+      </Tooltip>
+      <PopoverContent width="360px">
+        <PopoverArrow />
+        <PopoverCloseButton />
+        <PopoverHeader fontSize="sm" fontWeight="bold">
+          Share {range} of {track.name}
+        </PopoverHeader>
+        <PopoverBody>
+          <VStack spacing={2} align="stretch">
+            <CopyField label="Link" value={link} />
+            <CopyField label="Embed code" value={embedCode} />
+            {canShareNatively && (
+              <Button size="sm" leftIcon={<FaShareAlt />} colorScheme="green" onClick={shareNatively}>
+                Share…
+              </Button>
+            )}
+          </VStack>
+        </PopoverBody>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default ShareHighlightButton;
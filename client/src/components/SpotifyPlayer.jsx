@@ -3,162 +3,64 @@ import { Box, Button, Text, Flex, Slider, SliderTrack, SliderFilledTrack, Slider
 import { FaPlay, FaPause, FaStepForward, FaStepBackward, FaVolumeUp, FaVolumeMute } from 'react-icons/fa';
 import { useSpotify } from '../context/SpotifyContext';
 import { formatSeconds } from '../utils/formatters';
+import usePlayback from '../hooks/usePlayback';
 
 const SpotifyPlayer = ({ trackUri }) => {
-  const { accessToken } = useSpotify();
-  const [player, setPlayer] = useState(null);
-  const [isPaused, setIsPaused] = useState(true);
-  const [isActive, setIsActive] = useState(false);
-  const [currentTrack, setCurrentTrack] = useState(null);
-  const [position, setPosition] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(0.5);
-  const [isLoading, setIsLoading] = useState(true);
-  const [deviceId, setDeviceId] = useState(null);
+  const { accessToken, spotifyApi } = useSpotify();
+  const playback = usePlayback();
   const [isPremium, setIsPremium] = useState(null);
   const [premiumChecked, setPremiumChecked] = useState(false);
 
-  // Initialize the Spotify Web Playback SDK
-  useEffect(() => {
-    if (!accessToken) return;
-
-    // Load the Spotify Web Playback SDK script
-    const script = document.createElement('script');
-    script.src = 'https://sdk.scdn.co/spotify-player.js';
-    script.async = true;
-    document.body.appendChild(script);
-
-    // Initialize the player when the SDK is loaded
-    window.onSpotifyWebPlaybackSDKReady = () => {
-      const spotifyPlayer = new window.Spotify.Player({
-        name: 'SpotiYRec Web Player',
-        getOAuthToken: cb => { cb(accessToken); },
-        volume: volume
-      });
-
-      // Error handling
-      spotifyPlayer.addListener('initialization_error', ({ message }) => {
-        console.error('Initialization error:', message);
-      });
-      spotifyPlayer.addListener('authentication_error', ({ message }) => {
-        console.error('Authentication error:', message);
-      });
-      spotifyPlayer.addListener('account_error', ({ message }) => {
-        console.error('Account error:', message);
-      });
-      spotifyPlayer.addListener('playback_error', ({ message }) => {
-        console.error('Playback error:', message);
-      });
-
-      // Playback status updates
-      spotifyPlayer.addListener('player_state_changed', state => {
-        if (!state) return;
-        
-        setCurrentTrack(state.track_window.current_track);
-        setIsPaused(state.paused);
-        setPosition(state.position);
-        setDuration(state.duration);
-      });
-
-      // Ready
-      spotifyPlayer.addListener('ready', ({ device_id }) => {
-        console.log('Ready with Device ID', device_id);
-        setDeviceId(device_id);
-        setIsLoading(false);
-        setIsActive(true);
-      });
-
-      // Not Ready
-      spotifyPlayer.addListener('not_ready', ({ device_id }) => {
-        console.log('Device ID has gone offline', device_id);
-        setIsActive(false);
-      });
-
-      // Connect to the player
-      spotifyPlayer.connect();
-      setPlayer(spotifyPlayer);
-    };
-
-    return () => {
-      // Clean up
-      if (player) {
-        player.disconnect();
-      }
-    };
-  }, [accessToken]);
+  // The SDK player is shared with the rest of the app (see services/playback),
+  // this component only shows and controls it
+  const isLoading = playback.ready.spotify === undefined;
+  const isActive = Boolean(playback.ready.spotify);
+  const isShowing = playback.backend === 'spotify';
+  const currentTrack = isShowing ? playback.track : null;
+  const isPaused = !(isShowing && playback.isPlaying);
+  const position = isShowing ? playback.position : 0;
+  const duration = isShowing ? playback.duration : 0;
+  const volume = playback.volume;
+  const { load, isLoaded } = playback;
 
   // Play the track when trackUri changes
   useEffect(() => {
-    if (!trackUri || !deviceId || !accessToken) return;
-
-    const playTrack = async () => {
-      try {
-        await fetch(`https://api.spotify.com/v1/me/player/play?device_id=${deviceId}`, {
-          method: 'PUT',
-          body: JSON.stringify({ uris: [trackUri] }),
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${accessToken}`
-          },
-        });
-      } catch (error) {
-        console.error('Error playing track:', error);
-      }
-    };
-
-    playTrack();
-  }, [trackUri, deviceId, accessToken]);
-
-  // Update position every second
-  useEffect(() => {
-    if (isPaused) return;
+    if (!trackUri || !isActive || isLoaded({ uri: trackUri })) return;
 
-    const interval = setInterval(() => {
-      setPosition(prev => {
-        if (prev >= duration) {
-          clearInterval(interval);
-          return 0;
-        }
-        return prev + 1000;
-      });
-    }, 1000);
-
-    return () => clearInterval(interval);
-  }, [isPaused, duration]);
+    load({ uri: trackUri }).catch(error => {
+      console.error('Error playing track:', error);
+    });
+  }, [trackUri, isActive, load, isLoaded]);
 
   // Toggle play/pause
   const togglePlay = async () => {
-    if (!player) return;
+    if (!isShowing && trackUri) {
+      await load({ uri: trackUri });
+      return;
+    }
 
-    await player.togglePlay();
-    setIsPaused(!isPaused);
+    await playback.toggle();
   };
 
   // Skip to next track
   const skipNext = async () => {
-    if (!player) return;
-    await player.nextTrack();
+    await playback.next();
   };
 
   // Skip to previous track
   const skipPrevious = async () => {
-    if (!player) return;
-    await player.previousTrack();
+    await playback.previous();
   };
 
   // Handle volume change
   const handleVolumeChange = (value) => {
-    setVolume(value);
-    if (player) {
-      player.setVolume(value);
-    }
+    playback.setVolume(value);
   };
 
   // Handle seeking
   const handleSeek = async (value) => {
-    if (!player) return;
-    await player.seek(value * duration);
-    setPosition(value * duration);
+    if (!isShowing) return;
+    await playback.seek(value * duration);
   };
 
   // Check if user has Spotify Premium
@@ -167,19 +69,8 @@ const SpotifyPlayer = ({ trackUri }) => {
 
     const checkPremiumStatus = async () => {
       try {
-        const response = await fetch('https://api.spotify.com/v1/me', {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`
-          }
-        });
-        
-        if (response.ok) {
-          const data = await response.json();
-          setIsPremium(data.product === 'premium');
-        } else {
-          setIsPremium(false);
-        }
-        
+        const data = await spotifyApi.getMe();
+        setIsPremium(data.product === 'premium');
         setPremiumChecked(true);
       } catch (error) {
         console.error('Error checking premium status:', error);
@@ -189,7 +80,7 @@ const SpotifyPlayer = ({ trackUri }) => {
     };
 
     checkPremiumStatus();
-  }, [accessToken]);
+  }, [accessToken, spotifyApi]);
 
   if (!accessToken) {
     return (
@@ -295,7 +186,7 @@ const SpotifyPlayer = ({ trackUri }) => {
 
           {/* Progress Bar */}
           <HStack width="100%" spacing={4}>
-            <Text fontSize="xs">{formatSeconds(position / 1000)}</Text>
+            <Text fontSize="xs">{formatSeconds(position)}</Text>
             <Slider
               aria-label="seek-slider"
               value={duration > 0 ? position / duration : 0}
@@ -309,7 +200,7 @@ const SpotifyPlayer = ({ trackUri }) => {
               </SliderTrack>
               <SliderThumb />
             </Slider>
-            <Text fontSize="xs">{formatSeconds(duration / 1000)}</Text>
+            <Text fontSize="xs">{formatSeconds(duration)}</Text>
           </HStack>
         </VStack>
 
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Flex,
+  Text,
+  Image,
+  Badge,
+  SimpleGrid,
+  Skeleton,
+  Slider,
+  SliderTrack,
+  SliderFilledTrack,
+  SliderThumb,
+  Tooltip,
+  Wrap,
+  WrapItem,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { useSpotify } from '../context/SpotifyContext';
+import useSpotifyAPI from '../hooks/useSpotifyAPI';
+import { getImageUrl } from '../utils/formatters';
+
+// Recommendations shown at once
+const RECOMMENDATION_LIMIT = 12;
+
+/**
+ * Tracks from the user's saved albums closest to what they play, with a
+ * familiar-adventurous slider: familiar keeps the closest matches, adventurous
+ * trades some closeness for variety between them. The slider is the user's
+ * setting for every recommendation list, like the ones on album pages.
+ */
+const TasteRecommendations = () => {
+  const { adventurous: committed, setAdventurous: commitAdventurous } = useSpotify();
+  const { getLocalRecommendations } = useSpotifyAPI();
+
+  const [adventurous, setAdventurous] = useState(committed);
+  const [recommendations, setRecommendations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const bgColor = useColorModeValue('white', 'gray.800');
+  const borderColor = useColorModeValue('gray.200', 'gray.700');
+
+  // Fetch again once the slider is let go
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    getLocalRecommendations({ limit: RECOMMENDATION_LIMIT })
+      .then(result => {
+        if (!cancelled) setRecommendations(result.tracks);
+      })
+      .catch(err => {
+        console.error('Error fetching local recommendations:', err);
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [getLocalRecommendations]);
+
+  return (
+    <Box mb={8}>
+      <Flex justify="space-between" align={{ base: 'stretch', md: 'center' }} direction={{ base: 'column', md: 'row' }} gap={4} mb={4}>
+        <Text>From your saved albums, closest to the tracks you play most:</Text>
+
+        <Flex align="center" gap={3} width={{ base: '100%', md: '320px' }}>
+          <Text fontSize="sm" color="gray.500">Familiar</Text>
+          <Slider
+            aria-label="Familiar or adventurous"
+            value={adventurous}
+            min={0}
+            max={1}
+            step={0.1}
+            onChange={setAdventurous}
+            onChangeEnd={commitAdventurous}
+            colorScheme="green"
+          >
+            <SliderTrack>
+              <SliderFilledTrack />
+            </SliderTrack>
+            <SliderThumb />
+          </Slider>
+          <Text fontSize="sm" color="gray.500">Adventurous</Text>
+        </Flex>
+      </Flex>
+
+      {error ? (
+        <Text color="gray.500" py={4}>Couldn't build recommendations from your library: {error}</Text>
+      ) : loading ? (
+        <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={4}>
+          {[...Array(6)].map((_, i) => (
+            <Skeleton key={i} height="96px" borderRadius="lg" />
+          ))}
+        </SimpleGrid>
+      ) : recommendations.length === 0 ? (
+        <Text color="gray.500" py={4}>
+          Save a few albums you haven't played much yet and they'll show up here.
+        </Text>
+      ) : (
+        <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={4}>
+          {recommendations.map(({ track, score, neighbours, explanation }) => (
+            <Flex
+              key={track.id}
+              as={RouterLink}
+              to={`/spotify-original/album/${track.album?.id}`}
+              gap={3}
+              p={3}
+              bg={bgColor}
+              borderWidth="1px"
+              borderColor={borderColor}
+              borderRadius="lg"
+              _hover={{ boxShadow: 'md' }}
+            >
+              <Image
+                src={getImageUrl(track.album?.images, 'small')}
+                alt={track.album?.name}
+                boxSize="72px"
+                borderRadius="md"
+                flexShrink={0}
+              />
+              <Box minW={0} flex="1">
+                <Flex justify="space-between" gap={2}>
+                  <Text fontWeight="bold" noOfLines={1}>{track.name}</Text>
+                  <Badge colorScheme="green" flexShrink={0}>{Math.round(score * 100)}%</Badge>
+                </Flex>
+                <Text fontSize="sm" color="gray.500" noOfLines={1}>
+                  {track.artists?.map(artist => artist.name).join(', ')}
+                </Text>
+                {neighbours[0] && (
+                  <Text fontSize="xs" color="gray.500" noOfLines={1}>
+                    Like {neighbours[0].name} by {neighbours[0].artists.join(', ')}
+                  </Text>
+                )}
+                <Wrap spacing={1} mt={1}>
+                  {explanation.slice(0, 2).map(item => (
+                    <WrapItem key={item.feature}>
+                      <Tooltip label={item.text}>
+                        <Badge variant="subtle" fontSize="2xs">{item.label}</Badge>
+                      </Tooltip>
+                    </WrapItem>
+                  ))}
+                </Wrap>
+              </Box>
+            </Flex>
+          ))}
+        </SimpleGrid>
+      )}
+    </Box>
+  );
+};
+
+export default TasteRecommendations;
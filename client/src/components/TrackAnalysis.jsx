@@ -21,13 +21,34 @@ import {
   FaStar, 
   FaRegSmile, 
   FaRegSadTear,
-  FaThumbsUp
+  FaThumbsUp,
+  FaWaveSquare
 } from 'react-icons/fa';
+import EnergyTimeline from './EnergyTimeline';
+import usePlayback from '../hooks/usePlayback';
+import useTrackSource from '../hooks/useTrackSource';
+import { isSameSource, PREVIEW_LENGTH } from '../services/playback';
+import { getKeyName, getCamelotKey } from '@shared/mixing';
 
-const TrackAnalysis = ({ track, audioFeatures, recommendations }) => {
+const TrackAnalysis = ({ track, audioFeatures, analysis, highlights, onHighlightChange, recommendations }) => {
   const bgColor = useColorModeValue('white', 'gray.800');
   const borderColor = useColorModeValue('gray.200', 'gray.700');
   const accentColor = useColorModeValue('green.500', 'green.300');
+  
+  const playback = usePlayback();
+  const { source, fullTrack } = useTrackSource(track);
+  const isActive = isSameSource(playback.source, source);
+  const trackDuration = analysis?.track?.duration || track.duration_ms / 1000;
+  
+  // Seek in the track, starting it there if it isn't playing
+  const handleSeek = (seconds) => {
+    if (isActive) {
+      playback.seek(seconds);
+    } else {
+      playback.load(source, { position: seconds })
+        .catch(error => console.error('Error starting playback:', error));
+    }
+  };
 
   // Format values as percentages
   const formatPercentage = (value) => {
@@ -41,13 +62,6 @@ const TrackAnalysis = ({ track, audioFeatures, recommendations }) => {
     return { icon: FaRegSmile, text: 'Neutral', color: 'yellow' };
   };
 
-  // Get key name from pitch class
-  const getKeyName = (key, mode) => {
-    const keys = ['C', 'C♯/D♭', 'D', 'D♯/E♭', 'E', 'F', 'F♯/G♭', 'G', 'G♯/A♭', 'A', 'A♯/B♭', 'B'];
-    const modeName = mode ? 'Major' : 'Minor';
-    return key >= 0 ? `${keys[key]} ${modeName}` : 'Unknown';
-  };
-
   // Get tempo category
   const getTempoCategory = (tempo) => {
     if (tempo < 80) return 'Slow';
@@ -65,6 +79,7 @@ const TrackAnalysis = ({ track, audioFeatures, recommendations }) => {
   }
 
   const mood = getMood(audioFeatures.valence);
+  const camelot = getCamelotKey(audioFeatures.key, audioFeatures.mode);
 
   return (
     <Box p={4} borderWidth="1px" borderRadius="lg" bg={bgColor} boxShadow="sm">
@@ -80,6 +95,9 @@ const TrackAnalysis = ({ track, audioFeatures, recommendations }) => {
           <Badge colorScheme="purple" fontSize="md" px={2} py={1}>
             {getKeyName(audioFeatures.key, audioFeatures.mode)}
           </Badge>
+          {camelot && (
+            <Text fontSize="sm" color="gray.500">Camelot {camelot.code}</Text>
+          )}
         </VStack>
         
         <VStack align="start" flex="1">
@@ -171,6 +189,25 @@ const TrackAnalysis = ({ track, audioFeatures, recommendations }) => {
         </Flex>
       </VStack>
       
+      {/* Energy over the whole track */}
+      {analysis?.segments?.length > 0 && (
+        <Box mb={6}>
+          <HStack mb={2}>
+            <Icon as={FaWaveSquare} color={accentColor} />
+            <Text fontWeight="medium">Energy Timeline</Text>
+          </HStack>
+          <EnergyTimeline
+            analysis={analysis}
+            duration={trackDuration}
+            highlights={highlights || []}
+            position={isActive ? playback.position : null}
+            playableUntil={fullTrack ? trackDuration : PREVIEW_LENGTH}
+            onSeek={source ? handleSeek : undefined}
+            onHighlightChange={onHighlightChange}
+          />
+        </Box>
+      )}
+      
       {/* Highlight explanation */}
       {track.preview_url && (
         <Box mb={4} p={3} bg={useColorModeValue('gray.50', 'gray.700')} borderRadius="md">
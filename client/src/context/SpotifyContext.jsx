@@ -1,10 +1,33 @@
 import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
-import SpotifyWebApi from 'spotify-web-api-js';
 import axios from 'axios';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { createSpotifyWebApi, createRequestQueue, queueSpotifyClient } from '@shared/spotify';
+import { API_BASE_URL, SPOTIFY_API_URL } from '../utils/config';
+import playbackService from '../services/playback';
+import { getAdventurous, setAdventurous as storeAdventurous } from '../utils/storage';
 
-// Create a new Spotify API instance
-const spotifyApi = new SpotifyWebApi();
+// Every call goes through a request queue that limits parallel requests and
+// retries 429s after their Retry-After
+const spotifyQueue = createRequestQueue({ concurrency: 4, perKeyConcurrency: 4 });
+
+// Create a new Spotify API instance for VITE_SPOTIFY_API_URL (e.g. the mock
+// server) or Spotify itself, resolving with response bodies
+const directSpotifyApi = queueSpotifyClient(
+  createSpotifyWebApi({ apiUrl: SPOTIFY_API_URL, fullResponse: false }),
+  spotifyQueue
+);
+
+// When the server holds the tokens, Web API calls go through its
+// /api/spotify with the session cookie. The access token the page gets then
+// is only for the Web Playback SDK.
+const sessionSpotifyApi = queueSpotifyClient(
+  createSpotifyWebApi({
+    apiUrl: `${API_BASE_URL}/api/spotify`,
+    fullResponse: false,
+    fetch: (url, options) => fetch(url, { ...options, credentials: 'include' })
+  }),
+  spotifyQueue
+);
 
 // Create the context
 const SpotifyContext = createContext();
@@ -23,103 +46,75 @@ export const SpotifyProvider = ({ children }) => {
   const [error, setError] = useState(null);
   const [currentTrack, setCurrentTrack] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [player, setPlayer] = useState(null);
-  const [deviceId, setDeviceId] = useState(null);
   const [deviceReady, setDeviceReady] = useState(false);
+  // Familiar (0) to adventurous (1): how much every recommendation list
+  // trades closeness for variety
+  const [adventurous, setAdventurousState] = useState(getAdventurous);
   
   // Add a ref to track if we're currently exchanging a code
   const isExchangingCode = useRef(false);
   // Add a ref to track which code we've already processed
   const processedCode = useRef(null);
+  // Whether the server holds the tokens (TOKEN_STORAGE=session)
+  const sessionMode = useRef(false);
+  // Latest access token for the Web Playback SDK
+  const accessTokenRef = useRef('');
+  
+  // The Web API client for how this login keeps its tokens
+  const getSpotifyApi = () => (sessionMode.current ? sessionSpotifyApi : directSpotifyApi);
   
   const navigate = useNavigate();
   const location = useLocation();
 
-  // Initialize Spotify Web Playback SDK
+  // Connect the app-wide player's Spotify SDK backend once there is a token.
+  // It reads the token through a ref, so refreshed tokens are picked up.
   useEffect(() => {
+    accessTokenRef.current = accessToken;
     if (!accessToken) return;
 
-    const script = document.createElement('script');
-    script.src = 'https://sdk.scdn.co/spotify-player.js';
-    script.async = true;
-
-    document.body.appendChild(script);
-
-    window.onSpotifyWebPlaybackSDKReady = () => {
-      const spotifyPlayer = new window.Spotify.Player({
-        name: 'Spotiyrec Web Player',
-        getOAuthToken: cb => { cb(accessToken); },
-        volume: 0.5
-      });
-
-      spotifyPlayer.addListener('ready', ({ device_id }) => {
-        console.log('Ready with Device ID', device_id);
-        setDeviceId(device_id);
-        setDeviceReady(true);
-        
-        // Transfer playback to this device
-        spotifyApi.transferMyPlayback([device_id], { play: false })
-          .then(() => {
-            console.log('Transferred playback to current device');
-          })
-          .catch(err => {
-            console.error('Error transferring playback:', err);
-          });
-      });
-
-      spotifyPlayer.addListener('not_ready', ({ device_id }) => {
-        console.log('Device ID has gone offline', device_id);
-        setDeviceReady(false);
-      });
-
-      spotifyPlayer.addListener('player_state_changed', state => {
-        if (!state) return;
-        
-        setCurrentTrack(state.track_window.current_track);
-        setIsPlaying(!state.paused);
-      });
-
-      spotifyPlayer.connect()
-        .then(success => {
-          if (success) {
-            console.log('Connected to Spotify Web Playback SDK');
-            setPlayer(spotifyPlayer);
-          }
-        });
-
-      return () => {
-        spotifyPlayer.disconnect();
-      };
-    };
+    playbackService.getBackend('spotify')
+      .connect({ getAccessToken: () => accessTokenRef.current, spotifyApi: getSpotifyApi() })
+      .catch(err => console.error('Error connecting Spotify player:', err));
   }, [accessToken]);
 
+  // Mirror what the player plays. Only these fields are kept in state, so
+  // position updates don't re-render everything below the provider.
+  useEffect(() => playbackService.on('change', state => {
+    setCurrentTrack(state.track);
+    setIsPlaying(state.isPlaying);
+    setDeviceReady(Boolean(state.ready.spotify));
+  }), []);
+
   // Function to login with Spotify
   const login = () => {
-    window.location.href = 'http://localhost:4000/auth/spotify';
+    window.location.href = `${API_BASE_URL}/auth/spotify`;
   };
 
   // Function to logout
   const logout = () => {
-    if (player) {
-      player.disconnect();
-    }
+    playbackService.stop().catch(err => console.error('Error stopping playback:', err));
+    playbackService.getBackend('spotify').disconnect();
     setUser(null);
     setAccessToken('');
     setRefreshToken('');
     setExpiresIn(0);
     setIsAuthenticated(false);
-    setDeviceId(null);
-    setDeviceReady(false);
-    setPlayer(null);
     localStorage.removeItem('spotify_refresh_token');
     localStorage.removeItem('spotify_access_token');
+    
+    // End the server session, which holds the tokens in session mode
+    axios.post(`${API_BASE_URL}/auth/logout`, {}, { withCredentials: true })
+      .catch(err => console.error('Error ending server session:', err));
+    sessionMode.current = false;
+    
     // Reset the processed code ref
     processedCode.current = null;
     navigate('/');
   };
 
-  // Function to exchange code for tokens
-  const exchangeCodeForTokens = async (code) => {
+  // Function to exchange code for tokens. The state comes back from Spotify
+  // and is checked by the server against the one stored for this login.
+  const exchangeCodeForTokens = async (code, state) => {
     // Prevent duplicate exchange attempts for the same code
     if (isExchangingCode.current) {
       console.log('Already exchanging a code, skipping duplicate request');
@@ -137,9 +132,19 @@ export const SpotifyProvider = ({ children }) => {
       processedCode.current = code;
       
       console.log('Exchanging code for tokens...');
-      const response = await axios.post('http://localhost:4000/auth/exchange', { code });
+      const response = await axios.post(
+        `${API_BASE_URL}/auth/exchange`,
+        { code, state },
+        { withCredentials: true }
+      );
+      
+      const { access_token, refresh_token, expires_in, session } = response.data;
       
-      const { access_token, refresh_token, expires_in } = response.data;
+      // The server kept the tokens, ask it for a short-lived access token
+      if (session) {
+        sessionMode.current = true;
+        return await loadSessionToken();
+      }
       
       if (!access_token) {
         throw new Error('No access token received from server');
@@ -148,7 +153,7 @@ export const SpotifyProvider = ({ children }) => {
       setAccessToken(access_token);
       setExpiresIn(expires_in);
       localStorage.setItem('spotify_access_token', access_token);
-      spotifyApi.setAccessToken(access_token);
+      directSpotifyApi.setAccessToken(access_token);
       setIsAuthenticated(true);
       
       if (refresh_token) {
@@ -168,6 +173,8 @@ export const SpotifyProvider = ({ children }) => {
       // Check for specific error types
       if (err.response?.data?.code === 'invalid_grant') {
         setError('Authorization code has expired or has already been used. Please try logging in again.');
+      } else if (err.response?.data?.code === 'state_mismatch') {
+        setError('This login could not be verified. Please try logging in again.');
       } else {
         setError('Failed to exchange code for tokens: ' + (err.response?.data?.message || err.message));
       }
@@ -180,11 +187,35 @@ export const SpotifyProvider = ({ children }) => {
     }
   };
 
+  // Function to get the access token of a server-held session. It is only
+  // kept in memory; the refresh token never reaches the browser.
+  const loadSessionToken = async () => {
+    const response = await axios.get(`${API_BASE_URL}/auth/token`, { withCredentials: true });
+    const { accessToken: sessionToken, expiresIn: sessionExpiresIn } = response.data;
+    
+    setAccessToken(sessionToken);
+    setExpiresIn(sessionExpiresIn);
+    setIsAuthenticated(true);
+    
+    // The server refreshes the token, fetch the new one before this expires
+    setTimeout(() => {
+      refreshAccessToken();
+    }, Math.max(0, sessionExpiresIn - 60) * 1000);
+    
+    return sessionToken;
+  };
+
   // Function to refresh the access token
   const refreshAccessToken = async () => {
     const storedRefreshToken = localStorage.getItem('spotify_refresh_token');
     
     try {
+      // The server refreshes tokens held in the session itself
+      if (sessionMode.current) {
+        await axios.post(`${API_BASE_URL}/auth/refresh`, {}, { withCredentials: true });
+        return await loadSessionToken();
+      }
+      
       if (!storedRefreshToken) {
         console.error('No refresh token available');
         setIsAuthenticated(false);
@@ -192,11 +223,15 @@ export const SpotifyProvider = ({ children }) => {
       }
       
       console.log('Refreshing access token...');
-      const response = await axios.post('http://localhost:4000/auth/refresh', {
+      const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
         refreshToken: storedRefreshToken,
       });
       
-      const { accessToken: newAccessToken, expiresIn: newExpiresIn } = response.data;
+      const {
+        accessToken: newAccessToken,
+        expiresIn: newExpiresIn,
+        refreshToken: rotatedRefreshToken
+      } = response.data;
       
       if (!newAccessToken) {
         throw new Error('No access token returned from refresh endpoint');
@@ -206,9 +241,15 @@ export const SpotifyProvider = ({ children }) => {
       setAccessToken(newAccessToken);
       setExpiresIn(newExpiresIn);
       localStorage.setItem('spotify_access_token', newAccessToken);
-      spotifyApi.setAccessToken(newAccessToken);
+      directSpotifyApi.setAccessToken(newAccessToken);
       setIsAuthenticated(true);
       
+      // PKCE logins get a new refresh token with every refresh
+      if (rotatedRefreshToken) {
+        setRefreshToken(rotatedRefreshToken);
+        localStorage.setItem('spotify_refresh_token', rotatedRefreshToken);
+      }
+      
       // Set timer to refresh token before it expires
       setTimeout(() => {
         refreshAccessToken();
@@ -242,6 +283,7 @@ export const SpotifyProvider = ({ children }) => {
       // Check if we're on the callback page with query parameters
       const urlParams = new URLSearchParams(location.search);
       const code = urlParams.get('code');
+      const state = urlParams.get('state');
       const errorParam = urlParams.get('error');
       
       if (errorParam) {
@@ -261,10 +303,10 @@ export const SpotifyProvider = ({ children }) => {
         
         try {
           // Exchange code for tokens
-          await exchangeCodeForTokens(code);
+          await exchangeCodeForTokens(code, state);
           
           // Fetch user data
-          const userData = await spotifyApi.getMe();
+          const userData = await getSpotifyApi().getMe();
           setUser(userData);
           
           // Clean up URL
@@ -285,7 +327,7 @@ export const SpotifyProvider = ({ children }) => {
         if (token) {
           setAccessToken(token);
           localStorage.setItem('spotify_access_token', token);
-          spotifyApi.setAccessToken(token);
+          directSpotifyApi.setAccessToken(token);
           setIsAuthenticated(true);
           
           if (refresh) {
@@ -302,7 +344,7 @@ export const SpotifyProvider = ({ children }) => {
           }
           
           try {
-            const userData = await spotifyApi.getMe();
+            const userData = await getSpotifyApi().getMe();
             setUser(userData);
           } catch (err) {
             console.error('Error fetching user data:', err);
@@ -330,11 +372,11 @@ export const SpotifyProvider = ({ children }) => {
       
       if (storedAccessToken) {
         setAccessToken(storedAccessToken);
-        spotifyApi.setAccessToken(storedAccessToken);
+        directSpotifyApi.setAccessToken(storedAccessToken);
         setIsAuthenticated(true);
         
         try {
-          const userData = await spotifyApi.getMe();
+          const userData = await getSpotifyApi().getMe();
           setUser(userData);
           
           // Set timer to refresh token before it expires (assuming 50 minutes left)
@@ -368,6 +410,19 @@ export const SpotifyProvider = ({ children }) => {
           // If refresh failed, clear authentication state
           setIsAuthenticated(false);
         }
+      } else if (location.pathname !== '/callback') {
+        // A server-held session may still be open from an earlier visit
+        // (on the callback page the code exchange takes care of it)
+        try {
+          sessionMode.current = true;
+          await loadSessionToken();
+          
+          const userData = await getSpotifyApi().getMe();
+          setUser(userData);
+        } catch (err) {
+          sessionMode.current = false;
+          setIsAuthenticated(false);
+        }
       } else {
         setIsAuthenticated(false);
       }
@@ -381,22 +436,22 @@ export const SpotifyProvider = ({ children }) => {
   // Spotify API methods
   const searchTracks = async (query) => {
     if (!isAuthenticated) throw new Error('Not authenticated');
-    return spotifyApi.searchTracks(query);
+    return getSpotifyApi().searchTracks(query);
   };
 
   const getRecommendations = async () => {
     if (!isAuthenticated) throw new Error('Not authenticated');
     try {
-      const topTracks = await spotifyApi.getMyTopTracks({ limit: 5 });
+      const topTracks = await getSpotifyApi().getMyTopTracks({ limit: 5 });
       if (!topTracks.items || topTracks.items.length === 0) {
         // If no top tracks, use some popular tracks as seeds
-        return spotifyApi.getRecommendations({
+        return getSpotifyApi().getRecommendations({
           seed_tracks: ['11dFghVXANMlKmJXsNCbNl', '7qiZfU4dY1lWllzX7mPBI3'],
           min_popularity: 50
         });
       }
       const seedTracks = topTracks.items.map(track => track.id).slice(0, 5);
-      return spotifyApi.getRecommendations({ seed_tracks: seedTracks });
+      return getSpotifyApi().getRecommendations({ seed_tracks: seedTracks });
     } catch (err) {
       console.error('Error getting recommendations:', err);
       throw err;
@@ -408,12 +463,7 @@ export const SpotifyProvider = ({ children }) => {
     if (!deviceReady) throw new Error('Playback device not ready');
     
     try {
-      await spotifyApi.play({
-        device_id: deviceId,
-        uris: [uri]
-      });
-      setCurrentTrack({ uri });
-      setIsPlaying(true);
+      await playbackService.load({ uri });
     } catch (err) {
       console.error('Error playing track:', err);
       throw err;
@@ -425,14 +475,18 @@ export const SpotifyProvider = ({ children }) => {
     if (!deviceReady) throw new Error('Playback device not ready');
     
     try {
-      await spotifyApi.pause({ device_id: deviceId });
-      setIsPlaying(false);
+      await playbackService.pause();
     } catch (err) {
       console.error('Error pausing track:', err);
       throw err;
     }
   };
 
+  const setAdventurous = (value) => {
+    setAdventurousState(value);
+    storeAdventurous(value);
+  };
+
   // Value to be provided by the context
   const value = {
     user,
@@ -442,7 +496,7 @@ export const SpotifyProvider = ({ children }) => {
     error,
     login,
     logout,
-    spotifyApi,
+    spotifyApi: getSpotifyApi(),
     refreshAccessToken,
     searchTracks,
     getRecommendations,
@@ -451,6 +505,8 @@ export const SpotifyProvider = ({ children }) => {
     currentTrack,
     isPlaying,
     deviceReady,
+    adventurous,
+    setAdventurous,
   };
 
   return (
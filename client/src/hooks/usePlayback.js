@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+import playbackService from '../services/playback';
+
+// Custom hook for the app-wide player: its state and the playback controls
+const usePlayback = () => {
+  const [state, setState] = useState(playbackService.getState());
+
+  useEffect(() => {
+    // The state may have changed between render and subscribing
+    setState(playbackService.getState());
+    return playbackService.on('change', setState);
+  }, []);
+
+  const load = useCallback((source, options) => playbackService.load(source, options), []);
+  const play = useCallback(() => playbackService.play(), []);
+  const pause = useCallback(() => playbackService.pause(), []);
+  const toggle = useCallback(() => playbackService.toggle(), []);
+  const seek = useCallback((seconds) => playbackService.seek(seconds), []);
+  const playSegment = useCallback((source, start, end, options) => (
+    playbackService.playSegment(source, start, end, options)
+  ), []);
+  const setVolume = useCallback((volume) => playbackService.setVolume(volume), []);
+  const next = useCallback(() => playbackService.next(), []);
+  const previous = useCallback(() => playbackService.previous(), []);
+  const stop = useCallback(() => playbackService.stop(), []);
+  const isLoaded = useCallback((source) => playbackService.isLoaded(source), []);
+
+  // Subscribe to 'ended' or 'error', returns the unsubscribe function
+  const on = useCallback((event, listener) => playbackService.on(event, listener), []);
+
+  return {
+    ...state,
+    load,
+    play,
+    pause,
+    toggle,
+    seek,
+    playSegment,
+    setVolume,
+    next,
+    previous,
+    stop,
+    isLoaded,
+    on
+  };
+};
+
+export default usePlayback;
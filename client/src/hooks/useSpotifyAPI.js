@@ -1,9 +1,24 @@
 import { useState, useCallback } from 'react';
 import { useSpotify } from '../context/SpotifyContext';
+import apiService from '../utils/api';
+import { detectHighlights as detectTrackHighlights, fallbackHighlights } from '@shared/highlights';
+import { getErrorStatus } from '@shared/spotify';
+import { rerankForDiversity, getFeatureSimilarity, getDiversityLambda } from '@shared/recommendations';
+import { analyzeAlbum } from '@shared/albums';
+import { getCachedAlbumAnalysis, cacheAlbumAnalysis } from '../utils/storage';
+
+// Most track IDs Spotify takes in one audio features request
+const AUDIO_FEATURES_BATCH_SIZE = 100;
+
+// File name of a download, from the server's Content-Disposition header
+const getDownloadFilename = (response, fallback) => {
+  const match = /filename="([^"]+)"/.exec(response.headers?.['content-disposition'] || '');
+  return match ? match[1] : fallback;
+};
 
 // Custom hook for handling Spotify API requests with loading and error states
 const useSpotifyAPI = () => {
-  const { spotifyApi, refreshAccessToken, isAuthenticated } = useSpotify();
+  const { spotifyApi, refreshAccessToken, isAuthenticated, adventurous } = useSpotify();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -48,6 +63,13 @@ const useSpotifyAPI = () => {
         }
       }
       
+      // The request queue already waited and retried, so Spotify is still busy
+      if (getErrorStatus(err) === 429) {
+        setError('Spotify is receiving too many requests. Please try again in a moment.');
+        setLoading(false);
+        throw err;
+      }
+      
       // For non-auth errors or if retry failed
       setError(err.message || 'An error occurred with the Spotify API');
       setLoading(false);
@@ -70,6 +92,17 @@ const useSpotifyAPI = () => {
     return apiCall(spotifyApi.getAlbumTracks, albumId, options);
   }, [apiCall, spotifyApi]);
 
+  // Get every track of an album, a page of 50 at a time
+  const getAllAlbumTracks = useCallback(async (albumId) => {
+    const tracks = [];
+    let page;
+    do {
+      page = await apiCall(spotifyApi.getAlbumTracks, albumId, { limit: 50, offset: tracks.length });
+      tracks.push(...page.items);
+    } while (page.next && page.items.length > 0);
+    return tracks;
+  }, [apiCall, spotifyApi]);
+
   // Get track audio features (for highlight detection)
   const getAudioFeatures = useCallback(async (trackId) => {
     try {
@@ -97,9 +130,16 @@ const useSpotifyAPI = () => {
     }
   }, [apiCall, spotifyApi]);
 
-  // Get multiple tracks' audio features
+  // Get multiple tracks' audio features, in requests of up to 100 IDs (the
+  // API's limit). Resolves to { audio_features } in the order of the IDs,
+  // with null for tracks without features.
   const getMultipleAudioFeatures = useCallback(async (trackIds) => {
-    return apiCall(spotifyApi.getAudioFeaturesForTracks, trackIds);
+    const audioFeatures = [];
+    for (let i = 0; i < trackIds.length; i += AUDIO_FEATURES_BATCH_SIZE) {
+      const response = await apiCall(spotifyApi.getAudioFeaturesForTracks, trackIds.slice(i, i + AUDIO_FEATURES_BATCH_SIZE));
+      audioFeatures.push(...(response.audio_features || []));
+    }
+    return { audio_features: audioFeatures };
   }, [apiCall, spotifyApi]);
 
   // Get track audio analysis (for detailed timing information)
@@ -261,6 +301,51 @@ const useSpotifyAPI = () => {
     }
   }, [getAudioFeatures, getAudioAnalysis]);
 
+  // Analyze an album from the audio features of all its tracks, cached per
+  // album. Rejects when no track has features, e.g. for apps without access
+  // to them. Resolves to the analysis from analyzeAlbum.
+  const getAlbumAnalysis = useCallback(async (albumId, tracks) => {
+    const cached = getCachedAlbumAnalysis(albumId);
+    if (cached) return cached;
+    
+    const response = await getMultipleAudioFeatures(tracks.map(track => track.id));
+    const featuresById = new Map((response.audio_features || []).filter(Boolean).map(features => [features.id, features]));
+    const analysis = analyzeAlbum(tracks.map(track => ({ track, features: featuresById.get(track.id) || null })));
+    if (!analysis.analyzedCount) {
+      throw new Error('No audio features available for this album');
+    }
+    
+    cacheAlbumAnalysis(albumId, analysis);
+    return analysis;
+  }, [getMultipleAudioFeatures]);
+
+  // Re-rank recommended tracks for variety: maximal marginal relevance over
+  // their audio features, as adventurous as the user's setting, at most two
+  // tracks per artist and album. Tracks are relevant in the order given, or by
+  // their similarity to `seedFeatures`.
+  const diversifyTracks = useCallback(async (tracks, { limit, seedFeatures = null } = {}) => {
+    let featuresById = new Map();
+    try {
+      const response = await getMultipleAudioFeatures(tracks.map(track => track.id));
+      featuresById = new Map((response.audio_features || []).filter(Boolean).map(features => [features.id, features]));
+    } catch (err) {
+      // Without features only the artist and album caps apply
+      console.error('Error getting audio features for re-ranking:', err);
+    }
+    
+    const items = tracks.map(track => {
+      const features = featuresById.get(track.id) || null;
+      return {
+        track,
+        features,
+        score: seedFeatures && features ? getFeatureSimilarity(seedFeatures, features) : undefined
+      };
+    });
+    if (seedFeatures) items.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    
+    return rerankForDiversity(items, { limit, lambda: getDiversityLambda(adventurous) }).map(item => item.track);
+  }, [getMultipleAudioFeatures, adventurous]);
+
   // Get personalized track recommendations
   const getTrackRecommendations = useCallback(async (trackId) => {
     try {
@@ -268,86 +353,118 @@ const useSpotifyAPI = () => {
       const topTracks = await getTopTracks({ limit: 5 });
       const topTrackIds = topTracks.items.map(track => track.id);
       
-      // Get recommendations based on this track and user's top tracks
+      // Get recommendations based on this track and user's top tracks, more
+      // than shown so re-ranking has some to choose from
       const recommendationSeeds = {
         seed_tracks: [trackId, ...topTrackIds.slice(0, 4)].slice(0, 5),
-        limit: 10
+        limit: 30
       };
       
       const recommendations = await getRecommendations(recommendationSeeds);
-      return recommendations.tracks;
+      return diversifyTracks(recommendations.tracks, { limit: 10 });
     } catch (err) {
       console.error('Error getting track recommendations:', err);
       // Return empty array instead of throwing to avoid breaking the UI
       return [];
     }
-  }, [getTopTracks, getRecommendations]);
+  }, [getTopTracks, getRecommendations, diversifyTracks]);
 
   // Detect highlights in a track based on audio features and analysis
-  const detectHighlights = useCallback(async (trackId) => {
+  const detectHighlights = useCallback(async (trackId, options = {}) => {
     try {
       // Get both audio features and analysis
       const { features, analysis, limited } = await getTrackAnalysis(trackId);
       
-      // If we have limited data, return a default highlight
-      if (limited || !analysis.sections || analysis.sections.length === 0) {
-        console.log('Using fallback highlights due to limited data');
-        // Return a default highlight at the beginning of the track
-        return [{
-          start: 0,
-          duration: 30,
-          confidence: 1.0,
-          loudness: -10,
-          tempo: 120
-        }];
-      }
-      
-      // Extract sections with high energy and danceability
-      const highlights = analysis.sections
-        .filter(section => {
-          // Find sections with high energy, danceability, or loudness
-          return (
-            section.loudness > analysis.track.loudness_max * 0.8 ||
-            (features.energy > 0.7 && section.duration > 10) ||
-            (features.danceability > 0.7 && section.duration > 10)
-          );
-        })
-        .map(section => ({
-          start: section.start,
-          duration: Math.min(section.duration, 30), // Cap at 30 seconds
-          confidence: section.confidence,
-          loudness: section.loudness,
-          tempo: section.tempo
-        }))
-        .sort((a, b) => b.loudness - a.loudness); // Sort by loudness (descending)
-      
-      // If no highlights found, use the first section
-      if (highlights.length === 0 && analysis.sections.length > 0) {
-        const firstSection = analysis.sections[0];
-        highlights.push({
-          start: firstSection.start,
-          duration: Math.min(firstSection.duration, 30),
-          confidence: firstSection.confidence,
-          loudness: firstSection.loudness,
-          tempo: firstSection.tempo
-        });
+      // Without Spotify's analysis, the server can analyze the preview clip instead
+      if (limited) {
+        try {
+          const response = await apiService.getTrackHighlights(trackId, options);
+          return response.data;
+        } catch (serverErr) {
+          console.error('Error getting highlights from the server:', serverErr);
+        }
       }
       
-      // Return the top 3 highlights or all if less than 3
-      return highlights.slice(0, 3);
+      // The shared engine falls back to evenly placed highlights on limited data
+      return detectTrackHighlights(analysis, features, options);
     } catch (err) {
       console.error('Error detecting highlights:', err);
       // Return a default highlight at the beginning of the track
-      return [{
-        start: 0,
-        duration: 30,
-        confidence: 1.0,
-        loudness: -10,
-        tempo: 120
-      }];
+      return fallbackHighlights(0, options);
     }
   }, [getTrackAnalysis]);
 
+  // Detect highlights for every track of an album in one server request.
+  // Resolves to { highlights: { [trackId]: [...] }, custom: { [trackId]: [...] }, errors: { [trackId]: {...} } },
+  // custom being the user's own highlights of tracks that have any
+  const getAlbumHighlights = useCallback(async (albumId, options = {}) => {
+    const response = await apiService.getAlbumHighlights(albumId, options);
+    return response.data;
+  }, []);
+
+  // The user's own highlights of a track, saved on the server in their order
+  const getCustomHighlights = useCallback(async (trackId) => {
+    const response = await apiService.getCustomHighlights(trackId);
+    return response.data.highlights;
+  }, []);
+
+  // Save a track's highlights, replacing the saved list. Resolves to the saved highlights.
+  const saveCustomHighlights = useCallback(async (trackId, highlights) => {
+    const response = await apiService.saveCustomHighlights(trackId, highlights);
+    return response.data.highlights;
+  }, []);
+
+  // Delete one of a track's highlights, or all of them without a highlight ID
+  const deleteCustomHighlights = useCallback(async (trackId, highlightId) => {
+    const response = await apiService.deleteCustomHighlights(trackId, highlightId);
+    return response.data.highlights;
+  }, []);
+
+  // Create a playlist in the user's account from an album ({ albumId }) or
+  // tracks ({ trackIds }), with { name, description, order, public, limit }.
+  // Resolves to { playlist, order, tracks }.
+  const createPlaylistFromHighlights = useCallback(async (options) => {
+    const response = await apiService.createPlaylistFromHighlights(options);
+    return response.data;
+  }, []);
+
+  // Export an album's highlights, the user's own ones included, as m3u, xspf,
+  // cue or json. Resolves to { blob, filename }.
+  const exportAlbumHighlights = useCallback(async (albumId, format) => {
+    const response = await apiService.exportAlbumHighlights(albumId, format);
+    return { blob: response.data, filename: getDownloadFilename(response, `highlights.${format}`) };
+  }, []);
+
+  // Export highlights of a session, { title, tracks: [{ id, highlights }] },
+  // in the same formats. Resolves to { blob, filename }.
+  const exportHighlights = useCallback(async (format, session) => {
+    const response = await apiService.exportHighlights(format, session);
+    return { blob: response.data, filename: getDownloadFilename(response, `highlights.${format}`) };
+  }, []);
+
+  // Rank tracks of the user's saved albums by their nearest top tracks, with
+  // { k, limit, weights, seed_tracks, time_range }, re-ranked as adventurous
+  // as the user's setting. Resolves to
+  // { seeds, candidates, k, weights, diversity, tracks: [{ track, score, neighbours, explanation }] }.
+  const getLocalRecommendations = useCallback(async (params) => {
+    const response = await apiService.getLocalRecommendations({ adventurous, ...params });
+    return response.data;
+  }, [adventurous]);
+
+  // Get the user's top and saved-album tracks classified into moods, with
+  // { time_range }. Resolves to { moods, counts, tracks: [{ track, features, mood, scores, labels }] }.
+  const getMoodLibrary = useCallback(async (params) => {
+    const response = await apiService.getMoodLibrary(params);
+    return response.data;
+  }, []);
+
+  // Get the track of a shared highlight, with its energy for the timeline.
+  // Works without a login. Resolves to { track, highlight, analysis }.
+  const getSharedTrack = useCallback(async (trackId, { start, duration, clip } = {}) => {
+    const response = await apiService.getSharedTrack(trackId, { t: start, d: duration, clip });
+    return response.data;
+  }, []);
+
   // Get similar tracks based on audio features
   const getSimilarTracks = useCallback(async (trackId) => {
     try {
@@ -362,17 +479,20 @@ const useSpotifyAPI = () => {
         target_valence: features.valence,
         target_acousticness: features.acousticness,
         target_instrumentalness: features.instrumentalness,
-        limit: 5
+        limit: 20
       };
       
-      // Get recommendations
+      // Get recommendations, the closest and most varied five of them
       const recommendations = await getRecommendations(params);
-      return recommendations.tracks;
+      return diversifyTracks(recommendations.tracks, {
+        limit: 5,
+        seedFeatures: features._limited ? null : features
+      });
     } catch (err) {
       console.error('Error getting similar tracks:', err);
       return [];
     }
-  }, [getAudioFeatures, getRecommendations]);
+  }, [getAudioFeatures, getRecommendations, diversifyTracks]);
 
   // Check if albums are saved in the user's library
   const checkSavedAlbums = useCallback(async (albumIds) => {
@@ -414,6 +534,7 @@ const useSpotifyAPI = () => {
     getUserAlbums,
     getAlbum,
     getAlbumTracks,
+    getAllAlbumTracks,
     getAudioFeatures,
     getMultipleAudioFeatures,
     getAudioAnalysis,
@@ -424,8 +545,19 @@ const useSpotifyAPI = () => {
     getTopTracks,
     getTopArtists,
     detectHighlights,
+    getAlbumHighlights,
+    getCustomHighlights,
+    saveCustomHighlights,
+    deleteCustomHighlights,
+    getSharedTrack,
+    createPlaylistFromHighlights,
+    exportAlbumHighlights,
+    exportHighlights,
     getTrackAnalysis,
+    getAlbumAnalysis,
     getTrackRecommendations,
+    getLocalRecommendations,
+    getMoodLibrary,
     getSimilarTracks,
     checkSavedAlbums,
     saveAlbums,
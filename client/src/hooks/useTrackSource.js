@@ -0,0 +1,35 @@
+import { useState, useEffect, useMemo } from 'react';
+import playbackService, { PREVIEW_LENGTH } from '../services/playback';
+import { useSpotify } from '../context/SpotifyContext';
+
+/**
+ * Custom hook for the playback source of a track
+ *
+ * Premium users play the full track on the SDK device once it's ready,
+ * everyone else the preview clip. previewOnly keeps the preview, e.g. for
+ * highlights timed within it.
+ *
+ * @param {Object} track - Spotify track
+ * @param {Object} options - { previewOnly = false }
+ * @returns {Object} { source, fullTrack } with source null if nothing can play
+ */
+const useTrackSource = (track, { previewOnly = false } = {}) => {
+  const { user } = useSpotify();
+  const [spotifyReady, setSpotifyReady] = useState(() => Boolean(playbackService.getState().ready.spotify));
+
+  // Only the SDK readiness matters here, not every playback update
+  useEffect(() => playbackService.on('change', state => setSpotifyReady(Boolean(state.ready.spotify))), []);
+
+  const isPremium = user?.product === 'premium';
+  const fullTrack = Boolean(isPremium && track?.uri && !previewOnly && spotifyReady);
+
+  const source = useMemo(() => {
+    if (fullTrack) return { uri: track.uri, track, duration: track.duration_ms / 1000 };
+    if (track?.preview_url) return { url: track.preview_url, track, duration: PREVIEW_LENGTH };
+    return null;
+  }, [track, fullTrack]);
+
+  return { source, fullTrack };
+};
+
+export default useTrackSource;
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
   Box,
@@ -22,6 +22,7 @@ import {
   useColorModeValue,
   IconButton,
   useToast,
+  useDisclosure,
   Tabs,
   TabList,
   TabPanels,
@@ -42,24 +43,50 @@ import {
   AlertDescription,
   CloseButton
 } from '@chakra-ui/react';
-import { FaPlay, FaPause, FaHeart, FaRegHeart, FaClock, FaMusic, FaChartLine, FaInfoCircle } from 'react-icons/fa';
+import { FaPlay, FaPause, FaHeart, FaRegHeart, FaClock, FaMusic, FaChartLine, FaInfoCircle, FaFilm, FaListUl } from 'react-icons/fa';
 import { useSpotify } from '../context/SpotifyContext';
 import useSpotifyAPI from '../hooks/useSpotifyAPI';
 import HighlightPlayer from '../components/HighlightPlayer';
+import HighlightReel from '../components/HighlightReel';
+import HighlightExportMenu from '../components/HighlightExportMenu';
+import HighlightPlaylistModal from '../components/HighlightPlaylistModal';
 import SpotifyPlayer from '../components/SpotifyPlayer';
 import EnhancedTrackList from '../components/EnhancedTrackList';
+import AlbumArc from '../components/AlbumArc';
+import playbackService, { PREVIEW_LENGTH } from '../services/playback';
+import { pickBestHighlight } from '@shared/highlights';
+
+// Album averages shown as stats
+const ALBUM_STATS = [
+  { feature: 'energy', label: 'Energy', colorScheme: 'red' },
+  { feature: 'danceability', label: 'Danceability', colorScheme: 'purple' },
+  { feature: 'valence', label: 'Mood', colorScheme: 'yellow' }
+];
+
+// How a track stands out, e.g. "energy 92% against 55% on the album"
+const describeOutlier = ({ feature, value, mean, zScore }) => {
+  const format = (v) => (feature === 'tempo' ? `${Math.round(v)} BPM` : `${Math.round(v * 100)}%`);
+  return `${zScore > 0 ? 'high' : 'low'} ${feature}, ${format(value)} against ${format(mean)} on the album`;
+};
 
 const AlbumPage = () => {
   const { albumId } = useParams();
   const navigate = useNavigate();
   const toast = useToast();
-  const { isAuthenticated, login } = useSpotify();
+  const playlistModal = useDisclosure();
+  const { isAuthenticated, login, user } = useSpotify();
   const {
     getAlbum,
-    getAlbumTracks,
+    getAllAlbumTracks,
     detectHighlights,
+    getAlbumHighlights,
+    getCustomHighlights,
+    saveCustomHighlights,
+    deleteCustomHighlights,
     getTrackAnalysis,
+    getAlbumAnalysis,
     getTrackRecommendations,
+    getMultipleAudioFeatures,
     checkSavedAlbums,
     saveAlbums,
     removeAlbums,
@@ -71,6 +98,7 @@ const AlbumPage = () => {
   const [tracks, setTracks] = useState([]);
   const [currentTrack, setCurrentTrack] = useState(null);
   const [trackHighlights, setTrackHighlights] = useState({});
+  const [customHighlights, setCustomHighlights] = useState({}); // The user's own, by track ID
   const [loadingHighlights, setLoadingHighlights] = useState(false);
   const [albumAnalysis, setAlbumAnalysis] = useState(null);
   const [analyzingAlbum, setAnalyzingAlbum] = useState(false);
@@ -78,6 +106,10 @@ const AlbumPage = () => {
   const [playerTab, setPlayerTab] = useState('highlights'); // 'highlights' or 'full'
   const [showPremiumAlert, setShowPremiumAlert] = useState(false);
   const [isSaved, setIsSaved] = useState(false);
+  const [reelTrackId, setReelTrackId] = useState(null); // Track of the highlight reel playing, null when off
+  const [reelCrossfade, setReelCrossfade] = useState(2);
+  const [jumpTrackId, setJumpTrackId] = useState(null); // Track jumped to from the emotional arc, until it plays
+  const playerRef = useRef(null);
   
   const bgColor = useColorModeValue('white', 'gray.800');
   const borderColor = useColorModeValue('gray.200', 'gray.700');
@@ -107,6 +139,7 @@ const AlbumPage = () => {
       try {
         console.log(`Fetching album data for ID: ${albumId}`);
         setTracks([]); // Clear existing tracks
+        setAlbumAnalysis(null);
         
         // Get album details
         const albumData = await getAlbum(albumId);
@@ -117,14 +150,11 @@ const AlbumPage = () => {
         console.log('Album data fetched successfully', albumData);
         setAlbum(albumData);
         
-        // Get album tracks
-        const tracksData = await getAlbumTracks(albumId, { limit: 50 });
-        if (!tracksData || !tracksData.items) {
-          throw new Error('Failed to fetch album tracks');
-        }
+        // Get album tracks, all of them for the album analysis
+        const albumTracks = await getAllAlbumTracks(albumId);
         
-        console.log(`Fetched ${tracksData.items.length} tracks`);
-        setTracks(tracksData.items);
+        console.log(`Fetched ${albumTracks.length} tracks`);
+        setTracks(albumTracks);
       } catch (err) {
         console.error('Error fetching album data:', err);
         
@@ -155,7 +185,44 @@ const AlbumPage = () => {
     };
     
     fetchAlbumData();
-  }, [albumId, isAuthenticated, getAlbum, getAlbumTracks, toast, navigate]);
+  }, [albumId, isAuthenticated, getAlbum, getAllAlbumTracks, toast, navigate]);
+  
+  // Fetch highlights for the whole album in one request once tracks are loaded
+  useEffect(() => {
+    const fetchAlbumHighlights = async () => {
+      if (!albumId || !tracks.length) return;
+      
+      try {
+        const { highlights, custom = {}, errors } = await getAlbumHighlights(albumId);
+        
+        if (errors && Object.keys(errors).length > 0) {
+          console.warn(`Highlights fell back to defaults for ${Object.keys(errors).length} tracks`, errors);
+        }
+        
+        // Keep highlights already detected for individual tracks
+        setTrackHighlights(prev => ({ ...highlights, ...prev }));
+        
+        // Tracks without highlights of the user's have none, no need to ask again
+        const own = Object.fromEntries(tracks.map(track => [track.id, custom[track.id] || []]));
+        setCustomHighlights(prev => ({ ...own, ...prev }));
+      } catch (err) {
+        // Highlights are still detected per track when one is played
+        console.error('Error fetching album highlights:', err);
+      }
+    };
+    
+    fetchAlbumHighlights();
+  }, [albumId, tracks, getAlbumHighlights]);
+  
+  // Load the user's own highlights of the current track, unless the album's came with them
+  useEffect(() => {
+    const trackId = currentTrack?.id;
+    if (!trackId || customHighlights[trackId]) return;
+    
+    getCustomHighlights(trackId)
+      .then(highlights => setCustomHighlights(prev => ({ [trackId]: highlights, ...prev })))
+      .catch(err => console.error('Error fetching custom highlights:', err));
+  }, [currentTrack, customHighlights, getCustomHighlights]);
   
   // Analyze album when tracks are loaded
   useEffect(() => {
@@ -165,165 +232,58 @@ const AlbumPage = () => {
       setAnalyzingAlbum(true);
       
       try {
-        // For free Spotify accounts, we'll use a simplified approach
-        // that doesn't rely on audio features or analysis
+        // Features of every track, in batches of 100
+        setAlbumAnalysis(await getAlbumAnalysis(albumId, tracks));
+      } catch (err) {
+        console.log('Using fallback analysis method due to error:', err);
+        
+        // Fallback method for free accounts or when API access is limited
+        // Use album metadata and track properties that don't require API calls
+        
+        // Estimate album characteristics based on available metadata
+        const characteristics = [];
         
-        // Check if we're using a free account by attempting to get features for one track
-        const firstTrackId = tracks[0]?.id;
-        if (!firstTrackId) {
-          throw new Error('No tracks available for analysis');
+        // Use album release date to estimate era/style
+        const releaseYear = album?.release_date ? new Date(album.release_date).getFullYear() : null;
+        if (releaseYear) {
+          if (releaseYear < 1980) characteristics.push('Classic');
+          else if (releaseYear < 2000) characteristics.push('Retro');
+          else if (releaseYear >= 2020) characteristics.push('Contemporary');
         }
         
-        try {
-          // Try to get audio features for the first track
-          const analysis = await getTrackAnalysis(firstTrackId);
-          
-          // If successful, proceed with full analysis
-          if (analysis && analysis.features) {
-            // Get audio features for the first 5 tracks to analyze the album
-            const trackIds = tracks.slice(0, 5).map(track => track.id);
-            
-            // Analyze a sample of tracks to get album characteristics
-            let totalEnergy = 0;
-            let totalDanceability = 0;
-            let totalValence = 0;
-            let totalAcousticness = 0;
-            let totalInstrumentalness = 0;
-            let successfulAnalyses = 0;
-            
-            // Process each track
-            for (const trackId of trackIds) {
-              try {
-                const analysis = await getTrackAnalysis(trackId);
-                if (analysis && analysis.features) {
-                  totalEnergy += analysis.features.energy;
-                  totalDanceability += analysis.features.danceability;
-                  totalValence += analysis.features.valence;
-                  totalAcousticness += analysis.features.acousticness;
-                  totalInstrumentalness += analysis.features.instrumentalness;
-                  successfulAnalyses++;
-                }
-              } catch (err) {
-                // Log error but continue with other tracks
-                console.error(`Error analyzing track ${trackId}:`, err);
-                // If it's a 403 error, we might be rate limited, so break the loop
-                if (err.response && err.response.status === 403) {
-                  console.warn('Received 403 error, possibly rate limited or free account. Stopping analysis.');
-                  break;
-                }
-              }
-            }
-            
-            // Only calculate averages if we have at least one successful analysis
-            if (successfulAnalyses > 0) {
-              // Calculate averages
-              const count = successfulAnalyses;
-              const albumFeatures = {
-                energy: totalEnergy / count,
-                danceability: totalDanceability / count,
-                valence: totalValence / count,
-                acousticness: totalAcousticness / count,
-                instrumentalness: totalInstrumentalness / count
-              };
-              
-              // Determine album characteristics
-              const characteristics = [];
-              
-              if (albumFeatures.energy > 0.7) characteristics.push('Energetic');
-              else if (albumFeatures.energy < 0.4) characteristics.push('Calm');
-              
-              if (albumFeatures.danceability > 0.7) characteristics.push('Danceable');
-              
-              if (albumFeatures.valence > 0.7) characteristics.push('Upbeat');
-              else if (albumFeatures.valence < 0.3) characteristics.push('Melancholic');
-              
-              if (albumFeatures.acousticness > 0.7) characteristics.push('Acoustic');
-              
-              if (albumFeatures.instrumentalness > 0.5) characteristics.push('Instrumental');
-              
-              setAlbumAnalysis({
-                features: albumFeatures,
-                characteristics: characteristics.length ? characteristics : ['Balanced']
-              });
-            } else {
-              // If no successful analyses, use the fallback method
-              throw new Error('No successful analyses');
-            }
-          } else {
-            // If no features available, use the fallback method
-            throw new Error('No features available');
-          }
-        } catch (err) {
-          console.log('Using fallback analysis method due to error:', err);
-          
-          // Fallback method for free accounts or when API access is limited
-          // Use album metadata and track properties that don't require API calls
-          
-          // Estimate album characteristics based on available metadata
-          const characteristics = [];
-          
-          // Use album release date to estimate era/style
-          const releaseYear = album?.release_date ? new Date(album.release_date).getFullYear() : null;
-          if (releaseYear) {
-            if (releaseYear < 1980) characteristics.push('Classic');
-            else if (releaseYear < 2000) characteristics.push('Retro');
-            else if (releaseYear >= 2020) characteristics.push('Contemporary');
-          }
-          
-          // Use album genres if available
-          if (album?.genres && album.genres.length > 0) {
-            const genres = album.genres;
-            if (genres.some(g => g.includes('rock'))) characteristics.push('Rock');
-            if (genres.some(g => g.includes('pop'))) characteristics.push('Pop');
-            if (genres.some(g => g.includes('hip hop') || g.includes('rap'))) characteristics.push('Hip-Hop');
-            if (genres.some(g => g.includes('electronic') || g.includes('dance'))) characteristics.push('Electronic');
-          }
-          
-          // Use artist genres as fallback
-          if (album?.artists && album.artists[0]?.genres && album.artists[0].genres.length > 0) {
-            const genres = album.artists[0].genres;
-            if (genres.some(g => g.includes('rock'))) characteristics.push('Rock');
-            if (genres.some(g => g.includes('pop'))) characteristics.push('Pop');
-            if (genres.some(g => g.includes('hip hop') || g.includes('rap'))) characteristics.push('Hip-Hop');
-            if (genres.some(g => g.includes('electronic') || g.includes('dance'))) characteristics.push('Electronic');
-          }
-          
-          // Use track durations to estimate album intensity
-          const avgDuration = tracks.reduce((sum, track) => sum + track.duration_ms, 0) / tracks.length;
-          if (avgDuration < 180000) characteristics.push('Fast-paced'); // Less than 3 minutes
-          else if (avgDuration > 300000) characteristics.push('Epic'); // More than 5 minutes
-          
-          // If we couldn't determine any characteristics, use a generic one
-          if (characteristics.length === 0) {
-            characteristics.push('Varied');
-          }
-          
-          // Create a simplified analysis with estimated values
-          setAlbumAnalysis({
-            features: {
-              energy: 0.5,
-              danceability: 0.5,
-              valence: 0.5,
-              acousticness: 0.5,
-              instrumentalness: 0.5
-            },
-            characteristics: characteristics,
-            limited: true // Flag to indicate this is a limited analysis
-          });
+        // Use album genres if available
+        if (album?.genres && album.genres.length > 0) {
+          const genres = album.genres;
+          if (genres.some(g => g.includes('rock'))) characteristics.push('Rock');
+          if (genres.some(g => g.includes('pop'))) characteristics.push('Pop');
+          if (genres.some(g => g.includes('hip hop') || g.includes('rap'))) characteristics.push('Hip-Hop');
+          if (genres.some(g => g.includes('electronic') || g.includes('dance'))) characteristics.push('Electronic');
         }
-      } catch (err) {
-        console.error('Error analyzing album:', err);
-        // Set a default analysis on error
+        
+        // Use artist genres as fallback
+        if (album?.artists && album.artists[0]?.genres && album.artists[0].genres.length > 0) {
+          const genres = album.artists[0].genres;
+          if (genres.some(g => g.includes('rock'))) characteristics.push('Rock');
+          if (genres.some(g => g.includes('pop'))) characteristics.push('Pop');
+          if (genres.some(g => g.includes('hip hop') || g.includes('rap'))) characteristics.push('Hip-Hop');
+          if (genres.some(g => g.includes('electronic') || g.includes('dance'))) characteristics.push('Electronic');
+        }
+        
+        // Use track durations to estimate album intensity
+        const avgDuration = tracks.reduce((sum, track) => sum + track.duration_ms, 0) / tracks.length;
+        if (avgDuration < 180000) characteristics.push('Fast-paced'); // Less than 3 minutes
+        else if (avgDuration > 300000) characteristics.push('Epic'); // More than 5 minutes
+        
+        // If we couldn't determine any characteristics, use a generic one
+        if (characteristics.length === 0) {
+          characteristics.push('Varied');
+        }
+        
+        // Create a simplified analysis without audio features
         setAlbumAnalysis({
-          features: {
-            energy: 0.5,
-            danceability: 0.5,
-            valence: 0.5,
-            acousticness: 0.5,
-            instrumentalness: 0.5
-          },
-          characteristics: ['Analysis Limited'],
-          limited: true
+          features: null,
+          characteristics: characteristics,
+          limited: true // Flag to indicate this is a limited analysis
         });
       } finally {
         setAnalyzingAlbum(false);
@@ -331,7 +291,7 @@ const AlbumPage = () => {
     };
     
     analyzeAlbum();
-  }, [tracks, albumAnalysis, getTrackAnalysis]);
+  }, [albumId, tracks, albumAnalysis, getAlbumAnalysis]);
   
   // Show premium alert if we encounter 403 errors
   useEffect(() => {
@@ -398,11 +358,15 @@ const AlbumPage = () => {
   
   // Function to get highlights for a track
   const getTrackHighlights = async (track) => {
-    if (!track || !track.id || trackHighlights[track.id]) return;
+    if (!track || !track.id) return;
     
-    setLoadingHighlights(true);
     setCurrentTrack(track);
     
+    // Already detected, e.g. by the album-wide request
+    if (trackHighlights[track.id]) return;
+    
+    setLoadingHighlights(true);
+    
     try {
       const highlights = await detectHighlights(track.id);
       
@@ -431,6 +395,29 @@ const AlbumPage = () => {
     return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
   };
   
+  // Save the user's highlights of a track: one deleted, or the whole list
+  // when marked, renamed, reordered or adjusted
+  const handleCustomHighlightsChange = async (trackId, highlights, { removed } = {}) => {
+    setCustomHighlights(prev => ({ ...prev, [trackId]: highlights }));
+    
+    try {
+      if (removed) {
+        await deleteCustomHighlights(trackId, removed.id);
+      } else {
+        await saveCustomHighlights(trackId, highlights);
+      }
+    } catch (err) {
+      console.error('Error saving custom highlights:', err);
+      toast({
+        title: 'Error',
+        description: err.response?.data?.message || 'Failed to save your highlights.',
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    }
+  };
+  
   // Handle next track
   const handleNextTrack = () => {
     if (!currentTrack || tracks.length === 0) return;
@@ -460,9 +447,90 @@ const AlbumPage = () => {
     setPlayerTab('full');
   };
   
+  // Premium users hear highlights in the full track, others in the preview
+  const canPlayFullTracks = user?.product === 'premium';
+  
+  // Without the full tracks, only highlights inside the previews are heard
+  const isPlayable = (highlight) => (
+    canPlayFullTracks || highlight.clip === 'preview' || highlight.start < PREVIEW_LENGTH
+  );
+  
+  // The highlight reel: the best highlight of every track, in album order
+  const reelEntries = useMemo(() => tracks
+    .map(track => {
+      if (!track.preview_url && !canPlayFullTracks) return null;
+      
+      // The user's first highlight goes before the best detected one
+      const highlight = (customHighlights[track.id] || []).find(isPlayable)
+        || pickBestHighlight((trackHighlights[track.id] || []).filter(isPlayable));
+      return highlight ? { track, highlight, highlights: [highlight] } : null;
+    })
+    .filter(Boolean), [tracks, trackHighlights, customHighlights, canPlayFullTracks]);
+  
+  // Followed by track, as entries join the reel while highlights come in
+  const reelIndex = reelEntries.findIndex(entry => entry.track.id === reelTrackId);
+  const reelEntry = reelIndex >= 0 ? reelEntries[reelIndex] : null;
+  
+  // Jump to an entry of the reel, also selecting its track on the page
+  const selectReelEntry = (index) => {
+    const entry = reelEntries[index];
+    if (!entry) return;
+    
+    setReelTrackId(entry.track.id);
+    setCurrentTrack(entry.track);
+    setSelectedTrackUri(entry.track.uri);
+    setPlayerTab('highlights');
+  };
+  
+  // Play the highlight reel from the first track
+  const startHighlightReel = () => {
+    selectReelEntry(0);
+  };
+  
+  const exitHighlightReel = () => {
+    setReelTrackId(null);
+    playbackService.pause();
+  };
+  
+  // The reel stops after its last entry
+  const handleNextReelEntry = () => {
+    if (reelIndex < reelEntries.length - 1) selectReelEntry(reelIndex + 1);
+  };
+  
+  const handlePreviousReelEntry = () => {
+    if (reelIndex > 0) selectReelEntry(reelIndex - 1);
+  };
+  
+  // Jump to a track's highlight from the emotional arc, playing its best one
+  const jumpToTrackHighlight = (trackId) => {
+    const track = tracks.find(t => t.id === trackId);
+    if (!track) return;
+    
+    setReelTrackId(null);
+    setJumpTrackId(track.id);
+    getTrackHighlights(track);
+    setSelectedTrackUri(track.uri);
+    setPlayerTab('highlights');
+  };
+  
+  // Bring the player into view after a jump
+  useEffect(() => {
+    if (jumpTrackId) playerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [jumpTrackId]);
+  
+  // A jump plays once: clearing it stops autoPlay sticking to the track and
+  // lets the same point be jumped to again
+  const finishJump = useCallback(() => setJumpTrackId(null), []);
+  
+  // The top-scored highlight of the track jumped to, once it's detected. The
+  // player looks it up by its start time among the user's and detected ones.
+  const jumpHighlight = jumpTrackId && trackHighlights[jumpTrackId]
+    ? pickBestHighlight(trackHighlights[jumpTrackId].filter(isPlayable))
+    : null;
+  
   // Play track preview
   const playTrackPreview = (track) => {
-    if (!track.preview_url) {
+    if (!track.preview_url && !canPlayFullTracks) {
       toast({
         title: 'Preview Unavailable',
         description: 'No preview available for this track',
@@ -594,44 +662,74 @@ const AlbumPage = () => {
                     ))}
                   </HStack>
                   
-                  {!albumAnalysis.limited && (
-                    <StatGroup mt={4}>
-                      <Stat>
-                        <StatLabel>Energy</StatLabel>
-                        <StatNumber>{Math.round(albumAnalysis.features.energy * 100)}%</StatNumber>
-                        <StatHelpText>
-                          <Progress value={albumAnalysis.features.energy * 100} size="sm" colorScheme="red" />
-                        </StatHelpText>
-                      </Stat>
-                      <Stat>
-                        <StatLabel>Danceability</StatLabel>
-                        <StatNumber>{Math.round(albumAnalysis.features.danceability * 100)}%</StatNumber>
-                        <StatHelpText>
-                          <Progress value={albumAnalysis.features.danceability * 100} size="sm" colorScheme="purple" />
-                        </StatHelpText>
-                      </Stat>
-                      <Stat>
-                        <StatLabel>Mood</StatLabel>
-                        <StatNumber>{Math.round(albumAnalysis.features.valence * 100)}%</StatNumber>
-                        <StatHelpText>
-                          <Progress value={albumAnalysis.features.valence * 100} size="sm" colorScheme="yellow" />
-                        </StatHelpText>
-                      </Stat>
-                    </StatGroup>
+                  {albumAnalysis.features && (
+                    <>
+                      <StatGroup mt={4}>
+                        {ALBUM_STATS.map(({ feature, label, colorScheme }) => (
+                          <Stat key={feature}>
+                            <StatLabel>{label}</StatLabel>
+                            <StatNumber>{Math.round(albumAnalysis.features[feature].mean * 100)}%</StatNumber>
+                            <StatHelpText>
+                              <Progress value={albumAnalysis.features[feature].mean * 100} size="sm" colorScheme={colorScheme} />
+                              <Text as="span" fontSize="xs">±{Math.round(albumAnalysis.features[feature].stdDev * 100)} across tracks</Text>
+                            </StatHelpText>
+                          </Stat>
+                        ))}
+                      </StatGroup>
+                      
+                      {albumAnalysis.outliers.length > 0 && (
+                        <Box mt={4}>
+                          <Heading as="h4" size="sm" mb={2}>Stand-out Tracks</Heading>
+                          <VStack align="stretch" spacing={1}>
+                            {albumAnalysis.outliers.slice(0, 5).map(outlier => (
+                              <Text key={`${outlier.trackId}-${outlier.feature}`} fontSize="sm">
+                                {outlier.position}. {outlier.name}: {describeOutlier(outlier)}
+                              </Text>
+                            ))}
+                          </VStack>
+                        </Box>
+                      )}
+                      
+                      <Text fontSize="xs" color="gray.500" mt={2}>
+                        From the audio features of {albumAnalysis.analyzedCount} of {albumAnalysis.trackCount} tracks
+                      </Text>
+                    </>
                   )}
                 </Box>
               )}
               
               {/* Album actions */}
-              <HStack spacing={4} mt={4}>
+              <HStack spacing={4} mt={4} flexWrap="wrap">
                 <Button 
                   leftIcon={<FaPlay />} 
                   colorScheme="green" 
                   onClick={() => playTrackPreview(tracks[0])}
-                  isDisabled={!tracks.length || !tracks[0].preview_url}
+                  isDisabled={!tracks.length || !(tracks[0].preview_url || canPlayFullTracks)}
                 >
                   Preview First Track
                 </Button>
+                <Tooltip label="Play the best highlight of every track, back to back">
+                  <Button
+                    leftIcon={<FaFilm />}
+                    colorScheme="green"
+                    variant="outline"
+                    onClick={startHighlightReel}
+                    isDisabled={!reelEntries.length}
+                  >
+                    Highlight Reel
+                  </Button>
+                </Tooltip>
+                <Tooltip label="Create a Spotify playlist from this album, best highlights first">
+                  <Button
+                    leftIcon={<FaListUl />}
+                    variant="outline"
+                    onClick={playlistModal.onOpen}
+                    isDisabled={!tracks.length}
+                  >
+                    Save as Playlist
+                  </Button>
+                </Tooltip>
+                <HighlightExportMenu albumId={album.id} isDisabled={!tracks.length} />
                 <Button
                   leftIcon={isSaved ? <FaRegHeart /> : <FaHeart />}
                   variant="outline"
@@ -640,12 +738,22 @@ const AlbumPage = () => {
                   {isSaved ? 'Remove from Library' : 'Save to Library'}
                 </Button>
               </HStack>
+              
+              <HighlightPlaylistModal album={album} isOpen={playlistModal.isOpen} onClose={playlistModal.onClose} />
             </VStack>
           </Flex>
           
+          {/* Emotional Arc */}
+          {albumAnalysis?.features && (
+            <Box mb={8} bg={bgColor} p={6} borderRadius="lg" boxShadow="md">
+              <Heading as="h3" size="md" mb={4}>Emotional Arc</Heading>
+              <AlbumArc arc={albumAnalysis.arc} currentTrackId={currentTrack?.id} onSelect={jumpToTrackHighlight} />
+            </Box>
+          )}
+          
           {/* Player Tabs */}
           {(currentTrack || selectedTrackUri) && (
-            <Box mb={8}>
+            <Box mb={8} ref={playerRef}>
               <Tabs variant="soft-rounded" colorScheme="green" index={playerTab === 'highlights' ? 0 : 1} onChange={(index) => setPlayerTab(index === 0 ? 'highlights' : 'full')}>
                 <TabList mb={4}>
                   <Tab>Highlights Player</Tab>
@@ -653,17 +761,44 @@ const AlbumPage = () => {
                 </TabList>
                 <TabPanels>
                   <TabPanel p={0}>
-                    {currentTrack && (
+                    {reelEntry ? (
+                      <>
+                        <HighlightReel
+                          entries={reelEntries}
+                          title={`${album.name} Highlight Reel`}
+                          index={reelIndex}
+                          crossfade={reelCrossfade}
+                          onSelect={selectReelEntry}
+                          onCrossfadeChange={setReelCrossfade}
+                          onExit={exitHighlightReel}
+                        />
+                        {/* Crossfades can take up to half of a highlight */}
+                        <HighlightPlayer
+                          track={reelEntry.track}
+                          highlights={reelEntry.highlights}
+                          onNext={handleNextReelEntry}
+                          onPrevious={handlePreviousReelEntry}
+                          crossfade={Math.min(reelCrossfade, reelEntry.highlight.duration / 2)}
+                          autoPlay
+                        />
+                      </>
+                    ) : currentTrack && (
                       <HighlightPlayer
                         track={currentTrack}
                         highlights={trackHighlights[currentTrack.id] || []}
                         onNext={handleNextTrack}
                         onPrevious={handlePreviousTrack}
+                        autoPlay={currentTrack.id === jumpTrackId && Boolean(trackHighlights[jumpTrackId])}
+                        autoPlayStart={jumpHighlight?.start}
+                        onAutoPlay={finishJump}
+                        customHighlights={customHighlights[currentTrack.id]}
+                        onCustomHighlightsChange={(highlights, changes) => handleCustomHighlightsChange(currentTrack.id, highlights, changes)}
                       />
                     )}
                   </TabPanel>
                   <TabPanel p={0}>
-                    <SpotifyPlayer trackUri={selectedTrackUri} />
+                    {/* Only start the full track once its tab is open, both players share one output */}
+                    <SpotifyPlayer trackUri={playerTab === 'full' ? selectedTrackUri : null} />
                   </TabPanel>
                 </TabPanels>
               </Tabs>
@@ -675,10 +810,12 @@ const AlbumPage = () => {
             tracks={tracks}
             album={album}
             onPlayHighlight={playTrackPreview}
+            canPlayFullTracks={canPlayFullTracks}
             loadingHighlights={loadingHighlights}
             currentTrackId={currentTrack?.id}
             getTrackAnalysis={getTrackAnalysis}
             getTrackRecommendations={getTrackRecommendations}
+            getMultipleAudioFeatures={getMultipleAudioFeatures}
           />
         </>
       ) : null}
@@ -0,0 +1,422 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  Flex,
+  HStack,
+  VStack,
+  SimpleGrid,
+  Image,
+  Badge,
+  Wrap,
+  WrapItem,
+  IconButton,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  Skeleton,
+  Alert,
+  AlertIcon,
+  Link,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FaTimes } from 'react-icons/fa';
+import { useSpotify } from '../context/SpotifyContext';
+import useSpotifyAPI from '../hooks/useSpotifyAPI';
+import FeatureRadar from '../components/FeatureRadar';
+import DistributionBars from '../components/DistributionBars';
+import { getImageUrl, formatSeconds, formatArtistNames, extractYear } from '../utils/formatters';
+import { calculateAlbumSimilarity } from '../utils/trackAnalysis';
+import { cacheAlbumAnalysis, getCompareAlbums, setCompareAlbums, MAX_COMPARE_ALBUMS } from '../utils/storage';
+import { analyzeAlbum, getTempoDistribution, getKeyDistribution, getDurationStats } from '@shared/albums';
+import { KEY_NAMES } from '@shared/mixing';
+
+// Color of each album in the charts, in the order they're compared
+const ALBUM_COLORS = ['green.400', 'blue.400', 'orange.400', 'purple.400'];
+
+// Tempo axis of the radar, in BPM
+const RADAR_TEMPO_RANGE = { min: 60, max: 180 };
+
+const RADAR_AXES = [
+  { key: 'energy', label: 'Energy' },
+  { key: 'danceability', label: 'Danceability' },
+  { key: 'valence', label: 'Valence' },
+  { key: 'acousticness', label: 'Acoustic' },
+  { key: 'instrumentalness', label: 'Instrumental' },
+  { key: 'tempo', label: 'Tempo' }
+];
+
+// Album averages on the radar's 0 to 1 scale
+const getRadarValues = (features) => Object.fromEntries(RADAR_AXES.map(({ key }) => {
+  const mean = features[key]?.mean ?? 0;
+  if (key !== 'tempo') return [key, mean];
+  const { min, max } = RADAR_TEMPO_RANGE;
+  return [key, Math.min(Math.max((mean - min) / (max - min), 0), 1)];
+}));
+
+// Album IDs from the `albums` query parameter, without repeats
+const parseAlbumIds = (value) => (
+  [...new Set((value || '').split(',').map(id => id.trim()).filter(Boolean))].slice(0, MAX_COMPARE_ALBUMS)
+);
+
+const Section = ({ title, description, children }) => {
+  const bgColor = useColorModeValue('white', 'gray.800');
+  return (
+    <Box bg={bgColor} p={6} borderRadius="lg" boxShadow="md">
+      <Heading as="h2" size="md" mb={description ? 1 : 4}>{title}</Heading>
+      {description && <Text fontSize="sm" color="gray.500" mb={4}>{description}</Text>}
+      {children}
+    </Box>
+  );
+};
+
+/**
+ * Up to four albums side by side: their average audio features on one radar,
+ * tempo and key distributions, track lengths and how similar their tracks are
+ */
+const ComparePage = () => {
+  const { isAuthenticated, login } = useSpotify();
+  const { getAlbum, getAllAlbumTracks, getMultipleAudioFeatures } = useSpotifyAPI();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const albumIds = useMemo(() => parseAlbumIds(searchParams.get('albums')), [searchParams]);
+
+  const [entries, setEntries] = useState([]); // { album, tracks, items, analysis } per album
+  const [loadingAlbums, setLoadingAlbums] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Without albums in the link, compare the ones picked on album cards
+  useEffect(() => {
+    if (albumIds.length) {
+      setCompareAlbums(albumIds);
+      return;
+    }
+    const picked = getCompareAlbums();
+    if (picked.length) setSearchParams({ albums: picked.join(',') }, { replace: true });
+  }, [albumIds, setSearchParams]);
+
+  useEffect(() => {
+    if (!isAuthenticated || !albumIds.length) {
+      setEntries([]);
+      return;
+    }
+    let cancelled = false;
+
+    const loadAlbums = async () => {
+      setLoadingAlbums(true);
+      setError(null);
+
+      try {
+        const loaded = await Promise.all(albumIds.map(async (id) => {
+          const [album, tracks] = await Promise.all([getAlbum(id), getAllAlbumTracks(id)]);
+          return { album, tracks };
+        }));
+
+        // Features of every album's tracks at once, in batches of 100. Without
+        // them the track lengths can still be compared.
+        let featuresById = new Map();
+        try {
+          const response = await getMultipleAudioFeatures(loaded.flatMap(({ tracks }) => tracks.map(track => track.id)));
+          featuresById = new Map((response.audio_features || []).filter(Boolean).map(features => [features.id, features]));
+        } catch (err) {
+          console.error('Error getting audio features for comparison:', err);
+        }
+
+        const analyzed = loaded.map(({ album, tracks }) => {
+          const items = tracks.map(track => ({ track, features: featuresById.get(track.id) || null }));
+          const analysis = analyzeAlbum(items);
+          if (analysis.analyzedCount) cacheAlbumAnalysis(album.id, analysis);
+          return { album, tracks, items, analysis };
+        });
+
+        if (!cancelled) setEntries(analyzed);
+      } catch (err) {
+        console.error('Error loading albums to compare:', err);
+        if (!cancelled) setError(err.message || 'Failed to load albums');
+      } finally {
+        if (!cancelled) setLoadingAlbums(false);
+      }
+    };
+
+    loadAlbums();
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated, albumIds, getAlbum, getAllAlbumTracks, getMultipleAudioFeatures]);
+
+  const removeAlbum = (id) => {
+    const remaining = albumIds.filter(albumId => albumId !== id);
+    setCompareAlbums(remaining);
+    setSearchParams(remaining.length ? { albums: remaining.join(',') } : {});
+  };
+
+  const analyzedEntries = entries.filter(entry => entry.analysis.features);
+
+  // Every pair of albums, with their track similarity
+  const similarities = useMemo(() => {
+    const pairs = [];
+    entries.forEach((first, i) => {
+      entries.slice(i + 1).forEach((second, offset) => {
+        const similarity = calculateAlbumSimilarity(first.items, second.items);
+        if (similarity) pairs.push({ first: i, second: i + 1 + offset, ...similarity });
+      });
+    });
+    return pairs;
+  }, [entries]);
+
+  const getSimilarity = (i, j) => similarities.find(pair => (
+    (pair.first === i && pair.second === j) || (pair.first === j && pair.second === i)
+  ));
+
+  // The closest tracks across albums, one best match per track
+  const closestTracks = useMemo(() => similarities
+    .flatMap(pair => pair.pairs.map(match => ({ ...match, first: pair.first, second: pair.second })))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, 6), [similarities]);
+
+  // One scale for every album's distribution, so the bars compare
+  const tempoDistributions = entries.map(entry => getTempoDistribution(entry.items));
+  const keyDistributions = entries.map(entry => getKeyDistribution(entry.items));
+  const tempoMax = Math.max(1, ...tempoDistributions.flat().map(bin => bin.count));
+  const keyMax = Math.max(1, ...keyDistributions.flat().map(bin => bin.count));
+
+  if (!isAuthenticated) {
+    return (
+      <Box textAlign="center" py={10}>
+        <Heading mb={6}>Sign in to compare albums</Heading>
+        <Button colorScheme="green" size="lg" onClick={login}>
+          Connect with Spotify
+        </Button>
+      </Box>
+    );
+  }
+
+  if (!albumIds.length) {
+    return (
+      <Box textAlign="center" py={10}>
+        <Heading mb={4}>Compare Albums</Heading>
+        <Text mb={6} color="gray.500">
+          Pick up to {MAX_COMPARE_ALBUMS} albums with the compare button on their covers to see them side by side.
+        </Text>
+        <Button as={RouterLink} to="/spotify-original/discover" colorScheme="green">
+          Find albums
+        </Button>
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert status="error" borderRadius="lg">
+        <AlertIcon />
+        Couldn't load the albums to compare: {error}
+      </Alert>
+    );
+  }
+
+  if (loadingAlbums || !entries.length) {
+    return (
+      <SimpleGrid columns={{ base: 1, md: albumIds.length }} spacing={6}>
+        {albumIds.map(id => (
+          <Skeleton key={id} height="320px" borderRadius="lg" />
+        ))}
+      </SimpleGrid>
+    );
+  }
+
+  const columns = { base: 1, md: Math.min(entries.length, 2), lg: entries.length };
+
+  return (
+    <VStack spacing={8} align="stretch">
+      <Flex justify="space-between" align="center">
+        <Heading as="h1" size="xl">Compare Albums</Heading>
+        {entries.length < MAX_COMPARE_ALBUMS && (
+          <Text fontSize="sm" color="gray.500">
+            Add up to {MAX_COMPARE_ALBUMS - entries.length} more from the album cards
+          </Text>
+        )}
+      </Flex>
+
+      <SimpleGrid columns={columns} spacing={6}>
+        {entries.map(({ album, analysis }, index) => (
+          <Box key={album.id} borderTopWidth="4px" borderColor={ALBUM_COLORS[index]} borderRadius="lg" boxShadow="md" p={4} position="relative">
+            <IconButton
+              aria-label={`Remove ${album.name} from the comparison`}
+              icon={<FaTimes />}
+              size="xs"
+              variant="ghost"
+              position="absolute"
+              top={2}
+              right={2}
+              onClick={() => removeAlbum(album.id)}
+            />
+            <HStack spacing={3} align="flex-start" pr={6}>
+              <Image src={getImageUrl(album.images, 'small')} alt={album.name} boxSize="64px" borderRadius="md" />
+              <Box minW={0}>
+                <Link as={RouterLink} to={`/spotify-original/album/${album.id}`} fontWeight="bold" noOfLines={2}>
+                  {album.name}
+                </Link>
+                <Text fontSize="sm" color="gray.500" noOfLines={1}>
+                  {formatArtistNames(album.artists)}
+                </Text>
+                <Text fontSize="xs" color="gray.500">
+                  {extractYear(album.release_date)} · {analysis.trackCount} tracks
+                </Text>
+              </Box>
+            </HStack>
+            <Wrap spacing={1} mt={3}>
+              {(analysis.characteristics || ['No audio features']).map(characteristic => (
+                <WrapItem key={characteristic}>
+                  <Badge colorScheme="green" variant="subtle">{characteristic}</Badge>
+                </WrapItem>
+              ))}
+            </Wrap>
+          </Box>
+        ))}
+      </SimpleGrid>
+
+      {analyzedEntries.length > 0 ? (
+        <Section title="Audio Features" description="Album averages; tempo runs from 60 to 180 BPM">
+          <FeatureRadar
+            axes={RADAR_AXES}
+            series={entries
+              .map((entry, index) => ({ entry, color: ALBUM_COLORS[index] }))
+              .filter(({ entry }) => entry.analysis.features)
+              .map(({ entry, color }) => ({
+                id: entry.album.id,
+                label: entry.album.name,
+                color,
+                values: getRadarValues(entry.analysis.features)
+              }))}
+          />
+        </Section>
+      ) : (
+        <Alert status="info" borderRadius="lg">
+          <AlertIcon />
+          Audio features aren't available for these albums, so only their track lengths compare.
+        </Alert>
+      )}
+
+      {analyzedEntries.length > 0 && (
+        <Section title="Tempo and Key" description="Tracks per tempo range and per key">
+          <SimpleGrid columns={columns} spacing={6}>
+            {entries.map(({ album }, index) => (
+              <Box key={album.id}>
+                <Text fontWeight="medium" noOfLines={1} mb={2}>{album.name}</Text>
+                <Text fontSize="xs" color="gray.500" mb={1}>Tempo (BPM)</Text>
+                <DistributionBars
+                  color={ALBUM_COLORS[index]}
+                  max={tempoMax}
+                  bins={tempoDistributions[index].map((bin, binIndex, bins) => ({
+                    label: binIndex === bins.length - 1 ? `${bin.min}+` : `${bin.min}`,
+                    count: bin.count,
+                    tooltip: `${binIndex === bins.length - 1 ? `${bin.min}+` : `${bin.min}–${bin.max}`} BPM: ${bin.count} tracks`
+                  }))}
+                />
+                <Text fontSize="xs" color="gray.500" mt={4} mb={1}>Key</Text>
+                <DistributionBars
+                  color={ALBUM_COLORS[index]}
+                  max={keyMax}
+                  bins={keyDistributions[index].map(bin => ({
+                    label: KEY_NAMES[bin.key].split('/')[0],
+                    count: bin.count,
+                    tooltip: `${KEY_NAMES[bin.key]}: ${bin.major} major, ${bin.minor} minor`
+                  }))}
+                />
+              </Box>
+            ))}
+          </SimpleGrid>
+        </Section>
+      )}
+
+      <Section title="Track Lengths">
+        <Box overflowX="auto">
+          <Table size="sm">
+            <Thead>
+              <Tr>
+                <Th />
+                {entries.map(({ album }) => (
+                  <Th key={album.id} isNumeric>{album.name}</Th>
+                ))}
+              </Tr>
+            </Thead>
+            <Tbody>
+              {[
+                { label: 'Tracks', value: (stats, entry) => entry.tracks.length },
+                { label: 'Total length', value: (stats) => formatSeconds(stats.total) },
+                { label: 'Average track', value: (stats) => `${formatSeconds(stats.mean)} ± ${formatSeconds(stats.stdDev)}` },
+                { label: 'Shortest', value: (stats) => formatSeconds(stats.min) },
+                { label: 'Longest', value: (stats) => formatSeconds(stats.max) }
+              ].map(row => (
+                <Tr key={row.label}>
+                  <Td fontWeight="medium">{row.label}</Td>
+                  {entries.map(entry => {
+                    const stats = getDurationStats(entry.tracks);
+                    return <Td key={entry.album.id} isNumeric>{stats ? row.value(stats, entry) : '—'}</Td>;
+                  })}
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </Box>
+      </Section>
+
+      {similarities.length > 0 && (
+        <Section
+          title="Track Similarity"
+          description="How close each album's tracks come to their best match on the other, by energy, danceability, valence, acousticness and instrumentalness"
+        >
+          <Box overflowX="auto" mb={6}>
+            <Table size="sm">
+              <Thead>
+                <Tr>
+                  <Th />
+                  {entries.map(({ album }) => (
+                    <Th key={album.id} isNumeric>{album.name}</Th>
+                  ))}
+                </Tr>
+              </Thead>
+              <Tbody>
+                {entries.map(({ album }, i) => (
+                  <Tr key={album.id}>
+                    <Td fontWeight="medium">{album.name}</Td>
+                    {entries.map((other, j) => {
+                      const pair = i !== j ? getSimilarity(i, j) : null;
+                      return (
+                        <Td key={other.album.id} isNumeric>
+                          {pair ? `${Math.round(pair.score * 100)}%` : '—'}
+                        </Td>
+                      );
+                    })}
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          </Box>
+
+          <Heading as="h3" size="sm" mb={2}>Closest Tracks Across Albums</Heading>
+          <VStack align="stretch" spacing={2}>
+            {closestTracks.map(match => (
+              <Flex key={`${match.track1.id}-${match.track2.id}`} align="center" gap={2} fontSize="sm">
+                <Badge colorScheme="green" flexShrink={0}>{Math.round(match.similarity * 100)}%</Badge>
+                <Text noOfLines={1}>
+                  {match.track1.name} <Text as="span" color="gray.500">({entries[match.first].album.name})</Text>
+                  {' and '}
+                  {match.track2.name} <Text as="span" color="gray.500">({entries[match.second].album.name})</Text>
+                </Text>
+              </Flex>
+            ))}
+          </VStack>
+        </Section>
+      )}
+    </VStack>
+  );
+};
+
+export default ComparePage;
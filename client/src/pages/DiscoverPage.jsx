@@ -24,6 +24,7 @@ import { SearchIcon } from '@chakra-ui/icons';
 import { useSpotify } from '../context/SpotifyContext';
 import useSpotifyAPI from '../hooks/useSpotifyAPI';
 import AlbumCard from '../components/AlbumCard';
+import TasteRecommendations from '../components/TasteRecommendations';
 
 const DiscoverPage = () => {
   const { isAuthenticated, login } = useSpotify();
@@ -314,6 +315,8 @@ const DiscoverPage = () => {
             
             {/* Based on Your Taste Tab */}
             <TabPanel px={0}>
+              <TasteRecommendations />
+              
               {loading ? (
                 <SimpleGrid columns={{ base: 1, sm: 2, md: 3, lg: 4 }} spacing={6}>
                   {[...Array(8)].map((_, i) => (
@@ -0,0 +1,166 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import {
+  Box,
+  Flex,
+  Text,
+  Image,
+  IconButton,
+  Progress,
+  Link,
+  Spinner,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FaPlay, FaPause, FaSpotify } from 'react-icons/fa';
+import { getHighlightSharePath, parseSharedHighlight } from '@shared/highlights';
+import playbackService, { isSameSource, PREVIEW_LENGTH } from '../services/playback';
+import usePlayback from '../hooks/usePlayback';
+import useTrackSource from '../hooks/useTrackSource';
+import useSpotifyAPI from '../hooks/useSpotifyAPI';
+import { formatSeconds, getImageUrl } from '../utils/formatters';
+
+// Minimal player of a shared highlight, for other sites to embed in an iframe
+const EmbedHighlightPage = () => {
+  const { trackId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { getSharedTrack } = useSpotifyAPI();
+  const playback = usePlayback();
+
+  const [track, setTrack] = useState(null);
+  const [error, setError] = useState(null);
+
+  const bgColor = useColorModeValue('white', 'gray.800');
+  const borderColor = useColorModeValue('gray.200', 'gray.700');
+
+  const query = searchParams.toString();
+  const highlight = useMemo(
+    () => parseSharedHighlight(Object.fromEntries(new URLSearchParams(query))),
+    [query]
+  );
+  const end = highlight.start + highlight.duration;
+
+  useEffect(() => {
+    let cancelled = false;
+    getSharedTrack(trackId, highlight)
+      .then(result => {
+        if (!cancelled) setTrack(result.track);
+      })
+      .catch(err => {
+        console.error('Error loading shared highlight:', err);
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId, highlight, getSharedTrack]);
+
+  const fromPreview = highlight.clip === 'preview';
+  const { source, fullTrack } = useTrackSource(track, { previewOnly: fromPreview });
+
+  // Without the full track only highlights within the preview can play
+  const isPlayable = Boolean(source) && (fullTrack || fromPreview || highlight.start < PREVIEW_LENGTH);
+
+  const isActive = isSameSource(playback.source, source);
+  const isPlaying = isActive && playback.isPlaying;
+  const progress = isActive
+    ? Math.min(Math.max((playback.position - highlight.start) / highlight.duration, 0), 1)
+    : 0;
+
+  // Stop when the embed goes away
+  useEffect(() => () => {
+    if (playbackService.isLoaded(source)) playbackService.pause();
+  }, [source]);
+
+  const togglePlay = () => {
+    if (isActive && playback.end !== null) {
+      playbackService.toggle().catch(err => console.error('Error toggling playback:', err));
+      return;
+    }
+    playbackService.playSegment(source, highlight.start, end)
+      .catch(err => console.error('Error playing shared highlight:', err));
+  };
+
+  if (error) {
+    return (
+      <Flex height="100vh" align="center" justify="center" p={4}>
+        <Text fontSize="sm" color="gray.500">Couldn't load this highlight: {error}</Text>
+      </Flex>
+    );
+  }
+
+  if (!track) {
+    return (
+      <Flex height="100vh" align="center" justify="center">
+        <Spinner color="green.500" />
+      </Flex>
+    );
+  }
+
+  return (
+    <Flex
+      height="100vh"
+      align="center"
+      gap={4}
+      p={4}
+      bg={bgColor}
+      border="1px solid"
+      borderColor={borderColor}
+      borderRadius="lg"
+      overflow="hidden"
+    >
+      <Image
+        src={getImageUrl(track.album?.images, 'medium')}
+        alt={track.album?.name}
+        boxSize="120px"
+        borderRadius="md"
+        flexShrink={0}
+      />
+
+      <Box flex="1" minW={0}>
+        <Text fontWeight="bold" noOfLines={1}>{track.name}</Text>
+        <Text fontSize="sm" color="gray.500" noOfLines={1}>
+          {track.artists?.map(artist => artist.name).join(', ')}
+        </Text>
+
+        <Flex align="center" gap={3} mt={3}>
+          <IconButton
+            aria-label={isPlaying ? 'Pause' : 'Play highlight'}
+            icon={isPlaying ? <FaPause /> : <FaPlay />}
+            colorScheme="green"
+            borderRadius="full"
+            onClick={togglePlay}
+            isDisabled={!isPlayable}
+          />
+          <Box flex="1">
+            <Progress value={progress * 100} size="sm" colorScheme="green" borderRadius="full" />
+            <Flex justify="space-between" fontSize="xs" color="gray.500" mt={1}>
+              <Text>{formatSeconds(highlight.start)}</Text>
+              <Text>{formatSeconds(end)}</Text>
+            </Flex>
+          </Box>
+        </Flex>
+
+        <Flex justify="space-between" fontSize="xs" mt={2}>
+          {isPlayable ? (
+            <Text color="gray.500">{fullTrack ? 'Full track' : 'Preview'}</Text>
+          ) : (
+            <Text color="gray.500">This bit is past the preview</Text>
+          )}
+          <Flex gap={3}>
+            {track.external_urls?.spotify && (
+              <Link href={track.external_urls.spotify} isExternal color="green.500">
+                <FaSpotify style={{ display: 'inline', verticalAlign: 'middle' }} /> Spotify
+              </Link>
+            )}
+            <Link href={getHighlightSharePath(track.id, highlight)} isExternal color="green.500">
+              Open
+            </Link>
+          </Flex>
+        </Flex>
+      </Box>
+    </Flex>
+  );
+};
+
+export default EmbedHighlightPage;
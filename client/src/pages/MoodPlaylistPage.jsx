@@ -0,0 +1,365 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Heading,
+  Text,
+  Button,
+  Flex,
+  HStack,
+  VStack,
+  SimpleGrid,
+  Tabs,
+  TabList,
+  TabPanels,
+  Tab,
+  TabPanel,
+  Select,
+  Slider,
+  SliderTrack,
+  SliderFilledTrack,
+  SliderThumb,
+  Badge,
+  IconButton,
+  Image,
+  Tooltip,
+  Skeleton,
+  Alert,
+  AlertIcon,
+  Link,
+  useToast,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FaPlay, FaPause, FaSpotify } from 'react-icons/fa';
+import { useSpotify } from '../context/SpotifyContext';
+import useSpotifyAPI from '../hooks/useSpotifyAPI';
+import usePlayback from '../hooks/usePlayback';
+import useTrackSource from '../hooks/useTrackSource';
+import playbackService, { isSameSource, PREVIEW_LENGTH } from '../services/playback';
+import EnergyCurveEditor from '../components/EnergyCurveEditor';
+import { getImageUrl } from '../utils/formatters';
+import {
+  MOODS,
+  ENERGY_CURVE_PRESETS,
+  DEFAULT_MOOD_PLAYLIST_LENGTH,
+  buildMoodPlaylist,
+  buildCurvePlaylist
+} from '@shared/moods';
+
+const MOOD_COLORS = {
+  calm: 'blue',
+  happy: 'yellow',
+  intense: 'red',
+  melancholic: 'purple'
+};
+
+// A track of the playlist, previewed from its start
+const PlaylistTrack = ({ item, index, playback }) => {
+  const { track, features, mood, labels, target, transition } = item;
+  const { source } = useTrackSource(track);
+
+  const isActive = isSameSource(playback.source, source);
+  const isPlaying = isActive && playback.isPlaying;
+
+  const togglePreview = () => {
+    if (isActive && playback.end !== null) {
+      playbackService.toggle().catch(err => console.error('Error toggling playback:', err));
+      return;
+    }
+    playbackService.playSegment(source, 0, PREVIEW_LENGTH)
+      .catch(err => console.error('Error playing preview:', err));
+  };
+
+  return (
+    <Flex align="center" gap={3} py={2} borderBottomWidth="1px">
+      <Text width="24px" color="gray.500" textAlign="right">{index + 1}</Text>
+      <Image
+        src={getImageUrl(track.album?.images, 'small')}
+        alt={track.album?.name}
+        boxSize="40px"
+        borderRadius="sm"
+        flexShrink={0}
+      />
+      <Box flex="1" minW={0}>
+        <Text fontWeight="medium" noOfLines={1}>{track.name}</Text>
+        <Text fontSize="sm" color="gray.500" noOfLines={1}>
+          {track.artists?.map(artist => artist.name).join(', ')}
+        </Text>
+      </Box>
+      <Tooltip label={labels.join(' · ')}>
+        <Badge colorScheme={MOOD_COLORS[mood]}>{MOODS[mood].label}</Badge>
+      </Tooltip>
+      <Tooltip label={target !== undefined ? `Curve asks for ${Math.round(target * 100)}` : 'Energy'}>
+        <Text fontSize="sm" width="72px" textAlign="right">
+          Energy {Math.round(features.energy * 100)}
+        </Text>
+      </Tooltip>
+      <Box width="64px" textAlign="right">
+        {transition && (
+          <Tooltip label={`Mixes in: ${transition.key.label}`}>
+            <Badge colorScheme={transition.score >= 0.75 ? 'green' : transition.score >= 0.5 ? 'yellow' : 'red'}>
+              {Math.round(transition.score * 100)}%
+            </Badge>
+          </Tooltip>
+        )}
+      </Box>
+      <IconButton
+        aria-label={isPlaying ? 'Pause preview' : 'Play preview'}
+        icon={isPlaying ? <FaPause /> : <FaPlay />}
+        size="sm"
+        colorScheme="green"
+        variant="ghost"
+        isDisabled={!source}
+        onClick={togglePreview}
+      />
+    </Flex>
+  );
+};
+
+/**
+ * Playlists from the user's library by mood: pick one of four moods, or draw
+ * the energy the playlist should follow over time
+ */
+const MoodPlaylistPage = () => {
+  const { isAuthenticated, login } = useSpotify();
+  const { getMoodLibrary, createPlaylistFromHighlights } = useSpotifyAPI();
+  const playback = usePlayback();
+  const toast = useToast();
+
+  const [library, setLibrary] = useState(null);
+  const [error, setError] = useState(null);
+  const [tabIndex, setTabIndex] = useState(0);
+  const [mood, setMood] = useState('calm');
+  const [curve, setCurve] = useState(ENERGY_CURVE_PRESETS['build-up'].curve);
+  const [curveMood, setCurveMood] = useState('');
+  const [length, setLength] = useState(DEFAULT_MOOD_PLAYLIST_LENGTH);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(null);
+
+  const bgColor = useColorModeValue('white', 'gray.800');
+  const selectedBg = useColorModeValue('green.50', 'green.900');
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    let cancelled = false;
+
+    getMoodLibrary()
+      .then(result => {
+        if (!cancelled) setLibrary(result);
+      })
+      .catch(err => {
+        console.error('Error fetching library moods:', err);
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated, getMoodLibrary]);
+
+  const playlist = useMemo(() => {
+    if (!library) return null;
+    return tabIndex === 0
+      ? buildMoodPlaylist(library.tracks, { mood, length })
+      : buildCurvePlaylist(library.tracks, { curve, length, mood: curveMood || null });
+  }, [library, tabIndex, mood, curve, curveMood, length]);
+
+  // A saved playlist no longer matches once the settings change
+  useEffect(() => {
+    setSaved(null);
+  }, [playlist]);
+
+  const playlistName = tabIndex === 0 ? `${MOODS[mood].label} Mix` : 'Energy Curve Mix';
+
+  const handleSave = async () => {
+    setSaving(true);
+
+    try {
+      const result = await createPlaylistFromHighlights({
+        trackIds: playlist.tracks.map(item => item.track.id),
+        order: 'original',
+        name: playlistName,
+        description: tabIndex === 0
+          ? `${MOODS[mood].description}, from your library`
+          : 'Tracks from your library following an energy curve'
+      });
+
+      setSaved(result.playlist);
+      toast({
+        title: 'Playlist created',
+        description: `${result.playlist.name} with ${result.tracks.length} tracks`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Error creating mood playlist:', err);
+      toast({
+        title: 'Couldn\'t create the playlist',
+        // Logins from before playlists could be created lack the scope for it
+        description: err.response?.status === 403
+          ? 'Spotify refused to create the playlist. Log out and back in to allow it.'
+          : err.response?.data?.message || err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isAuthenticated) {
+    return (
+      <Box textAlign="center" py={10}>
+        <Heading mb={6}>Sign in to build mood playlists</Heading>
+        <Text mb={6}>Connect with Spotify to sort your library by mood.</Text>
+        <Button colorScheme="green" size="lg" onClick={login}>
+          Connect with Spotify
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <VStack spacing={8} align="stretch">
+      <Box bg={bgColor} p={6} borderRadius="lg" boxShadow="md">
+        <Heading as="h1" size="xl" mb={2}>Mood Playlists</Heading>
+        <Text color="gray.500" mb={6}>
+          Your top tracks and saved albums, sorted by valence, energy, acousticness and tempo.
+        </Text>
+
+        <Tabs index={tabIndex} onChange={setTabIndex} colorScheme="green">
+          <TabList>
+            <Tab>Pick a mood</Tab>
+            <Tab>Draw an energy curve</Tab>
+          </TabList>
+
+          <TabPanels>
+            <TabPanel px={0}>
+              <SimpleGrid columns={{ base: 2, md: 4 }} spacing={4}>
+                {Object.entries(MOODS).map(([key, { label, description }]) => (
+                  <Box
+                    key={key}
+                    as="button"
+                    textAlign="left"
+                    p={4}
+                    borderWidth="2px"
+                    borderRadius="lg"
+                    borderColor={mood === key ? 'green.400' : 'transparent'}
+                    bg={mood === key ? selectedBg : 'inherit'}
+                    boxShadow="sm"
+                    onClick={() => setMood(key)}
+                  >
+                    <HStack justify="space-between">
+                      <Text fontWeight="bold">{label}</Text>
+                      <Badge colorScheme={MOOD_COLORS[key]}>{library ? library.counts[key] : '…'}</Badge>
+                    </HStack>
+                    <Text fontSize="sm" color="gray.500">{description}</Text>
+                  </Box>
+                ))}
+              </SimpleGrid>
+            </TabPanel>
+
+            <TabPanel px={0}>
+              <Flex gap={4} mb={4} direction={{ base: 'column', md: 'row' }}>
+                <HStack spacing={2} flexWrap="wrap">
+                  {Object.entries(ENERGY_CURVE_PRESETS).map(([key, preset]) => (
+                    <Button key={key} size="sm" variant="outline" onClick={() => setCurve(preset.curve)}>
+                      {preset.label}
+                    </Button>
+                  ))}
+                </HStack>
+                <Select
+                  size="sm"
+                  maxW={{ md: '200px' }}
+                  ml={{ md: 'auto' }}
+                  value={curveMood}
+                  onChange={(e) => setCurveMood(e.target.value)}
+                >
+                  <option value="">Any mood</option>
+                  {Object.entries(MOODS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label} tracks first</option>
+                  ))}
+                </Select>
+              </Flex>
+              <EnergyCurveEditor value={curve} onChange={setCurve} />
+              <Flex justify="space-between" fontSize="xs" color="gray.500" mt={1}>
+                <Text>First track</Text>
+                <Text>Last track</Text>
+              </Flex>
+            </TabPanel>
+          </TabPanels>
+        </Tabs>
+
+        <Flex align="center" gap={3} maxW="360px">
+          <Text fontSize="sm" whiteSpace="nowrap">{length} tracks</Text>
+          <Slider
+            aria-label="Playlist length"
+            value={length}
+            min={5}
+            max={50}
+            step={5}
+            onChange={setLength}
+            colorScheme="green"
+          >
+            <SliderTrack>
+              <SliderFilledTrack />
+            </SliderTrack>
+            <SliderThumb />
+          </Slider>
+        </Flex>
+      </Box>
+
+      <Box bg={bgColor} p={6} borderRadius="lg" boxShadow="md">
+        <Flex justify="space-between" align="center" mb={4} gap={4}>
+          <Box>
+            <Heading size="md">{playlistName}</Heading>
+            {playlist?.score !== null && playlist?.score !== undefined && (
+              <Text fontSize="sm" color="gray.500">
+                Average transition {Math.round(playlist.score * 100)}%
+              </Text>
+            )}
+          </Box>
+          {saved?.external_urls?.spotify ? (
+            <Button as={Link} href={saved.external_urls.spotify} isExternal leftIcon={<FaSpotify />} colorScheme="green" variant="outline">
+              Open in Spotify
+            </Button>
+          ) : (
+            <Button
+              leftIcon={<FaSpotify />}
+              colorScheme="green"
+              onClick={handleSave}
+              isLoading={saving}
+              isDisabled={!playlist?.tracks.length}
+            >
+              Save to Spotify
+            </Button>
+          )}
+        </Flex>
+
+        {error ? (
+          <Alert status="error" borderRadius="md">
+            <AlertIcon />
+            Couldn't sort your library by mood: {error}
+          </Alert>
+        ) : !playlist ? (
+          <VStack spacing={2} align="stretch">
+            {[...Array(6)].map((_, i) => (
+              <Skeleton key={i} height="48px" />
+            ))}
+          </VStack>
+        ) : playlist.tracks.length === 0 ? (
+          <Text color="gray.500" py={4}>
+            None of your tracks have audio features yet. Save a few albums and try again.
+          </Text>
+        ) : (
+          playlist.tracks.map((item, index) => (
+            <PlaylistTrack key={item.track.id} item={item} index={index} playback={playback} />
+          ))
+        )}
+      </Box>
+    </VStack>
+  );
+};
+
+export default MoodPlaylistPage;
@@ -0,0 +1,131 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useParams, useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Flex,
+  Heading,
+  Text,
+  Image,
+  Button,
+  HStack,
+  Spinner,
+  Alert,
+  AlertIcon,
+  AlertTitle,
+  AlertDescription,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FaSpotify, FaCompactDisc } from 'react-icons/fa';
+import { parseSharedHighlight } from '@shared/highlights';
+import { useSpotify } from '../context/SpotifyContext';
+import useSpotifyAPI from '../hooks/useSpotifyAPI';
+import HighlightPlayer from '../components/HighlightPlayer';
+import { formatSeconds, getImageUrl } from '../utils/formatters';
+
+// A highlight someone shared as /h/:trackId?t=75&d=25, opened in the player
+const SharedHighlightPage = () => {
+  const { trackId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, login } = useSpotify();
+  const { getSharedTrack } = useSpotifyAPI();
+
+  const [track, setTrack] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const accentColor = useColorModeValue('green.500', 'green.300');
+
+  const query = searchParams.toString();
+  const highlight = useMemo(() => ({
+    ...parseSharedHighlight(Object.fromEntries(new URLSearchParams(query))),
+    reason: 'Shared highlight'
+  }), [query]);
+  const highlights = useMemo(() => [highlight], [highlight]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    getSharedTrack(trackId, highlight)
+      .then(result => {
+        if (cancelled) return;
+        setTrack(result.track);
+        setAnalysis(result.analysis);
+      })
+      .catch(err => {
+        console.error('Error loading shared highlight:', err);
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId, highlight, getSharedTrack]);
+
+  if (loading) {
+    return (
+      <Flex justify="center" py={20}>
+        <Spinner size="xl" color={accentColor} />
+      </Flex>
+    );
+  }
+
+  if (error || !track) {
+    return (
+      <Alert status="error" borderRadius="lg">
+        <AlertIcon />
+        <AlertTitle>Couldn't load this highlight</AlertTitle>
+        <AlertDescription>{error || 'Track not found'}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  return (
+    <Box maxW="720px" mx="auto">
+      <Flex gap={6} align="center" mb={6} direction={{ base: 'column', sm: 'row' }}>
+        <Image
+          src={getImageUrl(track.album?.images, 'medium')}
+          alt={track.album?.name}
+          boxSize="160px"
+          borderRadius="md"
+          boxShadow="lg"
+        />
+        <Box>
+          <Text fontSize="sm" color="gray.500" textTransform="uppercase" fontWeight="bold">
+            Listen to this bit
+          </Text>
+          <Heading size="lg">{track.name}</Heading>
+          <Text color="gray.500">
+            {track.artists?.map(artist => artist.name).join(', ')} · {formatSeconds(highlight.start)} - {formatSeconds(highlight.start + highlight.duration)}
+          </Text>
+
+          <HStack mt={4} spacing={3}>
+            {track.external_urls?.spotify && (
+              <Button as="a" href={track.external_urls.spotify} target="_blank" rel="noopener noreferrer" size="sm" leftIcon={<FaSpotify />}>
+                Open in Spotify
+              </Button>
+            )}
+            {isAuthenticated ? track.album?.id && (
+              <Button as={RouterLink} to={`/spotify-original/album/${track.album.id}`} size="sm" leftIcon={<FaCompactDisc />}>
+                Album highlights
+              </Button>
+            ) : (
+              <Button size="sm" colorScheme="green" leftIcon={<FaSpotify />} onClick={login}>
+                Log in to hear the full track
+              </Button>
+            )}
+          </HStack>
+        </Box>
+      </Flex>
+
+      <HighlightPlayer track={track} highlights={highlights} analysis={analysis} />
+    </Box>
+  );
+};
+
+export default SharedHighlightPage;
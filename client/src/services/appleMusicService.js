@@ -1,4 +1,6 @@
-const API_BASE_URL = 'http://localhost:4000/apple-music';
+import { API_BASE_URL as SERVER_URL } from '../utils/config';
+
+const API_BASE_URL = `${SERVER_URL}/apple-music`;
 
 class AppleMusicService {
   constructor() {
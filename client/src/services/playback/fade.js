@@ -0,0 +1,40 @@
+// Time between volume steps of a fade, in milliseconds
+const FADE_STEP = 50;
+
+/**
+ * Ramp a volume from one level to another
+ * @param {Object} options - { from, to, duration } with the duration in seconds,
+ *   and set(volume) called on every step
+ * @returns {Object} { promise, cancel }; the promise resolves when the ramp
+ *   finished or was cancelled
+ */
+export const rampVolume = ({ from, to, duration, set }) => {
+  let timer = null;
+  let finish = null;
+
+  const promise = new Promise((resolve) => {
+    finish = resolve;
+    const steps = Math.max(1, Math.round((duration * 1000) / FADE_STEP));
+    let step = 0;
+
+    const tick = () => {
+      step += 1;
+      const volume = from + (to - from) * (step / steps);
+      Promise.resolve(set(Math.min(Math.max(volume, 0), 1))).catch(() => {});
+
+      if (step >= steps) {
+        clearInterval(timer);
+        resolve();
+      }
+    };
+
+    timer = setInterval(tick, FADE_STEP);
+  });
+
+  const cancel = () => {
+    clearInterval(timer);
+    finish();
+  };
+
+  return { promise, cancel };
+};
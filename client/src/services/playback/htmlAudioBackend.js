@@ -0,0 +1,139 @@
+import { rampVolume } from './fade';
+
+/**
+ * Playback backend for preview clips, on an HTML audio element
+ *
+ * Crossfading loads the next clip in a second element while the first one
+ * fades out, the two swap roles on every crossfade.
+ */
+class HtmlAudioBackend {
+  constructor() {
+    this.audio = null;
+    this.spare = null;
+    this.fadeIn = null;
+    this.events = null;
+  }
+
+  attach(events) {
+    this.events = events;
+    // Browsers can always play previews
+    events.ready(true);
+  }
+
+  // Create the audio element on first use
+  getAudio() {
+    if (!this.audio) this.audio = this.createAudio();
+    return this.audio;
+  }
+
+  // Create an audio element that reports its events while it's the current one
+  createAudio() {
+    const audio = new Audio();
+    audio.preload = 'auto';
+
+    const on = (type, handler) => audio.addEventListener(type, () => {
+      if (audio === this.audio) handler();
+    });
+
+    on('loadedmetadata', () => this.events.change({ duration: audio.duration }));
+    on('timeupdate', () => this.events.change({ position: audio.currentTime }));
+    on('play', () => this.events.change({ isPlaying: true }));
+    on('pause', () => this.events.change({ isPlaying: false }));
+    on('ended', () => {
+      this.events.change({ isPlaying: false });
+      this.events.ended();
+    });
+    on('error', () => {
+      // Unloading empties src, which isn't an error
+      if (audio.getAttribute('src')) this.events.error(new Error('Audio playback error'));
+    });
+
+    return audio;
+  }
+
+  // Fade a clip out and empty it, unless it became the current one again
+  fadeOut(audio, duration) {
+    const set = (volume) => {
+      if (audio !== this.audio) audio.volume = volume;
+    };
+    rampVolume({ from: audio.volume, to: 0, duration, set })
+      .promise.then(() => {
+        if (audio !== this.audio) this.empty(audio);
+      });
+  }
+
+  empty(audio) {
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+  }
+
+  canPlay(source) {
+    return Boolean(source?.url);
+  }
+
+  async load(source, { autoplay, position, volume, crossfade = 0 }) {
+    this.fadeIn?.cancel();
+    this.fadeIn = null;
+
+    // Keep the playing clip going in its own element while it fades out
+    const previous = this.audio;
+    const fading = crossfade > 0 && previous && !previous.paused;
+    if (fading) {
+      this.audio = this.spare || this.createAudio();
+      this.spare = previous;
+      this.fadeOut(previous, crossfade);
+    }
+
+    const audio = this.getAudio();
+    audio.src = source.url;
+    audio.volume = fading ? 0 : volume;
+
+    if (position > 0) {
+      // Seeking only works once the browser knows the duration
+      audio.addEventListener('loadedmetadata', () => { audio.currentTime = position; }, { once: true });
+    }
+
+    if (autoplay) await this.play();
+
+    if (fading) {
+      this.fadeIn = rampVolume({ from: 0, to: volume, duration: crossfade, set: (level) => { audio.volume = level; } });
+    }
+  }
+
+  async play() {
+    try {
+      await this.getAudio().play();
+    } catch (err) {
+      // Handle autoplay restrictions
+      if (err.name === 'NotAllowedError') {
+        console.warn('Autoplay prevented by browser. User interaction required.');
+      }
+      throw err;
+    }
+  }
+
+  async pause() {
+    this.audio?.pause();
+  }
+
+  async seek(seconds) {
+    if (this.audio) this.audio.currentTime = seconds;
+  }
+
+  async setVolume(volume) {
+    this.fadeIn?.cancel();
+    this.fadeIn = null;
+    if (this.audio) this.audio.volume = volume;
+  }
+
+  async unload() {
+    this.fadeIn?.cancel();
+    this.fadeIn = null;
+    [this.audio, this.spare].forEach(audio => {
+      if (audio?.getAttribute('src')) this.empty(audio);
+    });
+  }
+}
+
+export default HtmlAudioBackend;
@@ -0,0 +1,310 @@
+import HtmlAudioBackend from './htmlAudioBackend';
+import SpotifySdkBackend from './spotifySdkBackend';
+import MusicKitBackend from './musicKitBackend';
+
+/**
+ * Playback service
+ *
+ * The one player of the app. Components load a source and control playback
+ * here instead of holding their own Spotify.Player or Audio element, so
+ * starting something anywhere stops whatever played before. The source
+ * picks the backend, in this order:
+ *
+ * - spotify: `{ uri }` Spotify URIs, in the Web Playback SDK (Premium only)
+ * - musickit: `{ appleId }` Apple Music songs, once the user authorized MusicKit
+ * - preview: `{ url }` preview clips (Spotify preview_url, Apple previews)
+ *
+ * A source may carry several (e.g. an Apple song with its preview URL) and
+ * plays on the first backend that can take it. Times are in seconds.
+ *
+ * Playback can stop on its own at an `end` position, to play one part of a
+ * track (a highlight) the same way on every backend. With a `crossfade`,
+ * 'ended' is emitted that long before the end, so the next source can be
+ * loaded with the same crossfade while this one fades out.
+ *
+ * Events: 'change' (new state), 'ended' (source), 'error' (error)
+ */
+
+const BACKEND_ORDER = ['spotify', 'musickit', 'preview'];
+
+// Length of Spotify preview clips, in seconds
+export const PREVIEW_LENGTH = 30;
+
+const INITIAL_STATE = {
+  backend: null,
+  source: null,
+  track: null,
+  isPlaying: false,
+  position: 0,
+  duration: 0,
+  volume: 0.7,
+  end: null,
+  crossfade: 0,
+  ready: {},
+  error: null
+};
+
+/**
+ * Check whether two sources refer to the same media
+ * @param {Object} a - Source
+ * @param {Object} b - Source
+ * @returns {boolean} True if both play the same URI, Apple song or URL
+ */
+export const isSameSource = (a, b) => Boolean(a && b && (
+  (a.uri && a.uri === b.uri) ||
+  (a.appleId && a.appleId === b.appleId) ||
+  (a.url && a.url === b.url)
+));
+
+class PlaybackService {
+  constructor() {
+    this.backends = {};
+    this.current = null;
+    this.endingEarly = false;
+    this.state = INITIAL_STATE;
+    this.listeners = { change: new Set(), ended: new Set(), error: new Set() };
+  }
+
+  /**
+   * Add a backend
+   * @param {string} name - Backend name, see BACKEND_ORDER
+   * @param {Object} backend - Backend with canPlay, load, play, pause, seek, setVolume and unload
+   */
+  register(name, backend) {
+    this.backends[name] = backend;
+
+    backend.attach({
+      // Playback updates only count for the backend that is playing
+      change: (changes) => {
+        if (this.current === name) this.setState(changes);
+      },
+      ready: (isReady) => {
+        this.setState({ ready: { ...this.state.ready, [name]: isReady } });
+      },
+      ended: () => {
+        if (this.current === name) this.emit('ended', this.state.source);
+      },
+      error: (error) => {
+        if (this.current === name) this.fail(error);
+      }
+    });
+  }
+
+  /**
+   * Get a backend, e.g. to connect the Spotify SDK
+   * @param {string} name - Backend name
+   * @returns {Object} Backend
+   */
+  getBackend(name) {
+    return this.backends[name];
+  }
+
+  /**
+   * Listen to playback events
+   * @param {string} event - 'change', 'ended' or 'error'
+   * @param {Function} listener - Called with the state, source or error
+   * @returns {Function} Removes the listener
+   */
+  on(event, listener) {
+    this.listeners[event].add(listener);
+    return () => this.listeners[event].delete(listener);
+  }
+
+  emit(event, payload) {
+    this.listeners[event].forEach(listener => listener(payload));
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.emit('change', this.state);
+    if ('position' in changes) this.checkEnd();
+  }
+
+  // Stop at the end position, as if the source ended there. A crossfade ends
+  // it early without stopping, for the next source to fade in over it.
+  checkEnd() {
+    const { end, crossfade, position, isPlaying, source } = this.state;
+    if (end === null || !isPlaying) return;
+
+    if (crossfade > 0 && !this.endingEarly && position >= end - crossfade) {
+      this.endingEarly = true;
+      this.emit('ended', source);
+      return;
+    }
+    if (position < end) return;
+
+    this.setState({ end: null });
+    this.pause().catch(() => {});
+    if (!this.endingEarly) this.emit('ended', source);
+  }
+
+  fail(error) {
+    console.error('Playback error:', error);
+    this.setState({ isPlaying: false, error: error.message || String(error) });
+    this.emit('error', error);
+  }
+
+  /**
+   * Get the current state
+   * @returns {Object} { backend, source, track, isPlaying, position, duration, volume, end, crossfade, ready, error }
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Check whether a source is the one loaded
+   * @param {Object} source - Source
+   * @returns {boolean} True if it is loaded
+   */
+  isLoaded(source) {
+    return isSameSource(this.state.source, source);
+  }
+
+  /**
+   * Find the backend that would play a source
+   * @param {Object} source - Source
+   * @returns {string|null} Backend name, or null if none can play it
+   */
+  resolveBackend(source) {
+    return BACKEND_ORDER.find(name => this.backends[name]?.canPlay(source)) || null;
+  }
+
+  /**
+   * Load a source, stopping whatever played before
+   * @param {Object} source - { uri, appleId, url, track, duration }
+   * @param {Object} options - { autoplay = true, position = 0, end = null, crossfade = 0 },
+   *   end being the position to stop at and crossfade the seconds to fade
+   *   from the playing source into this one
+   */
+  async load(source, { autoplay = true, position = 0, end = null, crossfade = 0 } = {}) {
+    const name = this.resolveBackend(source);
+    if (!name) {
+      const error = new Error('No player available for this track');
+      this.fail(error);
+      throw error;
+    }
+
+    // Backends crossfade between their own sources, others are just stopped
+    const previous = this.current;
+    const fade = previous === name && this.state.isPlaying ? crossfade : 0;
+    this.current = name;
+    this.endingEarly = false;
+    if (previous && !fade) {
+      await this.backends[previous].unload().catch(err => console.error('Error stopping playback:', err));
+    }
+
+    this.setState({
+      backend: name,
+      source,
+      track: source.track || null,
+      isPlaying: false,
+      position,
+      duration: source.duration || 0,
+      end,
+      crossfade,
+      error: null
+    });
+
+    try {
+      await this.backends[name].load(source, { autoplay, position, volume: this.state.volume, crossfade: fade });
+    } catch (err) {
+      this.fail(err);
+      throw err;
+    }
+  }
+
+  // Run a command on the current backend
+  async command(method, ...args) {
+    const backend = this.backends[this.current];
+    if (!backend?.[method]) return;
+
+    try {
+      await backend[method](...args);
+    } catch (err) {
+      this.fail(err);
+      throw err;
+    }
+  }
+
+  play() {
+    return this.command('play');
+  }
+
+  pause() {
+    return this.command('pause');
+  }
+
+  toggle() {
+    return this.state.isPlaying ? this.pause() : this.play();
+  }
+
+  /**
+   * Jump to a position. Jumping past the end position plays on from there.
+   * @param {number} seconds - Position in seconds
+   */
+  seek(seconds) {
+    const { end } = this.state;
+    this.endingEarly = false;
+    this.setState({ position: seconds, end: end !== null && seconds >= end ? null : end });
+    return this.command('seek', seconds);
+  }
+
+  /**
+   * Play part of a source, then pause and emit 'ended' for it. Seeks if the
+   * source is already loaded on the backend that would play it.
+   * @param {Object} source - Source
+   * @param {number} start - Start position in seconds
+   * @param {number} end - End position in seconds
+   * @param {Object} options - { crossfade = 0 } seconds to fade into the segment
+   *   from what is playing, and out of it at its end
+   */
+  async playSegment(source, start, end, { crossfade = 0 } = {}) {
+    if (!this.isLoaded(source) || this.resolveBackend(source) !== this.current) {
+      return this.load(source, { position: start, end, crossfade });
+    }
+
+    this.endingEarly = false;
+    this.setState({ end: null });
+    await this.seek(start);
+    this.setState({ end, crossfade });
+    if (!this.state.isPlaying) await this.play();
+  }
+
+  /**
+   * Set the volume of every backend
+   * @param {number} volume - Volume between 0 and 1
+   */
+  async setVolume(volume) {
+    this.setState({ volume });
+    await Promise.all(Object.values(this.backends).map(backend => (
+      backend.setVolume(volume).catch(err => console.error('Error setting volume:', err))
+    )));
+  }
+
+  // Queue navigation, only the Spotify SDK has a queue
+  next() {
+    return this.command('next');
+  }
+
+  previous() {
+    return this.command('previous');
+  }
+
+  /**
+   * Stop playback and forget the source
+   */
+  async stop() {
+    const backend = this.backends[this.current];
+    this.current = null;
+    this.setState({ backend: null, source: null, track: null, isPlaying: false, position: 0, duration: 0, end: null, crossfade: 0 });
+    if (backend) await backend.unload();
+  }
+}
+
+const playbackService = new PlaybackService();
+playbackService.register('spotify', new SpotifySdkBackend({ name: 'Spotiyrec Web Player' }));
+playbackService.register('musickit', new MusicKitBackend());
+playbackService.register('preview', new HtmlAudioBackend());
+
+export default playbackService;
@@ -0,0 +1,77 @@
+import appleMusicService from '../appleMusicService';
+
+/**
+ * Playback backend for Apple Music songs, on MusicKit JS
+ *
+ * Takes sources with an `appleId` once the user authorized Apple Music;
+ * until then their preview URL plays in the preview backend instead.
+ */
+class MusicKitBackend {
+  constructor() {
+    this.music = null;
+    this.events = null;
+  }
+
+  attach(events) {
+    this.events = events;
+  }
+
+  // Configure MusicKit and listen to it, once
+  async getMusicKit() {
+    if (this.music) return this.music;
+
+    const music = await appleMusicService.initialize();
+    const { PlaybackStates } = window.MusicKit;
+
+    music.addEventListener('playbackStateDidChange', ({ state }) => {
+      this.events.change({ isPlaying: state === PlaybackStates.playing });
+      if (state === PlaybackStates.ended || state === PlaybackStates.completed) {
+        this.events.ended();
+      }
+    });
+    music.addEventListener('playbackTimeDidChange', () => {
+      this.events.change({ position: music.currentPlaybackTime });
+    });
+    music.addEventListener('playbackDurationDidChange', () => {
+      this.events.change({ duration: music.currentPlaybackDuration });
+    });
+
+    this.music = music;
+    this.events.ready(true);
+    return music;
+  }
+
+  canPlay(source) {
+    return Boolean(source?.appleId && appleMusicService.musicKit?.isAuthorized);
+  }
+
+  async load(source, { autoplay, position, volume }) {
+    const music = await this.getMusicKit();
+    music.volume = volume;
+    await music.setQueue({ song: source.appleId, startPlaying: false });
+    if (position > 0) await music.seekToTime(position);
+    if (autoplay) await music.play();
+  }
+
+  async play() {
+    await (await this.getMusicKit()).play();
+  }
+
+  async pause() {
+    this.music?.pause();
+  }
+
+  async seek(seconds) {
+    await this.music?.seekToTime(seconds);
+  }
+
+  async setVolume(volume) {
+    if (this.music) this.music.volume = volume;
+  }
+
+  async unload() {
+    if (this.music?.isPlaying) await this.music.stop();
+  }
+}
+
+export default MusicKitBackend;
@@ -0,0 +1,200 @@
+import { rampVolume } from './fade';
+
+/**
+ * Playback backend for full Spotify tracks, on the Web Playback SDK
+ *
+ * The SDK script is loaded and the Spotify.Player created once, when
+ * SpotifyContext connects it after login. Playing needs Spotify Premium.
+ * The SDK plays one stream, so crossfades fade out and back in.
+ */
+
+const SDK_URL = 'https://sdk.scdn.co/spotify-player.js';
+
+// How often the position is read from the SDK while playing
+const POSITION_INTERVAL = 500;
+
+let sdkPromise = null;
+
+// Load the SDK script once and wait for it to be ready
+const loadSdk = () => {
+  if (window.Spotify) return Promise.resolve(window.Spotify);
+
+  if (!sdkPromise) {
+    sdkPromise = new Promise((resolve) => {
+      window.onSpotifyWebPlaybackSDKReady = () => resolve(window.Spotify);
+
+      const script = document.createElement('script');
+      script.src = SDK_URL;
+      script.async = true;
+      document.body.appendChild(script);
+    });
+  }
+
+  return sdkPromise;
+};
+
+class SpotifySdkBackend {
+  constructor({ name }) {
+    this.name = name;
+    this.player = null;
+    this.deviceId = null;
+    this.spotifyApi = null;
+    this.getAccessToken = null;
+    this.events = null;
+    this.volume = 0.7;
+    this.positionTimer = null;
+    this.wasPlaying = false;
+  }
+
+  attach(events) {
+    this.events = events;
+  }
+
+  /**
+   * Create the player and make it a Spotify Connect device
+   * @param {Object} options - { getAccessToken, spotifyApi }; the token is
+   *   read whenever the SDK needs one, so refreshed tokens are picked up
+   */
+  async connect({ getAccessToken, spotifyApi }) {
+    this.getAccessToken = getAccessToken;
+    this.spotifyApi = spotifyApi;
+    if (this.player) return;
+
+    const Spotify = await loadSdk();
+    const player = new Spotify.Player({
+      name: this.name,
+      getOAuthToken: cb => { cb(this.getAccessToken()); },
+      volume: this.volume
+    });
+    this.player = player;
+
+    // Error handling
+    ['initialization_error', 'authentication_error', 'account_error', 'playback_error'].forEach(type => {
+      player.addListener(type, ({ message }) => {
+        console.error(`Spotify player ${type.replace('_', ' ')}:`, message);
+        this.events.error(new Error(message));
+      });
+    });
+
+    player.addListener('ready', ({ device_id }) => {
+      console.log('Ready with Device ID', device_id);
+      this.deviceId = device_id;
+      this.events.ready(true);
+
+      // Transfer playback to this device
+      this.spotifyApi.transferMyPlayback([device_id], { play: false })
+        .then(() => console.log('Transferred playback to current device'))
+        .catch(err => console.error('Error transferring playback:', err));
+    });
+
+    player.addListener('not_ready', ({ device_id }) => {
+      console.log('Device ID has gone offline', device_id);
+      this.deviceId = null;
+      this.events.ready(false);
+    });
+
+    player.addListener('player_state_changed', state => {
+      if (!state) return;
+
+      this.events.change({
+        track: state.track_window.current_track,
+        isPlaying: !state.paused,
+        position: state.position / 1000,
+        duration: state.duration / 1000
+      });
+
+      // The SDK has no ended event: a track that stops at 0 after playing ended
+      if (this.wasPlaying && state.paused && state.position === 0) {
+        this.events.ended();
+      }
+      this.wasPlaying = !state.paused;
+
+      if (state.paused) {
+        this.stopPositionUpdates();
+      } else {
+        this.startPositionUpdates();
+      }
+    });
+
+    const connected = await player.connect();
+    if (connected) console.log('Connected to Spotify Web Playback SDK');
+  }
+
+  disconnect() {
+    this.stopPositionUpdates();
+    if (this.player) this.player.disconnect();
+    this.player = null;
+    this.deviceId = null;
+    this.wasPlaying = false;
+    this.events.ready(false);
+  }
+
+  startPositionUpdates() {
+    if (this.positionTimer) return;
+    this.positionTimer = setInterval(async () => {
+      const state = await this.player?.getCurrentState();
+      if (state) this.events.change({ position: state.position / 1000 });
+    }, POSITION_INTERVAL);
+  }
+
+  stopPositionUpdates() {
+    clearInterval(this.positionTimer);
+    this.positionTimer = null;
+  }
+
+  canPlay(source) {
+    return Boolean(source?.uri?.startsWith('spotify:') && this.deviceId);
+  }
+
+  async load(source, { autoplay, position, crossfade = 0 }) {
+    const setVolume = volume => this.player.setVolume(volume);
+    if (crossfade > 0) {
+      await rampVolume({ from: this.volume, to: 0, duration: crossfade / 2, set: setVolume }).promise;
+    }
+
+    this.wasPlaying = false;
+    await this.spotifyApi.play({
+      device_id: this.deviceId,
+      uris: [source.uri],
+      position_ms: Math.round(position * 1000)
+    });
+    if (!autoplay) await this.player.pause();
+
+    if (crossfade > 0) {
+      rampVolume({ from: 0, to: this.volume, duration: crossfade / 2, set: setVolume });
+    }
+  }
+
+  async play() {
+    await this.player?.resume();
+  }
+
+  async pause() {
+    await this.player?.pause();
+  }
+
+  async seek(seconds) {
+    await this.player?.seek(Math.round(seconds * 1000));
+  }
+
+  async setVolume(volume) {
+    this.volume = volume;
+    await this.player?.setVolume(volume);
+  }
+
+  async next() {
+    await this.player?.nextTrack();
+  }
+
+  async previous() {
+    await this.player?.previousTrack();
+  }
+
+  async unload() {
+    this.stopPositionUpdates();
+    this.wasPlaying = false;
+    if (this.player) await this.player.pause();
+  }
+}
+
+export default SpotifySdkBackend;
@@ -1,6 +1,5 @@
 import axios from 'axios';
-
-const API_BASE_URL = 'http://localhost:4000';
+import { API_BASE_URL } from './config';
 
 // Create axios instance with base URL
 const api = axios.create({
@@ -34,10 +33,11 @@ api.interceptors.response.use(
         // Get refresh token from local storage
         const refreshToken = localStorage.getItem('spotify_refresh_token');
         
+        // Without one the tokens may be held in the server session: have the
+        // server refresh them, then retry with the same session cookie
         if (!refreshToken) {
-          // No refresh token, redirect to login
-          window.location.href = '/';
-          return Promise.reject(error);
+          await axios.post(`${API_BASE_URL}/auth/refresh`, {}, { withCredentials: true });
+          return api(originalRequest);
         }
         
         // Request new access token
@@ -45,18 +45,23 @@ api.interceptors.response.use(
           refreshToken,
         });
         
-        const { accessToken } = response.data;
+        const { accessToken, refreshToken: rotatedRefreshToken } = response.data;
         
         // Save new access token
         localStorage.setItem('spotify_access_token', accessToken);
         
+        // PKCE logins get a new refresh token with every refresh
+        if (rotatedRefreshToken) {
+          localStorage.setItem('spotify_refresh_token', rotatedRefreshToken);
+        }
+        
         // Update authorization header
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         
         // Retry original request
         return api(originalRequest);
       } catch (refreshError) {
-        // Refresh token failed, redirect to login
+        // Refresh failed (or there was nothing to refresh), redirect to login
         localStorage.removeItem('spotify_access_token');
         localStorage.removeItem('spotify_refresh_token');
         window.location.href = '/';
@@ -82,17 +87,35 @@ const apiService = {
   getSavedAlbums: (params) => api.get('/api/albums', { params }),
   getAlbum: (id) => api.get(`/api/albums/${id}`),
   getAlbumTracks: (id, params) => api.get(`/api/albums/${id}/tracks`, { params }),
+  getAlbumHighlights: (id, params) => api.get(`/api/albums/${id}/highlights`, { params }),
   searchAlbums: (query, params) => api.get('/api/search/albums', { params: { q: query, ...params } }),
   getNewReleases: (params) => api.get('/api/browse/new-releases', { params }),
   
   // Tracks
   getTrackFeatures: (id) => api.get(`/api/tracks/${id}/features`),
   getTrackAnalysis: (id) => api.get(`/api/tracks/${id}/analysis`),
-  getTrackHighlights: (id) => api.get(`/api/tracks/${id}/highlights`),
+  getTrackHighlights: (id, params) => api.get(`/api/tracks/${id}/highlights`, { params }),
+  getCustomHighlights: (id) => api.get(`/api/tracks/${id}/highlights/custom`),
+  saveCustomHighlights: (id, highlights) => api.post(`/api/tracks/${id}/highlights/custom`, { highlights }),
+  deleteCustomHighlights: (id, highlightId) => api.delete(`/api/tracks/${id}/highlights/custom${highlightId ? `/${highlightId}` : ''}`),
+  
+  // Shared highlights, also without a login
+  getSharedTrack: (id, params) => api.get(`/api/share/tracks/${id}`, { params }),
+  
+  // Playlists
+  createPlaylistFromHighlights: (options) => api.post('/api/playlists/from-highlights', options),
+  
+  // Exports, downloaded as files
+  exportAlbumHighlights: (id, format) => api.get(`/api/albums/${id}/highlights/export`, { params: { format }, responseType: 'blob' }),
+  exportHighlights: (format, session) => api.post('/api/highlights/export', session, { params: { format }, responseType: 'blob' }),
   
   // Recommendations
   getRecommendations: (params) => api.get('/api/recommendations', { params }),
+  getLocalRecommendations: (params) => api.get('/api/recommendations/local', { params }),
   getFeaturedPlaylists: (params) => api.get('/api/browse/featured-playlists', { params }),
+  
+  // Moods of the user's library
+  getMoodLibrary: (params) => api.get('/api/moods/library', { params }),
 };
 
 export default apiService; 
\ No newline at end of file
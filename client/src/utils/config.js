@@ -0,0 +1,18 @@
+/**
+ * URLs of the app server and the Spotify Web API
+ *
+ * Set in client/.env (or .env.local) to develop against the mock server:
+ *
+ * VITE_API_URL          This app's server (default http://localhost:4000)
+ * VITE_SPOTIFY_API_URL  Spotify Web API for calls made from the browser
+ *                       (default https://api.spotify.com/v1)
+ */
+
+import { DEFAULT_SPOTIFY_API_URL } from '@shared/spotify';
+
+// Strip trailing slashes so paths can be appended
+const trimUrl = (url) => url.replace(/\/+$/, '');
+
+export const API_BASE_URL = trimUrl(import.meta.env.VITE_API_URL || 'http://localhost:4000');
+
+export const SPOTIFY_API_URL = trimUrl(import.meta.env.VITE_SPOTIFY_API_URL || DEFAULT_SPOTIFY_API_URL);
@@ -11,7 +11,10 @@ export const STORAGE_KEYS = {
   THEME: 'app_theme',
   RECENTLY_PLAYED: 'recently_played_albums',
   VOLUME: 'player_volume',
-  FAVORITES: 'favorite_albums'
+  FAVORITES: 'favorite_albums',
+  ALBUM_ANALYSES: 'album_analyses',
+  COMPARE_ALBUMS: 'compare_albums',
+  ADVENTUROUS: 'recommendation_adventurous'
 };
 
 /**
@@ -229,4 +232,97 @@ export const isFavorite = (albumId) => {
 export const getFavorites = () => {
   const favorites = getStorageItem(STORAGE_KEYS.FAVORITES, {});
   return Object.values(favorites);
-}; 
\ No newline at end of file
+}; 
+
+// How long an album analysis stays cached, and how many albums are kept
+const ALBUM_ANALYSIS_TTL = 7 * 24 * 60 * 60 * 1000;
+const MAX_ALBUM_ANALYSES = 50;
+
+/**
+ * Get the cached analysis of an album
+ * @param {string} albumId - Album ID
+ * @returns {Object|null} Album analysis, or null if not cached or expired
+ */
+export const getCachedAlbumAnalysis = (albumId) => {
+  if (!albumId) return null;
+  
+  const analyses = getStorageItem(STORAGE_KEYS.ALBUM_ANALYSES, {});
+  const entry = analyses[albumId];
+  if (!entry || new Date().getTime() - entry.cachedAt > ALBUM_ANALYSIS_TTL) return null;
+  
+  return entry.analysis;
+};
+
+/**
+ * Cache the analysis of an album, dropping the oldest beyond the limit
+ * @param {string} albumId - Album ID
+ * @param {Object} analysis - Album analysis
+ */
+export const cacheAlbumAnalysis = (albumId, analysis) => {
+  if (!albumId || !analysis) return;
+  
+  const analyses = getStorageItem(STORAGE_KEYS.ALBUM_ANALYSES, {});
+  analyses[albumId] = { analysis, cachedAt: new Date().getTime() };
+  
+  const kept = Object.entries(analyses)
+    .sort((a, b) => b[1].cachedAt - a[1].cachedAt)
+    .slice(0, MAX_ALBUM_ANALYSES);
+  setStorageItem(STORAGE_KEYS.ALBUM_ANALYSES, Object.fromEntries(kept));
+}; 
+
+// Most albums compared side by side
+export const MAX_COMPARE_ALBUMS = 4;
+
+/**
+ * Get the albums picked for comparison
+ * @returns {Array} Album IDs, in the order they were added
+ */
+export const getCompareAlbums = () => {
+  return getStorageItem(STORAGE_KEYS.COMPARE_ALBUMS, []);
+};
+
+/**
+ * Set the albums picked for comparison
+ * @param {Array} albumIds - Album IDs, at most MAX_COMPARE_ALBUMS are kept
+ */
+export const setCompareAlbums = (albumIds) => {
+  setStorageItem(STORAGE_KEYS.COMPARE_ALBUMS, albumIds.slice(0, MAX_COMPARE_ALBUMS));
+};
+
+/**
+ * Add an album to the comparison, or take it out if it's in it. A full
+ * comparison drops its oldest album.
+ * @param {string} albumId - Album ID
+ * @returns {boolean} True if the album is now in the comparison
+ */
+export const toggleCompareAlbum = (albumId) => {
+  if (!albumId) return false;
+  
+  const albumIds = getCompareAlbums();
+  if (albumIds.includes(albumId)) {
+    setCompareAlbums(albumIds.filter(id => id !== albumId));
+    return false;
+  }
+  
+  setCompareAlbums([...albumIds, albumId].slice(-MAX_COMPARE_ALBUMS));
+  return true;
+}; 
+
+// Where recommendations start on the familiar (0) to adventurous (1) scale
+export const DEFAULT_ADVENTUROUS = 0.3;
+
+/**
+ * Get how adventurous recommendations should be
+ * @returns {number} Between 0 (familiar) and 1 (adventurous)
+ */
+export const getAdventurous = () => {
+  return getStorageItem(STORAGE_KEYS.ADVENTUROUS, DEFAULT_ADVENTUROUS);
+};
+
+/**
+ * Set how adventurous recommendations should be
+ * @param {number} value - Between 0 (familiar) and 1 (adventurous)
+ */
+export const setAdventurous = (value) => {
+  setStorageItem(STORAGE_KEYS.ADVENTUROUS, Math.min(Math.max(value, 0), 1));
+};
@@ -7,6 +7,29 @@
  * personalized recommendations.
  */
 
+import { detectHighlights, fallbackHighlights, mergeHighlights, overlaps } from '@shared/highlights';
+import { getFeatureSimilarity } from '@shared/recommendations';
+import { getKeyName } from '@shared/mixing';
+import { CHARACTERISTIC_THRESHOLDS } from '@shared/moods';
+
+// The user's own highlights before detected ones, shared with the server
+export { mergeHighlights };
+
+// The server refuses overlapping highlights of the user's own
+export { overlaps };
+
+// Key names, shared with the harmonic mixing module
+export { getKeyName };
+
+// Features calculateTrackSimilarity compares
+const SIMILARITY_WEIGHTS = {
+  energy: 1,
+  danceability: 1,
+  valence: 1,
+  acousticness: 1,
+  instrumentalness: 1
+};
+
 /**
  * Analyzes audio features to determine the musical characteristics of a track
  * 
@@ -19,60 +42,60 @@ export const analyzeTrackCharacteristics = (features) => {
   const characteristics = {
     energy: {
       value: features.energy,
-      label: features.energy > 0.7 ? 'High Energy' : 
-             features.energy < 0.4 ? 'Low Energy' : 'Moderate Energy',
-      description: features.energy > 0.7 ? 
+      label: features.energy > CHARACTERISTIC_THRESHOLDS.energy.high ? 'High Energy' : 
+             features.energy < CHARACTERISTIC_THRESHOLDS.energy.low ? 'Low Energy' : 'Moderate Energy',
+      description: features.energy > CHARACTERISTIC_THRESHOLDS.energy.high ? 
         'This track has high intensity and activity' : 
-        features.energy < 0.4 ? 
+        features.energy < CHARACTERISTIC_THRESHOLDS.energy.low ? 
         'This track has a calm, relaxed feel' : 
         'This track has a balanced energy level'
     },
     
     danceability: {
       value: features.danceability,
-      label: features.danceability > 0.7 ? 'Very Danceable' : 
-             features.danceability < 0.4 ? 'Less Danceable' : 'Moderately Danceable',
-      description: features.danceability > 0.7 ? 
+      label: features.danceability > CHARACTERISTIC_THRESHOLDS.danceability.high ? 'Very Danceable' : 
+             features.danceability < CHARACTERISTIC_THRESHOLDS.danceability.low ? 'Less Danceable' : 'Moderately Danceable',
+      description: features.danceability > CHARACTERISTIC_THRESHOLDS.danceability.high ? 
         'This track has a strong, danceable rhythm' : 
-        features.danceability < 0.4 ? 
+        features.danceability < CHARACTERISTIC_THRESHOLDS.danceability.low ? 
         'This track has a less conventional rhythm for dancing' : 
         'This track has a moderate dance rhythm'
     },
     
     valence: {
       value: features.valence,
-      label: features.valence > 0.7 ? 'Positive' : 
-             features.valence < 0.3 ? 'Melancholic' : 'Neutral',
-      description: features.valence > 0.7 ? 
+      label: features.valence > CHARACTERISTIC_THRESHOLDS.valence.high ? 'Positive' : 
+             features.valence < CHARACTERISTIC_THRESHOLDS.valence.low ? 'Melancholic' : 'Neutral',
+      description: features.valence > CHARACTERISTIC_THRESHOLDS.valence.high ? 
         'This track conveys positive, happy emotions' : 
-        features.valence < 0.3 ? 
+        features.valence < CHARACTERISTIC_THRESHOLDS.valence.low ? 
         'This track conveys negative emotions like sadness' : 
         'This track has a balanced emotional tone'
     },
     
     acousticness: {
       value: features.acousticness,
-      label: features.acousticness > 0.7 ? 'Acoustic' : 
-             features.acousticness < 0.3 ? 'Electronic' : 'Mixed',
-      description: features.acousticness > 0.7 ? 
+      label: features.acousticness > CHARACTERISTIC_THRESHOLDS.acousticness.high ? 'Acoustic' : 
+             features.acousticness < CHARACTERISTIC_THRESHOLDS.acousticness.low ? 'Electronic' : 'Mixed',
+      description: features.acousticness > CHARACTERISTIC_THRESHOLDS.acousticness.high ? 
         'This track features primarily acoustic instruments' : 
-        features.acousticness < 0.3 ? 
+        features.acousticness < CHARACTERISTIC_THRESHOLDS.acousticness.low ? 
         'This track features primarily electronic elements' : 
         'This track blends acoustic and electronic elements'
     },
     
     instrumentalness: {
       value: features.instrumentalness,
-      label: features.instrumentalness > 0.5 ? 'Instrumental' : 'Vocal',
-      description: features.instrumentalness > 0.5 ? 
+      label: features.instrumentalness > CHARACTERISTIC_THRESHOLDS.instrumentalness.high ? 'Instrumental' : 'Vocal',
+      description: features.instrumentalness > CHARACTERISTIC_THRESHOLDS.instrumentalness.high ? 
         'This track contains few or no vocals' : 
         'This track features prominent vocals'
     },
     
     tempo: {
       value: features.tempo,
-      label: features.tempo > 120 ? 'Fast' : 
-             features.tempo < 80 ? 'Slow' : 'Moderate',
+      label: features.tempo > CHARACTERISTIC_THRESHOLDS.tempo.high ? 'Fast' : 
+             features.tempo < CHARACTERISTIC_THRESHOLDS.tempo.low ? 'Slow' : 'Moderate',
       description: `This track has a tempo of ${Math.round(features.tempo)} BPM`
     },
     
@@ -87,158 +110,29 @@ export const analyzeTrackCharacteristics = (features) => {
 };
 
 /**
- * Find the most engaging segments of a track based on audio analysis
+ * Find the most engaging segments of a track based on audio analysis.
+ * Uses the shared highlight engine so results match the server's
+ * /tracks/:id/highlights endpoint.
  * @param {Object} analysis - The audio analysis data from Spotify API
  * @param {Object} features - The audio features data from Spotify API
- * @param {Object} options - Options for highlight detection
- * @returns {Array} - Array of highlight segments with start time and duration
+ * @param {Object} options - Options for highlight detection (e.g. minSegmentScore,
+ *   maxDuration, snapToBeats, phraseBars: 4, 8 or 16 to cut whole phrases)
+ * @returns {Array} - Array of highlights ({ start, duration, score, reason, ... })
  */
 export const findHighlightSegments = (analysis, features, options = {}) => {
-  // Default options
-  const {
-    maxHighlights = 3,
-    minDuration = 20,
-    maxDuration = 30,
-    minSegmentScore = 0.6
-  } = options;
+  const { minSegmentScore, ...engineOptions } = options;
   
-  // Check if we have limited data (e.g., from a free Spotify account)
-  const isLimited = analysis?._limited || features?._limited;
-  
-  // If we have limited data or missing analysis, create a default highlight
-  if (isLimited || !analysis || !features || !analysis.sections || analysis.sections.length === 0) {
-    console.log('Limited data available for highlight detection, using fallback method');
-    
-    // Create a default highlight at the beginning of the track
-    return [{
-      start: 0,
-      duration: 30,
-      energy: features?.energy || 0.5,
-      loudness: features?.loudness || -10,
-      tempo: features?.tempo || 120,
-      score: 0.7,
-      reason: 'Preview segment'
-    }];
+  if (minSegmentScore !== undefined) {
+    engineOptions.minScore = minSegmentScore;
   }
   
   try {
-    // Get track sections from analysis
-    const { sections, segments, track } = analysis;
-    
-    // Calculate section scores based on energy, loudness, and tempo
-    const sectionScores = sections.map(section => {
-      // Calculate base score from section properties
-      const energyScore = section.energy * 1.2; // Weight energy more heavily
-      const loudnessScore = Math.min(1, Math.max(0, (section.loudness + 30) / 30)); // Normalize loudness
-      const tempoScore = Math.min(1, section.tempo / 160); // Normalize tempo
-      
-      // Calculate section density (number of segments per second)
-      const sectionSegments = segments.filter(seg => 
-        seg.start >= section.start && seg.start < (section.start + section.duration)
-      );
-      const segmentDensity = sectionSegments.length / section.duration;
-      const densityScore = Math.min(1, segmentDensity / 5); // Normalize density
-      
-      // Combine scores with weights
-      const score = (
-        energyScore * 0.4 + 
-        loudnessScore * 0.3 + 
-        tempoScore * 0.2 + 
-        densityScore * 0.1
-      );
-      
-      return {
-        start: section.start,
-        duration: section.duration,
-        energy: section.energy,
-        loudness: section.loudness,
-        tempo: section.tempo,
-        score,
-        reason: score > 0.8 ? 'High energy section' : 
-                loudnessScore > 0.8 ? 'Prominent, loud section' : 
-                tempoScore > 0.8 ? 'Fast-paced section' : 
-                'Key musical moment'
-      };
-    });
-    
-    // Sort sections by score (descending)
-    const sortedSections = [...sectionScores].sort((a, b) => b.score - a.score);
-    
-    // Filter sections that meet minimum criteria
-    const candidateSections = sortedSections.filter(section => 
-      section.score >= minSegmentScore && section.duration >= minDuration
-    );
-    
-    // If no sections meet criteria, use the highest scoring section
-    if (candidateSections.length === 0 && sortedSections.length > 0) {
-      const bestSection = sortedSections[0];
-      
-      // Ensure minimum duration
-      const adjustedDuration = Math.min(
-        Math.max(bestSection.duration, minDuration),
-        maxDuration
-      );
-      
-      return [{
-        ...bestSection,
-        duration: adjustedDuration
-      }];
-    }
-    
-    // Select top N non-overlapping sections
-    const selectedHighlights = [];
-    
-    for (const section of candidateSections) {
-      // Skip if we already have enough highlights
-      if (selectedHighlights.length >= maxHighlights) break;
-      
-      // Adjust duration to be within limits
-      const adjustedDuration = Math.min(section.duration, maxDuration);
-      
-      // Check for overlap with existing highlights
-      const overlaps = selectedHighlights.some(highlight => {
-        const highlightEnd = highlight.start + highlight.duration;
-        const sectionEnd = section.start + adjustedDuration;
-        
-        return (
-          (section.start >= highlight.start && section.start < highlightEnd) ||
-          (sectionEnd > highlight.start && sectionEnd <= highlightEnd) ||
-          (section.start <= highlight.start && sectionEnd >= highlightEnd)
-        );
-      });
-      
-      // Add if no overlap
-      if (!overlaps) {
-        selectedHighlights.push({
-          ...section,
-          duration: adjustedDuration
-        });
-      }
-    }
-    
-    // If we couldn't find non-overlapping sections, just take the top N
-    if (selectedHighlights.length === 0 && sortedSections.length > 0) {
-      return sortedSections.slice(0, maxHighlights).map(section => ({
-        ...section,
-        duration: Math.min(section.duration, maxDuration)
-      }));
-    }
-    
-    // Sort highlights by start time
-    return selectedHighlights.sort((a, b) => a.start - b.start);
+    return detectHighlights(analysis, features, engineOptions);
   } catch (error) {
     console.error('Error finding highlight segments:', error);
     
     // Return a default highlight as fallback
-    return [{
-      start: 0,
-      duration: 30,
-      energy: features?.energy || 0.5,
-      loudness: features?.loudness || -10,
-      tempo: features?.tempo || 120,
-      score: 0.7,
-      reason: 'Preview segment'
-    }];
+    return fallbackHighlights(0, engineOptions);
   }
 };
 
@@ -256,23 +150,23 @@ export const generateRecommendationReasons = (track, features, userPreferences =
   const reasons = [];
   
   // Based on audio features
-  if (features.energy > 0.7) {
+  if (features.energy > CHARACTERISTIC_THRESHOLDS.energy.high) {
     reasons.push('High energy track that matches your preference for energetic music');
   }
   
-  if (features.danceability > 0.7) {
+  if (features.danceability > CHARACTERISTIC_THRESHOLDS.danceability.high) {
     reasons.push('Highly danceable rhythm similar to other tracks you enjoy');
   }
   
-  if (features.valence > 0.7) {
+  if (features.valence > CHARACTERISTIC_THRESHOLDS.valence.high) {
     reasons.push('Upbeat and positive mood that aligns with your listening patterns');
   }
   
-  if (features.acousticness > 0.7) {
+  if (features.acousticness > CHARACTERISTIC_THRESHOLDS.acousticness.high) {
     reasons.push('Acoustic elements that match your interest in organic sounds');
   }
   
-  if (features.instrumentalness > 0.5) {
+  if (features.instrumentalness > CHARACTERISTIC_THRESHOLDS.instrumentalness.high) {
     reasons.push('Instrumental composition with minimal vocals');
   }
   
@@ -307,19 +201,6 @@ export const generateRecommendationReasons = (track, features, userPreferences =
   return reasons.slice(0, 3); // Limit to 3 reasons
 };
 
-/**
- * Gets the musical key name from the pitch class and mode
- * 
- * @param {number} key - Pitch class (0-11)
- * @param {number} mode - Mode (0 = minor, 1 = major)
- * @returns {string} Key name (e.g., "C Major")
- */
-export const getKeyName = (key, mode) => {
-  const keys = ['C', 'C♯/D♭', 'D', 'D♯/E♭', 'E', 'F', 'F♯/G♭', 'G', 'G♯/A♭', 'A', 'A♯/B♭', 'B'];
-  const modeName = mode ? 'Major' : 'Minor';
-  return key >= 0 ? `${keys[key]} ${modeName}` : 'Unknown';
-};
-
 /**
  * Calculates the similarity score between two tracks based on their audio features
  * 
@@ -330,20 +211,38 @@ export const getKeyName = (key, mode) => {
 export const calculateTrackSimilarity = (features1, features2) => {
   if (!features1 || !features2) return 0;
   
-  // Calculate Euclidean distance between feature vectors
-  const energyDiff = Math.pow(features1.energy - features2.energy, 2);
-  const danceabilityDiff = Math.pow(features1.danceability - features2.danceability, 2);
-  const valenceDiff = Math.pow(features1.valence - features2.valence, 2);
-  const acousticnessDiff = Math.pow(features1.acousticness - features2.acousticness, 2);
-  const instrumentalnessDiff = Math.pow(features1.instrumentalness - features2.instrumentalness, 2);
-  
-  // Calculate distance (0-sqrt(5))
-  const distance = Math.sqrt(
-    energyDiff + danceabilityDiff + valenceDiff + acousticnessDiff + instrumentalnessDiff
-  );
-  
-  // Convert to similarity score (0-1)
-  const similarity = Math.max(0, 1 - (distance / Math.sqrt(5)));
-  
-  return similarity;
+  // Equal weights over mood and texture, the same distance the local
+  // recommendation engine uses
+  return getFeatureSimilarity(features1, features2, SIMILARITY_WEIGHTS);
+}; 
+
+/**
+ * Calculates how similar the tracks of two albums are: each track's closest
+ * match on the other album, averaged over the tracks of both
+ * 
+ * @param {Array} items1 - { track, features } of the first album
+ * @param {Array} items2 - { track, features } of the second album
+ * @returns {Object|null} { score, pairs } with score between 0 and 1 and pairs
+ *   [{ track1, track2, similarity }] of each first-album track's closest match,
+ *   closest first; null when either album has no features
+ */
+export const calculateAlbumSimilarity = (items1, items2) => {
+  const analyzed1 = items1.filter(item => item.features);
+  const analyzed2 = items2.filter(item => item.features);
+  if (!analyzed1.length || !analyzed2.length) return null;
+  
+  const matrix = analyzed1.map(a => analyzed2.map(b => calculateTrackSimilarity(a.features, b.features)));
+  const best1 = matrix.map(row => Math.max(...row));
+  const best2 = analyzed2.map((_, column) => Math.max(...matrix.map(row => row[column])));
+  
+  const pairs = analyzed1.map((item, row) => {
+    const column = matrix[row].indexOf(best1[row]);
+    return { track1: item.track, track2: analyzed2[column].track, similarity: best1[row] };
+  });
+  
+  const all = [...best1, ...best2];
+  return {
+    score: all.reduce((sum, similarity) => sum + similarity, 0) / all.length,
+    pairs: pairs.sort((a, b) => b.similarity - a.similarity)
+  };
 }; 
\ No newline at end of file
@@ -1,14 +1,26 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'url'
+
+// Code shared with the server (e.g. highlight detection) lives in ../shared
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url))
 
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      '@shared': sharedDir,
+    },
+  },
   server: {
     watch: {
       usePolling: true,
       interval: 300, // Check files every 300ms
     },
     host: '0.0.0.0',
+    fs: {
+      allow: ['.', sharedDir],
+    },
   }
 })
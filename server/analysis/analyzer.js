@@ -0,0 +1,542 @@
+/**
+ * Offline audio analyzer
+ *
+ * Computes an approximation of Spotify's audio analysis from raw samples so
+ * the highlight engine has real data to work with when the Web API refuses
+ * `audio-analysis` (403 for apps without extended access). The output has
+ * the same shape as Spotify's response: track, bars, beats, tatums, sections
+ * and segments.
+ *
+ * - Loudness comes from frame RMS in dB
+ * - Onsets are peaks of the spectral flux, and become segment boundaries
+ * - Tempo is the strongest autocorrelation lag of the onset envelope
+ * - Sections are cut at peaks of a checkerboard novelty curve over the
+ *   self-similarity of chroma and spectral band energies
+ *
+ * Segment `pitches` are a 12-bin chroma as in Spotify's analysis. Segment
+ * `timbre` holds 12 log band energies, which only loosely resembles
+ * Spotify's timbre basis but works the same for similarity comparisons.
+ */
+
+// Frame length in seconds, rounded to a power of two in samples
+const FRAME_SECONDS = 0.046;
+
+// Frames overlap by three quarters
+const HOP_RATIO = 4;
+
+// Quietest level reported, in dB
+const LOUDNESS_FLOOR = -60;
+
+// Tempo search range and prior (beats per minute)
+const MIN_TEMPO = 60;
+const MAX_TEMPO = 200;
+const PREFERRED_TEMPO = 120;
+
+// Shortest gap between two onsets, in seconds
+const MIN_ONSET_GAP = 0.05;
+
+// Number of bands used for the timbre-like descriptor
+const BAND_COUNT = 12;
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} real - Real part, length a power of two
+ * @param {Float64Array} imag - Imaginary part
+ */
+const fft = (real, imag) => {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1;
+      let wImag = 0;
+
+      for (let k = 0; k < size / 2; k++) {
+        const even = start + k;
+        const odd = even + size / 2;
+        const tReal = wReal * real[odd] - wImag * imag[odd];
+        const tImag = wReal * imag[odd] + wImag * real[odd];
+
+        real[odd] = real[even] - tReal;
+        imag[odd] = imag[even] - tImag;
+        real[even] += tReal;
+        imag[even] += tImag;
+
+        [wReal, wImag] = [wReal * stepReal - wImag * stepImag, wReal * stepImag + wImag * stepReal];
+      }
+    }
+  }
+};
+
+/**
+ * Convert a mean square amplitude to dB, clamped to the loudness floor
+ * @param {number} power - Mean square amplitude
+ * @returns {number} Level in dB
+ */
+const toDecibels = (power) => Math.max(LOUDNESS_FLOOR, 10 * Math.log10(power || 1e-12));
+
+const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+
+// Value below which a fraction of the values fall, robust against outliers
+const percentile = (values, fraction) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+};
+
+const round = (value, digits = 5) => Number(value.toFixed(digits));
+
+/**
+ * Split the samples into overlapping frames and describe each one
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} { hopSeconds, loudness, flux, chroma, bands } per frame
+ */
+const analyzeFrames = (samples, sampleRate) => {
+  const frameSize = 2 ** Math.round(Math.log2(FRAME_SECONDS * sampleRate));
+  const hop = frameSize / HOP_RATIO;
+  const frameCount = Math.max(1, Math.floor((samples.length - frameSize) / hop) + 1);
+  const binCount = frameSize / 2;
+
+  const window = new Float64Array(frameSize);
+  for (let i = 0; i < frameSize; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frameSize - 1));
+  }
+
+  // Pitch class of every FFT bin between A1 and roughly C8, -1 outside
+  const pitchClass = new Int8Array(binCount).fill(-1);
+  for (let bin = 1; bin < binCount; bin++) {
+    const frequency = bin * sampleRate / frameSize;
+    if (frequency < 55 || frequency > 4200) continue;
+    pitchClass[bin] = ((Math.round(12 * Math.log2(frequency / 440)) + 69) % 12 + 12) % 12;
+  }
+
+  // Log-spaced bands from 40 Hz to 16 kHz (or Nyquist)
+  const maxFrequency = Math.min(16000, sampleRate / 2);
+  const bandOf = new Int8Array(binCount).fill(-1);
+  for (let bin = 1; bin < binCount; bin++) {
+    const frequency = bin * sampleRate / frameSize;
+    if (frequency < 40 || frequency > maxFrequency) continue;
+    const position = Math.log(frequency / 40) / Math.log(maxFrequency / 40);
+    bandOf[bin] = Math.min(BAND_COUNT - 1, Math.floor(position * BAND_COUNT));
+  }
+
+  const loudness = new Float64Array(frameCount);
+  const flux = new Float64Array(frameCount);
+  const chroma = [];
+  const bands = [];
+
+  const real = new Float64Array(frameSize);
+  const imag = new Float64Array(frameSize);
+  let previous = new Float64Array(binCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = frame * hop;
+    let power = 0;
+
+    for (let i = 0; i < frameSize; i++) {
+      const sample = samples[offset + i] || 0;
+      power += sample * sample;
+      real[i] = sample * window[i];
+      imag[i] = 0;
+    }
+
+    loudness[frame] = toDecibels(power / frameSize);
+    fft(real, imag);
+
+    const frameChroma = new Array(12).fill(0);
+    const frameBands = new Array(BAND_COUNT).fill(0);
+    const current = new Float64Array(binCount);
+    let frameFlux = 0;
+
+    for (let bin = 1; bin < binCount; bin++) {
+      const energy = real[bin] * real[bin] + imag[bin] * imag[bin];
+      current[bin] = Math.log1p(100 * Math.sqrt(energy));
+      frameFlux += Math.max(0, current[bin] - previous[bin]);
+
+      if (pitchClass[bin] >= 0) frameChroma[pitchClass[bin]] += energy;
+      if (bandOf[bin] >= 0) frameBands[bandOf[bin]] += energy;
+    }
+
+    flux[frame] = frame === 0 ? 0 : frameFlux / binCount;
+    chroma.push(frameChroma);
+    bands.push(frameBands.map(energy => toDecibels(energy / frameSize)));
+    previous = current;
+  }
+
+  return { hopSeconds: hop / sampleRate, loudness, flux, chroma, bands };
+};
+
+/**
+ * Pick onsets from the spectral flux with an adaptive threshold
+ * @param {Float64Array} flux - Onset strength per frame
+ * @param {number} hopSeconds - Seconds between frames
+ * @returns {Array} Onset frame indices
+ */
+const detectOnsets = (flux, hopSeconds) => {
+  const values = Array.from(flux);
+  const delta = standardDeviation(values) * 0.5;
+  const context = Math.max(1, Math.round(0.1 / hopSeconds));
+  const minGap = Math.max(1, Math.round(MIN_ONSET_GAP / hopSeconds));
+  const onsets = [];
+
+  for (let i = 1; i < flux.length - 1; i++) {
+    const from = Math.max(0, i - context);
+    const to = Math.min(flux.length, i + context + 1);
+
+    let isPeak = true;
+    let sum = 0;
+    for (let j = from; j < to; j++) {
+      if (flux[j] > flux[i]) isPeak = false;
+      sum += flux[j];
+    }
+
+    if (!isPeak || flux[i] < sum / (to - from) + delta) continue;
+    if (onsets.length && i - onsets[onsets.length - 1] < minGap) continue;
+    onsets.push(i);
+  }
+
+  return onsets;
+};
+
+/**
+ * Estimate tempo from the autocorrelation of the onset envelope, favouring
+ * tempos near PREFERRED_TEMPO to avoid half/double tempo errors
+ * @param {Float64Array} flux - Onset strength per frame
+ * @param {number} hopSeconds - Seconds between frames
+ * @returns {Object} { tempo, confidence, period } with period in frames
+ */
+const estimateTempo = (flux, hopSeconds) => {
+  const average = mean(Array.from(flux));
+  const centered = Array.from(flux, value => value - average);
+  const minLag = Math.max(1, Math.floor(60 / MAX_TEMPO / hopSeconds));
+  const maxLag = Math.min(centered.length - 1, Math.ceil(60 / MIN_TEMPO / hopSeconds));
+
+  const autocorrelation = (lag) => {
+    let sum = 0;
+    for (let i = lag; i < centered.length; i++) sum += centered[i] * centered[i - lag];
+    return sum / (centered.length - lag);
+  };
+
+  const energy = autocorrelation(0) || 1;
+  const scores = [];
+  let bestLag = 0;
+
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = 60 / (lag * hopSeconds);
+    const prior = Math.exp(-0.5 * (Math.log2(bpm / PREFERRED_TEMPO) / 0.9) ** 2);
+    scores[lag] = autocorrelation(lag) * prior;
+    if (!bestLag || scores[lag] > scores[bestLag]) bestLag = lag;
+  }
+
+  if (!bestLag || scores[bestLag] <= 0) {
+    return { tempo: 0, confidence: 0, period: 0 };
+  }
+
+  // Parabolic interpolation around the peak for a sub-frame period
+  let period = bestLag;
+  const before = scores[bestLag - 1];
+  const after = scores[bestLag + 1];
+  if (before !== undefined && after !== undefined) {
+    const curvature = before - 2 * scores[bestLag] + after;
+    if (curvature < 0) period += 0.5 * (before - after) / curvature;
+  }
+
+  return {
+    tempo: 60 / (period * hopSeconds),
+    confidence: Math.min(1, Math.max(0, autocorrelation(bestLag) / energy)),
+    period
+  };
+};
+
+/**
+ * Place beats on the tempo grid, at the phase that lines up best with the
+ * onsets, nudging each beat to the strongest nearby onset
+ * @param {Float64Array} flux - Onset strength per frame
+ * @param {number} period - Beat period in frames
+ * @returns {Array} Beat frame positions
+ */
+const trackBeats = (flux, period) => {
+  if (!period) return [];
+
+  let bestPhase = 0;
+  let bestScore = -Infinity;
+  for (let phase = 0; phase < period; phase++) {
+    let score = 0;
+    for (let position = phase; position < flux.length; position += period) {
+      score += flux[Math.round(position)] || 0;
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      bestPhase = phase;
+    }
+  }
+
+  const tolerance = Math.max(1, Math.floor(period * 0.1));
+  const beats = [];
+  for (let position = bestPhase; position < flux.length; position += period) {
+    const center = Math.round(position);
+    let best = center;
+    for (let i = center - tolerance; i <= center + tolerance; i++) {
+      if (i >= 0 && i < flux.length && flux[i] > (flux[best] || 0)) best = i;
+    }
+    beats.push(best);
+  }
+
+  return beats;
+};
+
+/**
+ * Build Spotify-style time intervals from boundary times
+ * @param {Array} times - Start times in seconds, ascending
+ * @param {number} end - End of the last interval
+ * @param {Function} confidenceAt - Confidence for the interval at an index
+ * @returns {Array} { start, duration, confidence }
+ */
+const toIntervals = (times, end, confidenceAt = () => 0) => times
+  .map((start, index) => ({
+    start: round(start),
+    duration: round((index + 1 < times.length ? times[index + 1] : end) - start),
+    confidence: round(confidenceAt(index), 3)
+  }))
+  .filter(interval => interval.duration > 0);
+
+/**
+ * Novelty curve of a sequence of feature vectors, from a Gaussian-tapered
+ * checkerboard kernel slid along the diagonal of their self-similarity
+ * @param {Array} vectors - Feature vector per block
+ * @param {number} halfWidth - Kernel half width in blocks
+ * @returns {Array} Novelty per block
+ */
+const computeNovelty = (vectors, halfWidth) => {
+  const similarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  };
+
+  return vectors.map((_, center) => {
+    let novelty = 0;
+    for (let i = -halfWidth; i < halfWidth; i++) {
+      for (let j = -halfWidth; j < halfWidth; j++) {
+        const a = vectors[center + i];
+        const b = vectors[center + j];
+        if (!a || !b) continue;
+
+        // Positive within the past and within the future, negative across
+        const sign = (i < 0) === (j < 0) ? 1 : -1;
+        const taper = Math.exp(-((i + 0.5) ** 2 + (j + 0.5) ** 2) / (2 * (halfWidth / 2) ** 2));
+        novelty += sign * taper * similarity(a, b);
+      }
+    }
+    return Math.max(0, novelty);
+  });
+};
+
+/**
+ * Analyze mono samples
+ * @param {Float32Array} samples - Mono samples between -1 and 1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - { minSectionDuration } in seconds, { source } recorded in meta
+ * @returns {Object} Analysis in the shape of Spotify's audio analysis
+ */
+export const analyzeSamples = (samples, sampleRate, options = {}) => {
+  const startedAt = Date.now();
+  const duration = samples.length / sampleRate;
+  const { hopSeconds, loudness, flux, chroma, bands } = analyzeFrames(samples, sampleRate);
+  const frameTime = (frame) => frame * hopSeconds;
+  const frameAt = (time) => Math.min(loudness.length - 1, Math.max(0, Math.round(time / hopSeconds)));
+
+  // Short clips (previews) get shorter sections than whole tracks
+  const minSectionDuration = options.minSectionDuration || (duration < 60 ? 4 : 8);
+  const onsetFlux = percentile(Array.from(flux), 0.99) || 1;
+
+  // Rhythm
+  const { tempo, confidence: tempoConfidence, period } = estimateTempo(flux, hopSeconds);
+  const beatFrames = trackBeats(flux, period);
+  const beatTimes = beatFrames.map(frameTime);
+  const beatFlux = percentile(beatFrames.map(frame => flux[frame]), 0.9) || 1;
+  const beats = toIntervals(beatTimes, duration, index => Math.min(1, flux[beatFrames[index]] / beatFlux));
+
+  // Bars start on the beat phase (in 4/4) with the most onset energy
+  let downbeat = 0;
+  let strongest = -Infinity;
+  for (let phase = 0; phase < 4; phase++) {
+    const strength = beatFrames
+      .filter((_, index) => index % 4 === phase)
+      .reduce((sum, frame) => sum + flux[frame] + loudness[frame] / -LOUDNESS_FLOOR, 0);
+    if (strength > strongest) {
+      strongest = strength;
+      downbeat = phase;
+    }
+  }
+  const barTimes = beatTimes.filter((_, index) => index >= downbeat && (index - downbeat) % 4 === 0);
+  const bars = toIntervals(barTimes, duration, index => beats[downbeat + index * 4]?.confidence || 0);
+
+  const tatumTimes = beatTimes.flatMap((time, index) => {
+    const next = index + 1 < beatTimes.length ? beatTimes[index + 1] : Math.min(duration, time + period * hopSeconds);
+    return [time, (time + next) / 2];
+  });
+  const tatums = toIntervals(tatumTimes, duration, index => beats[Math.floor(index / 2)]?.confidence || 0);
+
+  // Segments between onsets
+  const onsets = detectOnsets(flux, hopSeconds);
+  const segmentFrames = [0, ...onsets.filter(frame => frame > 0)];
+  const segments = segmentFrames.map((from, index) => {
+    const to = index + 1 < segmentFrames.length ? segmentFrames[index + 1] : loudness.length;
+    const start = frameTime(from);
+    const end = index + 1 < segmentFrames.length ? frameTime(to) : duration;
+
+    let maxFrame = from;
+    const pitches = new Array(12).fill(0);
+    const timbre = new Array(BAND_COUNT).fill(0);
+    for (let frame = from; frame < Math.max(to, from + 1); frame++) {
+      if (loudness[frame] > loudness[maxFrame]) maxFrame = frame;
+      for (let i = 0; i < 12; i++) pitches[i] += chroma[frame][i];
+      for (let i = 0; i < BAND_COUNT; i++) timbre[i] += bands[frame][i] / Math.max(1, to - from);
+    }
+
+    const strongestPitch = Math.max(...pitches) || 1;
+
+    return {
+      start: round(start),
+      duration: round(end - start),
+      confidence: round(from === 0 ? 1 : Math.min(1, flux[from] / onsetFlux), 3),
+      loudness_start: round(loudness[from], 3),
+      loudness_max_time: round(frameTime(maxFrame - from)),
+      loudness_max: round(loudness[maxFrame], 3),
+      loudness_end: round(loudness[Math.max(from, to - 1)], 3),
+      pitches: pitches.map(value => round(value / strongestPitch, 3)),
+      timbre: timbre.map(value => round(value, 3))
+    };
+  }).filter(segment => segment.duration > 0);
+
+  // Sections from novelty over bars (or one second blocks without a beat grid)
+  const blockTimes = barTimes.length >= 8
+    ? [0, ...barTimes.filter(time => time > 0)]
+    : Array.from({ length: Math.ceil(duration) }, (_, index) => index);
+  const blockVectors = blockTimes.map((time, index) => {
+    const from = frameAt(time);
+    const to = Math.max(from + 1, frameAt(index + 1 < blockTimes.length ? blockTimes[index + 1] : duration));
+    const vector = new Array(12 + BAND_COUNT).fill(0);
+
+    for (let frame = from; frame < to; frame++) {
+      const peak = Math.max(...chroma[frame]) || 1;
+      for (let i = 0; i < 12; i++) vector[i] += chroma[frame][i] / peak / (to - from);
+      for (let i = 0; i < BAND_COUNT; i++) {
+        vector[12 + i] += (bands[frame][i] - LOUDNESS_FLOOR) / -LOUDNESS_FLOOR / (to - from);
+      }
+    }
+    return vector;
+  });
+
+  const blockSeconds = duration / Math.max(1, blockTimes.length);
+  const novelty = computeNovelty(blockVectors, Math.max(2, Math.round(minSectionDuration / blockSeconds / 2)));
+  const noveltyThreshold = mean(novelty);
+  const maxNovelty = Math.max(...novelty) || 1;
+
+  // Strongest novelty peaks first, keeping sections at least minSectionDuration long
+  const boundaries = [0];
+  novelty
+    .map((value, index) => ({ value, index }))
+    .filter(({ value, index }) =>
+      index > 0 &&
+      value > noveltyThreshold &&
+      value >= (novelty[index - 1] || 0) &&
+      value >= (novelty[index + 1] || 0)
+    )
+    .sort((a, b) => b.value - a.value)
+    .forEach(({ index }) => {
+      const time = blockTimes[index];
+      if (
+        time >= minSectionDuration &&
+        duration - time >= minSectionDuration &&
+        boundaries.every(boundary => Math.abs(boundary - time) >= minSectionDuration)
+      ) {
+        boundaries.push(time);
+      }
+    });
+  boundaries.sort((a, b) => a - b);
+
+  const sections = toIntervals(boundaries, duration, index =>
+    index === 0 ? 1 : novelty[blockTimes.indexOf(boundaries[index])] / maxNovelty
+  ).map(section => {
+    const from = frameAt(section.start);
+    const to = Math.max(from + 1, frameAt(section.start + section.duration));
+    const power = mean(Array.from(loudness.slice(from, to), level => 10 ** (level / 10)));
+
+    return {
+      ...section,
+      loudness: round(toDecibels(power), 3),
+      tempo: round(tempo, 3),
+      tempo_confidence: round(tempoConfidence, 3),
+      key: -1,
+      key_confidence: 0,
+      mode: -1,
+      mode_confidence: 0,
+      time_signature: 4,
+      time_signature_confidence: 0
+    };
+  });
+
+  const trackPower = mean(Array.from(loudness, level => 10 ** (level / 10)));
+
+  return {
+    meta: {
+      analyzer_version: 'offline-1.0',
+      platform: 'node',
+      status_code: 0,
+      status: 'OK',
+      source: options.source || 'local',
+      timestamp: Math.floor(startedAt / 1000),
+      analysis_time: round((Date.now() - startedAt) / 1000, 3),
+      input_process: 'offline'
+    },
+    track: {
+      num_samples: samples.length,
+      duration: round(duration),
+      analysis_sample_rate: sampleRate,
+      analysis_channels: 1,
+      loudness: round(toDecibels(trackPower), 3),
+      tempo: round(tempo, 3),
+      tempo_confidence: round(tempoConfidence, 3),
+      time_signature: 4,
+      time_signature_confidence: 0,
+      key: -1,
+      key_confidence: 0,
+      mode: -1,
+      mode_confidence: 0
+    },
+    bars,
+    beats,
+    tatums,
+    sections,
+    segments
+  };
+};
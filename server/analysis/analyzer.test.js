@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSamples } from './analyzer.js';
+import { detectHighlights } from '../../shared/highlights/index.js';
+
+const SAMPLE_RATE = 22050;
+
+// A click on every beat over a quiet 220 Hz tone. From `changeAt` the tone
+// moves up to 660 Hz and gets louder, like a chorus coming in.
+const clickTrack = ({ bpm = 120, seconds = 24, changeAt = Infinity } = {}) => {
+  const samples = new Float32Array(SAMPLE_RATE * seconds);
+  const beat = 60 / bpm;
+
+  for (let i = 0; i < samples.length; i++) {
+    const time = i / SAMPLE_RATE;
+    const changed = time >= changeAt;
+    const tone = (changed ? 0.3 : 0.05) * Math.sin(2 * Math.PI * (changed ? 660 : 220) * time);
+    const sinceBeat = time % beat;
+    const click = sinceBeat < 0.03 ? 0.8 * Math.exp(-sinceBeat * 150) * Math.sin(2 * Math.PI * 1500 * time) : 0;
+    samples[i] = tone + click;
+  }
+  return samples;
+};
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+// One analysis of the 120 BPM track with a change at 12 seconds, shared by the tests
+const analysis = analyzeSamples(clickTrack({ changeAt: 12 }), SAMPLE_RATE, { source: 'preview' });
+
+test('output has the shape of Spotify\'s audio analysis', () => {
+  assert.deepEqual(Object.keys(analysis), ['meta', 'track', 'bars', 'beats', 'tatums', 'sections', 'segments']);
+  assert.equal(analysis.meta.source, 'preview');
+  assert.equal(analysis.track.duration, 24);
+  assert.equal(analysis.track.analysis_sample_rate, SAMPLE_RATE);
+
+  for (const key of ['bars', 'beats', 'tatums', 'sections', 'segments']) {
+    assert.ok(analysis[key].length > 0, `${key} is empty`);
+    for (const interval of analysis[key]) {
+      assert.equal(typeof interval.start, 'number');
+      assert.ok(interval.duration > 0);
+      assert.ok(interval.confidence >= 0 && interval.confidence <= 1);
+    }
+  }
+
+  const [segment] = analysis.segments;
+  for (const key of ['loudness_start', 'loudness_max', 'loudness_max_time', 'loudness_end']) {
+    assert.equal(typeof segment[key], 'number');
+  }
+  assert.equal(segment.pitches.length, 12);
+  assert.equal(segment.timbre.length, 12);
+
+  const [section] = analysis.sections;
+  for (const key of ['loudness', 'tempo', 'tempo_confidence', 'key', 'mode', 'time_signature']) {
+    assert.equal(typeof section[key], 'number');
+  }
+});
+
+test('estimates the tempo of a click track', () => {
+  assert.ok(Math.abs(analysis.track.tempo - 120) < 2, `tempo ${analysis.track.tempo}`);
+  assert.ok(analysis.track.tempo_confidence > 0.5);
+
+  for (const bpm of [90, 140]) {
+    const { track } = analyzeSamples(clickTrack({ bpm, seconds: 16 }), SAMPLE_RATE);
+    assert.ok(Math.abs(track.tempo - bpm) < bpm * 0.02, `${bpm} BPM estimated as ${track.tempo}`);
+  }
+});
+
+test('places beats on the clicks and bars every four beats', () => {
+  const beatGaps = analysis.beats.slice(1).map((beat, index) => beat.start - analysis.beats[index].start);
+  assert.ok(Math.abs(median(beatGaps) - 0.5) < 0.02);
+  assert.ok(analysis.beats.every(beat => Math.abs(beat.start - Math.round(beat.start * 2) / 2) < 0.05));
+
+  const barGaps = analysis.bars.slice(1).map((bar, index) => bar.start - analysis.bars[index].start);
+  assert.ok(Math.abs(median(barGaps) - 2) < 0.05);
+  assert.equal(analysis.tatums.length, analysis.beats.length * 2);
+});
+
+test('finds an onset on every click', () => {
+  assert.ok(Math.abs(analysis.segments.length - 48) <= 2, `${analysis.segments.length} segments`);
+});
+
+test('starts a new section where the music changes, louder than the one before', () => {
+  assert.equal(analysis.sections.length, 2);
+  assert.equal(analysis.sections[0].start, 0);
+  assert.ok(Math.abs(analysis.sections[1].start - 12) < 1, `section starts at ${analysis.sections[1].start}`);
+  assert.ok(analysis.sections[1].loudness > analysis.sections[0].loudness + 6);
+
+  const last = analysis.sections[analysis.sections.length - 1];
+  assert.ok(Math.abs(last.start + last.duration - analysis.track.duration) < 1e-3);
+});
+
+test('keeps sections at least minSectionDuration long', () => {
+  const { sections } = analyzeSamples(clickTrack({ changeAt: 12 }), SAMPLE_RATE, { minSectionDuration: 14 });
+  assert.equal(sections.length, 1);
+});
+
+test('silence has no beats and the loudness floor', () => {
+  const silent = analyzeSamples(new Float32Array(SAMPLE_RATE * 5), SAMPLE_RATE);
+
+  assert.equal(silent.track.loudness, -60);
+  assert.equal(silent.track.tempo, 0);
+  assert.deepEqual(silent.beats, []);
+  assert.equal(silent.sections.length, 1);
+});
+
+test('the highlight engine can use the analysis', () => {
+  const highlights = detectHighlights(analysis, { energy: 0.6, tempo: analysis.track.tempo });
+
+  assert.ok(highlights.length > 0);
+  for (const highlight of highlights) {
+    assert.ok(highlight.start >= 0 && highlight.start + highlight.duration <= analysis.track.duration + 1e-3);
+  }
+  // The louder second half holds the top highlight
+  const [top] = [...highlights].sort((a, b) => b.score - a.score);
+  assert.ok(top.start >= 11);
+});
@@ -0,0 +1,26 @@
+/**
+ * Analyze a local audio file from the command line
+ *
+ * Usage: npm run analyze -- path/to/file.mp3 [--highlights]
+ *
+ * Prints the analysis as JSON, or the detected highlights with --highlights.
+ */
+
+import { analyzeAudioFile } from './index.js';
+import { detectHighlights } from '../../shared/highlights/index.js';
+
+const [filePath, ...flags] = process.argv.slice(2);
+
+if (!filePath) {
+  console.error('Usage: npm run analyze -- <file.mp3|file.wav> [--highlights]');
+  process.exit(1);
+}
+
+try {
+  const analysis = await analyzeAudioFile(filePath);
+  const output = flags.includes('--highlights') ? detectHighlights(analysis, null) : analysis;
+  console.log(JSON.stringify(output, null, 2));
+} catch (err) {
+  console.error(`Error analyzing ${filePath}:`, err.message);
+  process.exit(1);
+}
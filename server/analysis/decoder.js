@@ -0,0 +1,142 @@
+/**
+ * Audio decoding for the offline analyzer
+ *
+ * Turns an MP3 (Spotify preview clips) or WAV file into mono PCM samples.
+ * MP3 decoding uses the WebAssembly build of mpg123, so no native binaries
+ * or ffmpeg install are needed.
+ */
+
+import { MPEGDecoder } from 'mpg123-decoder';
+
+/**
+ * Mix any number of channels down to one
+ * @param {Array} channels - Float32Array per channel
+ * @returns {Float32Array} Mono samples
+ */
+const toMono = (channels) => {
+  if (channels.length === 1) return channels[0];
+
+  const length = Math.min(...channels.map(channel => channel.length));
+  const mono = new Float32Array(length);
+
+  for (const channel of channels) {
+    for (let i = 0; i < length; i++) {
+      mono[i] += channel[i] / channels.length;
+    }
+  }
+
+  return mono;
+};
+
+/**
+ * Check whether a buffer holds a RIFF/WAVE file
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True for WAV data
+ */
+const isWav = (buffer) => buffer.length > 12 &&
+  buffer.toString('ascii', 0, 4) === 'RIFF' &&
+  buffer.toString('ascii', 8, 12) === 'WAVE';
+
+/**
+ * Check whether a buffer looks like MPEG audio (ID3 tag or frame sync)
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True for MP3 data
+ */
+const isMp3 = (buffer) => buffer.length > 3 && (
+  buffer.toString('ascii', 0, 3) === 'ID3' ||
+  (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)
+);
+
+/**
+ * Decode PCM or IEEE float WAV data
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {Object} { samples, sampleRate }
+ */
+const decodeWav = (buffer) => {
+  let offset = 12;
+  let format = null;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let audioFormat = buffer.readUInt16LE(body);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+      if (audioFormat === 0xfffe) audioFormat = buffer.readUInt16LE(body + 24);
+
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!format) throw new Error('WAV data chunk found before fmt chunk');
+
+      const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+      const bytesPerSample = bitsPerSample / 8;
+      const end = Math.min(body + size, buffer.length);
+      const frameCount = Math.floor((end - body) / (bytesPerSample * channels));
+
+      const read = (position) => {
+        if (audioFormat === 3 && bitsPerSample === 32) return buffer.readFloatLE(position);
+        if (audioFormat !== 1) throw new Error(`Unsupported WAV format ${audioFormat}`);
+
+        switch (bitsPerSample) {
+          case 8: return (buffer.readUInt8(position) - 128) / 128;
+          case 16: return buffer.readInt16LE(position) / 32768;
+          case 24: return buffer.readIntLE(position, 3) / 8388608;
+          case 32: return buffer.readInt32LE(position) / 2147483648;
+          default: throw new Error(`Unsupported WAV bit depth ${bitsPerSample}`);
+        }
+      };
+
+      const channelData = Array.from({ length: channels }, () => new Float32Array(frameCount));
+      for (let frame = 0; frame < frameCount; frame++) {
+        for (let channel = 0; channel < channels; channel++) {
+          channelData[channel][frame] = read(body + (frame * channels + channel) * bytesPerSample);
+        }
+      }
+
+      return { samples: toMono(channelData), sampleRate };
+    }
+
+    // Chunks are padded to an even size
+    offset = body + size + (size % 2);
+  }
+
+  throw new Error('WAV file has no audio data');
+};
+
+/**
+ * Decode MP3 data
+ * @param {Buffer} buffer - MP3 file contents
+ * @returns {Promise<Object>} { samples, sampleRate }
+ */
+const decodeMp3 = async (buffer) => {
+  const decoder = new MPEGDecoder();
+  await decoder.ready;
+
+  try {
+    const { channelData, samplesDecoded, sampleRate } = decoder.decode(new Uint8Array(buffer));
+    if (!samplesDecoded) throw new Error('No audio could be decoded from the MP3 data');
+
+    return { samples: toMono(channelData), sampleRate };
+  } finally {
+    decoder.free();
+  }
+};
+
+/**
+ * Decode an audio file to mono samples
+ * @param {Buffer} buffer - MP3 or WAV file contents
+ * @returns {Promise<Object>} { samples, sampleRate }
+ */
+export const decodeAudio = async (buffer) => {
+  if (isWav(buffer)) return decodeWav(buffer);
+  if (isMp3(buffer)) return decodeMp3(buffer);
+
+  throw new Error('Unsupported audio format, expected MP3 or WAV');
+};
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeAudio } from './decoder.js';
+
+// A RIFF chunk, padded to an even size
+const chunk = (id, body) => {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+};
+
+// A WAV file of interleaved frames, each an array with a value per channel
+const wav = (frames, { sampleRate = 8000, bitsPerSample = 16, audioFormat = 1, extraChunks = [] } = {}) => {
+  const channels = frames[0].length;
+  const bytesPerSample = bitsPerSample / 8;
+
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(audioFormat, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * channels * bytesPerSample, 8);
+  fmt.writeUInt16LE(channels * bytesPerSample, 12);
+  fmt.writeUInt16LE(bitsPerSample, 14);
+
+  const data = Buffer.alloc(frames.length * channels * bytesPerSample);
+  frames.flat().forEach((value, index) => {
+    const position = index * bytesPerSample;
+    if (audioFormat === 3) data.writeFloatLE(value, position);
+    else if (bitsPerSample === 8) data.writeUInt8(Math.round(value * 128 + 128), position);
+    else if (bitsPerSample === 16) data.writeInt16LE(Math.round(value * 32767), position);
+    else if (bitsPerSample === 24) data.writeIntLE(Math.round(value * 8388607), position, 3);
+  });
+
+  const body = Buffer.concat([Buffer.from('WAVE'), chunk('fmt ', fmt), ...extraChunks, chunk('data', data)]);
+  return Buffer.concat([Buffer.from('RIFF'), Buffer.from(new Uint32Array([body.length]).buffer), body]);
+};
+
+const assertSamples = (samples, expected, tolerance) => {
+  assert.equal(samples.length, expected.length);
+  expected.forEach((value, index) => {
+    assert.ok(Math.abs(samples[index] - value) <= tolerance, `sample ${index}: ${samples[index]} is not ${value}`);
+  });
+};
+
+test('decodes 16-bit PCM and mixes stereo down to mono', async () => {
+  const { samples, sampleRate } = await decodeAudio(wav([[0.5, 0.5], [1, 0], [-0.5, -0.25]], { sampleRate: 22050 }));
+
+  assert.equal(sampleRate, 22050);
+  assertSamples(samples, [0.5, 0.5, -0.375], 1e-3);
+});
+
+test('decodes 8-bit, 24-bit and float WAV data', async () => {
+  const frames = [[0], [0.5], [-0.5]];
+
+  assertSamples((await decodeAudio(wav(frames, { bitsPerSample: 8 }))).samples, [0, 0.5, -0.5], 1e-2);
+  assertSamples((await decodeAudio(wav(frames, { bitsPerSample: 24 }))).samples, [0, 0.5, -0.5], 1e-6);
+  assertSamples((await decodeAudio(wav(frames, { bitsPerSample: 32, audioFormat: 3 }))).samples, [0, 0.5, -0.5], 1e-6);
+});
+
+test('skips other chunks, including odd-sized ones', async () => {
+  const list = chunk('LIST', Buffer.from('INFOx'));
+  const { samples } = await decodeAudio(wav([[0.25], [0.75]], { extraChunks: [list] }));
+
+  assertSamples(samples, [0.25, 0.75], 1e-3);
+});
+
+test('rejects WAV files it cannot read and other formats', async () => {
+  await assert.rejects(decodeAudio(wav([[0.5]], { audioFormat: 2 })), /Unsupported WAV format 2/);
+
+  const noData = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE'), chunk('fmt ', Buffer.alloc(16))]);
+  await assert.rejects(decodeAudio(noData), /no audio data/);
+
+  await assert.rejects(decodeAudio(Buffer.from('not audio at all')), /Unsupported audio format/);
+});
@@ -0,0 +1,56 @@
+/**
+ * Offline audio analysis
+ *
+ * Used when Spotify won't return an audio analysis for a track. Decodes a
+ * preview clip or a local audio file and analyzes it on the server, with
+ * the result in the same shape as Spotify's audio analysis.
+ */
+
+import fs from 'fs/promises';
+import axios from 'axios';
+import { decodeAudio } from './decoder.js';
+import { analyzeSamples } from './analyzer.js';
+
+export { decodeAudio, analyzeSamples };
+
+// Preview clips are around 30 seconds and well under a megabyte
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT = 15000;
+
+/**
+ * Analyze an MP3 or WAV file held in memory
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Analyzer options (see analyzeSamples)
+ * @returns {Promise<Object>} Audio analysis
+ */
+export const analyzeAudioBuffer = async (buffer, options = {}) => {
+  const { samples, sampleRate } = await decodeAudio(buffer);
+  return analyzeSamples(samples, sampleRate, options);
+};
+
+/**
+ * Analyze a local MP3 or WAV file
+ * @param {string} filePath - Path to the file
+ * @param {Object} options - Analyzer options (see analyzeSamples)
+ * @returns {Promise<Object>} Audio analysis
+ */
+export const analyzeAudioFile = async (filePath, options = {}) => {
+  const buffer = await fs.readFile(filePath);
+  return analyzeAudioBuffer(buffer, { source: 'file', ...options });
+};
+
+/**
+ * Download and analyze an audio file, typically a track's preview_url
+ * @param {string} url - Audio URL
+ * @param {Object} options - Analyzer options (see analyzeSamples)
+ * @returns {Promise<Object>} Audio analysis
+ */
+export const analyzeAudioUrl = async (url, options = {}) => {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: DOWNLOAD_TIMEOUT,
+    maxContentLength: MAX_DOWNLOAD_BYTES
+  });
+
+  return analyzeAudioBuffer(Buffer.from(response.data), { source: 'url', ...options });
+};
@@ -6,11 +6,13 @@ import cookieParser from 'cookie-parser';
 import session from 'express-session';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createSessionStoreFromEnv } from './session/index.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
 import apiRoutes from './routes/api.js';
 import appleMusicRoutes from './routes/apple-music.js';
+import shareRoutes from './routes/share.js';
 
 // Load environment variables
 dotenv.config();
@@ -26,21 +28,26 @@ const __dirname = path.dirname(__filename);
 // Middleware
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:5173',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Cache', 'X-Cache-Expires', 'Retry-After', 'Content-Disposition']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
-app.use(morgan('dev'));
+if (process.env.NODE_ENV !== 'test') app.use(morgan('dev'));
 
-// Session configuration
+// Session configuration. Sessions that hold Spotify tokens (TOKEN_STORAGE=session)
+// need to outlive the access token, so their lifetime is configurable.
 app.use(session({
   secret: process.env.SESSION_SECRET || 'spotify-highlights-secret',
+  store: createSessionStoreFromEnv(session),
   resave: false,
   saveUninitialized: false,
   cookie: {
+    httpOnly: true,
+    sameSite: 'lax',
     secure: process.env.NODE_ENV === 'production',
-    maxAge: 60 * 60 * 1000 // 1 hour
+    maxAge: (parseInt(process.env.SESSION_MAX_AGE) || 60 * 60) * 1000 // 1 hour by default
   }
 }));
 
@@ -48,6 +55,7 @@ app.use(session({
 app.use('/auth', authRoutes);
 app.use('/api', apiRoutes);
 app.use('/apple-music', appleMusicRoutes);
+app.use('/', shareRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -63,7 +71,11 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', message: 'Server is running' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Start server when run directly (npm start), not when imported by tests
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+export default app;
@@ -0,0 +1,192 @@
+// Smoke test: the app's main routes against the mock Spotify APIs (mock/)
+
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createMockApp } from './mock/index.js';
+
+const ALBUM_ID = 'kYpWJLJRZe3US0hORw7QIP';
+const AUTH = { Authorization: 'Bearer smoke-test-token' };
+
+let mockServer;
+let appServer;
+let appUrl;
+
+// Start an HTTP server on a free port
+const listen = (server) => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const close = (server) => new Promise(resolve => (server ? server.close(resolve) : resolve()));
+
+const getJson = async (path, headers = AUTH) => {
+  const response = await fetch(`${appUrl}${path}`, { headers });
+  return { response, body: await response.json() };
+};
+
+before(async () => {
+  // The mock needs its own URL for the hrefs in its responses
+  mockServer = http.createServer();
+  const mockUrl = await listen(mockServer);
+  mockServer.on('request', createMockApp({ baseUrl: mockUrl }));
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    SPOTIFY_API_URL: mockUrl,
+    SPOTIFY_ACCOUNTS_URL: mockUrl,
+    APPLE_MUSIC_API_URL: `${mockUrl}/apple`,
+    CLIENT_ID: 'smoke-test-client',
+    CLIENT_SECRET: 'smoke-test-secret',
+    REDIRECT_URI: 'http://localhost:5173/callback',
+    CLIENT_URL: 'http://localhost:5173',
+    AUTH_FLOW: 'code',
+    TOKEN_STORAGE: 'client',
+    CACHE_STORE: 'memory',
+    SESSION_STORE: 'memory',
+    HIGHLIGHTS_STORE: 'memory',
+    OFFLINE_ANALYSIS: 'false'
+  });
+
+  // Routes read their configuration when they are loaded
+  const { default: app } = await import('./app.js');
+  appServer = http.createServer(app);
+  appUrl = await listen(appServer);
+});
+
+after(async () => {
+  await close(appServer);
+  await close(mockServer);
+});
+
+test('GET /health answers', async () => {
+  const { response, body } = await getJson('/health', {});
+  assert.equal(response.status, 200);
+  assert.equal(body.status, 'ok');
+});
+
+test('API routes need a token', async () => {
+  const { response } = await getJson('/api/me', {});
+  assert.equal(response.status, 401);
+});
+
+test('GET /api/me returns the profile from the mock', async () => {
+  const { response, body } = await getJson('/api/me');
+  assert.equal(response.status, 200);
+  assert.ok(body.id);
+});
+
+test('GET /api/albums/:id and its tracks', async () => {
+  const album = await getJson(`/api/albums/${ALBUM_ID}`);
+  assert.equal(album.response.status, 200);
+  assert.equal(album.body.id, ALBUM_ID);
+
+  const tracks = await getJson(`/api/albums/${ALBUM_ID}/tracks`);
+  assert.equal(tracks.response.status, 200);
+  assert.ok(tracks.body.items.length > 0);
+});
+
+test('GET /api/albums/:id passes Spotify\'s 404 on', async () => {
+  const { response } = await getJson('/api/albums/missing');
+  assert.equal(response.status, 404);
+});
+
+test('/api/spotify passes Web API requests on', async () => {
+  const album = await getJson(`/api/spotify/albums/${ALBUM_ID}?market=SE`);
+  assert.equal(album.response.status, 200);
+  assert.equal(album.body.id, ALBUM_ID);
+
+  const missing = await getJson('/api/spotify/albums/missing');
+  assert.equal(missing.response.status, 404);
+  assert.ok(missing.body.error);
+
+  const { response } = await getJson('/api/spotify/me', {});
+  assert.equal(response.status, 401);
+});
+
+test('track features are cached and highlights detected', async () => {
+  const tracks = await getJson(`/api/albums/${ALBUM_ID}/tracks`);
+  const trackId = tracks.body.items[0].id;
+
+  const first = await getJson(`/api/tracks/${trackId}/features`);
+  const second = await getJson(`/api/tracks/${trackId}/features`);
+  assert.equal(first.response.status, 200);
+  assert.equal(first.response.headers.get('x-cache'), 'MISS');
+  assert.equal(second.response.headers.get('x-cache'), 'HIT');
+  assert.equal(second.body.id, trackId);
+
+  const highlights = await getJson(`/api/tracks/${trackId}/highlights`);
+  assert.equal(highlights.response.status, 200);
+  assert.ok(highlights.body.length > 0);
+  assert.ok(highlights.body.every(highlight => highlight.duration > 0));
+});
+
+test('GET /api/albums/:id/highlights covers every track', async () => {
+  const tracks = await getJson(`/api/albums/${ALBUM_ID}/tracks`);
+  const { response, body } = await getJson(`/api/albums/${ALBUM_ID}/highlights`);
+
+  assert.equal(response.status, 200);
+  assert.equal(body.total, tracks.body.items.length);
+  assert.equal(body.failed, 0);
+  assert.deepEqual(Object.keys(body.highlights), tracks.body.items.map(track => track.id));
+});
+
+test('search, top tracks and local recommendations', async () => {
+  const search = await getJson('/api/search/albums?q=a');
+  assert.equal(search.response.status, 200);
+  assert.ok(search.body.albums.items.length > 0);
+
+  const top = await getJson('/api/me/top/tracks');
+  assert.equal(top.response.status, 200);
+  assert.ok(top.body.items.length > 0);
+
+  // The fixture's top tracks all come from saved albums, so seed with one
+  const seed = top.body.items[0].id;
+  const local = await getJson(`/api/recommendations/local?seed_tracks=${seed}&limit=5`);
+  assert.equal(local.response.status, 200);
+  assert.equal(local.body.tracks.length, 5);
+  assert.equal(local.body.diversity.lambda, 0.7);
+  assert.ok(local.body.tracks.every(recommendation => recommendation.track.id !== seed));
+});
+
+test('shared highlights work without a login', async () => {
+  const tracks = await getJson(`/api/albums/${ALBUM_ID}/tracks`);
+  const trackId = tracks.body.items[0].id;
+
+  const { response, body } = await getJson(`/api/share/tracks/${trackId}?t=30&d=20`, {});
+  assert.equal(response.status, 200);
+  assert.equal(body.track.id, trackId);
+  assert.deepEqual(body.highlight, { start: 30, duration: 20 });
+  assert.ok(body.analysis.segments.length > 0);
+
+  const image = await fetch(`${appUrl}/api/share/tracks/${trackId}/image.png?t=30&d=20`);
+  assert.equal(image.status, 200);
+  assert.equal(image.headers.get('content-type'), 'image/png');
+});
+
+test('login: the code is exchanged only with the state of the session', async () => {
+  const login = await fetch(`${appUrl}/auth/spotify`, { redirect: 'manual' });
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+  const authorizeUrl = new URL(login.headers.get('location'));
+  const state = authorizeUrl.searchParams.get('state');
+  assert.ok(state);
+
+  // The mock approves right away and sends the code to the redirect URI
+  const approved = await fetch(authorizeUrl, { redirect: 'manual' });
+  const code = new URL(approved.headers.get('location')).searchParams.get('code');
+
+  const exchange = (body) => fetch(`${appUrl}/auth/exchange`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: cookie },
+    body: JSON.stringify(body)
+  });
+
+  // A verifier in the body doesn't stand in for the state
+  const forged = await exchange({ code, state: 'forged', code_verifier: 'x'.repeat(43) });
+  assert.equal(forged.status, 400);
+
+  const response = await exchange({ code, state });
+  const tokens = await response.json();
+  assert.equal(response.status, 200);
+  assert.ok(tokens.access_token);
+  assert.ok(tokens.refresh_token);
+});
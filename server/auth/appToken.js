@@ -0,0 +1,53 @@
+/**
+ * The app's own Spotify token
+ *
+ * Pages anyone can open, like shared highlights, still need track data.
+ * Without a user's token the server asks for its own with the Client
+ * Credentials flow, which needs the client secret, and reuses it until
+ * shortly before it expires.
+ */
+
+import { requestClientToken } from './oauth.js';
+
+// Request a new token this long before the current one expires
+const REFRESH_MARGIN = 60 * 1000;
+
+let appToken = null;
+let pendingToken = null;
+
+/**
+ * Check whether the server can get a token of its own
+ * @param {Object} env - Environment variables
+ * @returns {boolean} True when the client ID and secret are configured
+ */
+export const hasAppCredentials = (env = process.env) => Boolean(env.CLIENT_ID && env.CLIENT_SECRET);
+
+/**
+ * Get the app's access token, requesting a new one when needed.
+ * Parallel callers share one token request.
+ * @returns {Promise<string>} Access token
+ * @throws {Error} With statusCode 401 when there is no client secret
+ */
+export const getAppAccessToken = async () => {
+  if (appToken && appToken.expiresAt - REFRESH_MARGIN > Date.now()) {
+    return appToken.accessToken;
+  }
+
+  if (!hasAppCredentials()) {
+    const err = new Error('CLIENT_SECRET is required for data without a user login');
+    err.statusCode = 401;
+    throw err;
+  }
+
+  if (!pendingToken) {
+    pendingToken = (async () => {
+      const body = await requestClientToken({ grant_type: 'client_credentials' });
+      appToken = { accessToken: body.access_token, expiresAt: Date.now() + body.expires_in * 1000 };
+      return appToken.accessToken;
+    })().finally(() => {
+      pendingToken = null;
+    });
+  }
+
+  return pendingToken;
+};
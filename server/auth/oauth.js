@@ -0,0 +1,148 @@
+/**
+ * OAuth helpers for the Spotify login flow
+ *
+ * - A random `state` per login, kept in the session and checked when
+ *   Spotify sends the user back, so a forged callback can't log someone
+ *   into another account (CSRF)
+ * - Authorization Code with PKCE, for deployments without a client secret:
+ *   the code is exchanged with a one-time `code_verifier` instead
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import { getServiceUrls } from '../config/services.js';
+
+/**
+ * Get the URL of Spotify's token endpoint
+ * @returns {string} Token endpoint on the configured Accounts service
+ */
+export const getSpotifyTokenUrl = () => `${getServiceUrls().spotifyAccounts}/api/token`;
+
+/**
+ * Build the URL of Spotify's authorization page for a login
+ * @param {Object} options - { scopes, state, codeChallenge } with the S256
+ *   code challenge of a PKCE login
+ * @returns {string} Authorize URL on the configured Accounts service
+ */
+export const createAuthorizeUrl = ({ scopes, state, codeChallenge = null }) => {
+  const params = new URLSearchParams({
+    client_id: process.env.CLIENT_ID,
+    response_type: 'code',
+    redirect_uri: process.env.REDIRECT_URI,
+    scope: scopes.join(' '),
+    state
+  });
+  if (codeChallenge) {
+    params.set('code_challenge_method', 'S256');
+    params.set('code_challenge', codeChallenge);
+  }
+
+  return `${getServiceUrls().spotifyAccounts}/authorize?${params}`;
+};
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} base64url string
+ */
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * Generate a random OAuth state value
+ * @returns {string} State
+ */
+export const generateState = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Compare the state Spotify sent back with the one stored for the login
+ * @param {string} expected - State stored in the session
+ * @param {string} received - State from the callback
+ * @returns {boolean} True if both are present and equal
+ */
+export const statesMatch = (expected, received) => {
+  if (typeof expected !== 'string' || typeof received !== 'string') return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Generate a PKCE code verifier (43-128 unreserved characters)
+ * @returns {string} Code verifier
+ */
+export const generateCodeVerifier = () => base64Url(crypto.randomBytes(64));
+
+/**
+ * Derive the S256 code challenge for a verifier
+ * @param {string} verifier - Code verifier
+ * @returns {string} Code challenge
+ */
+export const createCodeChallenge = (verifier) => base64Url(
+  crypto.createHash('sha256').update(verifier).digest()
+);
+
+/**
+ * Check whether the server should use PKCE instead of its client secret
+ * @param {Object} env - Environment variables
+ * @returns {boolean} True when AUTH_FLOW=pkce or no secret is configured
+ */
+export const usesPkce = (env = process.env) => env.AUTH_FLOW === 'pkce' || !env.CLIENT_SECRET;
+
+/**
+ * Call Spotify's token endpoint.
+ * Errors carry `statusCode` and `body` like the Web API client's.
+ * @param {Object} params - Form parameters
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} Token response body
+ */
+const requestToken = async (params, headers = {}) => {
+  try {
+    const response = await axios.post(
+      getSpotifyTokenUrl(),
+      new URLSearchParams(params).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers } }
+    );
+    return response.data;
+  } catch (err) {
+    const error = new Error(err.response?.data?.error_description || err.message);
+    error.statusCode = err.response?.status;
+    error.body = err.response?.data;
+    throw error;
+  }
+};
+
+/**
+ * Call Spotify's token endpoint as a public client (no client secret)
+ * @param {Object} params - Form parameters besides client_id
+ * @returns {Promise<Object>} Token response body
+ */
+export const requestPublicClientToken = (params) => requestToken({ client_id: process.env.CLIENT_ID, ...params });
+
+/**
+ * Call Spotify's token endpoint as a confidential client, authenticated with
+ * the client ID and secret
+ * @param {Object} params - Form parameters
+ * @returns {Promise<Object>} Token response body
+ */
+export const requestClientToken = (params) => {
+  const credentials = Buffer.from(`${process.env.CLIENT_ID}:${process.env.CLIENT_SECRET}`).toString('base64');
+  return requestToken(params, { Authorization: `Basic ${credentials}` });
+};
+
+/**
+ * Get a new access token with a refresh token, as a public client under
+ * PKCE or with the client secret otherwise
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object>} Token response body ({ access_token, expires_in, refresh_token? })
+ */
+export const refreshSpotifyToken = async (refreshToken) => {
+  if (usesPkce()) {
+    return requestPublicClientToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+  }
+
+  return requestClientToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+};
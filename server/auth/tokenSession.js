@@ -0,0 +1,96 @@
+/**
+ * Server-held Spotify tokens
+ *
+ * With TOKEN_STORAGE=session, /auth/exchange keeps the access and refresh
+ * tokens in the server session and the browser only holds the HttpOnly
+ * session cookie. Access tokens are refreshed here shortly before they
+ * expire, so the refresh token never leaves the server.
+ */
+
+import { refreshSpotifyToken } from './oauth.js';
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN = 60 * 1000;
+
+// Recent refreshes keyed by the refresh token they used. Parallel requests
+// of one session may have loaded it before the first refresh was saved, and
+// they reuse that result instead of refreshing again (PKCE refresh tokens
+// only work once).
+const recentRefreshes = new Map();
+const RECENT_REFRESH_TTL = 30 * 1000;
+
+/**
+ * Check whether tokens are kept in the server session
+ * @param {Object} env - Environment variables
+ * @returns {boolean} True when TOKEN_STORAGE=session
+ */
+export const usesTokenSessions = (env = process.env) => env.TOKEN_STORAGE === 'session';
+
+/**
+ * Store a token response in the session
+ * @param {Object} session - express-session session
+ * @param {Object} tokens - Spotify token response ({ access_token, refresh_token, expires_in })
+ */
+export const storeSessionTokens = (session, { access_token, refresh_token, expires_in }) => {
+  session.spotify = {
+    accessToken: access_token,
+    // Refresh responses only include a refresh token when it was rotated
+    refreshToken: refresh_token || session.spotify?.refreshToken,
+    expiresAt: Date.now() + expires_in * 1000
+  };
+};
+
+/**
+ * Remove the tokens from the session
+ * @param {Object} session - express-session session
+ */
+export const clearSessionTokens = (session) => {
+  if (session) delete session.spotify;
+};
+
+/**
+ * Save the session now rather than at the end of the response
+ * @param {Object} session - express-session session
+ * @returns {Promise} Resolves once saved
+ */
+const saveSession = (session) => new Promise((resolve, reject) => {
+  session.save(err => (err ? reject(err) : resolve()));
+});
+
+/**
+ * Get a valid access token from the session, refreshing it if needed
+ * @param {Object} req - Express request
+ * @param {Object} options - { force } to refresh even a token that hasn't
+ *   expired yet, e.g. one Spotify refused
+ * @returns {Promise<Object|null>} { accessToken, expiresAt } or null without a token session
+ */
+export const getSessionAccessToken = async (req, { force = false } = {}) => {
+  const tokens = req.session?.spotify;
+  if (!tokens?.accessToken) return null;
+
+  if (!force && tokens.expiresAt - REFRESH_MARGIN > Date.now()) {
+    return { accessToken: tokens.accessToken, expiresAt: tokens.expiresAt };
+  }
+
+  if (!tokens.refreshToken) return null;
+
+  const { refreshToken } = tokens;
+  if (!recentRefreshes.has(refreshToken)) {
+    const refresh = (async () => {
+      console.log('Refreshing access token held in session...');
+      storeSessionTokens(req.session, await refreshSpotifyToken(refreshToken));
+      await saveSession(req.session);
+      return req.session.spotify;
+    })();
+
+    recentRefreshes.set(refreshToken, refresh);
+    setTimeout(() => recentRefreshes.delete(refreshToken), RECENT_REFRESH_TTL).unref();
+    refresh.catch(() => recentRefreshes.delete(refreshToken));
+  }
+
+  const refreshed = await recentRefreshes.get(refreshToken);
+
+  // Requests that reused another one's refresh still hold the old session data
+  req.session.spotify = refreshed;
+  return { accessToken: refreshed.accessToken, expiresAt: refreshed.expiresAt };
+};
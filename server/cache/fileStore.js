@@ -0,0 +1,86 @@
+/**
+ * File-based cache store
+ *
+ * Each entry is written to its own JSON file, named after a hash of the key,
+ * so cached data survives server restarts.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Create a file-based store
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory that holds the cache files
+ * @returns {Object} Cache store
+ */
+export const createFileStore = ({ directory }) => {
+  if (!directory) {
+    throw new Error('The file cache store needs a directory');
+  }
+
+  const fileFor = (key) => {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(directory, `${hash}.json`);
+  };
+
+  // Create the directory on first use rather than here, where a failure
+  // would be an unhandled rejection. Failures reach the caller and the next
+  // call tries again.
+  let ready = null;
+  const ensureDir = () => {
+    if (!ready) {
+      ready = fs.mkdir(directory, { recursive: true }).catch(err => {
+        ready = null;
+        throw err;
+      });
+    }
+    return ready;
+  };
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      await ensureDir();
+
+      try {
+        const contents = await fs.readFile(fileFor(key), 'utf8');
+        return JSON.parse(contents);
+      } catch (err) {
+        if (err.code === 'ENOENT') return undefined;
+        throw err;
+      }
+    },
+
+    async set(key, entry) {
+      await ensureDir();
+
+      // Write to a temporary file first so readers never see a partial entry
+      const file = fileFor(key);
+      const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(entry));
+      await fs.rename(tempFile, file);
+    },
+
+    async delete(key) {
+      await ensureDir();
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async clear() {
+      await ensureDir();
+      const files = await fs.readdir(directory);
+      await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => fs.rm(path.join(directory, file), { force: true })));
+    },
+
+    async size() {
+      await ensureDir();
+      const files = await fs.readdir(directory);
+      return files.filter(file => file.endsWith('.json')).length;
+    }
+  };
+};
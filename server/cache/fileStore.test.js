@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { createFileStore } from './fileStore.js';
+
+const withTempDir = async (fn) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'file-store-'));
+  try {
+    await fn(directory);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+};
+
+test('stores entries as files in a directory it creates', () => withTempDir(async (root) => {
+  const store = createFileStore({ directory: path.join(root, 'cache', 'nested') });
+
+  await store.set('a', { value: 1, expiresAt: null });
+  assert.deepEqual(await store.get('a'), { value: 1, expiresAt: null });
+  assert.equal(await store.get('missing'), undefined);
+  assert.equal(await store.size(), 1);
+
+  await store.delete('a');
+  assert.equal(await store.get('a'), undefined);
+}));
+
+test('a directory it cannot create fails the first call, not the constructor', () => withTempDir(async (root) => {
+  // A file where the directory should be
+  const blocked = path.join(root, 'blocked');
+  await fs.writeFile(blocked, '');
+
+  const store = createFileStore({ directory: path.join(blocked, 'cache') });
+  await new Promise(resolve => setImmediate(resolve));
+
+  await assert.rejects(store.get('a'), { code: 'ENOTDIR' });
+  await assert.rejects(store.set('a', { value: 1 }), { code: 'ENOTDIR' });
+
+  // The next call tries again
+  await fs.rm(blocked);
+  await fs.mkdir(blocked);
+  await store.set('a', { value: 1 });
+  assert.deepEqual(await store.get('a'), { value: 1 });
+}));
+
+test('needs a directory', () => {
+  assert.throws(() => createFileStore({}), /needs a directory/);
+});
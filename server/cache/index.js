@@ -0,0 +1,154 @@
+/**
+ * Response cache
+ *
+ * Caches data fetched from Spotify (audio features, audio analysis) keyed by
+ * a string such as `analysis:<trackId>`. The storage backend is pluggable:
+ * any object with async get/set/delete/clear methods works, and memory and
+ * file stores are built in.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMemoryStore } from './memoryStore.js';
+import { createFileStore } from './fileStore.js';
+
+export { createMemoryStore, createFileStore };
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Cache status values, sent to clients in the X-Cache header
+export const CACHE_STATUS = {
+  HIT: 'HIT',
+  MISS: 'MISS',
+  BYPASS: 'BYPASS'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a cache on top of a store
+ * @param {Object} options - Cache options
+ * @param {Object} options.store - Storage backend
+ * @param {number} options.defaultTtl - Time to live in ms (0 = never expires)
+ * @returns {Object} Cache
+ */
+export const createCache = ({ store = createMemoryStore(), defaultTtl = DAY } = {}) => {
+  // Fetches in flight, so concurrent misses for one key only hit Spotify once
+  const pending = new Map();
+
+  const read = async (key) => {
+    try {
+      const entry = await store.get(key);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        await store.delete(key);
+        return undefined;
+      }
+
+      return entry;
+    } catch (err) {
+      console.error(`Error reading cache entry ${key}:`, err.message);
+      return undefined;
+    }
+  };
+
+  const write = async (key, value, ttl) => {
+    const entry = {
+      value,
+      expiresAt: ttl ? Date.now() + ttl : null
+    };
+
+    try {
+      await store.set(key, entry);
+    } catch (err) {
+      console.error(`Error writing cache entry ${key}:`, err.message);
+    }
+
+    return entry;
+  };
+
+  /**
+   * Return the cached value for a key, or fetch and cache it
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Async function producing the value
+   * @param {Object} options - { ttl } for a newly cached value, { refresh } to skip the cached one
+   * @returns {Promise<Object>} { value, status, expiresAt }
+   */
+  const wrap = async (key, fetcher, { ttl = defaultTtl, refresh = false } = {}) => {
+    const cached = refresh ? undefined : await read(key);
+    if (cached) {
+      return { value: cached.value, status: CACHE_STATUS.HIT, expiresAt: cached.expiresAt };
+    }
+
+    if (pending.has(key)) {
+      return pending.get(key);
+    }
+
+    const request = (async () => {
+      const value = await fetcher();
+      const entry = await write(key, value, ttl);
+      return {
+        value,
+        status: refresh ? CACHE_STATUS.BYPASS : CACHE_STATUS.MISS,
+        expiresAt: entry.expiresAt
+      };
+    })();
+
+    pending.set(key, request);
+
+    try {
+      return await request;
+    } finally {
+      pending.delete(key);
+    }
+  };
+
+  return {
+    store,
+    wrap,
+    get: async (key) => (await read(key))?.value,
+    set: (key, value, ttl = defaultTtl) => write(key, value, ttl),
+    delete: (key) => store.delete(key),
+    clear: () => store.clear()
+  };
+};
+
+/**
+ * Create a store from environment variables
+ *
+ * CACHE_STORE        memory (default) or file
+ * CACHE_MAX_ENTRIES  maximum entries for the memory store
+ * CACHE_MAX_MB       maximum size of the memory store's entries, in MB
+ * CACHE_DIR          directory for the file store
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} Cache store
+ */
+export const createStoreFromEnv = (env = process.env) => {
+  switch (env.CACHE_STORE) {
+    case 'file':
+      return createFileStore({
+        directory: env.CACHE_DIR || path.join(__dirname, '..', '.cache')
+      });
+    case 'memory':
+    default:
+      return createMemoryStore({
+        maxEntries: parseInt(env.CACHE_MAX_ENTRIES) || 500,
+        maxBytes: (parseFloat(env.CACHE_MAX_MB) || 50) * 1024 * 1024
+      });
+  }
+};
+
+/**
+ * Set the cache status headers on a response
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of cache.wrap()
+ */
+export const setCacheHeaders = (res, { status, expiresAt }) => {
+  res.set('X-Cache', status);
+
+  if (expiresAt) {
+    res.set('X-Cache-Expires', new Date(expiresAt).toISOString());
+  }
+};
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCache, createMemoryStore, CACHE_STATUS } from './index.js';
+
+test('wrap fetches on a miss and serves the cached value after', async () => {
+  const cache = createCache({ store: createMemoryStore() });
+  let calls = 0;
+  const fetcher = async () => ({ calls: ++calls });
+
+  const first = await cache.wrap('key', fetcher);
+  const second = await cache.wrap('key', fetcher);
+
+  assert.equal(first.status, CACHE_STATUS.MISS);
+  assert.equal(second.status, CACHE_STATUS.HIT);
+  assert.deepEqual(second.value, { calls: 1 });
+});
+
+test('wrap shares one fetch between concurrent misses', async () => {
+  const cache = createCache();
+  let calls = 0;
+  const fetcher = () => new Promise(resolve => setTimeout(() => resolve(++calls), 10));
+
+  const results = await Promise.all([cache.wrap('key', fetcher), cache.wrap('key', fetcher)]);
+  assert.equal(calls, 1);
+  assert.deepEqual(results.map(result => result.value), [1, 1]);
+});
+
+test('wrap bypasses the cached value on refresh and expired entries are dropped', async () => {
+  const cache = createCache({ defaultTtl: 1 });
+  await cache.set('key', 'old');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await cache.get('key'), undefined);
+
+  await cache.set('key', 'cached', 0);
+  const result = await cache.wrap('key', async () => 'fresh', { refresh: true });
+  assert.equal(result.status, CACHE_STATUS.BYPASS);
+  assert.equal(result.value, 'fresh');
+});
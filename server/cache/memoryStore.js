@@ -0,0 +1,83 @@
+/**
+ * In-memory LRU cache store
+ *
+ * Entries live in a Map, whose insertion order doubles as the recency order:
+ * reading an entry moves it to the end and the oldest entries are evicted once
+ * the store holds too many entries or too many bytes.
+ *
+ * Entries are kept serialized as JSON, like the file store keeps them, so
+ * their size is known (an audio analysis alone can be hundreds of KB) and
+ * callers never share mutable objects with the store.
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Create an in-memory LRU store
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Maximum number of entries to keep
+ * @param {number} options.maxBytes - Maximum total size of the serialized entries
+ * @returns {Object} Cache store
+ */
+export const createMemoryStore = ({ maxEntries = 500, maxBytes = 50 * MB } = {}) => {
+  // key -> { json, bytes }
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const remove = (key) => {
+    const stored = entries.get(key);
+    if (!stored) return;
+
+    totalBytes -= stored.bytes;
+    entries.delete(key);
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      if (!entries.has(key)) return undefined;
+
+      // Mark as most recently used
+      const stored = entries.get(key);
+      entries.delete(key);
+      entries.set(key, stored);
+      return JSON.parse(stored.json);
+    },
+
+    async set(key, entry) {
+      remove(key);
+
+      const json = JSON.stringify(entry);
+      const bytes = Buffer.byteLength(json);
+
+      // An entry larger than the whole store would only evict everything else
+      if (bytes > maxBytes) return;
+
+      entries.set(key, { json, bytes });
+      totalBytes += bytes;
+
+      // Evict least recently used entries
+      while (entries.size > maxEntries || totalBytes > maxBytes) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      remove(key);
+    },
+
+    async clear() {
+      entries.clear();
+      totalBytes = 0;
+    },
+
+    async size() {
+      return entries.size;
+    },
+
+    async bytes() {
+      return totalBytes;
+    }
+  };
+};
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from './memoryStore.js';
+
+const entryOf = (size) => ({ value: 'x'.repeat(size), expiresAt: null });
+
+test('evicts the least recently used entry past maxEntries', async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set('a', entryOf(1));
+  await store.set('b', entryOf(1));
+  await store.get('a');
+  await store.set('c', entryOf(1));
+
+  assert.ok(await store.get('a'));
+  assert.equal(await store.get('b'), undefined);
+  assert.ok(await store.get('c'));
+});
+
+test('evicts entries until the serialized size fits maxBytes', async () => {
+  const store = createMemoryStore({ maxBytes: 2500 });
+  await store.set('a', entryOf(1000));
+  await store.set('b', entryOf(1000));
+  await store.set('c', entryOf(1000));
+
+  assert.equal(await store.size(), 2);
+  assert.equal(await store.get('a'), undefined);
+  assert.ok(await store.bytes() <= 2500);
+});
+
+test('skips entries larger than the whole store', async () => {
+  const store = createMemoryStore({ maxBytes: 500 });
+  await store.set('small', entryOf(10));
+  await store.set('large', entryOf(1000));
+
+  assert.equal(await store.get('large'), undefined);
+  assert.ok(await store.get('small'));
+});
+
+test('keeps the byte count right when entries are replaced and deleted', async () => {
+  const store = createMemoryStore();
+  await store.set('a', entryOf(100));
+  await store.set('a', entryOf(10));
+  const bytes = await store.bytes();
+  assert.equal(bytes, JSON.stringify(entryOf(10)).length);
+
+  await store.delete('a');
+  assert.equal(await store.bytes(), 0);
+});
+
+test('returns copies, so changing a read entry leaves the stored one alone', async () => {
+  const store = createMemoryStore();
+  await store.set('a', { value: { count: 1 }, expiresAt: null });
+
+  const entry = await store.get('a');
+  entry.value.count = 2;
+  assert.equal((await store.get('a')).value.count, 1);
+});
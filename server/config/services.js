@@ -0,0 +1,44 @@
+/**
+ * URLs of the external services
+ *
+ * Spotify and Apple Music are reached at their public URLs unless these
+ * environment variables point somewhere else, e.g. the mock server (mock/):
+ *
+ * SPOTIFY_API_URL       Spotify Web API (default https://api.spotify.com)
+ * SPOTIFY_ACCOUNTS_URL  Spotify Accounts service (default https://accounts.spotify.com)
+ * APPLE_MUSIC_API_URL   Apple Music API (default https://api.music.apple.com)
+ *
+ * They are read on every request, so they work no matter when dotenv runs.
+ */
+
+import { createSpotifyWebApi } from '../../shared/spotify/index.js';
+
+export const DEFAULT_SERVICE_URLS = {
+  spotifyApi: 'https://api.spotify.com',
+  spotifyAccounts: 'https://accounts.spotify.com',
+  appleMusicApi: 'https://api.music.apple.com'
+};
+
+// Strip trailing slashes so paths can be appended
+const trimUrl = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Get the service URLs from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} { spotifyApi, spotifyAccounts, appleMusicApi } without trailing slashes
+ */
+export const getServiceUrls = (env = process.env) => ({
+  spotifyApi: trimUrl(env.SPOTIFY_API_URL || DEFAULT_SERVICE_URLS.spotifyApi),
+  spotifyAccounts: trimUrl(env.SPOTIFY_ACCOUNTS_URL || DEFAULT_SERVICE_URLS.spotifyAccounts),
+  appleMusicApi: trimUrl(env.APPLE_MUSIC_API_URL || DEFAULT_SERVICE_URLS.appleMusicApi)
+});
+
+/**
+ * Create a Spotify Web API client for the configured Spotify API URL
+ * @param {string} accessToken - Access token for its requests
+ * @returns {Object} Client from createSpotifyWebApi(), resolving with { body, headers, statusCode }
+ */
+export const createSpotifyClient = (accessToken = null) => createSpotifyWebApi({
+  apiUrl: `${getServiceUrls().spotifyApi}/v1`,
+  accessToken
+});
@@ -0,0 +1,234 @@
+/**
+ * Highlight exports
+ *
+ * Writes the highlights of an album, or of any set of tracks, as files other
+ * tools read: extended M3U and XSPF playlists, a CUE sheet and a JSON
+ * document with every detail the detection engine gives. Each highlight is
+ * one entry, with its start and length wherever the format has room:
+ *
+ * - M3U: #EXTINF holds the length, #EXTVLCOPT start-time/stop-time the offsets
+ * - XSPF: <duration> holds the length, VLC's extension the offsets
+ * - CUE: INDEX 01 marks the start within the track's FILE, REM the length
+ * - JSON: everything
+ */
+
+// Export formats, with their file type
+export const EXPORT_FORMATS = {
+  m3u: { extension: 'm3u8', contentType: 'audio/x-mpegurl; charset=utf-8' },
+  xspf: { extension: 'xspf', contentType: 'application/xspf+xml; charset=utf-8' },
+  cue: { extension: 'cue', contentType: 'application/x-cue; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+// CUE sheets number their tracks 01 to 99
+const MAX_CUE_TRACKS = 99;
+
+const exportError = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const artistNames = (track) => (track.artists || []).map(artist => artist.name).join(', ');
+
+const trackUrl = (track) => track.external_urls?.spotify || `https://open.spotify.com/track/${track.id}`;
+
+// Highlights detected offline are timed within the preview clip, so they
+// point at the preview rather than the track
+const locationOf = (track, highlight) => (
+  highlight.clip === 'preview' && track.preview_url ? track.preview_url : trackUrl(track)
+);
+
+const highlightTitle = (track, highlight) => `${track.name} (${highlight.name || highlight.reason || 'Highlight'})`;
+
+// Every highlight with its track and album, in export order
+const flatten = (entries) => entries.flatMap(({ track, album, highlights }) => (
+  highlights.map(highlight => ({ track, album: track.album || album, highlight }))
+));
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CUE strings are quoted and can't contain quotes or line breaks
+const cueString = (value) => `"${String(value).replace(/["\r\n]/g, ' ')}"`;
+
+// CUE times are MM:SS:FF with 75 frames per second
+const cueTime = (seconds) => {
+  const frames = Math.round(seconds * 75);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(frames / 75 / 60))}:${pad(Math.floor(frames / 75) % 60)}:${pad(frames % 75)}`;
+};
+
+const toM3u = (title, entries) => [
+  '#EXTM3U',
+  `#PLAYLIST:${title}`,
+  ...flatten(entries).flatMap(({ track, highlight }) => [
+    `#EXTINF:${Math.round(highlight.duration)},${artistNames(track)} - ${highlightTitle(track, highlight)}`,
+    `#EXTVLCOPT:start-time=${round(highlight.start)}`,
+    `#EXTVLCOPT:stop-time=${round(highlight.start + highlight.duration)}`,
+    locationOf(track, highlight)
+  ]),
+  ''
+].join('\n');
+
+const toXspf = (title, entries) => {
+  const tracks = flatten(entries).map(({ track, album, highlight }) => [
+    '    <track>',
+    `      <location>${escapeXml(locationOf(track, highlight))}</location>`,
+    `      <identifier>${escapeXml(track.uri || `spotify:track:${track.id}`)}</identifier>`,
+    `      <title>${escapeXml(highlightTitle(track, highlight))}</title>`,
+    `      <creator>${escapeXml(artistNames(track))}</creator>`,
+    album?.name ? `      <album>${escapeXml(album.name)}</album>` : null,
+    `      <annotation>${escapeXml(highlight.reason || 'Highlight')}</annotation>`,
+    `      <duration>${Math.round(highlight.duration * 1000)}</duration>`,
+    '      <extension application="http://www.videolan.org/vlc/playlist/0">',
+    `        <vlc:option>start-time=${round(highlight.start)}</vlc:option>`,
+    `        <vlc:option>stop-time=${round(highlight.start + highlight.duration)}</vlc:option>`,
+    '      </extension>',
+    '    </track>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/" xmlns:vlc="http://www.videolan.org/vlc/playlist/ns/0/">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <date>${new Date().toISOString()}</date>`,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+};
+
+// One FILE per Spotify track, named like a local copy would be, with its
+// highlights as the sheet's tracks
+const toCue = (title, entries) => {
+  const highlights = flatten(entries);
+  if (highlights.length > MAX_CUE_TRACKS) {
+    throw exportError(`CUE sheets hold at most ${MAX_CUE_TRACKS} highlights, this export has ${highlights.length}`);
+  }
+
+  const performers = [...new Set(entries.map(({ track }) => artistNames(track)))];
+  const lines = [
+    'REM COMMENT "Exported from SpotiYRec"',
+    performers.length === 1 ? `PERFORMER ${cueString(performers[0])}` : null,
+    `TITLE ${cueString(title)}`
+  ];
+
+  let number = 0;
+  for (const { track, highlights: trackHighlights } of entries) {
+    if (trackHighlights.length === 0) continue;
+
+    lines.push(`FILE ${cueString(`${artistNames(track)} - ${track.name}.mp3`)} MP3`);
+    for (const highlight of trackHighlights) {
+      number += 1;
+      lines.push(
+        `  TRACK ${String(number).padStart(2, '0')} AUDIO`,
+        `    TITLE ${cueString(highlight.name || highlight.reason || 'Highlight')}`,
+        `    PERFORMER ${cueString(artistNames(track))}`,
+        `    REM SPOTIFY_URI ${track.uri || `spotify:track:${track.id}`}`,
+        `    REM DURATION ${round(highlight.duration)}`,
+        ...(highlight.clip === 'preview' ? ['    REM CLIP preview'] : []),
+        `    INDEX 01 ${cueTime(highlight.start)}`
+      );
+    }
+  }
+
+  return [...lines.filter(line => line !== null), ''].join('\n');
+};
+
+const toJson = (title, entries) => JSON.stringify({
+  title,
+  exported_at: new Date().toISOString(),
+  tracks: entries.map(({ track, album, highlights }) => {
+    const trackAlbum = track.album || album;
+    return {
+      id: track.id,
+      uri: track.uri,
+      name: track.name,
+      artists: (track.artists || []).map(({ id, name }) => ({ id, name })),
+      album: trackAlbum ? { id: trackAlbum.id, name: trackAlbum.name } : null,
+      track_number: track.track_number,
+      duration_ms: track.duration_ms,
+      url: trackUrl(track),
+      highlights
+    };
+  })
+}, null, 2);
+
+const WRITERS = { m3u: toM3u, xspf: toXspf, cue: toCue, json: toJson };
+
+// Limits on a session export sent by a client
+export const EXPORT_LIMITS = {
+  maxTracks: 200,
+  maxHighlightsPerTrack: 20,
+  maxTitleLength: 100
+};
+
+/**
+ * Check and normalize a session export sent by a client
+ * @param {Object} body - { title, tracks: [{ id, highlights }] } in session order
+ * @returns {Object} { title, tracks } with each track's highlights checked
+ * @throws {Error} With statusCode 400 when the export is invalid
+ */
+export const normalizeExportRequest = (body = {}) => {
+  const { maxTracks, maxHighlightsPerTrack, maxTitleLength } = EXPORT_LIMITS;
+
+  if (!Array.isArray(body.tracks) || body.tracks.length === 0) {
+    throw exportError('tracks must be a non-empty array');
+  }
+  if (body.tracks.length > maxTracks) {
+    throw exportError(`At most ${maxTracks} tracks can be exported at once`);
+  }
+
+  const tracks = body.tracks.map((entry, index) => {
+    if (typeof entry?.id !== 'string' || !entry.id) {
+      throw exportError(`Track ${index + 1} needs an id`);
+    }
+    const highlights = Array.isArray(entry.highlights) ? entry.highlights.slice(0, maxHighlightsPerTrack) : [];
+
+    return {
+      id: entry.id,
+      // Everything the detection engine gives is kept for the JSON export
+      highlights: highlights.map((highlight, position) => {
+        const start = Number(highlight?.start);
+        const duration = Number(highlight?.duration);
+        if (!Number.isFinite(start) || start < 0 || !Number.isFinite(duration) || duration <= 0) {
+          throw exportError(`Highlight ${position + 1} of track ${index + 1} needs a start and a positive duration`);
+        }
+        return { ...highlight, start: round(start), duration: round(duration) };
+      })
+    };
+  });
+
+  const title = typeof body.title === 'string' ? body.title.replace(/\s+/g, ' ').trim().slice(0, maxTitleLength) : '';
+  return { title: title || 'Highlights', tracks };
+};
+
+/**
+ * Write highlights in an export format
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} options - { title, entries } with entries { track, album, highlights } in order
+ * @returns {Object} { body, contentType, filename }
+ * @throws {Error} With statusCode 400 for an unknown format or a CUE sheet that's too long
+ */
+export const exportHighlights = (format, { title, entries }) => {
+  const writer = WRITERS[format];
+  if (!writer) {
+    throw exportError(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'highlights';
+  return {
+    body: writer(title, entries),
+    contentType: EXPORT_FORMATS[format].contentType,
+    filename: `${slug}.${EXPORT_FORMATS[format].extension}`
+  };
+};
@@ -0,0 +1,185 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { exportHighlights, normalizeExportRequest, EXPORT_LIMITS } from './export.js';
+
+const album = { id: 'album1', name: 'Salt & Static' };
+
+const track = {
+  id: 'track1',
+  uri: 'spotify:track:track1',
+  name: 'Tide "Line"',
+  artists: [{ id: 'artist1', name: 'Low <Tide>' }],
+  track_number: 1,
+  duration_ms: 200000,
+  preview_url: 'https://p.scdn.co/mp3-preview/track1',
+  external_urls: { spotify: 'https://open.spotify.com/track/track1' }
+};
+
+const entries = [
+  {
+    track,
+    album,
+    highlights: [
+      { start: 61.5, duration: 24.25, score: 0.9, reason: 'Chorus' },
+      { start: 12, duration: 20, name: 'Intro riff', clip: 'preview' }
+    ]
+  },
+  { track: { ...track, id: 'track2', uri: 'spotify:track:track2', name: 'Empty', external_urls: {} }, album, highlights: [] }
+];
+
+const write = (format) => exportHighlights(format, { title: 'Salt & Static Highlights', entries });
+
+test('writes an extended M3U playlist with VLC start and stop times', () => {
+  const { body, contentType, filename } = write('m3u');
+
+  assert.equal(filename, 'salt-static-highlights.m3u8');
+  assert.equal(contentType, 'audio/x-mpegurl; charset=utf-8');
+  assert.equal(body, [
+    '#EXTM3U',
+    '#PLAYLIST:Salt & Static Highlights',
+    '#EXTINF:24,Low <Tide> - Tide "Line" (Chorus)',
+    '#EXTVLCOPT:start-time=61.5',
+    '#EXTVLCOPT:stop-time=85.75',
+    'https://open.spotify.com/track/track1',
+    '#EXTINF:20,Low <Tide> - Tide "Line" (Intro riff)',
+    '#EXTVLCOPT:start-time=12',
+    '#EXTVLCOPT:stop-time=32',
+    'https://p.scdn.co/mp3-preview/track1',
+    ''
+  ].join('\n'));
+});
+
+test('writes an XSPF playlist with escaped XML', () => {
+  const body = write('xspf').body.replace(/<date>[^<]+<\/date>/, '<date>DATE</date>');
+
+  assert.equal(body, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/" xmlns:vlc="http://www.videolan.org/vlc/playlist/ns/0/">',
+    '  <title>Salt &amp; Static Highlights</title>',
+    '  <date>DATE</date>',
+    '  <trackList>',
+    '    <track>',
+    '      <location>https://open.spotify.com/track/track1</location>',
+    '      <identifier>spotify:track:track1</identifier>',
+    '      <title>Tide &quot;Line&quot; (Chorus)</title>',
+    '      <creator>Low &lt;Tide&gt;</creator>',
+    '      <album>Salt &amp; Static</album>',
+    '      <annotation>Chorus</annotation>',
+    '      <duration>24250</duration>',
+    '      <extension application="http://www.videolan.org/vlc/playlist/0">',
+    '        <vlc:option>start-time=61.5</vlc:option>',
+    '        <vlc:option>stop-time=85.75</vlc:option>',
+    '      </extension>',
+    '    </track>',
+    '    <track>',
+    '      <location>https://p.scdn.co/mp3-preview/track1</location>',
+    '      <identifier>spotify:track:track1</identifier>',
+    '      <title>Tide &quot;Line&quot; (Intro riff)</title>',
+    '      <creator>Low &lt;Tide&gt;</creator>',
+    '      <album>Salt &amp; Static</album>',
+    '      <annotation>Highlight</annotation>',
+    '      <duration>20000</duration>',
+    '      <extension application="http://www.videolan.org/vlc/playlist/0">',
+    '        <vlc:option>start-time=12</vlc:option>',
+    '        <vlc:option>stop-time=32</vlc:option>',
+    '      </extension>',
+    '    </track>',
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n'));
+});
+
+test('writes a CUE sheet with MM:SS:FF indexes', () => {
+  assert.equal(write('cue').body, [
+    'REM COMMENT "Exported from SpotiYRec"',
+    'PERFORMER "Low <Tide>"',
+    'TITLE "Salt & Static Highlights"',
+    'FILE "Low <Tide> - Tide  Line .mp3" MP3',
+    '  TRACK 01 AUDIO',
+    '    TITLE "Chorus"',
+    '    PERFORMER "Low <Tide>"',
+    '    REM SPOTIFY_URI spotify:track:track1',
+    '    REM DURATION 24.25',
+    '    INDEX 01 01:01:38',
+    '  TRACK 02 AUDIO',
+    '    TITLE "Intro riff"',
+    '    PERFORMER "Low <Tide>"',
+    '    REM SPOTIFY_URI spotify:track:track1',
+    '    REM DURATION 20',
+    '    REM CLIP preview',
+    '    INDEX 01 00:12:00',
+    ''
+  ].join('\n'));
+});
+
+test('CUE times count 75 frames per second', () => {
+  const at = (start) => exportHighlights('cue', {
+    title: 'T',
+    entries: [{ track, highlights: [{ start, duration: 10 }] }]
+  }).body.match(/INDEX 01 (\S+)/)[1];
+
+  assert.equal(at(0), '00:00:00');
+  assert.equal(at(0.5), '00:00:38');
+  assert.equal(at(59.99), '00:59:74');
+  assert.equal(at(3599.5), '59:59:38');
+  assert.equal(at(3725), '62:05:00');
+});
+
+test('CUE sheets hold at most 99 highlights', () => {
+  const many = (count) => [{ track, highlights: Array.from({ length: count }, (_, index) => ({ start: index, duration: 1 })) }];
+
+  assert.match(exportHighlights('cue', { title: 'T', entries: many(99) }).body, /TRACK 99 AUDIO/);
+  assert.throws(
+    () => exportHighlights('cue', { title: 'T', entries: many(100) }),
+    { statusCode: 400, message: 'CUE sheets hold at most 99 highlights, this export has 100' }
+  );
+});
+
+test('writes JSON with every highlight detail', () => {
+  const { body, filename } = write('json');
+  const json = JSON.parse(body);
+
+  assert.equal(filename, 'salt-static-highlights.json');
+  assert.equal(json.title, 'Salt & Static Highlights');
+  assert.deepEqual(json.tracks[0].album, { id: 'album1', name: 'Salt & Static' });
+  assert.deepEqual(json.tracks[0].highlights, entries[0].highlights);
+  assert.equal(json.tracks[1].url, 'https://open.spotify.com/track/track2');
+});
+
+test('rejects unknown formats', () => {
+  assert.throws(() => write('pls'), { statusCode: 400, message: 'format must be one of m3u, xspf, cue, json' });
+});
+
+test('normalizeExportRequest checks tracks and highlights', () => {
+  const normalized = normalizeExportRequest({
+    title: '  My   mix  ',
+    tracks: [{ id: 'a', highlights: [{ start: '1.23456', duration: 20, score: 0.5 }] }, { id: 'b' }]
+  });
+
+  assert.deepEqual(normalized, {
+    title: 'My mix',
+    tracks: [{ id: 'a', highlights: [{ start: 1.235, duration: 20, score: 0.5 }] }, { id: 'b', highlights: [] }]
+  });
+  assert.equal(normalizeExportRequest({ tracks: [{ id: 'a' }] }).title, 'Highlights');
+  assert.equal(normalizeExportRequest({ title: 'x'.repeat(500), tracks: [{ id: 'a' }] }).title.length, EXPORT_LIMITS.maxTitleLength);
+
+  const highlights = Array.from({ length: 30 }, () => ({ start: 0, duration: 1 }));
+  assert.equal(normalizeExportRequest({ tracks: [{ id: 'a', highlights }] }).tracks[0].highlights.length, EXPORT_LIMITS.maxHighlightsPerTrack);
+});
+
+test('normalizeExportRequest rejects invalid exports with 400', () => {
+  const invalid = [
+    {},
+    { tracks: [] },
+    { tracks: Array.from({ length: EXPORT_LIMITS.maxTracks + 1 }, (_, index) => ({ id: `t${index}` })) },
+    { tracks: [{ highlights: [] }] },
+    { tracks: [{ id: 'a', highlights: [{ start: -1, duration: 10 }] }] },
+    { tracks: [{ id: 'a', highlights: [{ start: 0, duration: 0 }] }] },
+    { tracks: [{ id: 'a', highlights: [{ start: 'soon', duration: 10 }] }] }
+  ];
+
+  for (const body of invalid) {
+    assert.throws(() => normalizeExportRequest(body), { statusCode: 400 }, JSON.stringify(body).slice(0, 80));
+  }
+});
@@ -0,0 +1,181 @@
+/**
+ * User highlights
+ *
+ * Highlights users mark, name and order themselves, kept per user and track
+ * in a key-value store with the same interface as the cache stores (see
+ * cache/). Unlike cached Spotify data they never expire, so they're written
+ * to files by default.
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createMemoryStore, createFileStore } from '../cache/index.js';
+import { overlaps } from '../../shared/highlights/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Limits on what users can save for one track
+export const CUSTOM_HIGHLIGHT_LIMITS = {
+  maxHighlights: 20,
+  minDuration: 1,
+  maxDuration: 120,
+  maxNameLength: 80
+};
+
+const validationError = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Check and normalize highlights sent by a client
+ * @param {Array} highlights - { id, start, duration, name, clip } in the user's order
+ * @returns {Array} Highlights with ids, names and the custom flag
+ * @throws {Error} With statusCode 400 when a highlight is invalid or two overlap
+ */
+export const normalizeCustomHighlights = (highlights) => {
+  const { maxHighlights, minDuration, maxDuration, maxNameLength } = CUSTOM_HIGHLIGHT_LIMITS;
+
+  if (!Array.isArray(highlights)) {
+    throw validationError('highlights must be an array');
+  }
+  if (highlights.length > maxHighlights) {
+    throw validationError(`At most ${maxHighlights} highlights can be saved per track`);
+  }
+
+  const normalized = highlights.map((highlight, index) => {
+    const start = Number(highlight?.start);
+    const duration = Number(highlight?.duration);
+
+    if (!Number.isFinite(start) || start < 0) {
+      throw validationError(`Highlight ${index + 1} needs a start of 0 seconds or more`);
+    }
+    if (!Number.isFinite(duration) || duration < minDuration || duration > maxDuration) {
+      throw validationError(`Highlight ${index + 1} must last between ${minDuration} and ${maxDuration} seconds`);
+    }
+
+    const name = typeof highlight.name === 'string' ? highlight.name.trim().slice(0, maxNameLength) : '';
+    const id = typeof highlight.id === 'string' && /^[\w-]{1,64}$/.test(highlight.id)
+      ? highlight.id
+      : crypto.randomUUID();
+
+    return {
+      id,
+      start: round(start),
+      duration: round(duration),
+      name: name || `Highlight ${index + 1}`,
+      reason: name || 'Your highlight',
+      custom: true,
+      // Times within the preview clip rather than the full track
+      ...(highlight.clip === 'preview' ? { clip: 'preview' } : {})
+    };
+  });
+
+  // Preview times and full track times are on different timelines
+  normalized.forEach((highlight, index) => {
+    const other = normalized.findIndex((candidate, candidateIndex) => (
+      candidateIndex > index && candidate.clip === highlight.clip && overlaps(candidate, highlight)
+    ));
+    if (other !== -1) {
+      throw validationError(`Highlights ${index + 1} and ${other + 1} overlap`);
+    }
+  });
+
+  return normalized;
+};
+
+/**
+ * Create the user highlight store
+ * @param {Object} options - { store } key-value store
+ * @returns {Object} Store with list, save and remove
+ */
+export const createCustomHighlightStore = ({ store = createMemoryStore() } = {}) => {
+  const keyFor = (userId, trackId) => `custom-highlights:${userId}:${trackId}`;
+
+  const list = async (userId, trackId) => {
+    const entry = await store.get(keyFor(userId, trackId));
+    return entry?.value || [];
+  };
+
+  const save = async (userId, trackId, highlights) => {
+    const normalized = normalizeCustomHighlights(highlights);
+    if (normalized.length === 0) {
+      await store.delete(keyFor(userId, trackId));
+    } else {
+      await store.set(keyFor(userId, trackId), { value: normalized, expiresAt: null });
+    }
+    return normalized;
+  };
+
+  return {
+    list,
+
+    /**
+     * List the highlights of several tracks
+     * @returns {Promise<Object>} Highlights keyed by track ID, tracks without any left out
+     */
+    async listMany(userId, trackIds) {
+      const lists = await Promise.all(trackIds.map(trackId => list(userId, trackId)));
+      const byTrack = {};
+      trackIds.forEach((trackId, index) => {
+        if (lists[index].length > 0) byTrack[trackId] = lists[index];
+      });
+      return byTrack;
+    },
+
+    /**
+     * Replace a track's highlights, in the given order
+     * @returns {Promise<Array>} Saved highlights
+     */
+    save,
+
+    /**
+     * Delete one highlight of a track, or all of them without a highlight ID
+     * @returns {Promise<Array>} Remaining highlights
+     */
+    async remove(userId, trackId, highlightId) {
+      if (!highlightId) {
+        await store.delete(keyFor(userId, trackId));
+        return [];
+      }
+
+      const highlights = await list(userId, trackId);
+      const remaining = highlights.filter(highlight => highlight.id !== highlightId);
+      if (remaining.length === highlights.length) {
+        const err = new Error('Highlight not found');
+        err.statusCode = 404;
+        throw err;
+      }
+
+      return save(userId, trackId, remaining);
+    }
+  };
+};
+
+/**
+ * Create the user highlight store from environment variables
+ *
+ * HIGHLIGHTS_STORE  file (default) or memory
+ * HIGHLIGHTS_DIR    directory for the file store
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} User highlight store
+ */
+export const createCustomHighlightStoreFromEnv = (env = process.env) => {
+  switch (env.HIGHLIGHTS_STORE) {
+    case 'memory':
+      // User data must not be evicted like cache entries
+      return createCustomHighlightStore({ store: createMemoryStore({ maxEntries: Infinity, maxBytes: Infinity }) });
+    case 'file':
+    default:
+      return createCustomHighlightStore({
+        store: createFileStore({
+          directory: env.HIGHLIGHTS_DIR || path.join(__dirname, '..', '.highlights')
+        })
+      });
+  }
+};
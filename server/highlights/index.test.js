@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  CUSTOM_HIGHLIGHT_LIMITS,
+  normalizeCustomHighlights,
+  createCustomHighlightStore,
+  createCustomHighlightStoreFromEnv
+} from './index.js';
+import { createMemoryStore } from '../cache/index.js';
+
+test('normalizeCustomHighlights keeps ids and names and marks highlights as custom', () => {
+  const [named, unnamed] = normalizeCustomHighlights([
+    { id: 'chorus-1', start: '61.23456', duration: 20, name: '  Chorus  ', score: 0.9 },
+    { id: 'not an id!', start: 0, duration: 10, clip: 'preview' }
+  ]);
+
+  assert.deepEqual(named, { id: 'chorus-1', start: 61.235, duration: 20, name: 'Chorus', reason: 'Chorus', custom: true });
+  assert.match(unnamed.id, /^[0-9a-f-]{36}$/);
+  assert.equal(unnamed.name, 'Highlight 2');
+  assert.equal(unnamed.reason, 'Your highlight');
+  assert.equal(unnamed.clip, 'preview');
+
+  const [long] = normalizeCustomHighlights([{ start: 0, duration: 10, name: 'x'.repeat(200) }]);
+  assert.equal(long.name.length, CUSTOM_HIGHLIGHT_LIMITS.maxNameLength);
+});
+
+test('normalizeCustomHighlights rejects out-of-range and inverted highlights with 400', () => {
+  const invalid = [
+    [{ start: -1, duration: 10 }, 'Highlight 1 needs a start of 0 seconds or more'],
+    [{ start: 'soon', duration: 10 }, 'Highlight 1 needs a start of 0 seconds or more'],
+    [{ start: 0, duration: 0.5 }, 'Highlight 1 must last between 1 and 120 seconds'],
+    [{ start: 0, duration: 121 }, 'Highlight 1 must last between 1 and 120 seconds'],
+    // Ends before it starts
+    [{ start: 30, duration: -10 }, 'Highlight 1 must last between 1 and 120 seconds'],
+    [null, 'Highlight 1 needs a start of 0 seconds or more']
+  ];
+
+  for (const [highlight, message] of invalid) {
+    assert.throws(() => normalizeCustomHighlights([highlight]), { statusCode: 400, message });
+  }
+  assert.throws(() => normalizeCustomHighlights({ start: 0 }), { statusCode: 400, message: 'highlights must be an array' });
+
+  const tooMany = Array.from({ length: 21 }, (_, index) => ({ start: index * 10, duration: 5 }));
+  assert.throws(() => normalizeCustomHighlights(tooMany), { statusCode: 400 });
+  assert.equal(normalizeCustomHighlights(tooMany.slice(0, 20)).length, 20);
+});
+
+test('normalizeCustomHighlights rejects overlapping highlights of the same clip', () => {
+  assert.throws(
+    () => normalizeCustomHighlights([{ start: 60, duration: 20 }, { start: 0, duration: 10 }, { start: 75, duration: 10 }]),
+    { statusCode: 400, message: 'Highlights 1 and 3 overlap' }
+  );
+  assert.throws(
+    () => normalizeCustomHighlights([{ start: 10, duration: 30 }, { start: 20, duration: 5 }]),
+    { statusCode: 400, message: 'Highlights 1 and 2 overlap' }
+  );
+
+  // Back to back is fine, and preview times don't overlap full track times
+  assert.equal(normalizeCustomHighlights([{ start: 0, duration: 10 }, { start: 10, duration: 10 }]).length, 2);
+  assert.equal(normalizeCustomHighlights([{ start: 0, duration: 20 }, { start: 5, duration: 20, clip: 'preview' }]).length, 2);
+});
+
+test('saves highlights per user and track, in the given order', async () => {
+  const store = createCustomHighlightStore();
+  const saved = await store.save('user1', 'track1', [{ id: 'b', start: 60, duration: 20 }, { id: 'a', start: 0, duration: 10 }]);
+
+  assert.deepEqual(saved.map(({ id }) => id), ['b', 'a']);
+  assert.deepEqual(await store.list('user1', 'track1'), saved);
+  assert.deepEqual(await store.list('user2', 'track1'), []);
+  assert.deepEqual(await store.listMany('user1', ['track1', 'track2']), { track1: saved });
+
+  await assert.rejects(store.save('user1', 'track1', [{ start: -5, duration: 10 }]), { statusCode: 400 });
+  assert.deepEqual(await store.list('user1', 'track1'), saved);
+});
+
+test('saving an empty list deletes the track\'s entry', async () => {
+  const backing = createMemoryStore();
+  const store = createCustomHighlightStore({ store: backing });
+
+  await store.save('user1', 'track1', [{ start: 0, duration: 10 }]);
+  assert.equal((await backing.get('custom-highlights:user1:track1')).expiresAt, null);
+
+  assert.deepEqual(await store.save('user1', 'track1', []), []);
+  assert.equal(await backing.get('custom-highlights:user1:track1'), undefined);
+});
+
+test('removes one highlight, or all of a track\'s', async () => {
+  const store = createCustomHighlightStore();
+  await store.save('user1', 'track1', [{ id: 'a', start: 0, duration: 10 }, { id: 'b', start: 30, duration: 10 }]);
+
+  const remaining = await store.remove('user1', 'track1', 'a');
+  assert.deepEqual(remaining.map(({ id }) => id), ['b']);
+  assert.deepEqual(await store.list('user1', 'track1'), remaining);
+
+  assert.deepEqual(await store.remove('user1', 'track1'), []);
+  assert.deepEqual(await store.list('user1', 'track1'), []);
+});
+
+test('removing an unknown highlight is a 404 and keeps the rest', async () => {
+  const store = createCustomHighlightStore();
+  await store.save('user1', 'track1', [{ id: 'a', start: 0, duration: 10 }]);
+
+  await assert.rejects(store.remove('user1', 'track1', 'missing'), { statusCode: 404, message: 'Highlight not found' });
+  await assert.rejects(store.remove('user1', 'track2', 'a'), { statusCode: 404 });
+  assert.equal((await store.list('user1', 'track1')).length, 1);
+});
+
+test('keeps highlights in HIGHLIGHTS_DIR or in memory', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'highlights-'));
+  try {
+    const highlights = [{ id: 'a', start: 0, duration: 10 }];
+    await createCustomHighlightStoreFromEnv({ HIGHLIGHTS_DIR: directory }).save('user1', 'track1', highlights);
+
+    // A new store reads what the last one wrote
+    const [saved] = await createCustomHighlightStoreFromEnv({ HIGHLIGHTS_STORE: 'file', HIGHLIGHTS_DIR: directory }).list('user1', 'track1');
+    assert.equal(saved.id, 'a');
+
+    const memory = createCustomHighlightStoreFromEnv({ HIGHLIGHTS_STORE: 'memory', HIGHLIGHTS_DIR: directory });
+    assert.deepEqual(await memory.list('user1', 'track1'), []);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
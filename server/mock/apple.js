@@ -0,0 +1,177 @@
+/**
+ * Mock Apple Music API
+ *
+ * Serves the fixture catalog as Apple Music resources for the catalog
+ * search, charts and personal recommendations the app calls. Apple ids are
+ * numeric, so every fixture gets one from its position in the catalog.
+ */
+
+import express from 'express';
+
+/**
+ * Create the mock Apple Music API
+ * @param {Object} catalog - Catalog from loadCatalog()
+ * @returns {Object} Express router
+ */
+export const createAppleMock = (catalog) => {
+  const router = express.Router();
+
+  const appleIds = new Map();
+  [...catalog.artists.keys(), ...catalog.albums.keys(), ...catalog.tracks.keys()].forEach((id, index) => {
+    appleIds.set(id, String(1500000000 + index));
+  });
+
+  const artwork = (albumId) => ({
+    url: catalog.simplifiedAlbum(albumId).images[0].url.replace('640x640', '{w}x{h}'),
+    width: 3000,
+    height: 3000
+  });
+
+  const song = (track) => {
+    const album = catalog.albums.get(track.album);
+    const id = appleIds.get(track.id);
+    return {
+      id,
+      type: 'songs',
+      href: `/v1/catalog/us/songs/${id}`,
+      attributes: {
+        name: track.name,
+        artistName: catalog.artists.get(album.artist).name,
+        albumName: album.name,
+        genreNames: album.genres,
+        trackNumber: track.track_number,
+        discNumber: 1,
+        durationInMillis: track.duration_ms,
+        releaseDate: album.release_date,
+        isrc: catalog.fullTrack(track.id).external_ids.isrc,
+        artwork: artwork(album.id),
+        url: `https://music.apple.com/us/song/${id}`,
+        playParams: { id, kind: 'song' },
+        // Fixtures have no audio
+        previews: []
+      }
+    };
+  };
+
+  const album = (fixture) => {
+    const id = appleIds.get(fixture.id);
+    return {
+      id,
+      type: 'albums',
+      href: `/v1/catalog/us/albums/${id}`,
+      attributes: {
+        name: fixture.name,
+        artistName: catalog.artists.get(fixture.artist).name,
+        genreNames: fixture.genres,
+        releaseDate: fixture.release_date,
+        trackCount: fixture.tracks.length,
+        recordLabel: fixture.label,
+        artwork: artwork(fixture.id),
+        url: `https://music.apple.com/us/album/${id}`,
+        playParams: { id, kind: 'album' }
+      }
+    };
+  };
+
+  const artist = (fixture) => {
+    const id = appleIds.get(fixture.id);
+    return {
+      id,
+      type: 'artists',
+      href: `/v1/catalog/us/artists/${id}`,
+      attributes: {
+        name: fixture.name,
+        genreNames: fixture.genres,
+        url: `https://music.apple.com/us/artist/${id}`
+      }
+    };
+  };
+
+  // Apple wants the developer token on every request
+  router.use((req, res, next) => {
+    if (!/^Bearer \S+/.test(req.get('Authorization') || '')) {
+      return res.status(401).json({ errors: [{ status: '401', title: 'Unauthorized' }] });
+    }
+    next();
+  });
+
+  router.get('/v1/catalog/:storefront/search', (req, res) => {
+    const words = String(req.query.term || '').toLowerCase().split(/[\s+]+/).filter(Boolean);
+    const types = String(req.query.types || 'songs').split(',');
+    const limit = Math.min(25, parseInt(req.query.limit) || 5);
+    const href = `/v1/catalog/${req.params.storefront}/search?term=${encodeURIComponent(req.query.term || '')}`;
+
+    if (words.length === 0) {
+      return res.status(400).json({ errors: [{ status: '400', title: 'Invalid Parameter Value', detail: 'term is required' }] });
+    }
+
+    const matches = (...texts) => {
+      const haystack = texts.join(' ').toLowerCase();
+      return words.every(word => haystack.includes(word));
+    };
+
+    const found = {
+      songs: [...catalog.tracks.values()]
+        .filter(track => {
+          const fixture = catalog.albums.get(track.album);
+          return matches(track.name, fixture.name, catalog.artists.get(fixture.artist).name);
+        })
+        .map(song),
+      albums: [...catalog.albums.values()]
+        .filter(fixture => matches(fixture.name, catalog.artists.get(fixture.artist).name))
+        .map(album),
+      artists: [...catalog.artists.values()]
+        .filter(fixture => matches(fixture.name))
+        .map(artist)
+    };
+
+    // Like Apple, types without matches are left out
+    const results = {};
+    for (const type of types) {
+      if (found[type]?.length > 0) {
+        results[type] = { href: `${href}&types=${type}`, data: found[type].slice(0, limit) };
+      }
+    }
+
+    res.json({ results, meta: { results: { order: Object.keys(results) } } });
+  });
+
+  router.get('/v1/catalog/:storefront/charts', (req, res) => {
+    const limit = Math.min(50, parseInt(req.query.limit) || 20);
+    const songs = [...catalog.tracks.values()]
+      .sort((a, b) => b.popularity - a.popularity)
+      .slice(0, limit)
+      .map(song);
+
+    res.json({
+      results: {
+        songs: [{ chart: 'most-played', name: 'Top Songs', orderId: 'most-played:songs', data: songs }]
+      }
+    });
+  });
+
+  // Personal recommendations need a Music-User-Token, like the real API
+  router.get('/v1/me/recommendations', (req, res) => {
+    if (!req.get('Music-User-Token')) {
+      return res.status(403).json({ errors: [{ status: '403', title: 'Forbidden', detail: 'Music-User-Token is required' }] });
+    }
+
+    res.json({
+      data: catalog.fixtures.albums.map(fixture => ({
+        id: `mock-${appleIds.get(fixture.id)}`,
+        type: 'personal-recommendation',
+        href: `/v1/me/recommendations/mock-${appleIds.get(fixture.id)}`,
+        attributes: { title: { stringForDisplay: `More like ${fixture.name}` } },
+        relationships: {
+          contents: { data: fixture.tracks.map(track => song({ ...track, album: fixture.id })) }
+        }
+      }))
+    });
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ errors: [{ status: '404', title: 'Resource Not Found', detail: `No mock for ${req.path}` }] });
+  });
+
+  return router;
+};
@@ -0,0 +1,179 @@
+/**
+ * Fixture catalog for the mock server
+ *
+ * Loads fixtures/spotify.json and expands it into the objects the Spotify
+ * Web API returns (full and simplified albums, tracks and artists), so the
+ * fixture file only has to hold each fact once.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'spotify.json');
+
+// Placeholder cover art, one colour per album
+const COVER_COLORS = ['1DB954', 'E76F51', '2A9D8F', '6D597A', 'F4A261', '264653'];
+
+/**
+ * Load a catalog from a fixture file
+ * @param {string} file - Path to the fixture JSON
+ * @param {string} baseUrl - Public URL of the mock server, used in hrefs
+ * @returns {Object} Catalog with lookups and Spotify-shaped object builders
+ */
+export const loadCatalog = (file = DEFAULT_FIXTURES, baseUrl = 'http://localhost:4010') => {
+  const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const apiUrl = `${baseUrl}/v1`;
+
+  const artists = new Map(fixtures.artists.map(artist => [artist.id, artist]));
+  const albums = new Map(fixtures.albums.map(album => [album.id, album]));
+  const tracks = new Map();
+  for (const album of fixtures.albums) {
+    for (const track of album.tracks) tracks.set(track.id, { ...track, album: album.id });
+  }
+
+  const images = (albumId) => {
+    const index = fixtures.albums.findIndex(album => album.id === albumId);
+    const color = COVER_COLORS[index % COVER_COLORS.length];
+    return [640, 300, 64].map(size => ({
+      url: `https://placehold.co/${size}x${size}/${color}/FFFFFF.png`,
+      width: size,
+      height: size
+    }));
+  };
+
+  const simplifiedArtist = (id) => {
+    const artist = artists.get(id);
+    return {
+      id,
+      name: artist.name,
+      type: 'artist',
+      uri: `spotify:artist:${id}`,
+      href: `${apiUrl}/artists/${id}`,
+      external_urls: { spotify: `https://open.spotify.com/artist/${id}` }
+    };
+  };
+
+  const fullArtist = (id) => {
+    const artist = artists.get(id);
+    return {
+      ...simplifiedArtist(id),
+      genres: artist.genres,
+      popularity: artist.popularity,
+      followers: { href: null, total: artist.followers },
+      images: images(fixtures.albums.find(album => album.artist === id)?.id)
+    };
+  };
+
+  const simplifiedAlbum = (id) => {
+    const album = albums.get(id);
+    return {
+      id,
+      name: album.name,
+      album_type: 'album',
+      type: 'album',
+      total_tracks: album.tracks.length,
+      release_date: album.release_date,
+      release_date_precision: 'day',
+      artists: [simplifiedArtist(album.artist)],
+      images: images(id),
+      available_markets: ['US', 'GB', 'DE'],
+      uri: `spotify:album:${id}`,
+      href: `${apiUrl}/albums/${id}`,
+      external_urls: { spotify: `https://open.spotify.com/album/${id}` }
+    };
+  };
+
+  const simplifiedTrack = (id) => {
+    const track = tracks.get(id);
+    return {
+      id,
+      name: track.name,
+      type: 'track',
+      track_number: track.track_number,
+      disc_number: 1,
+      duration_ms: track.duration_ms,
+      explicit: track.explicit,
+      is_local: false,
+      // Fixtures have no audio; the offline analyzer finds nothing to analyze
+      preview_url: null,
+      artists: [simplifiedArtist(albums.get(track.album).artist)],
+      available_markets: ['US', 'GB', 'DE'],
+      uri: `spotify:track:${id}`,
+      href: `${apiUrl}/tracks/${id}`,
+      external_urls: { spotify: `https://open.spotify.com/track/${id}` }
+    };
+  };
+
+  const fullTrack = (id) => ({
+    ...simplifiedTrack(id),
+    album: simplifiedAlbum(tracks.get(id).album),
+    popularity: tracks.get(id).popularity,
+    external_ids: { isrc: `XXFIX${id.slice(0, 7).toUpperCase()}` }
+  });
+
+  const fullAlbum = (id) => {
+    const album = albums.get(id);
+    return {
+      ...simplifiedAlbum(id),
+      genres: album.genres,
+      label: album.label,
+      popularity: album.popularity,
+      copyrights: [{ text: `${album.release_date.slice(0, 4)} ${album.label}`, type: 'C' }],
+      tracks: paginate(album.tracks.map(track => simplifiedTrack(track.id)), {
+        href: `${apiUrl}/albums/${id}/tracks`,
+        limit: 50
+      })
+    };
+  };
+
+  const audioFeatures = (id) => {
+    const track = tracks.get(id);
+    return {
+      ...track.features,
+      id,
+      type: 'audio_features',
+      duration_ms: track.duration_ms,
+      uri: `spotify:track:${id}`,
+      track_href: `${apiUrl}/tracks/${id}`,
+      analysis_url: `${apiUrl}/audio-analysis/${id}`
+    };
+  };
+
+  return {
+    fixtures,
+    artists,
+    albums,
+    tracks,
+    simplifiedArtist,
+    fullArtist,
+    simplifiedAlbum,
+    fullAlbum,
+    simplifiedTrack,
+    fullTrack,
+    audioFeatures
+  };
+};
+
+/**
+ * Build a Spotify paging object
+ * @param {Array} items - All items
+ * @param {Object} options - { href, limit, offset }
+ * @returns {Object} Paging object with the requested page
+ */
+export const paginate = (items, { href, limit = 20, offset = 0 }) => {
+  const page = items.slice(offset, offset + limit);
+  const pageUrl = (pageOffset) => `${href}?offset=${pageOffset}&limit=${limit}`;
+
+  return {
+    href: pageUrl(offset),
+    items: page,
+    limit,
+    offset,
+    total: items.length,
+    next: offset + limit < items.length ? pageUrl(offset + limit) : null,
+    previous: offset > 0 ? pageUrl(Math.max(0, offset - limit)) : null
+  };
+};
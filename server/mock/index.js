@@ -0,0 +1,63 @@
+/**
+ * Mock Spotify and Apple Music APIs
+ *
+ * A local stand-in for the services the app talks to, backed by fixtures,
+ * for offline development and integration tests. Point the app at it with
+ *
+ *   SPOTIFY_API_URL=http://localhost:4010
+ *   SPOTIFY_ACCOUNTS_URL=http://localhost:4010
+ *   APPLE_MUSIC_API_URL=http://localhost:4010/apple
+ *
+ * Routes:
+ *   /v1/...         Spotify Web API
+ *   /authorize      Spotify Accounts login (approves right away)
+ *   /api/token      Spotify Accounts token endpoint
+ *   /apple/v1/...   Apple Music API
+ */
+
+import express from 'express';
+import cors from 'cors';
+import { loadCatalog, DEFAULT_FIXTURES } from './catalog.js';
+import { createSpotifyMock } from './spotify.js';
+import { createAppleMock } from './apple.js';
+
+/**
+ * Create the mock server app
+ * @param {Object} options - Mock options
+ * @param {string} options.baseUrl - Public URL of the mock, used in hrefs
+ * @param {string} options.fixtures - Path to the Spotify fixture JSON
+ * @param {boolean} options.restricted - Refuse audio features, analysis and
+ *   recommendations with 403, like Spotify does for newer apps
+ * @param {number} options.latency - Delay every response by this many ms
+ * @returns {Object} Express app
+ */
+export const createMockApp = ({
+  baseUrl = 'http://localhost:4010',
+  fixtures = DEFAULT_FIXTURES,
+  restricted = false,
+  latency = 0
+} = {}) => {
+  const catalog = loadCatalog(fixtures, baseUrl);
+  const spotify = createSpotifyMock(catalog, { baseUrl, restricted });
+
+  const app = express();
+
+  // The client calls the Web API straight from the browser
+  app.use(cors({ exposedHeaders: ['Retry-After'] }));
+
+  if (latency > 0) {
+    app.use((req, res, next) => setTimeout(next, latency));
+  }
+
+  app.use('/v1', spotify.api);
+  app.use('/', spotify.accounts);
+  app.use('/apple', createAppleMock(catalog));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', message: 'Mock server is running' });
+  });
+
+  return app;
+};
+
+export { loadCatalog, DEFAULT_FIXTURES };
@@ -0,0 +1,18 @@
+import dotenv from 'dotenv';
+import { createMockApp } from './index.js';
+
+// Load environment variables
+dotenv.config();
+
+const PORT = parseInt(process.env.MOCK_PORT) || 4010;
+
+const app = createMockApp({
+  baseUrl: process.env.MOCK_BASE_URL || `http://localhost:${PORT}`,
+  fixtures: process.env.MOCK_FIXTURES || undefined,
+  restricted: process.env.MOCK_RESTRICTED === 'true',
+  latency: parseInt(process.env.MOCK_LATENCY) || 0
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock Spotify and Apple Music APIs running on http://localhost:${PORT}`);
+});
@@ -0,0 +1,496 @@
+/**
+ * Mock Spotify Web API and Accounts service
+ *
+ * Implements the endpoints the app uses on top of the fixture catalog:
+ * profile, library, albums, tracks, audio features and analysis, search,
+ * recommendations, browse, playlists and the playback commands, plus the OAuth
+ * authorize and token endpoints. Errors use Spotify's JSON shapes so the
+ * clients handle them the same way.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { paginate } from './catalog.js';
+import { createAudioAnalysis } from './analysis.js';
+
+// Lifetime of issued access tokens, like Spotify's
+const TOKEN_TTL = 3600;
+
+// Features compared when picking recommendations
+const RECOMMENDATION_FEATURES = ['danceability', 'energy', 'valence', 'acousticness', 'instrumentalness'];
+
+const randomToken = (prefix) => `${prefix}-${crypto.randomBytes(12).toString('hex')}`;
+
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+// Web API error, e.g. { error: { status: 404, message: 'Not found' } }
+const sendError = (res, status, message) => res.status(status).json({ error: { status, message } });
+
+// Accounts service error, e.g. { error: 'invalid_grant', error_description: '...' }
+const sendAuthError = (res, status, error, description) => res.status(status).json({
+  error,
+  error_description: description
+});
+
+// Read a comma separated id list from the query string or a JSON body
+const readIds = (req) => {
+  const ids = req.query.ids || req.body?.ids || [];
+  return (Array.isArray(ids) ? ids : String(ids).split(',')).filter(Boolean);
+};
+
+const readPage = (query, defaultLimit = 20) => ({
+  limit: Math.min(50, parseInt(query.limit) || defaultLimit),
+  offset: parseInt(query.offset) || 0
+});
+
+/**
+ * Create the mock Spotify services
+ * @param {Object} catalog - Catalog from loadCatalog()
+ * @param {Object} options - { baseUrl, restricted }; restricted answers audio
+ *   features, analysis and recommendations with 403 like apps created after
+ *   Spotify's November 2024 API changes
+ * @returns {Object} { api, accounts } Express routers
+ */
+export const createSpotifyMock = (catalog, { baseUrl = 'http://localhost:4010', restricted = false } = {}) => {
+  const apiUrl = `${baseUrl}/v1`;
+  const { fixtures } = catalog;
+
+  // Issued tokens and codes, kept for the lifetime of the server
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+  const authorizationCodes = new Map();
+
+  // The library can change through PUT/DELETE /me/albums
+  const savedAlbums = new Map(fixtures.savedAlbums.map(({ album, added_at }) => [album, added_at]));
+
+  // Playlists created through POST /me/playlists
+  const createdPlaylists = new Map();
+
+  const api = express.Router();
+  api.use(express.json());
+
+  // Any bearer token works so tokens from earlier runs keep working; only
+  // expired tokens this server issued are refused
+  api.use((req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return sendError(res, 401, 'No token provided');
+    }
+
+    const expiresAt = accessTokens.get(token);
+    if (expiresAt && expiresAt <= Date.now()) {
+      return sendError(res, 401, 'The access token expired');
+    }
+
+    next();
+  });
+
+  const requireAnalysisAccess = (req, res, next) => (restricted ? sendError(res, 403, 'Forbidden') : next());
+
+  const findTrack = (req, res, next) => (
+    catalog.tracks.has(req.params.id) ? next() : sendError(res, 404, 'Non existing id')
+  );
+
+  const findAlbum = (req, res, next) => (
+    catalog.albums.has(req.params.id) ? next() : sendError(res, 404, 'Non existing id')
+  );
+
+  // Profile
+  api.get('/me', (req, res) => {
+    const { user } = fixtures;
+    res.json({
+      id: user.id,
+      display_name: user.display_name,
+      email: user.email,
+      country: user.country,
+      product: user.product,
+      type: 'user',
+      uri: `spotify:user:${user.id}`,
+      href: `${apiUrl}/users/${user.id}`,
+      followers: { href: null, total: user.followers },
+      images: [],
+      explicit_content: { filter_enabled: false, filter_locked: false },
+      external_urls: { spotify: `https://open.spotify.com/user/${user.id}` }
+    });
+  });
+
+  // Library
+  api.get('/me/albums', (req, res) => {
+    const items = [...savedAlbums]
+      .sort((a, b) => b[1].localeCompare(a[1]))
+      .map(([id, added_at]) => ({ added_at, album: catalog.fullAlbum(id) }));
+    res.json(paginate(items, { href: `${apiUrl}/me/albums`, ...readPage(req.query) }));
+  });
+
+  api.get('/me/albums/contains', (req, res) => {
+    res.json(readIds(req).map(id => savedAlbums.has(id)));
+  });
+
+  api.put('/me/albums', (req, res) => {
+    for (const id of readIds(req)) {
+      if (catalog.albums.has(id) && !savedAlbums.has(id)) savedAlbums.set(id, new Date().toISOString());
+    }
+    res.status(200).end();
+  });
+
+  api.delete('/me/albums', (req, res) => {
+    for (const id of readIds(req)) savedAlbums.delete(id);
+    res.status(200).end();
+  });
+
+  // Top items, most popular first
+  api.get('/me/top/tracks', (req, res) => {
+    const items = [...catalog.tracks.values()]
+      .sort((a, b) => b.popularity - a.popularity)
+      .map(track => catalog.fullTrack(track.id));
+    res.json(paginate(items, { href: `${apiUrl}/me/top/tracks`, ...readPage(req.query) }));
+  });
+
+  api.get('/me/top/artists', (req, res) => {
+    const items = [...catalog.artists.values()]
+      .sort((a, b) => b.popularity - a.popularity)
+      .map(artist => catalog.fullArtist(artist.id));
+    res.json(paginate(items, { href: `${apiUrl}/me/top/artists`, ...readPage(req.query) }));
+  });
+
+  // Albums
+  api.get('/albums', (req, res) => {
+    res.json({ albums: readIds(req).map(id => (catalog.albums.has(id) ? catalog.fullAlbum(id) : null)) });
+  });
+
+  api.get('/albums/:id', findAlbum, (req, res) => {
+    res.json(catalog.fullAlbum(req.params.id));
+  });
+
+  api.get('/albums/:id/tracks', findAlbum, (req, res) => {
+    const items = catalog.albums.get(req.params.id).tracks.map(track => catalog.simplifiedTrack(track.id));
+    res.json(paginate(items, { href: `${apiUrl}/albums/${req.params.id}/tracks`, ...readPage(req.query) }));
+  });
+
+  // Artists
+  api.get('/artists/:id', (req, res) => {
+    if (!catalog.artists.has(req.params.id)) return sendError(res, 404, 'Non existing id');
+    res.json(catalog.fullArtist(req.params.id));
+  });
+
+  // Tracks
+  api.get('/tracks', (req, res) => {
+    res.json({ tracks: readIds(req).map(id => (catalog.tracks.has(id) ? catalog.fullTrack(id) : null)) });
+  });
+
+  api.get('/tracks/:id', findTrack, (req, res) => {
+    res.json(catalog.fullTrack(req.params.id));
+  });
+
+  // Audio features and analysis
+  api.get('/audio-features', requireAnalysisAccess, (req, res) => {
+    const ids = readIds(req);
+    if (ids.length > 100) return sendError(res, 400, 'Too many ids requested');
+    res.json({ audio_features: ids.map(id => (catalog.tracks.has(id) ? catalog.audioFeatures(id) : null)) });
+  });
+
+  api.get('/audio-features/:id', requireAnalysisAccess, findTrack, (req, res) => {
+    res.json(catalog.audioFeatures(req.params.id));
+  });
+
+  api.get('/audio-analysis/:id', requireAnalysisAccess, findTrack, (req, res) => {
+    res.json(createAudioAnalysis(catalog.tracks.get(req.params.id)));
+  });
+
+  // Search matches every word of the query against names, artists and albums
+  api.get('/search', (req, res) => {
+    const { q = '', type = '' } = req.query;
+    if (!q || !type) return sendError(res, 400, 'No search query');
+
+    const words = q.toLowerCase().replace(/\b\w+:/g, '').split(/\s+/).filter(Boolean);
+    const matches = (...texts) => {
+      const haystack = texts.join(' ').toLowerCase();
+      return words.every(word => haystack.includes(word));
+    };
+    const page = readPage(req.query);
+    const result = {};
+
+    for (const kind of type.split(',')) {
+      const href = `${apiUrl}/search?query=${encodeURIComponent(q)}&type=${kind}`;
+      let items = null;
+
+      if (kind === 'album') {
+        items = [...catalog.albums.values()]
+          .filter(album => matches(album.name, catalog.artists.get(album.artist).name))
+          .map(album => catalog.simplifiedAlbum(album.id));
+      } else if (kind === 'track') {
+        items = [...catalog.tracks.values()]
+          .filter(track => {
+            const album = catalog.albums.get(track.album);
+            return matches(track.name, album.name, catalog.artists.get(album.artist).name);
+          })
+          .map(track => catalog.fullTrack(track.id));
+      } else if (kind === 'artist') {
+        items = [...catalog.artists.values()]
+          .filter(artist => matches(artist.name, ...artist.genres))
+          .map(artist => catalog.fullArtist(artist.id));
+      }
+
+      if (items) result[`${kind}s`] = paginate(items, { href, ...page });
+    }
+
+    res.json(result);
+  });
+
+  // Recommendations: tracks closest to the seeds' average features (or the
+  // target_* parameters), seeds excluded
+  api.get('/recommendations', requireAnalysisAccess, (req, res) => {
+    const split = (value) => (value ? String(value).split(',').filter(Boolean) : []);
+    const seedTracks = split(req.query.seed_tracks);
+    const seedArtists = split(req.query.seed_artists);
+    const seedGenres = split(req.query.seed_genres);
+    const limit = Math.min(100, parseInt(req.query.limit) || 20);
+
+    if (seedTracks.length + seedArtists.length + seedGenres.length === 0) {
+      return sendError(res, 400, 'Missing required parameter: seed_artists, seed_genres or seed_tracks');
+    }
+
+    const candidates = [...catalog.tracks.values()];
+    const seeds = candidates.filter(track => (
+      seedTracks.includes(track.id) ||
+      seedArtists.includes(catalog.albums.get(track.album).artist) ||
+      catalog.albums.get(track.album).genres.some(genre => seedGenres.includes(genre))
+    ));
+    const reference = seeds.length > 0 ? seeds : candidates;
+
+    const target = {};
+    for (const feature of RECOMMENDATION_FEATURES) {
+      const requested = parseFloat(req.query[`target_${feature}`]);
+      target[feature] = Number.isNaN(requested)
+        ? reference.reduce((sum, track) => sum + track.features[feature], 0) / reference.length
+        : requested;
+    }
+
+    const distance = (track) => Math.sqrt(RECOMMENDATION_FEATURES.reduce(
+      (sum, feature) => sum + (track.features[feature] - target[feature]) ** 2,
+      0
+    ));
+
+    const tracks = candidates
+      .filter(track => !seedTracks.includes(track.id))
+      .sort((a, b) => distance(a) - distance(b))
+      .slice(0, limit)
+      .map(track => catalog.fullTrack(track.id));
+
+    const seedInfo = (type, ids) => ids.map(id => ({
+      id,
+      type,
+      href: type === 'genre' ? null : `${apiUrl}/${type}s/${id}`,
+      initialPoolSize: candidates.length,
+      afterFilteringSize: tracks.length,
+      afterRelinkingSize: tracks.length
+    }));
+
+    res.json({
+      seeds: [
+        ...seedInfo('track', seedTracks),
+        ...seedInfo('artist', seedArtists),
+        ...seedInfo('genre', seedGenres)
+      ],
+      tracks
+    });
+  });
+
+  // Browse
+  api.get('/browse/new-releases', (req, res) => {
+    const items = fixtures.newReleases.map(id => catalog.simplifiedAlbum(id));
+    res.json({ albums: paginate(items, { href: `${apiUrl}/browse/new-releases`, ...readPage(req.query) }) });
+  });
+
+  const simplifiedPlaylist = (playlist) => ({
+    id: playlist.id,
+    name: playlist.name,
+    description: playlist.description,
+    type: 'playlist',
+    collaborative: false,
+    public: playlist.public ?? true,
+    snapshot_id: 'mock',
+    images: playlist.tracks.length ? catalog.fullTrack(playlist.tracks[0]).album.images : [],
+    owner: playlist.owner || { id: 'spotify', display_name: 'Spotify', type: 'user' },
+    tracks: { href: `${apiUrl}/playlists/${playlist.id}/tracks`, total: playlist.tracks.length },
+    uri: `spotify:playlist:${playlist.id}`,
+    href: `${apiUrl}/playlists/${playlist.id}`,
+    external_urls: { spotify: `https://open.spotify.com/playlist/${playlist.id}` }
+  });
+
+  const findPlaylist = (id) => createdPlaylists.get(id) || fixtures.playlists.find(playlist => playlist.id === id);
+
+  api.get('/browse/featured-playlists', (req, res) => {
+    res.json({
+      message: 'Fixture picks',
+      playlists: paginate(fixtures.playlists.map(simplifiedPlaylist), {
+        href: `${apiUrl}/browse/featured-playlists`,
+        ...readPage(req.query)
+      })
+    });
+  });
+
+  api.get('/playlists/:id', (req, res) => {
+    const playlist = findPlaylist(req.params.id);
+    if (!playlist) return sendError(res, 404, 'Not found.');
+    res.json(simplifiedPlaylist(playlist));
+  });
+
+  api.get('/playlists/:id/tracks', (req, res) => {
+    const playlist = findPlaylist(req.params.id);
+    if (!playlist) return sendError(res, 404, 'Not found.');
+
+    const items = playlist.tracks.map(id => ({ added_at: '2025-01-01T00:00:00Z', track: catalog.fullTrack(id) }));
+    res.json(paginate(items, { href: `${apiUrl}/playlists/${playlist.id}/tracks`, ...readPage(req.query, 100) }));
+  });
+
+  const createPlaylist = (req, res) => {
+    const { name, description = '', public: isPublic = true } = req.body || {};
+    if (!name) return sendError(res, 400, 'Missing required field: name');
+
+    const { user } = fixtures;
+    const playlist = {
+      id: crypto.randomBytes(11).toString('hex').slice(0, 22),
+      name,
+      description,
+      public: isPublic,
+      owner: { id: user.id, display_name: user.display_name, type: 'user' },
+      tracks: []
+    };
+    createdPlaylists.set(playlist.id, playlist);
+    res.status(201).json(simplifiedPlaylist(playlist));
+  };
+
+  api.post('/me/playlists', createPlaylist);
+  api.post('/users/:userId/playlists', createPlaylist);
+
+  // Only playlists created here can change
+  api.post('/playlists/:id/tracks', (req, res) => {
+    const playlist = createdPlaylists.get(req.params.id);
+    if (!playlist) {
+      return findPlaylist(req.params.id) ? sendError(res, 403, 'Forbidden') : sendError(res, 404, 'Not found.');
+    }
+
+    const uris = req.body?.uris || String(req.query.uris || '').split(',').filter(Boolean);
+    if (uris.length === 0 || uris.length > 100) {
+      return sendError(res, 400, 'You can add between 1 and 100 tracks per request');
+    }
+
+    const ids = uris.map(uri => uri.replace('spotify:track:', ''));
+    if (ids.some(id => !catalog.tracks.has(id))) return sendError(res, 400, 'Invalid track uri');
+
+    const position = Number.isInteger(req.body?.position) ? req.body.position : playlist.tracks.length;
+    playlist.tracks.splice(position, 0, ...ids);
+    res.status(201).json({ snapshot_id: `mock-${playlist.tracks.length}` });
+  });
+
+  // Playback commands are accepted; there is no player to control
+  api.get('/me/player', (req, res) => res.status(204).end());
+  api.put('/me/player', (req, res) => res.status(204).end());
+  api.put('/me/player/play', (req, res) => res.status(204).end());
+  api.put('/me/player/pause', (req, res) => res.status(204).end());
+  api.put('/me/player/seek', (req, res) => res.status(204).end());
+
+  api.use((req, res) => sendError(res, 404, 'Service not found'));
+
+  const accounts = express.Router();
+  accounts.use(express.urlencoded({ extended: false }));
+
+  const issueTokens = ({ clientId, scope, rotate }) => {
+    const accessToken = randomToken('mock-access');
+    accessTokens.set(accessToken, Date.now() + TOKEN_TTL * 1000);
+
+    const body = { access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_TTL, scope };
+    if (rotate) {
+      body.refresh_token = randomToken('mock-refresh');
+      refreshTokens.set(body.refresh_token, { clientId, scope });
+    }
+    return body;
+  };
+
+  // Consent is granted right away: straight back to the app with a code
+  accounts.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, scope = '', code_challenge, code_challenge_method } = req.query;
+    if (!client_id || !redirect_uri || req.query.response_type !== 'code') {
+      return res.status(400).send('INVALID_CLIENT: Invalid authorization request');
+    }
+    if (code_challenge && code_challenge_method !== 'S256') {
+      return res.status(400).send('code_challenge_method must be S256');
+    }
+
+    const code = randomToken('mock-code');
+    authorizationCodes.set(code, { clientId: client_id, redirectUri: redirect_uri, scope, codeChallenge: code_challenge });
+
+    const redirect = new URL(redirect_uri);
+    redirect.searchParams.set('code', code);
+    if (state) redirect.searchParams.set('state', state);
+    res.redirect(redirect.toString());
+  });
+
+  accounts.post('/api/token', (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier, refresh_token } = req.body;
+
+    // Confidential clients send their secret (Basic auth or client_secret),
+    // public ones only client_id
+    const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+    const basicClientId = scheme === 'Basic'
+      ? Buffer.from(credentials || '', 'base64').toString().split(':')[0]
+      : null;
+    const clientId = basicClientId || req.body.client_id;
+    const confidential = Boolean(basicClientId || req.body.client_secret);
+
+    if (!clientId) {
+      return sendAuthError(res, 400, 'invalid_client', 'Invalid client');
+    }
+
+    switch (grant_type) {
+      case 'authorization_code': {
+        const grant = authorizationCodes.get(code);
+        authorizationCodes.delete(code);
+
+        if (!grant || grant.clientId !== clientId) {
+          return sendAuthError(res, 400, 'invalid_grant', 'Invalid authorization code');
+        }
+        if (grant.redirectUri !== redirect_uri) {
+          return sendAuthError(res, 400, 'invalid_grant', 'Invalid redirect URI');
+        }
+        if (grant.codeChallenge) {
+          const challenge = code_verifier && base64Url(crypto.createHash('sha256').update(code_verifier).digest());
+          if (challenge !== grant.codeChallenge) {
+            return sendAuthError(res, 400, 'invalid_grant', 'code_verifier was incorrect');
+          }
+        } else if (!confidential) {
+          return sendAuthError(res, 400, 'invalid_client', 'Invalid client secret');
+        }
+
+        return res.json(issueTokens({ clientId, scope: grant.scope, rotate: true }));
+      }
+
+      case 'refresh_token': {
+        const grant = refreshTokens.get(refresh_token);
+        if (!grant || grant.clientId !== clientId) {
+          return sendAuthError(res, 400, 'invalid_grant', 'Invalid refresh token');
+        }
+
+        // Public (PKCE) clients get a new refresh token and the old one stops working
+        const rotate = !confidential;
+        if (rotate) refreshTokens.delete(refresh_token);
+        return res.json(issueTokens({ clientId, scope: grant.scope, rotate }));
+      }
+
+      case 'client_credentials':
+        if (!confidential) {
+          return sendAuthError(res, 400, 'invalid_client', 'Invalid client secret');
+        }
+        return res.json(issueTokens({ clientId, scope: '', rotate: false }));
+
+      default:
+        return sendAuthError(res, 400, 'unsupported_grant_type', 'grant_type must be client_credentials, authorization_code or refresh_token');
+    }
+  });
+
+  return { api, accounts };
+};
@@ -0,0 +1,105 @@
+/**
+ * Playlists from highlights
+ *
+ * Turns an album, or a set of tracks, into a Spotify playlist in the user's
+ * account, in album order or ranked by the score of each track's best
+ * highlight.
+ */
+
+// How the tracks of a playlist can be ordered
+export const PLAYLIST_ORDERS = {
+  // Album order, or the order the tracks were given in
+  original: 'original',
+  // Best highlight score first, tracks without a score last
+  score: 'score'
+};
+
+// Limits of Spotify's playlist endpoints
+export const PLAYLIST_LIMITS = {
+  maxNameLength: 100,
+  maxDescriptionLength: 300,
+  maxTracks: 500,
+  tracksPerRequest: 100
+};
+
+const validationError = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+/**
+ * Check and normalize a playlist request
+ * @param {Object} body - { albumId } or { trackIds }, plus { name, description, order, public, limit }
+ * @returns {Object} { albumId, trackIds, name, description, order, isPublic, limit }
+ * @throws {Error} With statusCode 400 when the request is invalid
+ */
+export const normalizePlaylistRequest = (body = {}) => {
+  const { maxNameLength, maxDescriptionLength, maxTracks } = PLAYLIST_LIMITS;
+  const albumId = typeof body.albumId === 'string' && body.albumId ? body.albumId : null;
+  const trackIds = Array.isArray(body.trackIds)
+    ? [...new Set(body.trackIds.filter(id => typeof id === 'string' && id))]
+    : [];
+
+  if (!albumId && trackIds.length === 0) {
+    throw validationError('Either albumId or trackIds is required');
+  }
+  if (trackIds.length > maxTracks) {
+    throw validationError(`At most ${maxTracks} tracks fit in one playlist request`);
+  }
+
+  const order = body.order || (albumId ? PLAYLIST_ORDERS.original : PLAYLIST_ORDERS.score);
+  if (!Object.values(PLAYLIST_ORDERS).includes(order)) {
+    throw validationError(`order must be one of ${Object.values(PLAYLIST_ORDERS).join(', ')}`);
+  }
+
+  const limit = body.limit === undefined || body.limit === null ? null : parseInt(body.limit);
+  if (limit !== null && !(limit > 0)) {
+    throw validationError('limit must be a positive number');
+  }
+
+  // Spotify refuses line breaks in descriptions
+  const text = (value, length) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, length) : '');
+
+  return {
+    albumId,
+    trackIds: albumId ? [] : trackIds,
+    name: text(body.name, maxNameLength),
+    description: text(body.description, maxDescriptionLength),
+    order,
+    isPublic: body.public === true,
+    limit
+  };
+};
+
+/**
+ * Order scored tracks for a playlist and keep the first `limit`
+ * @param {Array} entries - { track, score } with score null when unknown
+ * @param {string} order - One of PLAYLIST_ORDERS
+ * @param {number} limit - Number of tracks to keep, null for all
+ * @returns {Array} Entries in playlist order
+ */
+export const orderPlaylistTracks = (entries, order, limit = null) => {
+  const ordered = order === PLAYLIST_ORDERS.score
+    // Array#sort is stable, so ties keep their original order
+    ? [...entries].sort((a, b) => (b.score ?? -1) - (a.score ?? -1))
+    : [...entries];
+
+  return limit ? ordered.slice(0, limit) : ordered;
+};
+
+/**
+ * Add tracks to a playlist, as many requests as Spotify's limit needs
+ * @param {Object} spotifyApi - Web API client (see createSpotifyClient)
+ * @param {string} playlistId - Playlist ID
+ * @param {Array} uris - Track URIs in playlist order
+ * @returns {Promise<string|null>} Snapshot ID of the last change
+ */
+export const addTracksInBatches = async (spotifyApi, playlistId, uris) => {
+  let snapshotId = null;
+  for (let i = 0; i < uris.length; i += PLAYLIST_LIMITS.tracksPerRequest) {
+    const batch = uris.slice(i, i + PLAYLIST_LIMITS.tracksPerRequest);
+    snapshotId = (await spotifyApi.addTracksToPlaylist(playlistId, batch)).body.snapshot_id;
+  }
+  return snapshotId;
+};
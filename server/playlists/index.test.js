@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PLAYLIST_ORDERS,
+  PLAYLIST_LIMITS,
+  normalizePlaylistRequest,
+  orderPlaylistTracks,
+  addTracksInBatches
+} from './index.js';
+
+test('normalizePlaylistRequest keeps album order for albums and ranks tracks by score', () => {
+  assert.deepEqual(normalizePlaylistRequest({ albumId: 'album1', trackIds: ['a'], name: 'Best of', public: true }), {
+    albumId: 'album1',
+    trackIds: [],
+    name: 'Best of',
+    description: '',
+    order: PLAYLIST_ORDERS.original,
+    isPublic: true,
+    limit: null
+  });
+
+  const request = normalizePlaylistRequest({ trackIds: ['a', 'b', 'a', '', 7], limit: '2', public: 'yes' });
+  assert.deepEqual(request.trackIds, ['a', 'b']);
+  assert.equal(request.order, PLAYLIST_ORDERS.score);
+  assert.equal(request.limit, 2);
+  assert.equal(request.isPublic, false);
+});
+
+test('normalizePlaylistRequest trims names and descriptions to what Spotify takes', () => {
+  const { name, description } = normalizePlaylistRequest({
+    albumId: 'album1',
+    name: 'n'.repeat(150),
+    description: '  Line one\nline   two  '
+  });
+
+  assert.equal(name.length, PLAYLIST_LIMITS.maxNameLength);
+  assert.equal(description, 'Line one line two');
+  assert.equal(normalizePlaylistRequest({ albumId: 'album1', description: 'd'.repeat(400) }).description.length, PLAYLIST_LIMITS.maxDescriptionLength);
+});
+
+test('normalizePlaylistRequest rejects invalid requests with 400', () => {
+  const invalid = [
+    [undefined, 'Either albumId or trackIds is required'],
+    [{ trackIds: [] }, 'Either albumId or trackIds is required'],
+    [{ albumId: 42 }, 'Either albumId or trackIds is required'],
+    [{ trackIds: Array.from({ length: 501 }, (_, index) => `t${index}`) }, 'At most 500 tracks fit in one playlist request'],
+    [{ albumId: 'album1', order: 'random' }, 'order must be one of original, score'],
+    [{ albumId: 'album1', limit: 0 }, 'limit must be a positive number'],
+    [{ albumId: 'album1', limit: 'all' }, 'limit must be a positive number']
+  ];
+
+  for (const [body, message] of invalid) {
+    assert.throws(() => normalizePlaylistRequest(body), { statusCode: 400, message });
+  }
+});
+
+test('orderPlaylistTracks ranks by score, unknown scores last and ties in order', () => {
+  const entries = [
+    { track: { id: 'a' }, score: 0.5 },
+    { track: { id: 'b' }, score: null },
+    { track: { id: 'c' }, score: 0.9 },
+    { track: { id: 'd' }, score: 0.5 },
+    { track: { id: 'e' }, score: 0 }
+  ];
+  const ids = (ordered) => ordered.map(({ track }) => track.id);
+
+  assert.deepEqual(ids(orderPlaylistTracks(entries, PLAYLIST_ORDERS.score)), ['c', 'a', 'd', 'e', 'b']);
+  assert.deepEqual(ids(orderPlaylistTracks(entries, PLAYLIST_ORDERS.score, 2)), ['c', 'a']);
+  assert.deepEqual(ids(orderPlaylistTracks(entries, PLAYLIST_ORDERS.original, 3)), ['a', 'b', 'c']);
+  assert.deepEqual(ids(entries), ['a', 'b', 'c', 'd', 'e']);
+});
+
+// Records the tracks of every add request
+const stubClient = () => {
+  const calls = [];
+  return {
+    calls,
+    async addTracksToPlaylist(playlistId, uris) {
+      calls.push({ playlistId, uris });
+      return { body: { snapshot_id: `snapshot${calls.length}` } };
+    }
+  };
+};
+
+test('addTracksInBatches adds at most 100 tracks per request, in order', async () => {
+  const client = stubClient();
+  const uris = Array.from({ length: 250 }, (_, index) => `spotify:track:t${index}`);
+
+  assert.equal(await addTracksInBatches(client, 'playlist1', uris), 'snapshot3');
+  assert.deepEqual(client.calls.map(({ uris: batch }) => batch.length), [100, 100, 50]);
+  assert.ok(client.calls.every(({ playlistId }) => playlistId === 'playlist1'));
+  assert.deepEqual(client.calls.flatMap(({ uris: batch }) => batch), uris);
+});
+
+test('addTracksInBatches sends exact batches and nothing for no tracks', async () => {
+  const client = stubClient();
+  await addTracksInBatches(client, 'playlist1', Array.from({ length: 200 }, (_, index) => `spotify:track:t${index}`));
+  assert.deepEqual(client.calls.map(({ uris }) => uris.length), [100, 100]);
+
+  const empty = stubClient();
+  assert.equal(await addTracksInBatches(empty, 'playlist1', []), null);
+  assert.deepEqual(empty.calls, []);
+});
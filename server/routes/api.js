@@ -1,37 +1,370 @@
 import express from 'express';
-import SpotifyWebApi from 'spotify-web-api-node';
 import dotenv from 'dotenv';
 import axios from 'axios';
+import {
+  detectHighlights,
+  fallbackHighlights,
+  DEFAULT_HIGHLIGHT_OPTIONS,
+  pickBestHighlight,
+  parseSharedHighlight,
+  mergeHighlights
+} from '../../shared/highlights/index.js';
+import { createCache, createStoreFromEnv, createMemoryStore, setCacheHeaders, CACHE_STATUS } from '../cache/index.js';
+import { analyzeAudioUrl } from '../analysis/index.js';
+import { getSessionAccessToken, clearSessionTokens } from '../auth/tokenSession.js';
+import { getAppAccessToken } from '../auth/appToken.js';
+import { createSpotifyClient } from '../config/services.js';
+import { createRequestQueue, queueSpotifyClient, getRetryAfter } from '../../shared/spotify/index.js';
+import { createCustomHighlightStoreFromEnv } from '../highlights/index.js';
+import {
+  recommendTracks,
+  rerankForDiversity,
+  getDiversityLambda,
+  parseFeatureWeights,
+  DEFAULT_RECOMMENDATION_OPTIONS,
+  DEFAULT_DIVERSITY_OPTIONS
+} from '../../shared/recommendations/index.js';
+import { classifyMood, MOODS } from '../../shared/moods/index.js';
+import { exportHighlights, normalizeExportRequest, EXPORT_FORMATS } from '../highlights/export.js';
+import { getEnergyBars, renderHighlightImage } from '../share/index.js';
+import {
+  normalizePlaylistRequest,
+  orderPlaylistTracks,
+  addTracksInBatches,
+  PLAYLIST_ORDERS
+} from '../playlists/index.js';
 
 // Load environment variables
 dotenv.config();
 
 const router = express.Router();
 
-// Spotify API credentials
-const credentials = {
-  clientId: process.env.CLIENT_ID,
-  clientSecret: process.env.CLIENT_SECRET,
-  redirectUri: process.env.REDIRECT_URI
+// Every Spotify call goes through this queue: per-user fairness, a limit on
+// parallel requests and retries that respect Retry-After on 429s
+const spotifyQueue = createRequestQueue({
+  concurrency: parseInt(process.env.SPOTIFY_CONCURRENCY) || undefined,
+  perKeyConcurrency: parseInt(process.env.SPOTIFY_USER_CONCURRENCY) || undefined,
+  maxRetries: parseInt(process.env.SPOTIFY_MAX_RETRIES) || undefined,
+  maxRetryDelay: parseInt(process.env.SPOTIFY_MAX_RETRY_DELAY) * 1000 || undefined
+});
+
+// Pass Spotify's rate limit on to the client once the queue's retries ran out
+const setRetryAfter = (res, err) => {
+  const retryAfter = getRetryAfter(err);
+  if (err.statusCode === 429 && retryAfter !== null) {
+    res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+  }
 };
 
-// Middleware to check for access token
-const requireToken = (req, res, next) => {
+// Send a Spotify error on with its own status code instead of a generic 500
+const sendSpotifyError = (res, err, error) => {
+  setRetryAfter(res, err);
+  res.status(err.statusCode || 500).json({
+    error,
+    message: err.message,
+    statusCode: err.statusCode || 500
+  });
+};
+
+// Cache for Spotify track data, which never changes for a given track
+const trackCache = createCache({ store: createStoreFromEnv() });
+
+// Time to live for cached track data, configurable in seconds
+const TRACK_DATA_TTL = {
+  features: (parseInt(process.env.CACHE_TTL_FEATURES) || 30 * 24 * 60 * 60) * 1000,
+  analysis: (parseInt(process.env.CACHE_TTL_ANALYSIS) || 30 * 24 * 60 * 60) * 1000
+};
+
+// Clients can skip the cached copy with "Cache-Control: no-cache", except
+// anonymous ones on the app's token
+const wantsFreshData = (req) => !req.usesAppToken && /no-cache/i.test(req.get('Cache-Control') || '');
+
+// Get audio features for a track through the cache
+const getCachedAudioFeatures = (req, id) => trackCache.wrap(
+  `features:${id}`,
+  async () => (await req.spotifyApi.getAudioFeaturesForTrack(id)).body,
+  { ttl: TRACK_DATA_TTL.features, refresh: wantsFreshData(req) }
+);
+
+// Get audio analysis for a track through the cache
+const getCachedAudioAnalysis = (req, id) => trackCache.wrap(
+  `analysis:${id}`,
+  async () => (await req.spotifyApi.getAudioAnalysisForTrack(id)).body,
+  { ttl: TRACK_DATA_TTL.analysis, refresh: wantsFreshData(req) }
+);
+
+// Analyze preview clips on the server when Spotify refuses the audio analysis
+const OFFLINE_ANALYSIS_ENABLED = process.env.OFFLINE_ANALYSIS !== 'false';
+
+// Analyze a track's preview clip offline. Times in the result are relative
+// to the preview, which is what the client plays for these tracks.
+const getOfflineAnalysis = (req, id, previewUrl) => trackCache.wrap(
+  `offline-analysis:${id}`,
+  async () => {
+    const url = previewUrl !== undefined ? previewUrl : (await req.spotifyApi.getTrack(id)).body.preview_url;
+    if (!url) {
+      const err = new Error('Track has no preview to analyze');
+      err.statusCode = 404;
+      throw err;
+    }
+    return analyzeAudioUrl(url, { source: 'preview' });
+  },
+  { ttl: TRACK_DATA_TTL.analysis, refresh: wantsFreshData(req) }
+);
+
+// Get audio analysis for a track from Spotify, or offline from its preview if that fails.
+// Rethrows the Spotify error when the offline analysis isn't possible either.
+// With `analyzePreview: false` only an offline analysis made earlier is used.
+const getAudioAnalysisWithFallback = async (req, id, previewUrl, { analyzePreview = true } = {}) => {
+  try {
+    return await getCachedAudioAnalysis(req, id);
+  } catch (err) {
+    if (!OFFLINE_ANALYSIS_ENABLED) throw err;
+    
+    if (!analyzePreview) {
+      const stored = await trackCache.get(`offline-analysis:${id}`);
+      if (!stored) throw err;
+      return { value: stored, status: CACHE_STATUS.HIT };
+    }
+    
+    try {
+      console.log(`Spotify audio analysis unavailable for ${id}, analyzing preview offline`);
+      return await getOfflineAnalysis(req, id, previewUrl);
+    } catch (offlineErr) {
+      console.error(`Error analyzing preview of track ${id}:`, offlineErr.message);
+      throw err;
+    }
+  }
+};
+
+// Detect highlights in an analysis. Highlights from an offline analysis are
+// timed within the preview clip, so they're marked for the player to play
+// them from the preview rather than the full track.
+const detectTrackHighlights = (analysis, features, options) => {
+  const highlights = detectHighlights(analysis.value, features, options);
+  if (analysis.value.meta?.source !== 'preview') return highlights;
+  return highlights.map(highlight => ({ ...highlight, clip: 'preview' }));
+};
+
+// Spotify accepts up to 100 track IDs per audio features request
+const AUDIO_FEATURES_BATCH_SIZE = 100;
+
+// Number of tracks analyzed at the same time by album-wide routes
+const ANALYSIS_CONCURRENCY = 4;
+
+// Get audio features for many tracks, using cached entries and fetching the rest in batches
+const getCachedAudioFeaturesForTracks = async (req, ids) => {
+  const featuresById = new Map();
+  const missingIds = [];
+  
+  for (const id of ids) {
+    const cached = wantsFreshData(req) ? undefined : await trackCache.get(`features:${id}`);
+    if (cached) {
+      featuresById.set(id, cached);
+    } else {
+      missingIds.push(id);
+    }
+  }
+  
+  for (let i = 0; i < missingIds.length; i += AUDIO_FEATURES_BATCH_SIZE) {
+    const batch = missingIds.slice(i, i + AUDIO_FEATURES_BATCH_SIZE);
+    const data = await req.spotifyApi.getAudioFeaturesForTracks(batch);
+    
+    // Results come back in request order, with null for unknown tracks
+    for (const [index, features] of (data.body.audio_features || []).entries()) {
+      if (!features) continue;
+      featuresById.set(batch[index], features);
+      await trackCache.set(`features:${batch[index]}`, features, TRACK_DATA_TTL.features);
+    }
+  }
+  
+  return featuresById;
+};
+
+// Run an async function over items with at most `limit` calls in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Get every track of an album, following pagination
+const getAllAlbumTracks = async (req, albumId) => {
+  const tracks = [];
+  let offset = 0;
+  let total = Infinity;
+  
+  while (offset < total) {
+    const data = await req.spotifyApi.getAlbumTracks(albumId, { limit: 50, offset });
+    tracks.push(...data.body.items);
+    total = data.body.total;
+    offset += data.body.limit || 50;
+    
+    if (!data.body.next) break;
+  }
+  
+  return tracks;
+};
+
+// Get the user's access token of a request
+// (a Bearer header, or the tokens held in the server session)
+const getRequestToken = async (req) => {
   const token = req.headers.authorization?.split('Bearer ')[1];
+  if (token) return token;
+  
+  try {
+    return (await getSessionAccessToken(req))?.accessToken;
+  } catch (err) {
+    console.error('Error refreshing session access token:', err.message);
+    clearSessionTokens(req.session);
+    return undefined;
+  }
+};
+
+// Queue keys of requests that aren't a user's: finding out whose token it is,
+// and data anyone may see, fetched with the app's own token
+const IDENTIFY_QUEUE_KEY = 'identify';
+const APP_QUEUE_KEY = 'app';
+
+// Attach a Spotify API instance with the token to the request, for use in
+// route handlers. Its calls are queued per Spotify user, so the tokens of one
+// user (refreshed, or from several logins) share their queue.
+const attachSpotifyApi = async (req, token, { appToken = false } = {}) => {
+  const spotifyApi = createSpotifyClient(token);
+  
+  req.accessToken = token;
+  if (appToken) {
+    req.spotifyApi = queueSpotifyClient(spotifyApi, spotifyQueue, APP_QUEUE_KEY);
+    return;
+  }
+  
+  // The profile request behind the user ID, unless it's cached
+  req.spotifyApi = queueSpotifyClient(spotifyApi, spotifyQueue, IDENTIFY_QUEUE_KEY);
+  req.spotifyApi = queueSpotifyClient(spotifyApi, spotifyQueue, `user:${await getUserId(req)}`);
+};
+
+// Spotify accepts up to 50 track IDs per tracks request
+const TRACKS_BATCH_SIZE = 50;
+
+// Get full tracks by ID in batches, leaving out unknown ones
+const getTracksById = async (req, ids) => {
+  const tracks = [];
+  for (let i = 0; i < ids.length; i += TRACKS_BATCH_SIZE) {
+    const data = await req.spotifyApi.getTracks(ids.slice(i, i + TRACKS_BATCH_SIZE));
+    tracks.push(...data.body.tracks.filter(Boolean));
+  }
+  return tracks;
+};
+
+// Detect the highlights of many tracks. Tracks whose analysis fails get
+// highlights placed by duration, so they're still playable, and an error.
+// Resolves to { highlights, error } per track, in the given order.
+const detectHighlightsForTracks = async (req, tracks, options) => {
+  let featuresById = new Map();
+  try {
+    featuresById = await getCachedAudioFeaturesForTracks(req, tracks.map(track => track.id));
+  } catch (err) {
+    // Detection still works from the analysis alone
+    console.error('Error fetching audio features for tracks:', err.message);
+  }
+  
+  return mapWithConcurrency(tracks, ANALYSIS_CONCURRENCY, async (track) => {
+    const features = featuresById.get(track.id) || null;
+    
+    try {
+      const analysis = await getAudioAnalysisWithFallback(req, track.id, track.preview_url);
+      return { highlights: detectTrackHighlights(analysis, features, options) };
+    } catch (err) {
+      console.error(`Error analyzing track ${track.id}:`, err.message);
+      return {
+        highlights: fallbackHighlights(track.duration_ms / 1000, options),
+        error: {
+          error: 'Failed to fetch track audio analysis',
+          message: err.message,
+          statusCode: err.statusCode || 500
+        }
+      };
+    }
+  });
+};
+
+// Middleware to check for access token
+const requireToken = async (req, res, next) => {
+  const token = await getRequestToken(req);
   
   if (!token) {
     return res.status(401).json({ error: 'Access token is required' });
   }
   
-  // Create Spotify API instance with the token
-  const spotifyApi = new SpotifyWebApi(credentials);
-  spotifyApi.setAccessToken(token);
+  try {
+    await attachSpotifyApi(req, token);
+  } catch (err) {
+    console.error('Error identifying Spotify user:', err.message);
+    return sendSpotifyError(res, err, 'Failed to identify the Spotify user');
+  }
+  next();
+};
+
+// Middleware for data anyone may see, like shared highlights: the user's
+// token if there is one, the app's own otherwise
+const allowAppToken = async (req, res, next) => {
+  let token = await getRequestToken(req);
+  
+  if (!token) {
+    req.usesAppToken = true;
+    try {
+      token = await getAppAccessToken();
+    } catch (err) {
+      console.error('Error getting app access token:', err.message);
+      return sendSpotifyError(res, err, 'Failed to get an access token');
+    }
+  }
   
-  // Attach to request for use in route handlers
-  req.spotifyApi = spotifyApi;
+  try {
+    await attachSpotifyApi(req, token, { appToken: req.usesAppToken });
+  } catch (err) {
+    console.error('Error identifying Spotify user:', err.message);
+    return sendSpotifyError(res, err, 'Failed to identify the Spotify user');
+  }
   next();
 };
 
+// Spotify user IDs by access token, so user data doesn't cost a profile request each time
+const userIdCache = createCache({ store: createMemoryStore({ maxEntries: 1000 }), defaultTtl: 60 * 60 * 1000 });
+
+// Get the Spotify user ID of the request's token (see attachSpotifyApi,
+// which looks it up for every request with a user's token)
+const getUserId = async (req) => (
+  await userIdCache.wrap(`user:${req.accessToken}`, async () => (await req.spotifyApi.getMe()).body.id)
+).value;
+
+// Highlights users created or edited, per user and track
+const customHighlights = createCustomHighlightStoreFromEnv();
+
+// Read highlight detection options from the query string
+const getHighlightOptions = (query) => {
+  const options = {};
+  
+  if (query.strategy) options.strategy = query.strategy;
+  if (query.maxHighlights) options.maxHighlights = parseInt(query.maxHighlights) || DEFAULT_HIGHLIGHT_OPTIONS.maxHighlights;
+  if (query.minDuration) options.minDuration = parseFloat(query.minDuration) || DEFAULT_HIGHLIGHT_OPTIONS.minDuration;
+  if (query.maxDuration) options.maxDuration = parseFloat(query.maxDuration) || DEFAULT_HIGHLIGHT_OPTIONS.maxDuration;
+  if (query.chorus) options.detectChorus = query.chorus !== 'false';
+  if (query.snap) options.snapToBeats = query.snap !== 'false';
+  if (query.phrase) options.phraseBars = parseInt(query.phrase) || null;
+  
+  return options;
+};
+
 // Get user profile
 router.get('/me', requireToken, async (req, res) => {
   try {
@@ -39,7 +372,7 @@ router.get('/me', requireToken, async (req, res) => {
     res.json(data.body);
   } catch (err) {
     console.error('Error fetching user profile:', err);
-    res.status(500).json({ error: 'Failed to fetch user profile' });
+    sendSpotifyError(res, err, 'Failed to fetch user profile');
   }
 });
 
@@ -54,7 +387,7 @@ router.get('/albums', requireToken, async (req, res) => {
     res.json(data.body);
   } catch (err) {
     console.error('Error fetching saved albums:', err);
-    res.status(500).json({ error: 'Failed to fetch saved albums' });
+    sendSpotifyError(res, err, 'Failed to fetch saved albums');
   }
 });
 
@@ -66,7 +399,7 @@ router.get('/albums/:id', requireToken, async (req, res) => {
     res.json(data.body);
   } catch (err) {
     console.error('Error fetching album details:', err);
-    res.status(500).json({ error: 'Failed to fetch album details' });
+    sendSpotifyError(res, err, 'Failed to fetch album details');
   }
 });
 
@@ -82,7 +415,141 @@ router.get('/albums/:id/tracks', requireToken, async (req, res) => {
     res.json(data.body);
   } catch (err) {
     console.error('Error fetching album tracks:', err);
-    res.status(500).json({ error: 'Failed to fetch album tracks' });
+    sendSpotifyError(res, err, 'Failed to fetch album tracks');
+  }
+});
+
+// Detect highlights for every track of an album
+router.get('/albums/:id/highlights', requireToken, async (req, res) => {
+  const { id } = req.params;
+  const options = getHighlightOptions(req.query);
+  
+  let tracks;
+  try {
+    console.log(`Detecting highlights for album: ${id}`);
+    tracks = await getAllAlbumTracks(req, id);
+  } catch (err) {
+    console.error('Error fetching album tracks for highlights:', err.message);
+    setRetryAfter(res, err);
+    return res.status(err.statusCode || 500).json({ 
+      error: 'Failed to fetch album tracks',
+      message: err.message
+    });
+  }
+  
+  const results = await detectHighlightsForTracks(req, tracks, options);
+  
+  // Keyed by track ID, in album order
+  const highlights = {};
+  const errors = {};
+  tracks.forEach((track, index) => {
+    highlights[track.id] = results[index].highlights;
+    if (results[index].error) errors[track.id] = results[index].error;
+  });
+  
+  // The user's own highlights come along, they take priority in the player
+  let custom = {};
+  try {
+    custom = await customHighlights.listMany(await getUserId(req), tracks.map(track => track.id));
+  } catch (err) {
+    console.error('Error loading custom highlights for album:', err.message);
+  }
+  
+  res.json({
+    album_id: id,
+    total: tracks.length,
+    failed: Object.keys(errors).length,
+    highlights,
+    custom,
+    errors
+  });
+});
+
+// Send a highlight export as a file download
+const sendHighlightExport = (res, format, { title, entries }) => {
+  const { body, contentType, filename } = exportHighlights(format, { title, entries });
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type(contentType).send(body);
+};
+
+// Send an error from the export routes: an invalid export (400) or a failed
+// Spotify request
+const sendExportError = (res, err, error) => {
+  if (err.statusCode === 400) {
+    return res.status(400).json({ error, message: err.message });
+  }
+  sendSpotifyError(res, err, error);
+};
+
+const checkExportFormat = (format) => {
+  if (!EXPORT_FORMATS[format]) {
+    const err = new Error(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+// Download an album's highlights, the user's own ones first, as a playlist,
+// CUE sheet or JSON document (?format=m3u|xspf|cue|json)
+router.get('/albums/:id/highlights/export', requireToken, async (req, res) => {
+  const { id } = req.params;
+  const format = req.query.format || 'json';
+  
+  try {
+    checkExportFormat(format);
+    console.log(`Exporting highlights for album: ${id} as ${format}`);
+    
+    const album = (await trackCache.wrap(
+      `album:${id}`,
+      async () => (await req.spotifyApi.getAlbum(id)).body,
+      { refresh: wantsFreshData(req) }
+    )).value;
+    const tracks = await getAllAlbumTracks(req, id);
+    const results = await detectHighlightsForTracks(req, tracks, getHighlightOptions(req.query));
+    
+    let custom = {};
+    try {
+      custom = await customHighlights.listMany(await getUserId(req), tracks.map(track => track.id));
+    } catch (err) {
+      console.error('Error loading custom highlights for export:', err.message);
+    }
+    
+    sendHighlightExport(res, format, {
+      title: `${album.name} Highlights`,
+      entries: tracks.map((track, index) => ({
+        track,
+        album,
+        highlights: mergeHighlights(results[index].highlights, custom[track.id])
+      }))
+    });
+  } catch (err) {
+    console.error('Error exporting album highlights:', err.message);
+    sendExportError(res, err, 'Failed to export album highlights');
+  }
+});
+
+// Download the highlights of a listening session, as the client has them:
+// { title, tracks: [{ id, highlights }] } in session order
+router.post('/highlights/export', requireToken, async (req, res) => {
+  const format = req.query.format || req.body?.format || 'json';
+  
+  try {
+    checkExportFormat(format);
+    const { title, tracks: requested } = normalizeExportRequest(req.body);
+    console.log(`Exporting highlights of ${requested.length} tracks as ${format}`);
+    
+    const tracks = await getTracksById(req, [...new Set(requested.map(entry => entry.id))]);
+    const tracksById = new Map(tracks.map(track => [track.id, track]));
+    
+    sendHighlightExport(res, format, {
+      title,
+      entries: requested
+        .filter(entry => tracksById.has(entry.id))
+        .map(entry => ({ track: tracksById.get(entry.id), highlights: entry.highlights }))
+    });
+  } catch (err) {
+    console.error('Error exporting highlights:', err.message);
+    sendExportError(res, err, 'Failed to export highlights');
   }
 });
 
@@ -92,8 +559,9 @@ router.get('/tracks/:id/features', requireToken, async (req, res) => {
     const { id } = req.params;
     console.log(`Fetching audio features for track: ${id}`);
     
-    const data = await req.spotifyApi.getAudioFeaturesForTrack(id);
-    res.json(data.body);
+    const features = await getCachedAudioFeatures(req, id);
+    setCacheHeaders(res, features);
+    res.json(features.value);
   } catch (err) {
     console.error('Error fetching track audio features:', err.message);
     
@@ -114,6 +582,7 @@ router.get('/tracks/:id/features', requireToken, async (req, res) => {
       });
     }
     
+    setRetryAfter(res, err);
     res.status(err.statusCode || 500).json({ 
       error: 'Failed to fetch track audio features',
       message: err.message
@@ -127,8 +596,9 @@ router.get('/tracks/:id/analysis', requireToken, async (req, res) => {
     const { id } = req.params;
     console.log(`Fetching audio analysis for track: ${id}`);
     
-    const data = await req.spotifyApi.getAudioAnalysisForTrack(id);
-    res.json(data.body);
+    const analysis = await getAudioAnalysisWithFallback(req, id);
+    setCacheHeaders(res, analysis);
+    res.json(analysis.value);
   } catch (err) {
     console.error('Error fetching track audio analysis:', err.message);
     
@@ -149,6 +619,7 @@ router.get('/tracks/:id/analysis', requireToken, async (req, res) => {
       });
     }
     
+    setRetryAfter(res, err);
     res.status(err.statusCode || 500).json({ 
       error: 'Failed to fetch track audio analysis',
       message: err.message
@@ -172,7 +643,7 @@ router.get('/search/albums', requireToken, async (req, res) => {
     res.json(data.body);
   } catch (err) {
     console.error('Error searching albums:', err);
-    res.status(500).json({ error: 'Failed to search albums' });
+    sendSpotifyError(res, err, 'Failed to search albums');
   }
 });
 
@@ -193,7 +664,7 @@ router.get('/browse/new-releases', requireToken, async (req, res) => {
     res.json(data.body);
   } catch (err) {
     console.error('Error fetching new releases:', err);
-    res.status(500).json({ error: 'Failed to fetch new releases' });
+    sendSpotifyError(res, err, 'Failed to fetch new releases');
   }
 });
 
@@ -244,6 +715,7 @@ router.get('/browse/featured-playlists', requireToken, async (req, res) => {
     console.error('Error fetching featured playlists:', err);
     
     // For other errors, return appropriate status code
+    setRetryAfter(res, err);
     res.status(err.statusCode || 500).json({ 
       error: 'Failed to fetch featured playlists',
       message: err.message || 'An unknown error occurred',
@@ -272,7 +744,7 @@ router.get('/me/top/tracks', requireToken, async (req, res) => {
     res.json(data.body);
   } catch (err) {
     console.error('Error fetching top tracks:', err);
-    res.status(500).json({ error: 'Failed to fetch top tracks' });
+    sendSpotifyError(res, err, 'Failed to fetch top tracks');
   }
 });
 
@@ -288,7 +760,31 @@ router.get('/me/top/artists', requireToken, async (req, res) => {
     res.json(data.body);
   } catch (err) {
     console.error('Error fetching top artists:', err);
-    res.status(500).json({ error: 'Failed to fetch top artists' });
+    sendSpotifyError(res, err, 'Failed to fetch top artists');
+  }
+});
+
+// Pass a Web API request on to Spotify with the user's token. Browsers whose
+// tokens the server holds (TOKEN_STORAGE=session) call Spotify through here,
+// so the access token they get stays with the Web Playback SDK.
+router.all('/spotify/*', requireToken, async (req, res) => {
+  try {
+    const data = await req.spotifyApi.request(req.method, `/${req.params[0]}`, {
+      query: req.query,
+      body: req.is('application/json') ? req.body : undefined
+    });
+
+    if (data.body === null) return res.status(data.statusCode).end();
+    res.status(data.statusCode).json(data.body);
+  } catch (err) {
+    // Spotify's own error responses go back as they are
+    if (err.statusCode && err.body) {
+      setRetryAfter(res, err);
+      return res.status(err.statusCode).json(err.body);
+    }
+
+    console.error('Error passing on Spotify request:', err);
+    sendSpotifyError(res, err, 'Failed to reach Spotify');
   }
 });
 
@@ -313,157 +809,349 @@ router.get('/recommendations', requireToken, async (req, res) => {
     res.json(data.body);
   } catch (err) {
     console.error('Error fetching recommendations:', err);
-    res.status(500).json({ error: 'Failed to fetch recommendations' });
+    sendSpotifyError(res, err, 'Failed to fetch recommendations');
+  }
+});
+
+// Tracks of the user's saved albums (the first 50). Album tracks come
+// without their album, so each gets the album's id, name, images and artists.
+const getSavedAlbumTracks = async (req) => {
+  const savedAlbums = (await req.spotifyApi.getMySavedAlbums({ limit: 50 })).body.items;
+  return savedAlbums.flatMap(({ album }) => (album.tracks?.items || []).map(track => ({
+    ...track,
+    album: { id: album.id, name: album.name, images: album.images, artists: album.artists }
+  })));
+};
+
+// Most recommendations the local engine returns at once
+const MAX_LOCAL_RECOMMENDATIONS = 100;
+
+// Recommend tracks from the user's library without Spotify's deprecated
+// recommendations endpoint: tracks of their saved albums ranked by their
+// nearest neighbours among their top tracks (or `seed_tracks`), by audio
+// features, then re-ranked for variety. Options: `k`, `limit`, `weights`
+// ("energy:2,tempo:0"), the `time_range` of the top tracks, `adventurous`
+// (0 keeps the closest matches, 1 favours variety), `max_per_artist` and
+// `max_per_album`.
+router.get('/recommendations/local', requireToken, async (req, res) => {
+  try {
+    const { seed_tracks, time_range = 'medium_term' } = req.query;
+    const k = Math.max(parseInt(req.query.k) || DEFAULT_RECOMMENDATION_OPTIONS.k, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || DEFAULT_RECOMMENDATION_OPTIONS.limit, 1),
+      MAX_LOCAL_RECOMMENDATIONS
+    );
+    const weights = parseFeatureWeights(req.query.weights);
+    const diversity = {
+      lambda: getDiversityLambda(req.query.adventurous),
+      maxPerArtist: Math.max(parseInt(req.query.max_per_artist) || DEFAULT_DIVERSITY_OPTIONS.maxPerArtist, 1),
+      maxPerAlbum: Math.max(parseInt(req.query.max_per_album) || DEFAULT_DIVERSITY_OPTIONS.maxPerAlbum, 1)
+    };
+    
+    const topTracks = (await req.spotifyApi.getMyTopTracks({ limit: 50, time_range })).body.items;
+    const libraryTracks = await getSavedAlbumTracks(req);
+    
+    // Given seeds replace the top tracks, which then become candidates too
+    const seeds = seed_tracks
+      ? await getTracksById(req, seed_tracks.split(',').filter(Boolean).slice(0, 50))
+      : topTracks;
+    const seedIds = new Set(seeds.map(track => track.id));
+    
+    const candidates = [...new Map(
+      [...libraryTracks, ...(seed_tracks ? topTracks : [])]
+        .filter(track => track && !seedIds.has(track.id))
+        .map(track => [track.id, track])
+    ).values()];
+    
+    console.log(`Ranking ${candidates.length} library tracks against ${seeds.length} seeds`);
+    const featuresById = await getCachedAudioFeaturesForTracks(req, [...seedIds, ...candidates.map(track => track.id)]);
+    const withFeatures = (tracks) => tracks.map(track => ({ track, features: featuresById.get(track.id) || null }));
+    
+    // Every candidate is ranked so the diversity stage has room to choose
+    const ranked = recommendTracks(withFeatures(seeds), withFeatures(candidates), { k, limit: candidates.length, weights });
+    const recommendations = rerankForDiversity(ranked, { ...diversity, limit, weights });
+    
+    res.json({
+      seeds: seeds.filter(track => featuresById.has(track.id)).length,
+      candidates: candidates.length,
+      k,
+      weights,
+      diversity,
+      tracks: recommendations
+    });
+  } catch (err) {
+    console.error('Error building local recommendations:', err.message);
+    sendSpotifyError(res, err, 'Failed to build recommendations');
+  }
+});
+
+// Classify the user's top tracks and saved-album tracks into moods (calm,
+// happy, intense, melancholic) by valence, energy, acousticness and tempo.
+// The client builds playlists from them, so one request serves every mood
+// and energy curve. Option: the `time_range` of the top tracks.
+router.get('/moods/library', requireToken, async (req, res) => {
+  try {
+    const { time_range = 'medium_term' } = req.query;
+    
+    const topTracks = (await req.spotifyApi.getMyTopTracks({ limit: 50, time_range })).body.items;
+    const libraryTracks = await getSavedAlbumTracks(req);
+    const tracks = [...new Map(
+      [...topTracks, ...libraryTracks].filter(Boolean).map(track => [track.id, track])
+    ).values()];
+    
+    console.log(`Classifying moods of ${tracks.length} library tracks`);
+    const featuresById = await getCachedAudioFeaturesForTracks(req, tracks.map(track => track.id));
+    
+    const counts = Object.fromEntries(Object.keys(MOODS).map(mood => [mood, 0]));
+    const classified = tracks
+      .filter(track => featuresById.has(track.id))
+      .map(track => {
+        const features = featuresById.get(track.id);
+        const { mood, scores, labels } = classifyMood(features);
+        counts[mood] += 1;
+        return { track, features, mood, scores, labels };
+      });
+    
+    res.json({ moods: MOODS, counts, tracks: classified });
+  } catch (err) {
+    console.error('Error classifying library moods:', err.message);
+    sendSpotifyError(res, err, 'Failed to classify library moods');
   }
 });
 
 // Detect highlights in a track
 router.get('/tracks/:id/highlights', requireToken, async (req, res) => {
+  const { id } = req.params;
+  const options = getHighlightOptions(req.query);
+  
   try {
-    const { id } = req.params;
     console.log(`Attempting to detect highlights for track: ${id}`);
     
-    // Try to get both audio features and analysis
+    // Get both audio features and analysis. Features only refine the scores,
+    // so detection goes ahead without them.
+    const [features, analysis] = await Promise.all([
+      getCachedAudioFeatures(req, id).catch(err => {
+        console.error('Error fetching audio features for highlights:', err.message);
+        return { value: null };
+      }),
+      getAudioAnalysisWithFallback(req, id)
+    ]);
+    
+    // The highlights are only as fresh as the analysis they come from
+    setCacheHeaders(res, analysis);
+    res.json(detectTrackHighlights(analysis, features.value, options));
+  } catch (err) {
+    console.error('Error accessing audio analysis:', err.message);
+    
+    // Without analysis, place highlights by the track duration if we can get it
     try {
-      // Get both audio features and analysis
-      const [features, analysis] = await Promise.all([
-        req.spotifyApi.getAudioFeaturesForTrack(id),
-        req.spotifyApi.getAudioAnalysisForTrack(id)
-      ]);
-      
-      const featuresData = features.body;
-      const analysisData = analysis.body;
-      
-      // Extract sections with high energy and danceability
-      const highlights = analysisData.sections
-        .filter(section => {
-          // Find sections with high energy, danceability, or loudness
-          return (
-            section.loudness > analysisData.track.loudness_max * 0.8 ||
-            (featuresData.energy > 0.7 && section.duration > 10) ||
-            (featuresData.danceability > 0.7 && section.duration > 10)
-          );
-        })
-        .map(section => ({
-          start: section.start,
-          duration: Math.min(section.duration, 30), // Cap at 30 seconds
-          confidence: section.confidence,
-          loudness: section.loudness,
-          tempo: section.tempo
-        }))
-        .sort((a, b) => b.loudness - a.loudness); // Sort by loudness (descending)
-      
-      // If no highlights found, use the first section
-      if (highlights.length === 0 && analysisData.sections.length > 0) {
-        const firstSection = analysisData.sections[0];
-        highlights.push({
-          start: firstSection.start,
-          duration: Math.min(firstSection.duration, 30),
-          confidence: firstSection.confidence,
-          loudness: firstSection.loudness,
-          tempo: firstSection.tempo
-        });
-      }
-      
-      // Return the top 3 highlights or all if less than 3
-      res.json(highlights.slice(0, 3));
-    } catch (analysisErr) {
-      console.error('Error accessing audio analysis:', analysisErr);
+      const track = await req.spotifyApi.getTrack(id);
+      const duration = track.body.duration_ms / 1000; // Convert to seconds
       
-      // If we get a 403 error, provide fallback highlights
-      if (analysisErr.statusCode === 403) {
-        console.log('Using fallback highlights due to 403 error');
-        
-        // Get track details to determine duration if possible
-        try {
-          const track = await req.spotifyApi.getTrack(id);
-          const duration = track.body.duration_ms / 1000; // Convert to seconds
-          
-          // Create evenly spaced highlights
-          const highlights = [];
-          
-          // If track is longer than 30 seconds, create 3 highlights
-          if (duration > 90) {
-            // Beginning, middle, and end highlights
-            highlights.push({
-              start: 0,
-              duration: 30,
-              confidence: 1.0,
-              loudness: -10,
-              tempo: 120
-            });
-            
-            highlights.push({
-              start: Math.floor(duration / 2) - 15,
-              duration: 30,
-              confidence: 1.0,
-              loudness: -10,
-              tempo: 120
-            });
-            
-            highlights.push({
-              start: Math.max(0, Math.floor(duration - 30)),
-              duration: 30,
-              confidence: 1.0,
-              loudness: -10,
-              tempo: 120
-            });
-          } else if (duration > 30) {
-            // For shorter tracks, just beginning and end
-            highlights.push({
-              start: 0,
-              duration: 30,
-              confidence: 1.0,
-              loudness: -10,
-              tempo: 120
-            });
-            
-            highlights.push({
-              start: Math.max(0, Math.floor(duration - 30)),
-              duration: 30,
-              confidence: 1.0,
-              loudness: -10,
-              tempo: 120
-            });
-          } else {
-            // For very short tracks, just the whole track
-            highlights.push({
-              start: 0,
-              duration: Math.min(30, duration),
-              confidence: 1.0,
-              loudness: -10,
-              tempo: 120
-            });
-          }
-          
-          return res.json(highlights);
-        } catch (trackErr) {
-          console.error('Error getting track details:', trackErr);
-          // If we can't get track details, return a default highlight
-          return res.json([{
-            start: 0,
-            duration: 30,
-            confidence: 1.0,
-            loudness: -10,
-            tempo: 120
-          }]);
-        }
-      }
-      
-      // For other errors, rethrow
-      throw analysisErr;
+      console.log('Using fallback highlights based on track duration');
+      return res.json(fallbackHighlights(duration, options));
+    } catch (trackErr) {
+      console.error('Error getting track details:', trackErr.message);
+      return res.json(fallbackHighlights(0, options));
     }
+  }
+});
+
+// Send an error from the custom highlight routes: invalid highlights (400),
+// missing ones (404) or a failed Spotify profile request
+const sendCustomHighlightError = (res, err, error) => {
+  if (err.statusCode === 400 || err.statusCode === 404) {
+    return res.status(err.statusCode).json({ error, message: err.message });
+  }
+  sendSpotifyError(res, err, error);
+};
+
+// Get the user's own highlights of a track, in their order
+router.get('/tracks/:id/highlights/custom', requireToken, async (req, res) => {
+  try {
+    const highlights = await customHighlights.list(await getUserId(req), req.params.id);
+    res.json({ track_id: req.params.id, highlights });
+  } catch (err) {
+    console.error('Error fetching custom highlights:', err.message);
+    sendCustomHighlightError(res, err, 'Failed to fetch custom highlights');
+  }
+});
+
+// Save the user's highlights of a track. The list replaces the saved one, so
+// adding, renaming, reordering and removing highlights are all one request.
+router.post('/tracks/:id/highlights/custom', requireToken, async (req, res) => {
+  try {
+    const highlights = await customHighlights.save(await getUserId(req), req.params.id, req.body?.highlights);
+    res.json({ track_id: req.params.id, highlights });
+  } catch (err) {
+    console.error('Error saving custom highlights:', err.message);
+    sendCustomHighlightError(res, err, 'Failed to save custom highlights');
+  }
+});
+
+// Delete all of the user's highlights of a track, or one by its ID
+router.delete('/tracks/:id/highlights/custom/:highlightId?', requireToken, async (req, res) => {
+  try {
+    const { id, highlightId } = req.params;
+    const highlights = await customHighlights.remove(await getUserId(req), id, highlightId);
+    res.json({ track_id: id, highlights });
   } catch (err) {
-    console.error('Error detecting highlights:', err);
+    console.error('Error deleting custom highlights:', err.message);
+    sendCustomHighlightError(res, err, 'Failed to delete custom highlights');
+  }
+});
+
+// Send an error from the playlist route: an invalid request (400) or a failed
+// Spotify request. 403 usually means the login predates the playlist scopes.
+const sendPlaylistError = (res, err, error) => {
+  if (err.statusCode === 400) {
+    return res.status(400).json({ error, message: err.message });
+  }
+  sendSpotifyError(res, err, error);
+};
+
+// Create a playlist in the user's account from an album or a set of tracks,
+// in their original order or ranked by their best highlight's score
+router.post('/playlists/from-highlights', requireToken, async (req, res) => {
+  try {
+    const request = normalizePlaylistRequest(req.body);
+    
+    let album = null;
+    let tracks;
+    if (request.albumId) {
+      album = (await req.spotifyApi.getAlbum(request.albumId)).body;
+      tracks = await getAllAlbumTracks(req, request.albumId);
+    } else {
+      tracks = await getTracksById(req, request.trackIds);
+    }
+    
+    // Scores only matter when ranking. Tracks without an analysis have none
+    // and go to the end.
+    let entries = tracks.map(track => ({ track, highlight: null }));
+    if (request.order === PLAYLIST_ORDERS.score) {
+      const results = await detectHighlightsForTracks(req, tracks, getHighlightOptions(req.query));
+      entries = tracks.map((track, index) => ({
+        track,
+        highlight: results[index].error ? null : pickBestHighlight(results[index].highlights)
+      }));
+    }
+    
+    const ordered = orderPlaylistTracks(
+      entries.map(entry => ({ ...entry, score: entry.highlight?.score ?? null })),
+      request.order,
+      request.limit
+    );
     
-    // Return a default highlight at the beginning of the track
-    res.json([{
-      start: 0,
-      duration: 30,
-      confidence: 1.0,
-      loudness: -10,
-      tempo: 120
-    }]);
+    const artists = album?.artists?.map(artist => artist.name).join(', ');
+    const name = request.name || (album ? `${album.name} Highlights` : 'Highlights');
+    const description = request.description || (album
+      ? `${album.name} by ${artists}, ${request.order === PLAYLIST_ORDERS.score ? 'best highlights first' : 'in album order'}`
+      : 'Tracks ranked by their highlights');
+    
+    console.log(`Creating playlist "${name}" with ${ordered.length} tracks`);
+    const playlist = (await req.spotifyApi.createPlaylist(name, { description, public: request.isPublic })).body;
+    const snapshotId = await addTracksInBatches(req.spotifyApi, playlist.id, ordered.map(entry => entry.track.uri));
+    
+    res.status(201).json({
+      playlist: {
+        id: playlist.id,
+        name: playlist.name,
+        description: playlist.description,
+        uri: playlist.uri,
+        external_urls: playlist.external_urls,
+        snapshot_id: snapshotId
+      },
+      order: request.order,
+      tracks: ordered.map(({ track, highlight, score }) => ({
+        id: track.id,
+        name: track.name,
+        uri: track.uri,
+        score,
+        highlight
+      }))
+    });
+  } catch (err) {
+    console.error('Error creating playlist from highlights:', err.message);
+    sendPlaylistError(res, err, 'Failed to create playlist');
+  }
+});
+
+// Get a shared track and the analysis to draw its energy from. Only
+// Spotify's analysis spans the full track; an offline one is timed within the
+// preview, so it's only used for highlights shared from the preview.
+// Anonymous visitors only get offline analyses made earlier: analyzing a
+// preview means downloading and decoding it, which anyone could otherwise
+// trigger for any track by opening made-up links.
+const getSharedTrack = async (req, id, highlight) => {
+  const track = (await trackCache.wrap(
+    `track:${id}`,
+    async () => (await req.spotifyApi.getTrack(id)).body,
+    { refresh: wantsFreshData(req) }
+  )).value;
+  
+  let analysis = null;
+  try {
+    const result = await getAudioAnalysisWithFallback(req, id, track.preview_url, {
+      analyzePreview: !req.usesAppToken
+    });
+    const fromPreview = result.value.meta?.source === 'preview';
+    if (fromPreview === (highlight.clip === 'preview')) analysis = result.value;
+  } catch (err) {
+    console.error(`Error analyzing shared track ${id}:`, err.message);
+  }
+  
+  return { track, analysis };
+};
+
+// Get a shared highlight's track, with the parts of its analysis the energy
+// timeline draws. Works without a login, for anyone who opens a shared link.
+router.get('/share/tracks/:id', allowAppToken, async (req, res) => {
+  const { id } = req.params;
+  const highlight = parseSharedHighlight(req.query);
+  
+  try {
+    const { track, analysis } = await getSharedTrack(req, id, highlight);
+    
+    res.json({
+      track,
+      highlight,
+      analysis: analysis && {
+        track: { duration: analysis.track?.duration },
+        sections: (analysis.sections || []).map(({ start, duration }) => ({ start, duration })),
+        segments: (analysis.segments || []).map(({ start, duration, loudness_max }) => ({ start, duration, loudness_max }))
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching shared track:', err.message);
+    sendSpotifyError(res, err, 'Failed to fetch shared track');
+  }
+});
+
+// Draw the Open Graph preview image of a shared highlight
+router.get('/share/tracks/:id/image.png', allowAppToken, async (req, res) => {
+  const { id } = req.params;
+  const highlight = parseSharedHighlight(req.query);
+  
+  try {
+    const { track, analysis } = await getSharedTrack(req, id, highlight);
+    
+    // Preview clips are around 30 seconds
+    const duration = highlight.clip === 'preview'
+      ? analysis?.track?.duration || 30
+      : track.duration_ms / 1000;
+    
+    const image = renderHighlightImage({
+      energy: getEnergyBars(analysis, duration),
+      duration,
+      start: highlight.start,
+      highlightDuration: highlight.duration
+    });
+    
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type('png').send(image);
+  } catch (err) {
+    console.error('Error drawing shared highlight image:', err.message);
+    sendSpotifyError(res, err, 'Failed to draw shared highlight image');
   }
 });
 
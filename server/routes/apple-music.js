@@ -3,12 +3,18 @@ import jwt from 'jsonwebtoken';
 import fs from 'fs';
 import path from 'path';
 import fetch from 'node-fetch';
+import { getServiceUrls } from '../config/services.js';
 
 const router = express.Router();
 
 // Generate Apple Music API token
 const generateToken = () => {
   try {
+    // A ready-made developer token (e.g. any value for the mock server) skips signing
+    if (process.env.APPLE_DEVELOPER_TOKEN) {
+      return process.env.APPLE_DEVELOPER_TOKEN;
+    }
+
     if (!process.env.APPLE_PRIVATE_KEY_PATH || !process.env.APPLE_TEAM_ID || !process.env.APPLE_KEY_ID) {
       console.error('Missing required Apple Music environment variables');
       return null;
@@ -77,7 +83,7 @@ router.get('/search', async (req, res) => {
     const musicUserToken = req.headers['music-user-token'];
     console.log('Music User Token present:', !!musicUserToken);
 
-    const url = `https://api.music.apple.com/v1/catalog/us/search`;
+    const url = `${getServiceUrls().appleMusicApi}/v1/catalog/us/search`;
     const searchParams = new URLSearchParams({
       term: query,
       types: 'songs,albums,artists',
@@ -141,7 +147,7 @@ router.get('/recommendations', async (req, res) => {
     console.log('Music User Token present:', !!musicUserToken);
 
     // First try to get personalized recommendations
-    const url = 'https://api.music.apple.com/v1/me/recommendations';
+    const url = `${getServiceUrls().appleMusicApi}/v1/me/recommendations`;
     console.log('Making request to Apple Music API:', url);
     console.log('Request headers:', {
       'Authorization': `Bearer ${token.substring(0, 10)}...`,
@@ -165,7 +171,7 @@ router.get('/recommendations', async (req, res) => {
     if (!response.ok) {
       // If personalized recommendations fail, fall back to charts
       console.log('Falling back to charts...');
-      const chartsUrl = 'https://api.music.apple.com/v1/catalog/us/charts?types=songs&limit=25';
+      const chartsUrl = `${getServiceUrls().appleMusicApi}/v1/catalog/us/charts?types=songs&limit=25`;
       const chartsResponse = await fetch(chartsUrl, {
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -1,7 +1,23 @@
 import express from 'express';
-import SpotifyWebApi from 'spotify-web-api-node';
 import dotenv from 'dotenv';
 import cors from 'cors';
+import {
+  generateState,
+  statesMatch,
+  generateCodeVerifier,
+  createCodeChallenge,
+  usesPkce,
+  createAuthorizeUrl,
+  requestPublicClientToken,
+  requestClientToken,
+  refreshSpotifyToken
+} from '../auth/oauth.js';
+import {
+  usesTokenSessions,
+  storeSessionTokens,
+  clearSessionTokens,
+  getSessionAccessToken
+} from '../auth/tokenSession.js';
 
 // Load environment variables
 dotenv.config();
@@ -17,16 +33,6 @@ router.use(cors({
 // Ensure JSON body parsing
 router.use(express.json());
 
-// Spotify API credentials
-const credentials = {
-  clientId: process.env.CLIENT_ID,
-  clientSecret: process.env.CLIENT_SECRET,
-  redirectUri: process.env.REDIRECT_URI
-};
-
-// Initialize Spotify API
-const spotifyApi = new SpotifyWebApi(credentials);
-
 // Scopes for Spotify API access
 const scopes = [
   'user-read-private',
@@ -38,26 +44,46 @@ const scopes = [
   'user-read-currently-playing',
   'streaming',
   'playlist-read-private',
-  'playlist-read-collaborative'
+  'playlist-read-collaborative',
+  'playlist-modify-private',
+  'playlist-modify-public'
 ];
 
 // Login route - redirects to Spotify authorization page
 router.get('/spotify', (req, res) => {
-  const state = 'spotify_auth_state'; // You can generate a random state for security
-  const authorizeURL = spotifyApi.createAuthorizeURL(scopes, state);
+  // A fresh random state per login, checked again in /callback and /exchange
+  const state = generateState();
+  req.session.oauthState = state;
+  
+  // Without a client secret, the code exchange is proven with a PKCE verifier
+  let codeChallenge = null;
+  if (usesPkce()) {
+    const codeVerifier = generateCodeVerifier();
+    req.session.codeVerifier = codeVerifier;
+    codeChallenge = createCodeChallenge(codeVerifier);
+  }
+  
+  const authorizeURL = createAuthorizeUrl({ scopes, state, codeChallenge });
+  
   console.log(`Redirecting to Spotify authorization: ${authorizeURL}`);
   res.redirect(authorizeURL);
 });
 
 // Callback route - handles the response from Spotify
 router.get('/callback', async (req, res) => {
-  const { code, error } = req.query;
+  const { code, error, state } = req.query;
   
   if (error) {
     console.error('Error from Spotify:', error);
     return res.redirect(`${process.env.CLIENT_URL}/callback?error=${error}`);
   }
   
+  // Reject callbacks for logins that didn't start in this session
+  if (!statesMatch(req.session?.oauthState, state)) {
+    console.error('OAuth state mismatch in callback');
+    return res.redirect(`${process.env.CLIENT_URL}/callback?error=state_mismatch`);
+  }
+  
   if (!code) {
     console.error('No authorization code provided');
     return res.redirect(`${process.env.CLIENT_URL}/callback?error=no_code`);
@@ -65,8 +91,8 @@ router.get('/callback', async (req, res) => {
   
   try {
     console.log('Received authorization code in callback');
-    // Don't exchange the code here, just pass it to the client
-    res.redirect(`${process.env.CLIENT_URL}/callback?code=${code}`);
+    // Don't exchange the code here, just pass it (and the state) to the client
+    res.redirect(`${process.env.CLIENT_URL}/callback?code=${encodeURIComponent(code)}&state=${encodeURIComponent(state)}`);
   } catch (err) {
     console.error('Error during callback:', err);
     res.redirect(`${process.env.CLIENT_URL}/callback?error=callback_failed`);
@@ -75,25 +101,42 @@ router.get('/callback', async (req, res) => {
 
 // Exchange code for tokens endpoint
 router.post('/exchange', async (req, res) => {
-  const { code } = req.body;
+  const { code, state } = req.body;
   
   if (!code) {
     console.error('No authorization code provided');
     return res.status(400).json({ error: 'Authorization code is required' });
   }
   
+  // The login must have started at /auth/spotify in this session
+  if (!statesMatch(req.session?.oauthState, state)) {
+    console.error('OAuth state mismatch in code exchange');
+    return res.status(400).json({
+      error: 'Invalid state',
+      message: 'The login request could not be verified. Please try logging in again.',
+      code: 'state_mismatch'
+    });
+  }
+  
+  // The state and verifier are only good for one exchange. The verifier
+  // never leaves the server, so it can't be supplied with the request.
+  const codeVerifier = req.session?.codeVerifier;
+  if (req.session) {
+    delete req.session.oauthState;
+    delete req.session.codeVerifier;
+  }
+  
   try {
     console.log(`Exchanging authorization code for tokens: ${code.substring(0, 10)}...`);
     
-    // Create a new instance with the same credentials
-    const exchangeApi = new SpotifyWebApi({
-      clientId: process.env.CLIENT_ID,
-      clientSecret: process.env.CLIENT_SECRET,
-      redirectUri: process.env.REDIRECT_URI
-    });
-    
-    // Exchange authorization code for access token
-    const data = await exchangeApi.authorizationCodeGrant(code);
+    // Exchange authorization code for access token, with the PKCE verifier
+    // instead of the client secret when there is one
+    const grant = { grant_type: 'authorization_code', code, redirect_uri: process.env.REDIRECT_URI };
+    const data = {
+      body: codeVerifier
+        ? await requestPublicClientToken({ ...grant, code_verifier: codeVerifier })
+        : await requestClientToken(grant)
+    };
     
     if (!data || !data.body) {
       throw new Error('Invalid response from Spotify API');
@@ -108,6 +151,16 @@ router.post('/exchange', async (req, res) => {
     console.log(`Token exchange successful. Access token: ${access_token.substring(0, 10)}...`);
     console.log(`Account type: ${data.body.scope?.includes('user-read-private') ? 'Premium' : 'Free'}`);
     
+    // Keep the tokens on the server, the browser only gets the session cookie
+    if (usesTokenSessions()) {
+      storeSessionTokens(req.session, data.body);
+      return res.json({
+        session: true,
+        expires_in,
+        account_type: data.body.scope?.includes('user-read-private') ? 'premium' : 'free'
+      });
+    }
+    
     // Return tokens as JSON
     res.json({
       access_token,
@@ -144,9 +197,31 @@ router.post('/exchange', async (req, res) => {
   }
 });
 
-// Refresh token route
+// Refresh token route. Without a refresh token in the body it refreshes the
+// tokens held in the session, e.g. after Spotify refused the access token,
+// and only answers with the new expiry.
 router.post('/refresh', async (req, res) => {
-  const { refreshToken } = req.body;
+  const { refreshToken } = req.body || {};
+  
+  if (!refreshToken && req.session?.spotify) {
+    try {
+      const tokens = await getSessionAccessToken(req, { force: true });
+      if (tokens) {
+        return res.json({
+          session: true,
+          expiresIn: Math.floor((tokens.expiresAt - Date.now()) / 1000)
+        });
+      }
+    } catch (err) {
+      console.error('Error refreshing session access token:', err.message);
+    }
+    
+    clearSessionTokens(req.session);
+    return res.status(401).json({ 
+      error: 'Session expired',
+      message: 'Your session has expired. Please log in again.'
+    });
+  }
   
   if (!refreshToken) {
     return res.status(400).json({ error: 'Refresh token is required' });
@@ -155,16 +230,8 @@ router.post('/refresh', async (req, res) => {
   try {
     console.log('Refreshing access token...');
     
-    // Create a new instance with the same credentials
-    const refreshApi = new SpotifyWebApi({
-      clientId: process.env.CLIENT_ID,
-      clientSecret: process.env.CLIENT_SECRET,
-      redirectUri: process.env.REDIRECT_URI,
-      refreshToken
-    });
-    
-    // Refresh the access token
-    const data = await refreshApi.refreshAccessToken();
+    // Refresh the access token. Public (PKCE) clients refresh without the secret.
+    const data = { body: await refreshSpotifyToken(refreshToken) };
     
     if (!data || !data.body) {
       throw new Error('Invalid response from Spotify API');
@@ -178,10 +245,12 @@ router.post('/refresh', async (req, res) => {
     
     console.log(`Token refresh successful. New access token: ${access_token.substring(0, 10)}...`);
     
-    // Return the new access token and expiry
+    // Return the new access token and expiry. PKCE refreshes also rotate
+    // the refresh token, which the client must store in place of the old one.
     res.json({
       accessToken: access_token,
-      expiresIn: expires_in
+      expiresIn: expires_in,
+      refreshToken: data.body.refresh_token
     });
   } catch (err) {
     console.error('Error refreshing access token:', err.message);
@@ -212,6 +281,52 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+// Access token of a server-held session for the Web Playback SDK, refreshed
+// when needed. This is the one exception to keeping tokens on the server: the
+// SDK runs in the page and asks it for a token (getOAuthToken), so the page
+// gets the access token, though never the refresh token. Everything else the
+// browser asks of Spotify goes through /api/spotify with the session cookie.
+router.get('/token', async (req, res) => {
+  // Not for any cache to keep
+  res.set('Cache-Control', 'no-store');
+  
+  try {
+    const tokens = await getSessionAccessToken(req);
+    
+    if (!tokens) {
+      return res.status(401).json({ 
+        error: 'Not logged in',
+        message: 'No Spotify session was found'
+      });
+    }
+    
+    res.json({
+      accessToken: tokens.accessToken,
+      expiresIn: Math.floor((tokens.expiresAt - Date.now()) / 1000)
+    });
+  } catch (err) {
+    console.error('Error getting session access token:', err.message);
+    clearSessionTokens(req.session);
+    
+    res.status(401).json({ 
+      error: 'Session expired',
+      message: 'Your session has expired. Please log in again.'
+    });
+  }
+});
+
+// Logout from a script, clearing a server-held session
+router.post('/logout', (req, res) => {
+  if (!req.session) {
+    return res.json({ success: true });
+  }
+  
+  req.session.destroy(() => {
+    res.clearCookie('connect.sid');
+    res.json({ success: true });
+  });
+});
+
 // Logout route
 router.get('/logout', (req, res) => {
   // Clear session
@@ -0,0 +1,77 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getHighlightSharePath, parseSharedHighlight } from '../../shared/highlights/index.js';
+import { createCache, createMemoryStore } from '../cache/index.js';
+import { getAppAccessToken } from '../auth/appToken.js';
+import { createSpotifyClient } from '../config/services.js';
+import { describeSharedHighlight, getShareMetaTags, injectShareMeta } from '../share/index.js';
+
+// Load environment variables
+dotenv.config();
+
+const router = express.Router();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const INDEX_HTML = path.join(__dirname, '../../client/dist/index.html');
+
+// Tracks named in link previews, fetched with the app's own token
+const trackCache = createCache({ store: createMemoryStore({ maxEntries: 500 }) });
+
+const getTrack = async (id) => (
+  await trackCache.wrap(`track:${id}`, async () => {
+    const spotifyApi = createSpotifyClient(await getAppAccessToken());
+    return (await spotifyApi.getTrack(id)).body;
+  })
+).value;
+
+let indexHtml = null;
+
+// Send a shared highlight page: the client app, with link preview tags for
+// the highlight. Outside production the client runs on its own dev server.
+const sendSharePage = ({ embed }) => async (req, res) => {
+  if (process.env.NODE_ENV !== 'production') {
+    return res.redirect(`${process.env.CLIENT_URL || 'http://localhost:5173'}${req.originalUrl}`);
+  }
+
+  const { trackId } = req.params;
+  const highlight = parseSharedHighlight(req.query);
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const query = getHighlightSharePath(trackId, highlight).split('?')[1];
+
+  try {
+    indexHtml = indexHtml || await fs.readFile(INDEX_HTML, 'utf8');
+  } catch (err) {
+    console.error('Error reading client index.html:', err.message);
+    return res.status(500).json({ error: 'Failed to load shared highlight', message: err.message });
+  }
+
+  // The page still works without the track's name in its preview
+  let track = null;
+  try {
+    track = await getTrack(trackId);
+  } catch (err) {
+    console.error('Error fetching track for shared highlight:', err.message);
+  }
+
+  const { title, description } = describeSharedHighlight(track, highlight);
+  const tags = getShareMetaTags({
+    title,
+    description,
+    pageUrl: `${origin}${getHighlightSharePath(trackId, highlight, { embed })}`,
+    imageUrl: `${origin}/api/share/tracks/${encodeURIComponent(trackId)}/image.png?${query}`,
+    embedUrl: `${origin}${getHighlightSharePath(trackId, highlight, { embed: true })}`
+  });
+
+  res.send(injectShareMeta(indexHtml, { title, tags }));
+};
+
+// Shared highlight page
+router.get('/h/:trackId', sendSharePage({ embed: false }));
+
+// Embeddable player of a shared highlight
+router.get('/embed/highlight/:trackId', sendSharePage({ embed: true }));
+
+export default router;
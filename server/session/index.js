@@ -0,0 +1,100 @@
+/**
+ * Session storage
+ *
+ * Backs express-session with any key-value store that has async
+ * get/set/delete/clear methods, the same interface as the cache stores
+ * (see cache/). Memory and file stores are built in.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMemoryStore, createFileStore } from '../cache/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Sessions without a cookie expiry are kept for a day
+const DEFAULT_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Wrap a key-value store as an express-session store
+ * @param {Object} session - The express-session module
+ * @param {Object} store - Key-value store (see cache/memoryStore.js)
+ * @returns {Object} express-session Store
+ */
+export const createSessionStore = (session, store) => {
+  const keyFor = (sid) => `session:${sid}`;
+
+  // express-session stores take Node-style callbacks
+  const callback = (promise, cb = () => {}) => {
+    promise.then(result => cb(null, result), err => cb(err));
+  };
+
+  // Sessions are stored as JSON, like express-session's MemoryStore does: the
+  // live Session object references its request, and later changes to it must
+  // not reach the store without a save
+  const write = (sid, sess) => store.set(keyFor(sid), {
+    value: JSON.stringify(sess),
+    expiresAt: sess.cookie?.expires
+      ? new Date(sess.cookie.expires).getTime()
+      : Date.now() + DEFAULT_SESSION_TTL
+  });
+
+  class KeyValueSessionStore extends session.Store {
+    get(sid, cb) {
+      callback((async () => {
+        const entry = await store.get(keyFor(sid));
+        if (!entry) return null;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+          await store.delete(keyFor(sid));
+          return null;
+        }
+
+        return JSON.parse(entry.value);
+      })(), cb);
+    }
+
+    set(sid, sess, cb) {
+      callback(write(sid, sess), cb);
+    }
+
+    touch(sid, sess, cb) {
+      callback(write(sid, sess), cb);
+    }
+
+    destroy(sid, cb) {
+      callback(store.delete(keyFor(sid)), cb);
+    }
+
+    clear(cb) {
+      callback(store.clear(), cb);
+    }
+  }
+
+  return new KeyValueSessionStore();
+};
+
+/**
+ * Create an express-session store from environment variables
+ *
+ * SESSION_STORE        memory (default) or file
+ * SESSION_MAX_ENTRIES  maximum sessions for the memory store
+ * SESSION_DIR          directory for the file store
+ *
+ * @param {Object} session - The express-session module
+ * @param {Object} env - Environment variables
+ * @returns {Object} express-session Store
+ */
+export const createSessionStoreFromEnv = (session, env = process.env) => {
+  switch (env.SESSION_STORE) {
+    case 'file':
+      return createSessionStore(session, createFileStore({
+        directory: env.SESSION_DIR || path.join(__dirname, '..', '.sessions')
+      }));
+    case 'memory':
+    default:
+      return createSessionStore(session, createMemoryStore({
+        maxEntries: parseInt(env.SESSION_MAX_ENTRIES) || 10000
+      }));
+  }
+};
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import session from 'express-session';
+import { createSessionStore } from './index.js';
+import { createMemoryStore } from '../cache/index.js';
+
+const promisify = (store, method, ...args) => new Promise((resolve, reject) => {
+  store[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+test('stores a snapshot of the session, not the live object', async () => {
+  const backing = createMemoryStore();
+  const store = createSessionStore(session, backing);
+  const sess = { cookie: { expires: new Date(Date.now() + 60000) }, tokens: { accessToken: 'a' } };
+
+  await promisify(store, 'set', 'sid', sess);
+  sess.tokens.accessToken = 'changed';
+
+  const stored = await promisify(store, 'get', 'sid');
+  assert.equal(stored.tokens.accessToken, 'a');
+  assert.equal(typeof (await backing.get('session:sid')).value, 'string');
+});
+
+test('drops expired sessions', async () => {
+  const store = createSessionStore(session, createMemoryStore());
+  await promisify(store, 'set', 'sid', { cookie: { expires: new Date(Date.now() - 1000) } });
+
+  assert.equal(await promisify(store, 'get', 'sid'), null);
+});
+
+test('destroys sessions', async () => {
+  const store = createSessionStore(session, createMemoryStore());
+  await promisify(store, 'set', 'sid', { cookie: {} });
+  await promisify(store, 'destroy', 'sid');
+
+  assert.equal(await promisify(store, 'get', 'sid'), null);
+});
@@ -0,0 +1,155 @@
+/**
+ * Open Graph preview images of shared highlights
+ *
+ * A PNG of the track's energy over time with the shared highlight lit up,
+ * drawn pixel by pixel and encoded here so the server needs no image
+ * library. The track and artist names are in the page's og:title, which
+ * every link preview shows next to the image.
+ */
+
+import zlib from 'zlib';
+import { normalizeLoudness } from '../../shared/highlights/index.js';
+
+// The size link previews crop large images to (1.91:1)
+export const SHARE_IMAGE_SIZE = { width: 1200, height: 630 };
+
+const COLORS = {
+  background: [18, 18, 18],
+  bar: [83, 83, 83],
+  highlight: [29, 185, 84],
+  region: [24, 61, 37],
+  rail: [40, 40, 40]
+};
+
+// Energy bars and their gaps, in pixels
+const BAR_COUNT = 96;
+const BAR_GAP = 4;
+const MARGIN = 80;
+
+// CRC-32 of PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Encode RGB pixels as a PNG
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Buffer} pixels - width * height * 3 bytes, row by row
+ * @returns {Buffer} PNG file
+ */
+export const encodePng = (width, height, pixels) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Truecolor
+  // Compression, filter and interlace methods stay 0
+
+  // Every row starts with its filter type, 0 (none)
+  const rowLength = width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+/**
+ * Average the loudness of an analysis' segments over equal slices of time
+ * @param {Object} analysis - Audio analysis with segments
+ * @param {number} duration - Length to cover in seconds
+ * @param {number} count - Number of slices
+ * @returns {Array} Energy between 0 and 1 per slice, null without segments
+ */
+export const getEnergyBars = (analysis, duration, count = BAR_COUNT) => {
+  if (!analysis?.segments?.length || !duration) return null;
+
+  const sums = Array(count).fill(0);
+  const counts = Array(count).fill(0);
+  for (const segment of analysis.segments) {
+    const index = Math.min(Math.floor((segment.start / duration) * count), count - 1);
+    sums[index] += normalizeLoudness(segment.loudness_max);
+    counts[index] += 1;
+  }
+
+  return sums.map((sum, index) => (counts[index] ? Math.min(sum / counts[index], 1) : 0));
+};
+
+/**
+ * Draw the preview image of a shared highlight
+ * @param {Object} options - { energy, duration, start, highlightDuration }
+ *   with energy from getEnergyBars (null draws even bars) and times in seconds
+ * @returns {Buffer} PNG file
+ */
+export const renderHighlightImage = ({ energy, duration, start, highlightDuration }) => {
+  const { width, height } = SHARE_IMAGE_SIZE;
+  const pixels = Buffer.alloc(width * height * 3);
+
+  const fill = (x0, y0, x1, y1, [r, g, b]) => {
+    for (let y = Math.max(Math.round(y0), 0); y < Math.min(Math.round(y1), height); y++) {
+      for (let x = Math.max(Math.round(x0), 0); x < Math.min(Math.round(x1), width); x++) {
+        const offset = (y * width + x) * 3;
+        pixels[offset] = r;
+        pixels[offset + 1] = g;
+        pixels[offset + 2] = b;
+      }
+    }
+  };
+
+  fill(0, 0, width, height, COLORS.background);
+
+  const chartTop = 110;
+  const chartBottom = 500;
+  const chartWidth = width - MARGIN * 2;
+  const toX = (seconds) => MARGIN + (Math.min(Math.max(seconds / duration, 0), 1) * chartWidth);
+  const regionStart = toX(start);
+  const regionEnd = toX(start + highlightDuration);
+
+  // The highlight's region behind the bars
+  fill(regionStart, chartTop - 20, regionEnd, chartBottom + 20, COLORS.region);
+
+  // Energy bars, lit up within the highlight
+  const bars = energy || Array(BAR_COUNT).fill(0.35);
+  const barWidth = (chartWidth - BAR_GAP * (bars.length - 1)) / bars.length;
+  bars.forEach((value, index) => {
+    const x0 = MARGIN + index * (barWidth + BAR_GAP);
+    const center = x0 + barWidth / 2;
+    const barHeight = Math.max(value, 0.04) * (chartBottom - chartTop);
+    const color = center >= regionStart && center <= regionEnd ? COLORS.highlight : COLORS.bar;
+    fill(x0, chartBottom - barHeight, x0 + barWidth, chartBottom, color);
+  });
+
+  // Timeline rail with the highlight marked
+  fill(MARGIN, 550, width - MARGIN, 560, COLORS.rail);
+  fill(regionStart, 546, Math.max(regionEnd, regionStart + 4), 564, COLORS.highlight);
+
+  return encodePng(width, height, pixels);
+};
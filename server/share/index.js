@@ -0,0 +1,97 @@
+/**
+ * Shared highlights
+ *
+ * Links like /h/:trackId?t=75&d=25 open a moment of a track in the app (see
+ * shared/highlights/share.js). Link previews don't run the client, so the
+ * server adds the Open Graph and Twitter tags to the page it sends and draws
+ * the preview image (see image.js).
+ */
+
+import { SHARE_IMAGE_SIZE, getEnergyBars, renderHighlightImage } from './image.js';
+
+export { SHARE_IMAGE_SIZE, getEnergyBars, renderHighlightImage };
+
+// Size of the embeddable player offered to link previews
+export const EMBED_SIZE = { width: 480, height: 200 };
+
+/**
+ * Escape text for HTML attributes and content
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Format seconds as M:SS
+const formatSeconds = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+};
+
+/**
+ * Describe a shared highlight for link previews
+ * @param {Object} track - Spotify track, may be missing
+ * @param {Object} highlight - { start, duration }
+ * @returns {Object} { title, description }
+ */
+export const describeSharedHighlight = (track, { start, duration }) => {
+  const range = `${formatSeconds(start)} - ${formatSeconds(start + duration)}`;
+  if (!track) {
+    return { title: 'A highlight on SpotiYRec', description: `Listen to this bit (${range})` };
+  }
+
+  const artists = (track.artists || []).map(artist => artist.name).join(', ');
+  return {
+    title: artists ? `${track.name} by ${artists}` : track.name,
+    description: `Listen to this bit: ${range}${track.album?.name ? ` from ${track.album.name}` : ''}`
+  };
+};
+
+/**
+ * Build the link preview tags of a shared highlight
+ * @param {Object} options - { title, description, pageUrl, imageUrl, embedUrl }
+ * @returns {string} <meta> tags
+ */
+export const getShareMetaTags = ({ title, description, pageUrl, imageUrl, embedUrl }) => {
+  const tags = [
+    ['property', 'og:type', 'music.song'],
+    ['property', 'og:site_name', 'SpotiYRec'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', pageUrl],
+    ['property', 'og:image', imageUrl],
+    ['property', 'og:image:width', SHARE_IMAGE_SIZE.width],
+    ['property', 'og:image:height', SHARE_IMAGE_SIZE.height],
+    ['name', 'twitter:card', embedUrl ? 'player' : 'summary_large_image'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', imageUrl]
+  ];
+
+  if (embedUrl) {
+    tags.push(
+      ['name', 'twitter:player', embedUrl],
+      ['name', 'twitter:player:width', EMBED_SIZE.width],
+      ['name', 'twitter:player:height', EMBED_SIZE.height]
+    );
+  }
+
+  return tags
+    .map(([attribute, key, value]) => `<meta ${attribute}="${key}" content="${escapeHtml(value)}" />`)
+    .join('\n    ');
+};
+
+/**
+ * Put a title and meta tags into the client's index.html
+ * @param {string} html - index.html
+ * @param {Object} options - { title, tags }
+ * @returns {string} HTML with the tags at the end of <head>
+ */
+export const injectShareMeta = (html, { title, tags }) => html
+  .replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`)
+  .replace('</head>', `  ${tags}\n  </head>`);
@@ -0,0 +1,245 @@
+/**
+ * Album analysis
+ *
+ * Describes an album from the audio features of all its tracks: each
+ * feature's mean and spread, the tracks that stand out from the rest of the
+ * album, and how energy and valence move across the track order, with its
+ * peak, its calmest track and sharp mood shifts along the way.
+ *
+ * Plain JavaScript with no dependencies, so the server and the client can
+ * both use it.
+ */
+
+import { CHARACTERISTIC_THRESHOLDS } from '../moods/index.js';
+
+// Features summarized for an album
+export const ALBUM_FEATURES = [
+  'energy',
+  'danceability',
+  'valence',
+  'acousticness',
+  'instrumentalness',
+  'tempo',
+  'loudness'
+];
+
+// Features a track can stand out from its album on
+const OUTLIER_FEATURES = ['energy', 'danceability', 'valence', 'acousticness', 'tempo'];
+
+// Standard deviations from the album's mean that make a track stand out
+export const OUTLIER_Z_SCORE = 2;
+
+// Fewer tracks than this have no meaningful spread to stand out from
+const MIN_TRACKS_FOR_OUTLIERS = 4;
+
+// Energy spread above which an album counts as dynamic, and below which as consistent
+const DYNAMIC_ENERGY_SPREAD = 0.2;
+const CONSISTENT_ENERGY_SPREAD = 0.08;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Mean, variance (of the population), standard deviation and range of values
+ * @param {Array} values - Numbers
+ * @returns {Object|null} { mean, variance, stdDev, min, max }, null without values
+ */
+export const summarize = (values) => {
+  if (!values.length) return null;
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return {
+    mean: round(mean),
+    variance: round(variance),
+    stdDev: round(Math.sqrt(variance)),
+    min: round(Math.min(...values)),
+    max: round(Math.max(...values))
+  };
+};
+
+// Labels for the album as a whole, from its means and energy spread
+const describeAlbum = (features) => {
+  const { energy, danceability, valence, acousticness, instrumentalness } = CHARACTERISTIC_THRESHOLDS;
+  const characteristics = [];
+
+  if (features.energy.mean > energy.high) characteristics.push('Energetic');
+  else if (features.energy.mean < energy.low) characteristics.push('Calm');
+
+  if (features.danceability.mean > danceability.high) characteristics.push('Danceable');
+
+  if (features.valence.mean > valence.high) characteristics.push('Upbeat');
+  else if (features.valence.mean < valence.low) characteristics.push('Melancholic');
+
+  if (features.acousticness.mean > acousticness.high) characteristics.push('Acoustic');
+
+  if (features.instrumentalness.mean > instrumentalness.high) characteristics.push('Instrumental');
+
+  if (features.energy.stdDev > DYNAMIC_ENERGY_SPREAD) characteristics.push('Dynamic');
+  else if (features.energy.stdDev < CONSISTENT_ENERGY_SPREAD) characteristics.push('Consistent');
+
+  return characteristics.length ? characteristics : ['Balanced'];
+};
+
+/**
+ * Analyze an album from the audio features of its tracks
+ * @param {Array} items - { track, features } in track order, features null when unknown
+ * @returns {Object} {
+ *   trackCount, analyzedCount,
+ *   features: { [feature]: { mean, variance, stdDev, min, max } },
+ *   outliers: [{ trackId, name, position, feature, value, mean, zScore }] furthest out first,
+ *   arc: [{ trackId, name, position, energy, valence, tempo }] in track order,
+ *   characteristics
+ * } with features and characteristics null when no track has features
+ */
+export const analyzeAlbum = (items) => {
+  const analyzed = items.filter(item => item.features);
+
+  const features = analyzed.length
+    ? Object.fromEntries(ALBUM_FEATURES.map(feature => [
+      feature,
+      summarize(analyzed.map(item => item.features[feature]).filter(value => typeof value === 'number'))
+    ]))
+    : null;
+
+  const outliers = [];
+  if (analyzed.length >= MIN_TRACKS_FOR_OUTLIERS) {
+    for (const feature of OUTLIER_FEATURES) {
+      const summary = features[feature];
+      if (!summary?.stdDev) continue;
+
+      items.forEach(({ track, features: trackFeatures }, index) => {
+        const value = trackFeatures?.[feature];
+        if (typeof value !== 'number') return;
+
+        const zScore = (value - summary.mean) / summary.stdDev;
+        if (Math.abs(zScore) >= OUTLIER_Z_SCORE) {
+          outliers.push({
+            trackId: track.id,
+            name: track.name,
+            position: index + 1,
+            feature,
+            value: round(value),
+            mean: summary.mean,
+            zScore: round(zScore)
+          });
+        }
+      });
+    }
+    outliers.sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore));
+  }
+
+  return {
+    trackCount: items.length,
+    analyzedCount: analyzed.length,
+    features,
+    outliers,
+    arc: items.map(({ track, features: trackFeatures }, index) => ({
+      trackId: track.id,
+      name: track.name,
+      position: index + 1,
+      energy: trackFeatures?.energy ?? null,
+      valence: trackFeatures?.valence ?? null,
+      tempo: trackFeatures?.tempo ?? null
+    })),
+    characteristics: features ? describeAlbum(features) : null
+  };
+};
+
+// Change in energy and valence between neighbouring tracks that counts as a
+// sharp mood shift, as the distance on the energy-valence plane
+export const MOOD_SHIFT_THRESHOLD = 0.35;
+
+/**
+ * Find the moments of an album's arc worth pointing out: its most energetic
+ * track, its calmest, and sharp mood shifts from one track to the next
+ * @param {Array} arc - { trackId, position, energy, valence } per track, from analyzeAlbum
+ * @returns {Object} { peak, calmest, shifts } with peak and calmest arc points
+ *   (null without energy), and shifts [{ trackId, from, to, change, energy, valence }]
+ *   with the positions shifted between and the change in each
+ */
+export const getArcMoments = (arc) => {
+  const points = arc.filter(point => point.energy !== null);
+  if (!points.length) return { peak: null, calmest: null, shifts: [] };
+
+  const peak = points.reduce((best, point) => (point.energy > best.energy ? point : best));
+  const calmest = points.reduce((best, point) => (point.energy < best.energy ? point : best));
+
+  const shifts = [];
+  points.slice(1).forEach((point, index) => {
+    const previous = points[index];
+    if (point.valence === null || previous.valence === null) return;
+
+    const energy = point.energy - previous.energy;
+    const valence = point.valence - previous.valence;
+    const change = Math.hypot(energy, valence);
+    if (change >= MOOD_SHIFT_THRESHOLD) {
+      shifts.push({
+        trackId: point.trackId,
+        from: previous.position,
+        to: point.position,
+        change: round(change),
+        energy: round(energy),
+        valence: round(valence)
+      });
+    }
+  });
+
+  return { peak, calmest, shifts };
+};
+
+/**
+ * Count an album's tracks per tempo range
+ * @param {Array} items - { track, features }
+ * @param {Object} options - { min, max, binSize } in BPM; tempos outside the
+ *   range count in the first or last bin
+ * @returns {Array} [{ min, max, count }] from slowest to fastest
+ */
+export const getTempoDistribution = (items, { min = 60, max = 180, binSize = 20 } = {}) => {
+  const bins = [];
+  for (let start = min; start < max; start += binSize) {
+    bins.push({ min: start, max: start + binSize, count: 0 });
+  }
+
+  for (const { features } of items) {
+    if (!(features?.tempo > 0)) continue;
+    const index = Math.min(Math.max(Math.floor((features.tempo - min) / binSize), 0), bins.length - 1);
+    bins[index].count += 1;
+  }
+  return bins;
+};
+
+/**
+ * Count an album's tracks per key
+ * @param {Array} items - { track, features }
+ * @returns {Array} [{ key, major, minor, count }] per pitch class, C first
+ */
+export const getKeyDistribution = (items) => {
+  const keys = Array.from({ length: 12 }, (_, key) => ({ key, major: 0, minor: 0, count: 0 }));
+
+  for (const { features } of items) {
+    if (!(features?.key >= 0 && features.key < 12)) continue;
+    const entry = keys[features.key];
+    if (features.mode === 1) entry.major += 1;
+    else entry.minor += 1;
+    entry.count += 1;
+  }
+  return keys;
+};
+
+/**
+ * Track length statistics of an album
+ * @param {Array} tracks - Spotify tracks
+ * @returns {Object|null} { total, mean, stdDev, min, max } in seconds, null without tracks
+ */
+export const getDurationStats = (tracks) => {
+  const summary = summarize(tracks.map(track => track.duration_ms / 1000).filter(duration => duration > 0));
+  if (!summary) return null;
+
+  return {
+    total: Math.round(tracks.reduce((sum, track) => sum + (track.duration_ms || 0), 0) / 1000),
+    mean: summary.mean,
+    stdDev: summary.stdDev,
+    min: summary.min,
+    max: summary.max
+  };
+};
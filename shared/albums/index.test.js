@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  summarize,
+  analyzeAlbum,
+  getArcMoments,
+  getTempoDistribution,
+  getKeyDistribution,
+  getDurationStats
+} from './index.js';
+
+const features = (overrides = {}) => ({
+  energy: 0.5,
+  danceability: 0.5,
+  valence: 0.5,
+  acousticness: 0.5,
+  instrumentalness: 0,
+  tempo: 120,
+  loudness: -8,
+  ...overrides
+});
+
+// An album of tracks with these features, in track order
+const album = (trackFeatures) => trackFeatures.map((value, index) => ({
+  track: { id: `t${index + 1}`, name: `Track ${index + 1}` },
+  features: value && features(value)
+}));
+
+test('summarize gives the mean, population spread and range', () => {
+  assert.deepEqual(summarize([2, 4, 4, 4, 5, 5, 7, 9]), { mean: 5, variance: 4, stdDev: 2, min: 2, max: 9 });
+  assert.equal(summarize([]), null);
+});
+
+test('analyzeAlbum summarizes every track with features', () => {
+  const analysis = analyzeAlbum(album([{ energy: 0.8 }, { energy: 0.9 }, null, { energy: 1 }]));
+
+  assert.equal(analysis.trackCount, 4);
+  assert.equal(analysis.analyzedCount, 3);
+  assert.equal(analysis.features.energy.mean, 0.9);
+  assert.equal(analysis.features.tempo.stdDev, 0);
+  assert.deepEqual(analysis.characteristics, ['Energetic']);
+  assert.deepEqual(analysis.arc.map(point => point.energy), [0.8, 0.9, null, 1]);
+  assert.equal(analysis.arc[2].position, 3);
+});
+
+test('analyzeAlbum finds tracks two standard deviations from the album', () => {
+  const tracks = Array(8).fill({});
+  tracks[5] = { energy: 0.95 };
+  const { outliers } = analyzeAlbum(album(tracks));
+
+  assert.equal(outliers.length, 1);
+  assert.equal(outliers[0].trackId, 't6');
+  assert.equal(outliers[0].position, 6);
+  assert.equal(outliers[0].feature, 'energy');
+  assert.ok(outliers[0].zScore >= 2);
+});
+
+test('analyzeAlbum leaves short albums without outliers', () => {
+  const { outliers } = analyzeAlbum(album([{}, {}, { energy: 1 }]));
+  assert.deepEqual(outliers, []);
+});
+
+test('analyzeAlbum describes an album by its energy spread', () => {
+  const dynamic = analyzeAlbum(album([{ energy: 0.1 }, { energy: 0.9 }, { energy: 0.2 }, { energy: 0.8 }]));
+  assert.ok(dynamic.characteristics.includes('Dynamic'));
+
+  const consistent = analyzeAlbum(album([{}, {}, {}]));
+  assert.deepEqual(consistent.characteristics, ['Consistent']);
+});
+
+test('analyzeAlbum without features has no summary', () => {
+  const analysis = analyzeAlbum(album([null, null]));
+
+  assert.equal(analysis.features, null);
+  assert.equal(analysis.characteristics, null);
+  assert.equal(analysis.arc.length, 2);
+});
+
+test('getArcMoments finds the peak, the calmest track and sharp mood shifts', () => {
+  const { arc } = analyzeAlbum(album([
+    { energy: 0.5, valence: 0.5 },
+    { energy: 0.55, valence: 0.6 },
+    null,
+    { energy: 0.9, valence: 0.2 },
+    { energy: 0.2, valence: 0.3 }
+  ]));
+  const { peak, calmest, shifts } = getArcMoments(arc);
+
+  assert.equal(peak.trackId, 't4');
+  assert.equal(calmest.trackId, 't5');
+  // Tracks without features are skipped, so the shift is from 2 to 4
+  assert.deepEqual(shifts.map(({ from, to }) => [from, to]), [[2, 4], [4, 5]]);
+  assert.deepEqual(shifts[0], { trackId: 't4', from: 2, to: 4, change: 0.532, energy: 0.35, valence: -0.4 });
+});
+
+test('getArcMoments without energy has no moments', () => {
+  assert.deepEqual(getArcMoments(analyzeAlbum(album([null])).arc), { peak: null, calmest: null, shifts: [] });
+});
+
+test('getTempoDistribution counts tracks per tempo range', () => {
+  const bins = getTempoDistribution(album([{ tempo: 45 }, { tempo: 95 }, { tempo: 99.9 }, { tempo: 200 }, null, { tempo: 0 }]));
+
+  assert.deepEqual(bins.map(({ min, max }) => [min, max]), [[60, 80], [80, 100], [100, 120], [120, 140], [140, 160], [160, 180]]);
+  // Tempos outside the range count in the first and last bins
+  assert.deepEqual(bins.map(({ count }) => count), [1, 2, 0, 0, 0, 1]);
+  assert.equal(getTempoDistribution([], { min: 100, max: 140, binSize: 10 }).length, 4);
+});
+
+test('getKeyDistribution counts major and minor tracks per key', () => {
+  const keys = getKeyDistribution(album([{ key: 0, mode: 1 }, { key: 0, mode: 0 }, { key: 9, mode: 0 }, { key: -1 }, null]));
+
+  assert.equal(keys.length, 12);
+  assert.deepEqual(keys[0], { key: 0, major: 1, minor: 1, count: 2 });
+  assert.deepEqual(keys[9], { key: 9, major: 0, minor: 1, count: 1 });
+  assert.equal(keys.reduce((sum, { count }) => sum + count, 0), 3);
+});
+
+test('getDurationStats gives track lengths in seconds', () => {
+  const stats = getDurationStats([{ duration_ms: 180000 }, { duration_ms: 240000 }, { duration_ms: 300500 }]);
+
+  assert.deepEqual(stats, { total: 721, mean: 240.167, stdDev: 49.194, min: 180, max: 300.5 });
+  assert.equal(getDurationStats([]), null);
+});
@@ -0,0 +1,119 @@
+/**
+ * Beat and bar alignment
+ *
+ * Section boundaries in Spotify's audio analysis rarely fall exactly on a
+ * beat, so a highlight cut straight from a section tends to start mid-beat
+ * and stop mid-phrase. These helpers move highlight boundaries onto the
+ * `bars` and `beats` grids of the analysis, optionally in whole phrases.
+ */
+
+// Phrase lengths (in bars) accepted by the `phraseBars` option
+export const PHRASE_LENGTHS = [4, 8, 16];
+
+/**
+ * Get the start times of a grid (bars or beats) from the analysis
+ * @param {Object} analysis - Audio analysis from Spotify API
+ * @param {string} key - 'bars' or 'beats'
+ * @returns {Array} Start times in seconds, ascending
+ */
+const getGrid = (analysis, key) => {
+  const intervals = analysis?.[key];
+  if (!Array.isArray(intervals) || intervals.length === 0) return [];
+
+  return intervals.map(interval => interval.start).sort((a, b) => a - b);
+};
+
+/**
+ * Find the grid point closest to a time
+ * @param {Array} grid - Ascending grid times
+ * @param {number} time - Time in seconds
+ * @returns {number} Index of the closest grid point
+ */
+const closestIndex = (grid, time) => {
+  let low = 0;
+  let high = grid.length - 1;
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (grid[middle] < time) low = middle + 1;
+    else high = middle;
+  }
+
+  if (low > 0 && time - grid[low - 1] < grid[low] - time) return low - 1;
+  return low;
+};
+
+/**
+ * Pick the grid point that gives a duration closest to the target while
+ * staying inside [minDuration, maxDuration]
+ * @param {Array} grid - Ascending grid times (with the track end appended)
+ * @param {number} start - Highlight start in seconds
+ * @param {number} target - Preferred duration in seconds
+ * @param {number} minDuration - Shortest allowed duration
+ * @param {number} maxDuration - Longest allowed duration
+ * @returns {number|null} End time, or null if no grid point fits
+ */
+const pickEnd = (grid, start, target, minDuration, maxDuration) => {
+  let best = null;
+
+  for (const time of grid) {
+    const duration = time - start;
+    if (duration < minDuration) continue;
+    if (duration > maxDuration) break;
+
+    if (best === null || Math.abs(duration - target) < Math.abs(best - start - target)) {
+      best = time;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Snap a highlight's start and end to the bar grid, falling back to beats.
+ * With `phraseBars` the highlight is extended or trimmed to a whole number
+ * of phrases when one fits between minDuration and maxDuration.
+ * @param {Object} highlight - Highlight with start and duration
+ * @param {Object} analysis - Audio analysis from Spotify API
+ * @param {Object} options - { minDuration, maxDuration, trackDuration, phraseBars }
+ * @returns {Object} Highlight with aligned start and duration
+ */
+export const alignHighlight = (highlight, analysis, options = {}) => {
+  const { minDuration = 0, maxDuration = Infinity, trackDuration = 0, phraseBars = null } = options;
+  const trackEnd = trackDuration || Infinity;
+  const target = Math.min(Math.max(highlight.duration, minDuration), maxDuration);
+
+  const bars = getGrid(analysis, 'bars');
+  const beats = getGrid(analysis, 'beats');
+  const grid = bars.length > 0 ? bars : beats;
+
+  if (grid.length === 0) return highlight;
+
+  const startIndex = closestIndex(grid, highlight.start);
+  const start = grid[startIndex];
+  const withEnd = (points) => (trackDuration ? [...points, trackDuration] : points)
+    .filter(time => time > start && time <= trackEnd);
+
+  // Whole phrases counted from the start bar
+  if (bars.length > 0 && PHRASE_LENGTHS.includes(phraseBars)) {
+    const phraseEnds = bars.filter((time, index) =>
+      index > startIndex && (index - startIndex) % phraseBars === 0
+    );
+    const end = pickEnd(withEnd(phraseEnds), start, target, minDuration, maxDuration);
+    if (end !== null) return { ...highlight, start, duration: end - start };
+  }
+
+  // Otherwise the bar line, then the beat, closest to the preferred length
+  for (const points of [bars, beats]) {
+    if (points.length === 0) continue;
+
+    const end = pickEnd(withEnd(points), start, target, minDuration, maxDuration);
+    if (end !== null) return { ...highlight, start, duration: end - start };
+  }
+
+  return {
+    ...highlight,
+    start,
+    duration: Math.max(0, Math.min(target, trackEnd - start))
+  };
+};
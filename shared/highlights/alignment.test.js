@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { alignHighlight } from './alignment.js';
+
+// 120 BPM in 4/4: a beat every 0.5 seconds and a bar every 2 seconds
+const analysis = {
+  bars: Array.from({ length: 60 }, (_, index) => ({ start: index * 2, duration: 2 })),
+  beats: Array.from({ length: 240 }, (_, index) => ({ start: index * 0.5, duration: 0.5 }))
+};
+
+test('snaps the start and end to the closest bar lines', () => {
+  const aligned = alignHighlight({ start: 31.3, duration: 25 }, analysis, { minDuration: 20, maxDuration: 30 });
+
+  assert.equal(aligned.start, 32);
+  assert.equal(aligned.duration, 24);
+});
+
+test('falls back to beats without bars', () => {
+  const aligned = alignHighlight(
+    { start: 10.3, duration: 21.1 },
+    { beats: analysis.beats },
+    { minDuration: 20, maxDuration: 30 }
+  );
+
+  assert.equal(aligned.start, 10.5);
+  assert.equal(aligned.duration, 21);
+});
+
+test('extends the highlight to whole phrases with phraseBars', () => {
+  const aligned = alignHighlight(
+    { start: 16, duration: 20 },
+    analysis,
+    { minDuration: 20, maxDuration: 40, phraseBars: 8 }
+  );
+
+  // Eight bars of 2 seconds, twice
+  assert.equal(aligned.start, 16);
+  assert.equal(aligned.duration, 32);
+});
+
+test('never runs past the end of the track', () => {
+  const aligned = alignHighlight({ start: 100, duration: 30 }, analysis, {
+    minDuration: 10,
+    maxDuration: 30,
+    trackDuration: 115
+  });
+
+  assert.equal(aligned.start, 100);
+  assert.ok(aligned.start + aligned.duration <= 115);
+});
+
+test('leaves the highlight alone without a grid', () => {
+  const highlight = { start: 12.3, duration: 25 };
+  assert.equal(alignHighlight(highlight, {}), highlight);
+});
@@ -0,0 +1,333 @@
+/**
+ * Highlight Detection Engine
+ *
+ * The single place where the app decides which moments of a track are its
+ * highlights. It is plain JavaScript with no dependencies so the Express API
+ * and the React client both import it and always agree.
+ *
+ * Sections from Spotify's audio analysis are scored by a pluggable strategy
+ * (see strategies.js), then the best non-overlapping ones are returned in
+ * playback order. When segment chroma and timbre are available, the most
+ * repeated section (see repetition.js) is included as the "Chorus".
+ * Boundaries are snapped to the bar and beat grid (see alignment.js), in
+ * whole phrases when `phraseBars` is set.
+ *
+ * Every highlight has the shape:
+ *
+ *   { start, duration, score, reason, confidence, loudness, tempo, energy }
+ *
+ * with times in seconds and a score between 0 and 1.
+ */
+
+import { BUILT_IN_STRATEGIES, estimateSectionEnergy, normalizeLoudness } from './strategies.js';
+import { findMostRepeatedSection } from './repetition.js';
+import { alignHighlight, PHRASE_LENGTHS } from './alignment.js';
+
+export { normalizeLoudness, estimateSectionEnergy, findMostRepeatedSection, alignHighlight, PHRASE_LENGTHS };
+export { SHARED_HIGHLIGHT_LIMITS, getHighlightSharePath, parseSharedHighlight } from './share.js';
+
+// Default detection options
+export const DEFAULT_HIGHLIGHT_OPTIONS = {
+  strategy: 'energy',
+  maxHighlights: 3,
+  minDuration: 20,
+  maxDuration: 30,
+  minScore: 0.6,
+  detectChorus: true,
+  snapToBeats: true,
+  phraseBars: null
+};
+
+// Registered scoring strategies, keyed by name
+const strategies = new Map(Object.entries(BUILT_IN_STRATEGIES));
+
+/**
+ * Register a custom scoring strategy
+ * @param {string} name - Strategy name used in the `strategy` option
+ * @param {Function} scorer - (section, context) => { score, reason }
+ */
+export const registerStrategy = (name, scorer) => {
+  if (!name || typeof scorer !== 'function') {
+    throw new TypeError('A strategy needs a name and a scoring function');
+  }
+
+  strategies.set(name, scorer);
+};
+
+/**
+ * Get the names of all registered strategies
+ * @returns {Array} Strategy names
+ */
+export const listStrategies = () => [...strategies.keys()];
+
+/**
+ * Get a registered strategy, falling back to the default one
+ * @param {string} name - Strategy name
+ * @returns {Function} Scoring function
+ */
+export const getStrategy = (name) => {
+  return strategies.get(name) || strategies.get(DEFAULT_HIGHLIGHT_OPTIONS.strategy);
+};
+
+/**
+ * Check whether an analysis object can be used for section-based detection
+ * @param {Object} analysis - Audio analysis from Spotify API
+ * @returns {boolean} True if there are sections to score
+ */
+export const hasSectionData = (analysis) => {
+  return Boolean(
+    analysis &&
+    !analysis._limited &&
+    Array.isArray(analysis.sections) &&
+    analysis.sections.length > 0
+  );
+};
+
+/**
+ * Get the track duration in seconds from whatever data is available
+ * @param {Object} analysis - Audio analysis from Spotify API
+ * @param {Object} features - Audio features from Spotify API
+ * @returns {number} Duration in seconds, 0 if unknown
+ */
+export const getTrackDuration = (analysis, features) => {
+  if (analysis?.track?.duration) return analysis.track.duration;
+  if (features?.duration_ms) return features.duration_ms / 1000;
+  return 0;
+};
+
+/**
+ * Build a highlight object in the shared shape
+ * @param {Object} values - Highlight values
+ * @returns {Object} Highlight
+ */
+export const createHighlight = ({
+  start = 0,
+  duration,
+  score = 0.5,
+  reason = 'Key musical moment',
+  confidence = null,
+  loudness = null,
+  tempo = null,
+  energy = null
+}) => ({
+  start,
+  duration,
+  score,
+  reason,
+  confidence,
+  loudness,
+  tempo,
+  energy
+});
+
+/**
+ * Create evenly placed highlights when no audio analysis is available.
+ * Long tracks get their opening, middle and ending, short ones fewer.
+ * @param {number} trackDuration - Track duration in seconds (0 if unknown)
+ * @param {Object} options - Detection options
+ * @returns {Array} Fallback highlights
+ */
+export const fallbackHighlights = (trackDuration = 0, options = {}) => {
+  const { maxHighlights, maxDuration } = { ...DEFAULT_HIGHLIGHT_OPTIONS, ...options };
+
+  if (!trackDuration) {
+    return [createHighlight({ start: 0, duration: maxDuration, reason: 'Preview segment' })];
+  }
+
+  const length = Math.min(maxDuration, trackDuration);
+  const highlights = [createHighlight({ start: 0, duration: length, reason: 'Track opening' })];
+
+  if (trackDuration > maxDuration * 3) {
+    highlights.push(createHighlight({
+      start: Math.max(0, Math.floor(trackDuration / 2 - length / 2)),
+      duration: length,
+      reason: 'Middle of the track'
+    }));
+  }
+
+  if (trackDuration > maxDuration) {
+    highlights.push(createHighlight({
+      start: Math.max(0, Math.floor(trackDuration - length)),
+      duration: length,
+      reason: 'Track ending'
+    }));
+  }
+
+  return highlights.slice(0, Math.max(1, maxHighlights));
+};
+
+/**
+ * Score every section of a track with the given strategy
+ * @param {Object} analysis - Audio analysis from Spotify API
+ * @param {Object} features - Audio features from Spotify API
+ * @param {string} strategyName - Name of a registered strategy
+ * @returns {Array} Scored sections as highlights, in track order
+ */
+export const scoreSections = (analysis, features, strategyName) => {
+  const scorer = getStrategy(strategyName);
+  const segments = analysis.segments || [];
+
+  return analysis.sections.map(section => {
+    const sectionEnd = section.start + section.duration;
+    const sectionSegments = segments.filter(segment =>
+      segment.start >= section.start && segment.start < sectionEnd
+    );
+
+    const { score, reason } = scorer(section, {
+      segments: sectionSegments,
+      features,
+      track: analysis.track
+    });
+
+    return createHighlight({
+      start: section.start,
+      duration: section.duration,
+      score: Math.min(Math.max(score || 0, 0), 1),
+      reason,
+      confidence: section.confidence,
+      loudness: section.loudness,
+      tempo: section.tempo,
+      energy: estimateSectionEnergy(sectionSegments, features)
+    });
+  });
+};
+
+/**
+ * Detect the chorus of a track as a highlight
+ * @param {Object} analysis - Audio analysis from Spotify API
+ * @param {Object} features - Audio features from Spotify API (optional)
+ * @returns {Object|null} Highlight with reason "Chorus", or null if nothing repeats
+ */
+export const detectChorus = (analysis, features) => {
+  if (!hasSectionData(analysis)) return null;
+
+  const repeated = findMostRepeatedSection(analysis);
+  if (!repeated) return null;
+
+  const { section, strength } = repeated;
+  const segments = (analysis.segments || []).filter(segment =>
+    segment.start >= section.start && segment.start < section.start + section.duration
+  );
+
+  return createHighlight({
+    start: section.start,
+    duration: section.duration,
+    // A clear chorus outranks sections that are merely loud or energetic
+    score: 0.5 + strength / 2,
+    reason: 'Chorus',
+    confidence: section.confidence,
+    loudness: section.loudness,
+    tempo: section.tempo,
+    energy: estimateSectionEnergy(segments, features)
+  });
+};
+
+/**
+ * Check whether two highlights overlap in time
+ * @param {Object} a - First highlight
+ * @param {Object} b - Second highlight
+ * @returns {boolean} True if they overlap
+ */
+export const overlaps = (a, b) => a.start < b.start + b.duration && b.start < a.start + a.duration;
+
+/**
+ * Detect the highlights of a track
+ * @param {Object} analysis - Audio analysis from Spotify API
+ * @param {Object} features - Audio features from Spotify API (optional)
+ * @param {Object} options - Detection options (see DEFAULT_HIGHLIGHT_OPTIONS)
+ * @returns {Array} Highlights sorted by start time
+ */
+export const detectHighlights = (analysis, features, options = {}) => {
+  const settings = { ...DEFAULT_HIGHLIGHT_OPTIONS, ...options };
+  const trackDuration = getTrackDuration(analysis, features);
+
+  if (!hasSectionData(analysis)) {
+    return fallbackHighlights(trackDuration, settings);
+  }
+
+  const { maxHighlights, minDuration, maxDuration, minScore } = settings;
+
+  // Fit each section into the allowed duration without running past the end,
+  // on bar and beat boundaries unless snapping is turned off
+  const fit = (highlight) => {
+    if (settings.snapToBeats) {
+      return alignHighlight(highlight, analysis, {
+        minDuration,
+        maxDuration,
+        trackDuration,
+        phraseBars: settings.phraseBars
+      });
+    }
+
+    const duration = Math.min(Math.max(highlight.duration, minDuration), maxDuration);
+    return {
+      ...highlight,
+      duration: trackDuration ? Math.min(duration, trackDuration - highlight.start) : duration
+    };
+  };
+
+  const ranked = scoreSections(analysis, features, settings.strategy)
+    .map(fit)
+    .filter(highlight => highlight.duration > 0)
+    .sort((a, b) => b.score - a.score);
+
+  // If no section meets the minimum score, the best one still counts
+  const candidates = ranked.filter(highlight => highlight.score >= minScore);
+  const pool = candidates.length > 0 ? candidates : ranked.slice(0, 1);
+
+  // Take the chorus first, then the best sections that don't overlap a selected one
+  const selected = [];
+  const chorus = settings.detectChorus ? detectChorus(analysis, features) : null;
+  if (chorus && maxHighlights > 0) {
+    const fitted = fit(chorus);
+    if (fitted.duration > 0) selected.push(fitted);
+  }
+
+  for (const highlight of pool) {
+    if (selected.length >= maxHighlights) break;
+    if (!selected.some(existing => overlaps(existing, highlight))) {
+      selected.push(highlight);
+    }
+  }
+
+  if (selected.length === 0) {
+    return fallbackHighlights(trackDuration, settings);
+  }
+
+  return selected.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Pick the highest scoring highlight
+ * @param {Array} highlights - Highlights
+ * @returns {Object|null} Best highlight or null
+ */
+export const pickBestHighlight = (highlights) => {
+  if (!highlights || highlights.length === 0) return null;
+
+  return highlights.reduce((best, highlight) =>
+    highlight.score > best.score ? highlight : best
+  );
+};
+
+/**
+ * Merge detected highlights with the user's own ones. The user's come first,
+ * in their order, and replace detected highlights they mostly overlap.
+ * @param {Array} detected - Detected highlights
+ * @param {Array} custom - The user's highlights
+ * @returns {Array} Merged highlights, the same objects as given
+ */
+export const mergeHighlights = (detected = [], custom = []) => {
+  if (!custom || custom.length === 0) return detected || [];
+
+  // Overlapping by more than half of the shorter highlight
+  const overlaps = (a, b) => {
+    const overlap = Math.min(a.start + a.duration, b.start + b.duration) - Math.max(a.start, b.start);
+    return overlap > Math.min(a.duration, b.duration) / 2;
+  };
+
+  return [
+    ...custom,
+    ...(detected || []).filter(highlight => !custom.some(own => overlaps(own, highlight)))
+  ];
+};
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectHighlights,
+  fallbackHighlights,
+  pickBestHighlight,
+  mergeHighlights,
+  registerStrategy,
+  getStrategy,
+  listStrategies
+} from './index.js';
+
+// Four 30-second sections, the third loud and dense, with one segment per
+// half second and no chroma or timbre (so no chorus detection)
+const buildAnalysis = () => {
+  const sections = [0, 30, 60, 90].map((start, index) => ({
+    start,
+    duration: 30,
+    loudness: index === 2 ? -4 : -20,
+    tempo: 120,
+    confidence: 0.8
+  }));
+  const segments = [];
+  for (let start = 0; start < 120; start += 0.5) {
+    segments.push({ start, duration: 0.5, loudness_max: start >= 60 && start < 90 ? -3 : -25 });
+  }
+  return { track: { duration: 120, tempo: 120 }, sections, segments };
+};
+
+test('detectHighlights picks the loudest, densest section first', () => {
+  const highlights = detectHighlights(buildAnalysis(), { energy: 0.7, tempo: 120 }, { snapToBeats: false });
+  const best = pickBestHighlight(highlights);
+
+  assert.equal(best.start, 60);
+  assert.equal(best.duration, 30);
+  assert.ok(best.score >= 0 && best.score <= 1);
+});
+
+test('detectHighlights returns non-overlapping highlights in track order', () => {
+  const highlights = detectHighlights(buildAnalysis(), null, { minScore: 0, snapToBeats: false });
+
+  assert.equal(highlights.length, 3);
+  highlights.slice(1).forEach((highlight, index) => {
+    const previous = highlights[index];
+    assert.ok(previous.start + previous.duration <= highlight.start);
+  });
+});
+
+test('detectHighlights falls back to evenly placed highlights without sections', () => {
+  const highlights = detectHighlights({ _limited: true }, { duration_ms: 200000 });
+
+  assert.deepEqual(highlights.map(highlight => highlight.reason), ['Track opening', 'Middle of the track', 'Track ending']);
+  assert.equal(highlights[2].start, 170);
+});
+
+test('fallbackHighlights gives one preview segment when the duration is unknown', () => {
+  const highlights = fallbackHighlights(0);
+
+  assert.equal(highlights.length, 1);
+  assert.equal(highlights[0].reason, 'Preview segment');
+});
+
+test('fallbackHighlights keeps short tracks to their opening', () => {
+  const highlights = fallbackHighlights(25);
+
+  assert.equal(highlights.length, 1);
+  assert.equal(highlights[0].duration, 25);
+});
+
+test('mergeHighlights puts the user\'s highlights first and drops detected ones they overlap', () => {
+  const detected = [{ start: 0, duration: 30 }, { start: 60, duration: 30 }];
+  const custom = [{ start: 65, duration: 20 }];
+
+  assert.deepEqual(mergeHighlights(detected, custom), [custom[0], detected[0]]);
+  assert.equal(mergeHighlights(detected, []), detected);
+});
+
+test('registerStrategy adds a strategy and getStrategy falls back to the default', () => {
+  const scorer = () => ({ score: 1, reason: 'Test' });
+  registerStrategy('test-strategy', scorer);
+
+  assert.ok(listStrategies().includes('test-strategy'));
+  assert.equal(getStrategy('test-strategy'), scorer);
+  assert.equal(getStrategy('missing'), getStrategy('energy'));
+  assert.throws(() => registerStrategy('', scorer), TypeError);
+});
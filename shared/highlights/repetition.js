@@ -0,0 +1,270 @@
+/**
+ * Repetition-aware chorus detection
+ *
+ * Segments of Spotify's audio analysis carry a 12-bin chroma vector
+ * (`pitches`) and 12 timbre coefficients (`timbre`). Averaging them per bar
+ * and comparing every bar with every other gives a self-similarity matrix in
+ * which repeated passages show up as stripes parallel to the diagonal. The
+ * section whose bars repeat most often, and most faithfully, elsewhere in the
+ * track is usually the chorus.
+ */
+
+// Window length used when the analysis has no bars
+const FALLBACK_WINDOW = 2;
+
+// Weight of harmony (chroma) against sound colour (timbre) in the similarity
+const CHROMA_WEIGHT = 0.6;
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array} a - First vector
+ * @param {Array} b - Second vector
+ * @returns {number} Similarity between -1 and 1 (0 for empty vectors)
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / Math.sqrt(normA * normB);
+};
+
+/**
+ * Split the track into windows, one per bar when bars are available
+ * @param {Object} analysis - Audio analysis from Spotify API
+ * @returns {Array} Windows as { start, duration }
+ */
+const getWindows = (analysis) => {
+  if (Array.isArray(analysis.bars) && analysis.bars.length > 1) {
+    return analysis.bars.map(bar => ({ start: bar.start, duration: bar.duration }));
+  }
+
+  const duration = analysis.track?.duration ||
+    analysis.segments.reduce((end, segment) => Math.max(end, segment.start + segment.duration), 0);
+
+  const windows = [];
+  for (let start = 0; start < duration; start += FALLBACK_WINDOW) {
+    windows.push({ start, duration: FALLBACK_WINDOW });
+  }
+  return windows;
+};
+
+/**
+ * Average the chroma and timbre of the segments inside each window,
+ * weighted by segment duration. Timbre coefficients are standardized across
+ * the track so that the loudness coefficient doesn't dominate.
+ * @param {Array} segments - Analysis segments
+ * @param {Array} windows - Windows from getWindows()
+ * @returns {Array} { chroma, timbre } per window
+ */
+const summarizeWindows = (segments, windows) => {
+  const summaries = windows.map(() => ({
+    chroma: new Array(12).fill(0),
+    timbre: new Array(12).fill(0),
+    weight: 0
+  }));
+
+  let windowIndex = 0;
+  for (const segment of segments) {
+    if (!segment.pitches || !segment.timbre) continue;
+
+    // Segments and windows are both in time order
+    while (
+      windowIndex < windows.length - 1 &&
+      segment.start >= windows[windowIndex].start + windows[windowIndex].duration
+    ) {
+      windowIndex++;
+    }
+
+    const summary = summaries[windowIndex];
+    const weight = segment.duration || 0.01;
+    for (let i = 0; i < 12; i++) {
+      summary.chroma[i] += (segment.pitches[i] || 0) * weight;
+      summary.timbre[i] += (segment.timbre[i] || 0) * weight;
+    }
+    summary.weight += weight;
+  }
+
+  for (const summary of summaries) {
+    if (summary.weight === 0) continue;
+    for (let i = 0; i < 12; i++) {
+      summary.chroma[i] /= summary.weight;
+      summary.timbre[i] /= summary.weight;
+    }
+  }
+
+  // Standardize each timbre coefficient across all windows
+  for (let i = 0; i < 12; i++) {
+    const values = summaries.map(summary => summary.timbre[i]);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    const std = Math.sqrt(variance) || 1;
+
+    for (const summary of summaries) {
+      summary.timbre[i] = (summary.timbre[i] - mean) / std;
+    }
+  }
+
+  return summaries;
+};
+
+/**
+ * Build a self-similarity matrix from per-window chroma and timbre
+ * @param {Array} summaries - { chroma, timbre } per window
+ * @returns {Array} Square matrix of similarities between 0 and 1
+ */
+export const buildSelfSimilarityMatrix = (summaries) => {
+  const size = summaries.length;
+  const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+
+  for (let i = 0; i < size; i++) {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < size; j++) {
+      const chroma = cosineSimilarity(summaries[i].chroma, summaries[j].chroma);
+      const timbre = (cosineSimilarity(summaries[i].timbre, summaries[j].timbre) + 1) / 2;
+      const similarity = CHROMA_WEIGHT * chroma + (1 - CHROMA_WEIGHT) * timbre;
+
+      matrix[i][j] = similarity;
+      matrix[j][i] = similarity;
+    }
+  }
+
+  return matrix;
+};
+
+/**
+ * Threshold above which two windows count as a repetition: one standard
+ * deviation above the mean off-diagonal similarity of the track
+ * @param {Array} matrix - Self-similarity matrix
+ * @returns {number} Similarity threshold
+ */
+const getRepetitionThreshold = (matrix) => {
+  const values = [];
+  for (let i = 0; i < matrix.length; i++) {
+    for (let j = i + 1; j < matrix.length; j++) {
+      values.push(matrix[i][j]);
+    }
+  }
+
+  if (values.length === 0) return 1;
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return Math.max(0.6, mean + Math.sqrt(variance));
+};
+
+/**
+ * Find where a passage of `length` windows starting at `from` repeats
+ * @param {Array} matrix - Self-similarity matrix
+ * @param {number} from - First window of the passage
+ * @param {number} length - Passage length in windows
+ * @param {number} threshold - Minimum mean similarity for a repetition
+ * @returns {Array} Non-overlapping repetitions as { start, similarity } (window indices)
+ */
+const findRepetitions = (matrix, from, length, threshold) => {
+  const candidates = [];
+
+  for (let to = 0; to + length <= matrix.length; to++) {
+    if (Math.abs(to - from) < length) continue;
+
+    // Mean similarity along the diagonal stripe from (from, to)
+    let total = 0;
+    for (let k = 0; k < length; k++) {
+      total += matrix[from + k][to + k];
+    }
+
+    const similarity = total / length;
+    if (similarity >= threshold) {
+      candidates.push({ start: to, similarity });
+    }
+  }
+
+  // Keep the strongest matches that don't overlap each other
+  const repetitions = [];
+  for (const candidate of candidates.sort((a, b) => b.similarity - a.similarity)) {
+    if (repetitions.every(existing => Math.abs(existing.start - candidate.start) >= length)) {
+      repetitions.push(candidate);
+    }
+  }
+
+  return repetitions;
+};
+
+/**
+ * Find the most repeated section of a track, usually its chorus
+ * @param {Object} analysis - Audio analysis from Spotify API
+ * @param {Object} options - { minRepetitions } how often the section must recur elsewhere
+ * @returns {Object|null} { section, occurrences, strength } or null if nothing repeats
+ */
+export const findMostRepeatedSection = (analysis, { minRepetitions = 1 } = {}) => {
+  if (!analysis || !Array.isArray(analysis.sections) || !Array.isArray(analysis.segments)) {
+    return null;
+  }
+
+  if (!analysis.segments.some(segment => segment.pitches && segment.timbre)) {
+    return null;
+  }
+
+  const windows = getWindows(analysis);
+  if (windows.length < 4) return null;
+
+  const matrix = buildSelfSimilarityMatrix(summarizeWindows(analysis.segments, windows));
+  const threshold = getRepetitionThreshold(matrix);
+
+  // Index of the window closest to a point in time
+  const windowAt = (time) => {
+    let best = 0;
+    windows.forEach((window, index) => {
+      if (Math.abs(window.start - time) < Math.abs(windows[best].start - time)) best = index;
+    });
+    return best;
+  };
+
+  let best = null;
+
+  for (const section of analysis.sections) {
+    const from = windowAt(section.start);
+    const to = windowAt(section.start + section.duration);
+    const length = Math.min(to - from, matrix.length - from);
+    if (length < 2) continue;
+
+    const repetitions = findRepetitions(matrix, from, length, threshold);
+    if (repetitions.length < minRepetitions) continue;
+
+    const meanSimilarity = repetitions.reduce((sum, rep) => sum + rep.similarity, 0) / repetitions.length;
+    const weight = repetitions.length * meanSimilarity;
+
+    // Louder sections win ties, choruses tend to be the loudest part
+    if (
+      !best ||
+      weight > best.weight ||
+      (weight === best.weight && section.loudness > best.section.loudness)
+    ) {
+      best = {
+        section,
+        weight,
+        meanSimilarity,
+        occurrences: [
+          section.start,
+          ...repetitions.map(rep => windows[rep.start].start)
+        ].sort((a, b) => a - b)
+      };
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    section: best.section,
+    occurrences: best.occurrences,
+    // More and closer repetitions give a stronger result, between 0 and 1
+    strength: Math.min(1, best.meanSimilarity * (1 - 1 / (best.occurrences.length + 1)) * 1.5)
+  };
+};
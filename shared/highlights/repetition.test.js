@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cosineSimilarity, buildSelfSimilarityMatrix, findMostRepeatedSection } from './repetition.js';
+
+// Deterministic pseudo-random numbers, so every run builds the same track
+const createRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+// Verse, chorus, verse, chorus, bridge of four 2-second bars each. Both
+// choruses play the same four bars; verses and bridge are all different.
+const buildAnalysis = () => {
+  const random = createRandom(42);
+  // One dominant pitch class per bar, like a chord, and random timbre
+  const randomBar = () => {
+    const root = Math.floor(random() * 12);
+    return {
+      pitches: Array.from({ length: 12 }, (_, pitch) => (pitch === root ? 1 : random() * 0.1)),
+      timbre: Array.from({ length: 12 }, () => random() * 2 - 1)
+    };
+  };
+  const chorusBars = Array.from({ length: 4 }, randomBar);
+
+  const layout = ['verse', 'chorus', 'verse', 'chorus', 'bridge'];
+  const sections = layout.map((name, index) => ({ start: index * 8, duration: 8, loudness: name === 'chorus' ? -5 : -10 }));
+  const bars = [];
+  const segments = [];
+
+  layout.forEach((name, sectionIndex) => {
+    for (let bar = 0; bar < 4; bar++) {
+      const start = sectionIndex * 8 + bar * 2;
+      const sound = name === 'chorus' ? chorusBars[bar] : randomBar();
+      bars.push({ start, duration: 2 });
+      segments.push({ start, duration: 2, ...sound });
+    }
+  });
+
+  return { track: { duration: 40 }, sections, bars, segments };
+};
+
+test('cosineSimilarity compares directions and handles empty vectors', () => {
+  assert.equal(cosineSimilarity([1, 0], [2, 0]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+  assert.equal(cosineSimilarity([0, 0], [1, 1]), 0);
+});
+
+test('buildSelfSimilarityMatrix is symmetric with ones on the diagonal', () => {
+  const matrix = buildSelfSimilarityMatrix([
+    { chroma: [1, 0, 0], timbre: [1, 0, 0] },
+    { chroma: [0, 1, 0], timbre: [0, 1, 0] }
+  ]);
+
+  assert.equal(matrix[0][0], 1);
+  assert.equal(matrix[1][1], 1);
+  assert.equal(matrix[0][1], matrix[1][0]);
+});
+
+test('findMostRepeatedSection finds the chorus and where it comes back', () => {
+  const repeated = findMostRepeatedSection(buildAnalysis());
+
+  assert.ok(repeated);
+  assert.ok([8, 24].includes(repeated.section.start));
+  assert.deepEqual(repeated.occurrences, [8, 24]);
+  assert.ok(repeated.strength > 0 && repeated.strength <= 1);
+});
+
+test('findMostRepeatedSection needs chroma and timbre', () => {
+  const analysis = buildAnalysis();
+  analysis.segments = analysis.segments.map(({ start, duration }) => ({ start, duration }));
+
+  assert.equal(findMostRepeatedSection(analysis), null);
+  assert.equal(findMostRepeatedSection(null), null);
+});
@@ -0,0 +1,57 @@
+/**
+ * Shareable highlight links
+ *
+ * A shared highlight is a moment of a track encoded in a URL:
+ *
+ *   /h/:trackId?t=75&d=25               the highlight page
+ *   /embed/highlight/:trackId?t=75&d=25 the minimal player for embedding
+ *
+ * with `t` the start and `d` the duration in seconds. Highlights timed
+ * within the preview clip (detected offline) add `clip=preview`.
+ */
+
+// Lengths a shared highlight may have, in seconds
+export const SHARED_HIGHLIGHT_LIMITS = {
+  minDuration: 1,
+  maxDuration: 120,
+  defaultDuration: 30
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Build the path of a shared highlight
+ * @param {string} trackId - Spotify track ID
+ * @param {Object} highlight - { start, duration, clip }
+ * @param {Object} options - { embed = false } for the embeddable player
+ * @returns {string} Path with the highlight in its query string
+ */
+export const getHighlightSharePath = (trackId, highlight, { embed = false } = {}) => {
+  const params = new URLSearchParams({
+    t: String(round(highlight.start)),
+    d: String(round(highlight.duration))
+  });
+  if (highlight.clip === 'preview') params.set('clip', 'preview');
+
+  const base = embed ? '/embed/highlight' : '/h';
+  return `${base}/${encodeURIComponent(trackId)}?${params}`;
+};
+
+/**
+ * Read a shared highlight from a query string
+ * @param {Object} query - { t, d, clip } query parameters
+ * @returns {Object} { start, duration, clip } clamped to the limits
+ */
+export const parseSharedHighlight = (query = {}) => {
+  const { minDuration, maxDuration, defaultDuration } = SHARED_HIGHLIGHT_LIMITS;
+  const start = parseFloat(query.t);
+  const duration = parseFloat(query.d);
+
+  return {
+    start: Number.isFinite(start) && start > 0 ? round(start) : 0,
+    duration: Number.isFinite(duration)
+      ? round(Math.min(Math.max(duration, minDuration), maxDuration))
+      : defaultDuration,
+    ...(query.clip === 'preview' ? { clip: 'preview' } : {})
+  };
+};
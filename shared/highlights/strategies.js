@@ -0,0 +1,126 @@
+/**
+ * Built-in highlight scoring strategies
+ *
+ * A strategy scores one section of a track's audio analysis. It receives the
+ * section and a context object ({ segments, features, track }) where
+ * `segments` are the analysis segments that start inside the section, and
+ * returns { score, reason } with a score between 0 and 1.
+ */
+
+/**
+ * Normalize a loudness value (dB, typically negative) to the 0-1 range
+ * @param {number} loudness - Loudness in dB
+ * @param {number} floor - Loudness that maps to 0 (defaults to -60 dB)
+ * @returns {number} Normalized value between 0-1
+ */
+export const normalizeLoudness = (loudness, floor = -60) => {
+  if (typeof loudness !== 'number' || isNaN(loudness)) return 0;
+  return Math.min(Math.max((loudness - floor) / -floor, 0), 1);
+};
+
+/**
+ * Estimate the energy of a section from the peak loudness of its segments.
+ * Spotify sections carry no energy value of their own, so the track-level
+ * energy from the audio features is used when there are no segments.
+ * @param {Array} segments - Segments inside the section
+ * @param {Object} features - Audio features of the track
+ * @returns {number} Energy estimate between 0-1
+ */
+export const estimateSectionEnergy = (segments, features) => {
+  if (!segments || segments.length === 0) {
+    return features?.energy ?? 0.5;
+  }
+
+  const total = segments.reduce((sum, segment) => sum + normalizeLoudness(segment.loudness_max), 0);
+  return total / segments.length;
+};
+
+/**
+ * Energy strategy (default)
+ * Weighs section energy, loudness, tempo and segment density. Dense, loud
+ * and fast sections score highest.
+ */
+const energyStrategy = (section, { segments, features }) => {
+  const energy = estimateSectionEnergy(segments, features);
+  const energyScore = Math.min(1, energy * 1.2); // Weight energy more heavily
+  const loudnessScore = normalizeLoudness(section.loudness, -30);
+  const tempoScore = Math.min(1, (section.tempo || features?.tempo || 0) / 160);
+
+  // Number of segments per second, five per second counts as fully dense
+  const density = section.duration > 0 ? segments.length / section.duration : 0;
+  const densityScore = Math.min(1, density / 5);
+
+  const score = (
+    energyScore * 0.4 +
+    loudnessScore * 0.3 +
+    tempoScore * 0.2 +
+    densityScore * 0.1
+  );
+
+  return {
+    score,
+    reason: score > 0.8 ? 'High energy section' :
+            loudnessScore > 0.8 ? 'Prominent, loud section' :
+            tempoScore > 0.8 ? 'Fast-paced section' :
+            'Key musical moment'
+  };
+};
+
+/**
+ * Loudness strategy
+ * Ranks sections by how loud they are relative to the whole track, giving
+ * longer sections a boost on energetic or danceable tracks.
+ */
+const loudnessStrategy = (section, { features, track }) => {
+  const sectionLoudness = normalizeLoudness(section.loudness);
+  const trackLoudness = normalizeLoudness(track?.loudness ?? features?.loudness);
+
+  // How much louder than the track average the section is, 0.5 means equal
+  const relativeScore = Math.min(Math.max(0.5 + (sectionLoudness - trackLoudness) * 2, 0), 1);
+
+  const isDriving = (features?.energy > 0.7 || features?.danceability > 0.7) && section.duration > 10;
+  const score = Math.min(1, relativeScore * 0.8 + (isDriving ? 0.2 : 0));
+
+  return {
+    score,
+    reason: relativeScore > 0.6 ? 'Prominent, loud section' :
+            isDriving ? 'Driving section' :
+            'Key musical moment'
+  };
+};
+
+/**
+ * Balanced strategy
+ * Prefers loud sections that Spotify is confident about and whose tempo
+ * stays close to the track's overall tempo.
+ */
+const balancedStrategy = (section, { features, track }) => {
+  const loudnessScore = normalizeLoudness(section.loudness);
+
+  const trackTempo = features?.tempo || track?.tempo || section.tempo || 0;
+  const tempoFactor = trackTempo > 0
+    ? 1 - Math.min(Math.abs((section.tempo || trackTempo) - trackTempo) / trackTempo, 1)
+    : 0.5;
+
+  const confidenceFactor = section.confidence ?? 0.5;
+  const energyFactor = features?.energy ?? 0.5;
+
+  const score = (
+    loudnessScore * 0.4 +
+    tempoFactor * 0.2 +
+    confidenceFactor * 0.2 +
+    energyFactor * 0.2
+  );
+
+  return {
+    score,
+    reason: confidenceFactor > 0.7 && tempoFactor > 0.9 ? 'Well-defined section' : 'Key musical moment'
+  };
+};
+
+// Strategies available to the engine by name
+export const BUILT_IN_STRATEGIES = {
+  energy: energyStrategy,
+  loudness: loudnessStrategy,
+  balanced: balancedStrategy
+};
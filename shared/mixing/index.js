@@ -0,0 +1,199 @@
+/**
+ * Harmonic mixing
+ *
+ * Places tracks on the Camelot wheel, scores how smoothly one track can mix
+ * into the next and orders a set of tracks into a mix. A transition is
+ * scored on three things, each between 0 and 1:
+ *
+ * - key: neighbours on the wheel (same number, or one step around it within
+ *   the same letter) mix cleanly; other moves clash to varying degrees
+ * - tempo: how far the tempos are apart after half or double time, against
+ *   the range a DJ can pitch a track
+ * - energy: how big the jump in energy is, with small rises preferred
+ *
+ * Plain JavaScript with no dependencies, so the server and the client can
+ * both use it.
+ */
+
+// Pitch class names, C first
+export const KEY_NAMES = ['C', 'C♯/D♭', 'D', 'D♯/E♭', 'E', 'F', 'F♯/G♭', 'G', 'G♯/A♭', 'A', 'A♯/B♭', 'B'];
+
+// Weight of each part of a transition's score
+export const TRANSITION_WEIGHTS = {
+  key: 0.5,
+  tempo: 0.3,
+  energy: 0.2
+};
+
+// Tempo difference a DJ can pitch away, as a share of the tempo
+const MAX_TEMPO_DIFFERENCE = 0.08;
+
+// Energy jump that scores 0
+const MAX_ENERGY_JUMP = 0.5;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Gets the musical key name from the pitch class and mode
+ * @param {number} key - Pitch class (0-11), -1 when no key was detected
+ * @param {number} mode - Mode (0 = minor, 1 = major)
+ * @returns {string} Key name (e.g., "C Major")
+ */
+export const getKeyName = (key, mode) => {
+  if (!(key >= 0 && key < 12)) return 'No key detected';
+  return `${KEY_NAMES[key]} ${mode === 1 ? 'Major' : 'Minor'}`;
+};
+
+/**
+ * Get the Camelot code of a key
+ * @param {number} key - Pitch class (0-11)
+ * @param {number} mode - Mode (0 = minor, 1 = major)
+ * @returns {Object|null} { number, letter, code } like { 8, 'B', '8B' } for C major,
+ *   null when no key was detected
+ */
+export const getCamelotKey = (key, mode) => {
+  if (!(key >= 0 && key < 12)) return null;
+
+  // Each step around the wheel is a fifth; C major is 8B. A minor key sits
+  // at the number of its relative major, three semitones up.
+  const pitch = mode === 1 ? key : (key + 3) % 12;
+  const number = ((pitch * 7) % 12 + 7) % 12 + 1;
+  const letter = mode === 1 ? 'B' : 'A';
+  return { number, letter, code: `${number}${letter}` };
+};
+
+// Steps from one number to another around the wheel, from -6 to 5
+const wheelSteps = (from, to) => ((to - from + 18) % 12) - 6;
+
+/**
+ * Score how well two keys mix
+ * @param {Object} from - Camelot key of the playing track
+ * @param {Object} to - Camelot key of the next track
+ * @returns {Object} { score, label }
+ */
+export const scoreKeyTransition = (from, to) => {
+  if (!from || !to) return { score: 0.5, label: 'Unknown key' };
+
+  const steps = wheelSteps(from.number, to.number);
+  const sameLetter = from.letter === to.letter;
+
+  if (steps === 0 && sameLetter) return { score: 1, label: 'Same key' };
+  if (steps === 0) return { score: 0.9, label: from.letter === 'A' ? 'Relative major' : 'Relative minor' };
+  if (Math.abs(steps) === 1 && sameLetter) return { score: 0.9, label: steps > 0 ? 'Up a fifth' : 'Down a fifth' };
+  if (Math.abs(steps) === 1) return { score: 0.6, label: 'Diagonal move' };
+  if (Math.abs(steps) === 2 && sameLetter) return { score: 0.5, label: steps > 0 ? 'Energy boost' : 'Energy drop' };
+  // Seven steps around the wheel is one semitone up
+  if (steps === -5 && sameLetter) return { score: 0.5, label: 'Semitone lift' };
+  return { score: 0, label: 'Key clash' };
+};
+
+/**
+ * Score how well two tempos mix, allowing half and double time
+ * @param {number} from - Tempo of the playing track, in BPM
+ * @param {number} to - Tempo of the next track, in BPM
+ * @returns {Object} { score, ratio, relation } with relation 'same', 'half' or 'double'
+ */
+export const scoreTempoTransition = (from, to) => {
+  if (!(from > 0) || !(to > 0)) return { score: 0.5, ratio: null, relation: 'same' };
+
+  const [best] = [
+    { ratio: to / from, relation: 'same' },
+    { ratio: to / (from * 2), relation: 'double' },
+    { ratio: (to * 2) / from, relation: 'half' }
+  ].sort((a, b) => Math.abs(Math.log(a.ratio)) - Math.abs(Math.log(b.ratio)));
+
+  const difference = Math.abs(best.ratio - 1);
+  return {
+    score: round(Math.max(0, 1 - difference / MAX_TEMPO_DIFFERENCE)),
+    ratio: round(best.ratio),
+    relation: best.relation
+  };
+};
+
+/**
+ * Score a jump in energy. Small rises keep a mix going; drops cost twice as
+ * much as rises.
+ * @param {number} from - Energy of the playing track (0-1)
+ * @param {number} to - Energy of the next track (0-1)
+ * @returns {Object} { score, delta }
+ */
+export const scoreEnergyTransition = (from, to) => {
+  if (typeof from !== 'number' || typeof to !== 'number') return { score: 0.5, delta: null };
+
+  const delta = to - from;
+  const cost = delta >= 0 ? delta : -delta * 2;
+  return { score: round(Math.max(0, 1 - cost / MAX_ENERGY_JUMP)), delta: round(delta) };
+};
+
+/**
+ * Score the transition from one track into another
+ * @param {Object} from - Audio features of the playing track
+ * @param {Object} to - Audio features of the next track
+ * @param {Object} weights - Weight of key, tempo and energy
+ * @returns {Object} { score, key, tempo, energy } with each part's details
+ */
+export const scoreTransition = (from, to, weights = TRANSITION_WEIGHTS) => {
+  const key = scoreKeyTransition(getCamelotKey(from?.key, from?.mode), getCamelotKey(to?.key, to?.mode));
+  const tempo = scoreTempoTransition(from?.tempo, to?.tempo);
+  const energy = scoreEnergyTransition(from?.energy, to?.energy);
+
+  const total = weights.key + weights.tempo + weights.energy;
+  const score = (key.score * weights.key + tempo.score * weights.tempo + energy.score * weights.energy) / total;
+  return { score: round(score), key, tempo, energy };
+};
+
+// Greedy path from one start: always mix into the best remaining track
+const greedyMix = (items, startIndex, weights) => {
+  const remaining = items.filter((_, index) => index !== startIndex);
+  const mix = [{ ...items[startIndex], transition: null }];
+  let total = 0;
+
+  while (remaining.length > 0) {
+    const current = mix[mix.length - 1];
+    let bestIndex = 0;
+    let bestTransition = null;
+
+    remaining.forEach((item, index) => {
+      const transition = scoreTransition(current.features, item.features, weights);
+      if (!bestTransition || transition.score > bestTransition.score) {
+        bestIndex = index;
+        bestTransition = transition;
+      }
+    });
+
+    const [next] = remaining.splice(bestIndex, 1);
+    mix.push({ ...next, transition: bestTransition });
+    total += bestTransition.score;
+  }
+
+  return { mix, total };
+};
+
+/**
+ * Order tracks into a smooth mix: from every start, keep mixing into the
+ * best next track, and keep the start whose mix scores best overall.
+ * Tracks without features go at the end, in their given order.
+ * @param {Array} items - { track, features }
+ * @param {Object} options - { weights }
+ * @returns {Object} { tracks: [{ track, features, camelot, transition }], score }
+ *   with each transition from the track before, and score the mean transition score
+ */
+export const orderForMix = (items, { weights = TRANSITION_WEIGHTS } = {}) => {
+  const withFeatures = items.filter(item => item.features);
+  const withoutFeatures = items.filter(item => !item.features);
+
+  let best = { mix: [], total: 0 };
+  withFeatures.forEach((_, index) => {
+    const candidate = greedyMix(withFeatures, index, weights);
+    if (best.mix.length === 0 || candidate.total > best.total) best = candidate;
+  });
+
+  const tracks = [...best.mix, ...withoutFeatures.map(item => ({ ...item, transition: null }))]
+    .map(item => ({ ...item, camelot: getCamelotKey(item.features?.key, item.features?.mode) }));
+  const transitions = best.mix.length - 1;
+
+  return {
+    tracks,
+    score: transitions > 0 ? round(best.total / transitions) : null
+  };
+};
@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getKeyName,
+  getCamelotKey,
+  scoreKeyTransition,
+  scoreTempoTransition,
+  scoreEnergyTransition,
+  scoreTransition,
+  orderForMix
+} from './index.js';
+
+const MAJOR = 1;
+const MINOR = 0;
+
+const camelot = (key, mode) => getCamelotKey(key, mode);
+
+test('getKeyName names the key and mode', () => {
+  assert.equal(getKeyName(0, MAJOR), 'C Major');
+  assert.equal(getKeyName(9, MINOR), 'A Minor');
+  assert.equal(getKeyName(-1, MAJOR), 'No key detected');
+});
+
+test('getCamelotKey places keys on the wheel', () => {
+  assert.equal(camelot(0, MAJOR).code, '8B');
+  assert.equal(camelot(9, MINOR).code, '8A');
+  assert.equal(camelot(7, MAJOR).code, '9B');
+  assert.equal(camelot(4, MINOR).code, '9A');
+  assert.equal(camelot(11, MAJOR).code, '1B');
+  assert.equal(camelot(5, MINOR).code, '4A');
+  assert.deepEqual(camelot(1, MAJOR), { number: 3, letter: 'B', code: '3B' });
+  assert.equal(camelot(-1, MAJOR), null);
+});
+
+test('scoreKeyTransition favours neighbours on the wheel', () => {
+  const cMajor = camelot(0, MAJOR);
+
+  assert.deepEqual(scoreKeyTransition(cMajor, cMajor), { score: 1, label: 'Same key' });
+  assert.equal(scoreKeyTransition(cMajor, camelot(9, MINOR)).label, 'Relative minor');
+  assert.equal(scoreKeyTransition(cMajor, camelot(7, MAJOR)).label, 'Up a fifth');
+  assert.equal(scoreKeyTransition(cMajor, camelot(5, MAJOR)).label, 'Down a fifth');
+  assert.equal(scoreKeyTransition(cMajor, camelot(4, MINOR)).label, 'Diagonal move');
+  assert.equal(scoreKeyTransition(cMajor, camelot(2, MAJOR)).label, 'Energy boost');
+  assert.equal(scoreKeyTransition(cMajor, camelot(1, MAJOR)).label, 'Semitone lift');
+  assert.deepEqual(scoreKeyTransition(cMajor, camelot(6, MAJOR)), { score: 0, label: 'Key clash' });
+  assert.equal(scoreKeyTransition(cMajor, null).score, 0.5);
+});
+
+test('the wheel wraps from 12 to 1', () => {
+  // E major (12B) to B major (1B)
+  assert.equal(scoreKeyTransition(camelot(4, MAJOR), camelot(11, MAJOR)).label, 'Up a fifth');
+});
+
+test('scoreTempoTransition allows half and double time', () => {
+  assert.deepEqual(scoreTempoTransition(128, 128), { score: 1, ratio: 1, relation: 'same' });
+  assert.equal(scoreTempoTransition(128, 64).relation, 'half');
+  assert.equal(scoreTempoTransition(64, 128).relation, 'double');
+  assert.equal(scoreTempoTransition(64, 128).score, 1);
+  assert.equal(scoreTempoTransition(120, 180).score, 0);
+  assert.ok(scoreTempoTransition(120, 124).score > 0.5);
+});
+
+test('scoreEnergyTransition costs drops twice as much as rises', () => {
+  assert.deepEqual(scoreEnergyTransition(0.5, 0.6), { score: 0.8, delta: 0.1 });
+  assert.deepEqual(scoreEnergyTransition(0.6, 0.5), { score: 0.6, delta: -0.1 });
+  assert.equal(scoreEnergyTransition(0.2, 0.9).score, 0);
+  assert.equal(scoreEnergyTransition(undefined, 0.5).score, 0.5);
+});
+
+test('scoreTransition weighs key, tempo and energy', () => {
+  const from = { key: 0, mode: MAJOR, tempo: 120, energy: 0.5 };
+
+  assert.equal(scoreTransition(from, from).score, 1);
+
+  const clash = scoreTransition(from, { ...from, key: 6 });
+  assert.equal(clash.key.label, 'Key clash');
+  assert.equal(clash.score, 0.5);
+  assert.equal(scoreTransition(from, { ...from, key: 6 }, { key: 0, tempo: 1, energy: 1 }).score, 1);
+});
+
+test('orderForMix chains compatible tracks and puts unknown ones last', () => {
+  const item = (id, key, energy) => ({ track: { id }, features: { key, mode: MAJOR, tempo: 124, energy } });
+  const items = [
+    item('d', 2, 0.6),
+    { track: { id: 'none' }, features: null },
+    item('c', 0, 0.5),
+    item('a', 9, 0.8),
+    item('g', 7, 0.55)
+  ];
+
+  const { tracks, score } = orderForMix(items);
+  assert.deepEqual(tracks.map(({ track }) => track.id), ['c', 'g', 'd', 'a', 'none']);
+  assert.equal(tracks[0].transition, null);
+  assert.equal(tracks[1].camelot.code, '9B');
+  assert.equal(tracks[1].transition.key.label, 'Up a fifth');
+  assert.equal(tracks[4].camelot, null);
+  assert.ok(score > 0.8);
+
+  assert.deepEqual(orderForMix([]), { tracks: [], score: null });
+});
@@ -0,0 +1,177 @@
+/**
+ * Moods
+ *
+ * Sorts tracks into four moods from their audio features and builds
+ * sequenced playlists from them: the tracks of one mood in the order they
+ * mix best, or tracks following an energy curve drawn over the playlist.
+ *
+ *   calm         low energy, acoustic, slow
+ *   happy        positive, with some energy
+ *   intense      high energy, fast, electronic
+ *   melancholic  negative, low energy
+ *
+ * Memberships ramp between the thresholds the track analysis uses for its
+ * labels, so a track at moderate energy is a bit of both.
+ */
+
+import { getFeatureExplanation } from '../recommendations/features.js';
+import { orderForMix, scoreTransition } from '../mixing/index.js';
+
+// Where a feature counts as low or high, shared with the track analysis labels
+export const CHARACTERISTIC_THRESHOLDS = {
+  energy: { low: 0.4, high: 0.7 },
+  danceability: { low: 0.4, high: 0.7 },
+  valence: { low: 0.3, high: 0.7 },
+  acousticness: { low: 0.3, high: 0.7 },
+  instrumentalness: { high: 0.5 },
+  tempo: { low: 80, high: 120 }
+};
+
+// Moods, with the energy a playlist of them sits at
+export const MOODS = {
+  calm: { label: 'Calm', description: 'Quiet, acoustic and unhurried', energy: 0.25 },
+  happy: { label: 'Happy', description: 'Bright and upbeat', energy: 0.65 },
+  intense: { label: 'Intense', description: 'Loud, fast and driving', energy: 0.85 },
+  melancholic: { label: 'Melancholic', description: 'Sad and reflective', energy: 0.35 }
+};
+
+// Energy curves to start drawing from, from the first track to the last
+export const ENERGY_CURVE_PRESETS = {
+  'build-up': { label: 'Build up', curve: [0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9] },
+  'wind-down': { label: 'Wind down', curve: [0.9, 0.8, 0.7, 0.6, 0.5, 0.4, 0.3, 0.2] },
+  peak: { label: 'Peak in the middle', curve: [0.3, 0.45, 0.65, 0.85, 0.9, 0.7, 0.5, 0.3] },
+  steady: { label: 'Steady', curve: [0.6, 0.6, 0.6, 0.6, 0.6, 0.6, 0.6, 0.6] }
+};
+
+// Default playlist length, in tracks
+export const DEFAULT_MOOD_PLAYLIST_LENGTH = 20;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// 0 at or below `low`, 1 at or above `high`, linear in between
+const ramp = (value, { low, high }) => Math.min(Math.max((value - low) / (high - low), 0), 1);
+
+/**
+ * Score a track's features against every mood
+ * @param {Object} features - Audio features from Spotify API
+ * @returns {Object|null} Score between 0 and 1 per mood, null without features
+ */
+export const scoreMoods = (features) => {
+  if (!features) return null;
+
+  const energy = ramp(features.energy ?? 0.5, CHARACTERISTIC_THRESHOLDS.energy);
+  const valence = ramp(features.valence ?? 0.5, CHARACTERISTIC_THRESHOLDS.valence);
+  const acoustic = ramp(features.acousticness ?? 0.5, CHARACTERISTIC_THRESHOLDS.acousticness);
+  const fast = ramp(features.tempo ?? 100, CHARACTERISTIC_THRESHOLDS.tempo);
+
+  return {
+    calm: round(0.5 * (1 - energy) + 0.25 * acoustic + 0.25 * (1 - fast)),
+    happy: round(0.7 * valence + 0.3 * energy),
+    intense: round(0.6 * energy + 0.2 * fast + 0.2 * (1 - acoustic)),
+    melancholic: round(0.6 * (1 - valence) + 0.25 * (1 - energy) + 0.15 * acoustic)
+  };
+};
+
+/**
+ * Classify a track's mood
+ * @param {Object} features - Audio features from Spotify API
+ * @returns {Object|null} { mood, scores, labels } with labels describing the
+ *   features the mood comes from, null without features
+ */
+export const classifyMood = (features) => {
+  const scores = scoreMoods(features);
+  if (!scores) return null;
+
+  const [mood] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return {
+    mood,
+    scores,
+    labels: ['energy', 'valence', 'acousticness']
+      .filter(feature => typeof features[feature] === 'number')
+      .map(feature => getFeatureExplanation(feature, features[feature]))
+  };
+};
+
+/**
+ * Resample an energy curve to one point per track
+ * @param {Array} curve - Energy values between 0 and 1, evenly spread
+ * @param {number} length - Number of points
+ * @returns {Array} Energy per position
+ */
+export const resampleCurve = (curve, length) => {
+  if (!curve?.length || length <= 0) return [];
+  if (curve.length === 1 || length === 1) return Array(length).fill(curve[0]);
+
+  return Array.from({ length }, (_, index) => {
+    const position = (index / (length - 1)) * (curve.length - 1);
+    const before = Math.floor(position);
+    const after = Math.min(before + 1, curve.length - 1);
+    return curve[before] + (curve[after] - curve[before]) * (position - before);
+  });
+};
+
+// Tracks with features and mood scores
+const withMoods = (items) => items
+  .filter(item => item.features)
+  .map(item => ({ ...item, moods: scoreMoods(item.features) }));
+
+/**
+ * Build a playlist of one mood: the tracks that fit it best, in the order
+ * they mix best
+ * @param {Array} items - { track, features }
+ * @param {Object} options - { mood, length }
+ * @returns {Object} { tracks: [{ track, features, moods, transition }], score }
+ */
+export const buildMoodPlaylist = (items, { mood, length = DEFAULT_MOOD_PLAYLIST_LENGTH } = {}) => {
+  if (!MOODS[mood]) {
+    throw new RangeError(`Unknown mood: ${mood}`);
+  }
+
+  const chosen = withMoods(items)
+    .sort((a, b) => b.moods[mood] - a.moods[mood])
+    .slice(0, length);
+  return orderForMix(chosen);
+};
+
+/**
+ * Build a playlist that follows an energy curve: for each position, the
+ * unused track closest to the curve's energy there that also mixes well
+ * from the track before. With a mood, tracks of that mood are preferred.
+ * @param {Array} items - { track, features }
+ * @param {Object} options - { curve, length, mood }
+ * @returns {Object} { tracks: [{ track, features, moods, target, transition }], score }
+ */
+export const buildCurvePlaylist = (items, { curve, length = DEFAULT_MOOD_PLAYLIST_LENGTH, mood = null } = {}) => {
+  const remaining = withMoods(items);
+  const targets = resampleCurve(curve, Math.min(length, remaining.length));
+  const tracks = [];
+
+  for (const target of targets) {
+    const previous = tracks[tracks.length - 1];
+    let bestIndex = -1;
+    let bestCost = Infinity;
+    let bestTransition = null;
+
+    remaining.forEach((item, index) => {
+      const transition = previous ? scoreTransition(previous.features, item.features) : null;
+      const cost = Math.abs((item.features.energy ?? 0.5) - target)
+        + (transition ? (1 - transition.score) * 0.3 : 0)
+        + (mood && MOODS[mood] ? (1 - item.moods[mood]) * 0.5 : 0);
+
+      if (cost < bestCost) {
+        bestIndex = index;
+        bestCost = cost;
+        bestTransition = transition;
+      }
+    });
+
+    const [next] = remaining.splice(bestIndex, 1);
+    tracks.push({ ...next, target: round(target), transition: bestTransition });
+  }
+
+  const transitions = tracks.slice(1).map(item => item.transition.score);
+  return {
+    tracks,
+    score: transitions.length ? round(transitions.reduce((sum, score) => sum + score, 0) / transitions.length) : null
+  };
+};
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ENERGY_CURVE_PRESETS,
+  scoreMoods,
+  classifyMood,
+  resampleCurve,
+  buildMoodPlaylist,
+  buildCurvePlaylist
+} from './index.js';
+
+// Typical features of each mood
+const FEATURES = {
+  calm: { energy: 0.15, valence: 0.5, acousticness: 0.9, tempo: 70 },
+  happy: { energy: 0.65, valence: 0.9, acousticness: 0.3, tempo: 110 },
+  intense: { energy: 0.95, valence: 0.4, acousticness: 0.05, tempo: 140 },
+  melancholic: { energy: 0.3, valence: 0.1, acousticness: 0.6, tempo: 90 }
+};
+
+const item = (id, features) => ({ track: { id }, features: { key: 0, mode: 1, ...features } });
+
+const ids = (tracks) => tracks.map(({ track }) => track.id);
+
+test('classifyMood picks the mood that fits best', () => {
+  for (const [mood, features] of Object.entries(FEATURES)) {
+    assert.equal(classifyMood(features).mood, mood);
+  }
+  assert.equal(classifyMood(null), null);
+});
+
+test('classifyMood explains the features behind the mood', () => {
+  const { labels, scores } = classifyMood(FEATURES.calm);
+
+  assert.equal(labels.length, 3);
+  assert.ok(Object.values(scores).every(score => score >= 0 && score <= 1));
+});
+
+test('mood scores ramp between the thresholds', () => {
+  const low = scoreMoods({ ...FEATURES.happy, energy: 0.4 });
+  const middle = scoreMoods({ ...FEATURES.happy, energy: 0.55 });
+  const high = scoreMoods({ ...FEATURES.happy, energy: 0.7 });
+
+  assert.ok(low.intense < middle.intense && middle.intense < high.intense);
+  assert.ok(low.calm > middle.calm && middle.calm > high.calm);
+});
+
+test('resampleCurve interpolates one point per track', () => {
+  assert.deepEqual(resampleCurve([0, 1], 5), [0, 0.25, 0.5, 0.75, 1]);
+  assert.deepEqual(resampleCurve([0.3], 3), [0.3, 0.3, 0.3]);
+  assert.deepEqual(resampleCurve([0, 1], 1), [0]);
+  assert.deepEqual(resampleCurve([], 4), []);
+});
+
+test('buildMoodPlaylist keeps the tracks of the mood', () => {
+  const items = [
+    item('calm1', FEATURES.calm),
+    item('intense1', FEATURES.intense),
+    item('calm2', { ...FEATURES.calm, energy: 0.2 }),
+    item('happy1', FEATURES.happy),
+    { track: { id: 'unknown' }, features: null }
+  ];
+
+  const { tracks } = buildMoodPlaylist(items, { mood: 'calm', length: 2 });
+  assert.deepEqual(ids(tracks).sort(), ['calm1', 'calm2']);
+  assert.ok(tracks.every(track => track.moods.calm > 0.5));
+  assert.throws(() => buildMoodPlaylist(items, { mood: 'angry' }), RangeError);
+});
+
+test('buildCurvePlaylist follows the energy curve', () => {
+  const items = [0.9, 0.2, 0.5, 0.7, 0.3].map((energy, index) => item(`t${index}`, { ...FEATURES.happy, energy }));
+
+  const { tracks, score } = buildCurvePlaylist(items, { curve: ENERGY_CURVE_PRESETS['build-up'].curve, length: 5 });
+  const energies = tracks.map(track => track.features.energy);
+  assert.deepEqual(energies, [...energies].sort((a, b) => a - b));
+  assert.equal(tracks[0].transition, null);
+  assert.equal(tracks[0].target, 0.2);
+  assert.equal(tracks[4].target, 0.9);
+  assert.ok(score > 0);
+});
+
+test('buildCurvePlaylist stops when it runs out of tracks', () => {
+  const items = [item('a', FEATURES.calm), item('b', FEATURES.happy)];
+  const { tracks } = buildCurvePlaylist(items, { curve: [0.5], length: 10 });
+
+  assert.equal(tracks.length, 2);
+});
@@ -0,0 +1,100 @@
+/**
+ * Diversity re-ranking
+ *
+ * Recommendations ranked by relevance alone tend to cluster: five songs by
+ * the same artist, all at the same energy. This stage re-ranks them with
+ * maximal marginal relevance (MMR), picking each next track by
+ *
+ *   lambda * relevance - (1 - lambda) * highest similarity to the tracks already picked
+ *
+ * over audio feature vectors, and caps the tracks of any one artist or album.
+ * A lambda of 1 keeps the relevance order; lower ones trade relevance for
+ * variety.
+ */
+
+import { toFeatureVector, vectorSimilarity } from './features.js';
+
+// Default re-ranking options
+export const DEFAULT_DIVERSITY_OPTIONS = {
+  lambda: 0.7,
+  maxPerArtist: 2,
+  maxPerAlbum: 2
+};
+
+// Lambda at the adventurous end of the familiar-adventurous scale
+const MIN_LAMBDA = 0.3;
+
+/**
+ * Lambda for a position on the familiar (0) to adventurous (1) scale
+ * @param {number} adventurous - Between 0 and 1
+ * @returns {number} MMR lambda, 1 for familiar down to 0.3 for adventurous,
+ *   the default lambda without a valid position
+ */
+export const getDiversityLambda = (adventurous) => {
+  const number = adventurous === '' || adventurous === null ? NaN : Number(adventurous);
+  if (!Number.isFinite(number)) return DEFAULT_DIVERSITY_OPTIONS.lambda;
+
+  const value = Math.min(Math.max(number, 0), 1);
+  return Math.round((1 - value * (1 - MIN_LAMBDA)) * 100) / 100;
+};
+
+/**
+ * Re-rank tracks by maximal marginal relevance, with per-artist and
+ * per-album caps. Items without a score count as relevant by their position;
+ * items without features aren't penalized for similarity.
+ * @param {Array} items - { track, features, score } in relevance order
+ * @param {Object} options - { lambda, maxPerArtist, maxPerAlbum, limit, weights }
+ * @returns {Array} The same items, as many as the caps and limit allow, in the new order
+ */
+export const rerankForDiversity = (items, options = {}) => {
+  const { lambda, maxPerArtist, maxPerAlbum } = { ...DEFAULT_DIVERSITY_OPTIONS, ...options };
+  const limit = options.limit ?? items.length;
+  const weights = options.weights;
+
+  const pool = items.map((item, index) => ({
+    item,
+    relevance: typeof item.score === 'number' ? item.score : 1 - index / items.length,
+    vector: toFeatureVector(item.features),
+    artistId: item.track?.artists?.[0]?.id || null,
+    albumId: item.track?.album?.id || null
+  }));
+
+  const picked = [];
+  const perArtist = new Map();
+  const perAlbum = new Map();
+  const isCapped = (candidate) => (
+    (candidate.artistId && (perArtist.get(candidate.artistId) || 0) >= maxPerArtist)
+    || (candidate.albumId && (perAlbum.get(candidate.albumId) || 0) >= maxPerAlbum)
+  );
+
+  while (picked.length < limit) {
+    let best = null;
+    let bestScore = -Infinity;
+
+    for (const candidate of pool) {
+      if (candidate.picked || isCapped(candidate)) continue;
+
+      const redundancy = candidate.vector
+        ? picked.reduce((max, other) => (
+          other.vector ? Math.max(max, vectorSimilarity(candidate.vector, other.vector, weights)) : max
+        ), 0)
+        : 0;
+      const score = lambda * candidate.relevance - (1 - lambda) * redundancy;
+
+      // Ties keep the relevance order
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+
+    if (!best) break;
+
+    best.picked = true;
+    picked.push(best);
+    if (best.artistId) perArtist.set(best.artistId, (perArtist.get(best.artistId) || 0) + 1);
+    if (best.albumId) perAlbum.set(best.albumId, (perAlbum.get(best.albumId) || 0) + 1);
+  }
+
+  return picked.map(({ item }) => item);
+};
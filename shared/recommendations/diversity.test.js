@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_DIVERSITY_OPTIONS, getDiversityLambda, rerankForDiversity } from './diversity.js';
+
+// A recommendation by an artist, from an album, with the given energy
+const item = (id, { artist = id, album = id, energy = 0.5, score } = {}) => ({
+  track: { id, artists: [{ id: artist }], album: { id: album } },
+  features: { danceability: 0.5, energy, valence: 0.5, acousticness: 0.5 },
+  score
+});
+
+const ids = (items) => items.map(({ track }) => track.id);
+
+test('getDiversityLambda maps familiar to 1 and adventurous to 0.3', () => {
+  assert.equal(getDiversityLambda(0), 1);
+  assert.equal(getDiversityLambda('1'), 0.3);
+  assert.equal(getDiversityLambda(0.5), 0.65);
+  assert.equal(getDiversityLambda(7), 0.3);
+  assert.equal(getDiversityLambda(-1), 1);
+});
+
+test('getDiversityLambda falls back to the default lambda', () => {
+  for (const value of [undefined, null, '', 'a lot']) {
+    assert.equal(getDiversityLambda(value), DEFAULT_DIVERSITY_OPTIONS.lambda);
+  }
+});
+
+test('a lambda of 1 keeps the relevance order', () => {
+  const items = [
+    item('a', { energy: 0.9, score: 0.9 }),
+    item('b', { energy: 0.9, score: 0.8 }),
+    item('c', { energy: 0.1, score: 0.7 })
+  ];
+
+  assert.deepEqual(ids(rerankForDiversity(items, { lambda: 1 })), ['a', 'b', 'c']);
+});
+
+test('lower lambdas move a different track up past near-duplicates', () => {
+  const items = [
+    item('a', { energy: 0.9, score: 0.9 }),
+    item('b', { energy: 0.9, score: 0.85 }),
+    item('c', { energy: 0.1, score: 0.7 })
+  ];
+
+  assert.deepEqual(ids(rerankForDiversity(items, { lambda: 0.5 })), ['a', 'c', 'b']);
+});
+
+test('caps the tracks per artist and per album', () => {
+  const items = [
+    item('a1', { artist: 'a', album: 'x' }),
+    item('a2', { artist: 'a', album: 'y' }),
+    item('a3', { artist: 'a', album: 'z' }),
+    item('b1', { artist: 'b', album: 'x' }),
+    item('c1', { artist: 'c', album: 'x' })
+  ];
+
+  const reranked = rerankForDiversity(items, { lambda: 1, maxPerArtist: 2, maxPerAlbum: 2 });
+  assert.deepEqual(ids(reranked), ['a1', 'a2', 'b1']);
+});
+
+test('stops at the limit and keeps tracks without features', () => {
+  const items = [item('a'), { track: { id: 'b' }, features: null }, item('c')];
+
+  assert.deepEqual(ids(rerankForDiversity(items, { lambda: 1, limit: 2 })), ['a', 'b']);
+});
@@ -0,0 +1,157 @@
+/**
+ * Audio feature vectors
+ *
+ * Spotify's audio features as vectors with every dimension between 0 and 1,
+ * so tracks can be compared with a weighted distance, and the labels that
+ * explain a feature's value to people.
+ */
+
+import { normalizeLoudness } from '../highlights/strategies.js';
+
+// Features a vector is made of, with the range Spotify gives them in
+export const VECTOR_FEATURES = [
+  'danceability',
+  'energy',
+  'valence',
+  'acousticness',
+  'instrumentalness',
+  'speechiness',
+  'liveness',
+  'tempo',
+  'loudness'
+];
+
+// Weight of each feature in the distance. Mood and texture matter most;
+// tempo and loudness vary a lot within one taste.
+export const DEFAULT_FEATURE_WEIGHTS = {
+  danceability: 1,
+  energy: 1,
+  valence: 1,
+  acousticness: 1,
+  instrumentalness: 1,
+  speechiness: 0.5,
+  liveness: 0.25,
+  tempo: 0.5,
+  loudness: 0.25
+};
+
+// Tempos outside this range are rare enough to count as its ends, in BPM
+const TEMPO_RANGE = { min: 50, max: 200 };
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Turn audio features into a vector with every dimension between 0 and 1
+ * @param {Object} features - Audio features from Spotify API
+ * @returns {Object|null} Normalized value per feature, null without features
+ */
+export const toFeatureVector = (features) => {
+  if (!features) return null;
+
+  const vector = {};
+  for (const feature of VECTOR_FEATURES) {
+    const value = features[feature];
+    if (typeof value !== 'number' || Number.isNaN(value)) continue;
+
+    if (feature === 'tempo') {
+      vector.tempo = clamp((value - TEMPO_RANGE.min) / (TEMPO_RANGE.max - TEMPO_RANGE.min));
+    } else if (feature === 'loudness') {
+      vector.loudness = normalizeLoudness(value);
+    } else {
+      vector[feature] = clamp(value);
+    }
+  }
+  return vector;
+};
+
+/**
+ * Similarity of two vectors: one minus their weighted root mean square
+ * difference, over the features both have
+ * @param {Object} a - Feature vector
+ * @param {Object} b - Feature vector
+ * @param {Object} weights - Weight per feature, features without one are left out
+ * @returns {number} Similarity between 0 and 1
+ */
+export const vectorSimilarity = (a, b, weights = DEFAULT_FEATURE_WEIGHTS) => {
+  if (!a || !b) return 0;
+
+  let sum = 0;
+  let totalWeight = 0;
+  for (const [feature, weight] of Object.entries(weights)) {
+    if (!(weight > 0) || a[feature] === undefined || b[feature] === undefined) continue;
+    sum += weight * (a[feature] - b[feature]) ** 2;
+    totalWeight += weight;
+  }
+
+  return totalWeight ? 1 - Math.sqrt(sum / totalWeight) : 0;
+};
+
+/**
+ * Similarity of two tracks' audio features
+ * @param {Object} features1 - Audio features from Spotify API
+ * @param {Object} features2 - Audio features from Spotify API
+ * @param {Object} weights - Weight per feature
+ * @returns {number} Similarity between 0 and 1
+ */
+export const getFeatureSimilarity = (features1, features2, weights) => (
+  vectorSimilarity(toFeatureVector(features1), toFeatureVector(features2), weights)
+);
+
+// Labels of each feature's range, up to each threshold
+const FEATURE_LABELS = {
+  danceability: [
+    { threshold: 0.3, text: 'Not very danceable' },
+    { threshold: 0.6, text: 'Moderately danceable' },
+    { threshold: 1.0, text: 'Very danceable' }
+  ],
+  energy: [
+    { threshold: 0.3, text: 'Low energy' },
+    { threshold: 0.6, text: 'Moderate energy' },
+    { threshold: 1.0, text: 'High energy' }
+  ],
+  valence: [
+    { threshold: 0.3, text: 'Negative/sad mood' },
+    { threshold: 0.6, text: 'Neutral mood' },
+    { threshold: 1.0, text: 'Positive/happy mood' }
+  ],
+  acousticness: [
+    { threshold: 0.3, text: 'Not acoustic' },
+    { threshold: 0.6, text: 'Partially acoustic' },
+    { threshold: 1.0, text: 'Highly acoustic' }
+  ],
+  instrumentalness: [
+    { threshold: 0.3, text: 'Contains vocals' },
+    { threshold: 0.6, text: 'Mix of vocals and instrumental' },
+    { threshold: 1.0, text: 'Primarily instrumental' }
+  ],
+  liveness: [
+    { threshold: 0.3, text: 'Studio recording' },
+    { threshold: 0.6, text: 'Possible live elements' },
+    { threshold: 1.0, text: 'Live performance' }
+  ],
+  speechiness: [
+    { threshold: 0.3, text: 'Music, not speech' },
+    { threshold: 0.6, text: 'Mix of music and speech' },
+    { threshold: 1.0, text: 'Speech-heavy' }
+  ]
+};
+
+/**
+ * Get feature explanation for a specific audio feature
+ * @param {string} feature - Feature name
+ * @param {number} value - Feature value (0-1)
+ * @returns {string} Human-readable explanation
+ */
+export const getFeatureExplanation = (feature, value) => {
+  if (!FEATURE_LABELS[feature]) {
+    return 'No explanation available';
+  }
+
+  for (const level of FEATURE_LABELS[feature]) {
+    if (value <= level.threshold) {
+      return level.text;
+    }
+  }
+
+  return 'No explanation available';
+};
@@ -0,0 +1,167 @@
+/**
+ * Content-based recommendations
+ *
+ * Ranks candidate tracks by how close their audio features are to the
+ * tracks a user already plays. Every track becomes a feature vector (see
+ * features.js); a candidate's score is its mean similarity to its k nearest
+ * seed tracks, with configurable weights per feature. Each recommendation
+ * explains, feature by feature, how well it matches those neighbours. A
+ * diversity stage (see diversity.js) can then re-rank them for variety.
+ *
+ * Plain JavaScript with no dependencies, like the highlight engine, so the
+ * server and the client can both use it.
+ */
+
+import {
+  VECTOR_FEATURES,
+  DEFAULT_FEATURE_WEIGHTS,
+  toFeatureVector,
+  vectorSimilarity,
+  getFeatureExplanation
+} from './features.js';
+
+export {
+  VECTOR_FEATURES,
+  DEFAULT_FEATURE_WEIGHTS,
+  toFeatureVector,
+  vectorSimilarity,
+  getFeatureSimilarity,
+  getFeatureExplanation
+} from './features.js';
+export { DEFAULT_DIVERSITY_OPTIONS, getDiversityLambda, rerankForDiversity } from './diversity.js';
+
+// Default recommendation options
+export const DEFAULT_RECOMMENDATION_OPTIONS = {
+  k: 5,
+  limit: 20
+};
+
+// Highest weight a feature can be given
+const MAX_WEIGHT = 10;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Parse feature weights given as "energy:2,valence:0.5" or an object. Unknown
+ * features and invalid weights are ignored; missing ones keep their default.
+ * @param {string|Object} value - Weights to change
+ * @returns {Object} Weight per feature
+ */
+export const parseFeatureWeights = (value) => {
+  const entries = typeof value === 'string'
+    ? value.split(',').map(pair => pair.split(':').map(part => part.trim()))
+    : Object.entries(value || {});
+
+  const weights = { ...DEFAULT_FEATURE_WEIGHTS };
+  for (const [feature, weight] of entries) {
+    const number = Number(weight);
+    if (!VECTOR_FEATURES.includes(feature) || weight === '' || !Number.isFinite(number)) continue;
+    weights[feature] = Math.min(Math.max(number, 0), MAX_WEIGHT);
+  }
+  return weights;
+};
+
+/**
+ * Find the k items most similar to a vector
+ * @param {Object} vector - Feature vector
+ * @param {Array} items - Objects with a `vector`
+ * @param {Object} options - { k, weights }
+ * @returns {Array} { item, similarity }, most similar first
+ */
+export const findNearestNeighbours = (vector, items, { k = DEFAULT_RECOMMENDATION_OPTIONS.k, weights = DEFAULT_FEATURE_WEIGHTS } = {}) => (
+  items
+    .map(item => ({ item, similarity: vectorSimilarity(vector, item.vector, weights) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+);
+
+// Raw values read better than normalized ones
+const formatFeature = (feature, value) => {
+  if (feature === 'tempo') return `${Math.round(value)} BPM`;
+  if (feature === 'loudness') return `${Math.round(value)} dB`;
+  return `${Math.round(value * 100)}%`;
+};
+
+const labelFeature = (feature, value) => {
+  if (feature === 'tempo') return value >= 120 ? 'Fast tempo' : value >= 90 ? 'Moderate tempo' : 'Slow tempo';
+  if (feature === 'loudness') return value >= -8 ? 'Loud master' : value >= -14 ? 'Moderate loudness' : 'Quiet master';
+  return getFeatureExplanation(feature, value);
+};
+
+/**
+ * Explain, feature by feature, how well a track matches its neighbours
+ * @param {Object} features - Audio features of the track
+ * @param {Array} neighbours - Audio features of its nearest seed tracks
+ * @param {Object} weights - Weight per feature
+ * @returns {Array} { feature, value, target, match, weight, contribution, label, text },
+ *   the features that count most towards the score first
+ */
+export const explainSimilarity = (features, neighbours, weights = DEFAULT_FEATURE_WEIGHTS) => {
+  const vector = toFeatureVector(features);
+  const neighbourVectors = neighbours.map(toFeatureVector);
+  if (!vector || neighbourVectors.length === 0) return [];
+
+  const used = VECTOR_FEATURES.filter(feature => weights[feature] > 0 && vector[feature] !== undefined);
+  const totalWeight = used.reduce((sum, feature) => sum + weights[feature], 0);
+
+  return used
+    .map(feature => {
+      const target = mean(neighbours.map(neighbour => neighbour[feature]).filter(value => typeof value === 'number')) ?? features[feature];
+      const match = 1 - Math.abs(vector[feature] - mean(neighbourVectors.map(neighbour => neighbour[feature] ?? vector[feature])));
+      const label = labelFeature(feature, features[feature]);
+
+      return {
+        feature,
+        value: round(features[feature]),
+        target: round(target),
+        match: round(match),
+        weight: weights[feature],
+        contribution: round((weights[feature] * match) / totalWeight),
+        label,
+        text: `${label} (${formatFeature(feature, features[feature])}, similar tracks you play: ${formatFeature(feature, target)})`
+      };
+    })
+    .sort((a, b) => b.contribution - a.contribution);
+};
+
+/**
+ * Rank candidate tracks by their k nearest seed tracks
+ * @param {Array} seeds - { track, features } the user plays
+ * @param {Array} candidates - { track, features } to rank; ones without features are skipped
+ * @param {Object} options - { k, limit, weights }
+ * @returns {Array} { track, features, score, neighbours, explanation }, best first
+ */
+export const recommendTracks = (seeds, candidates, options = {}) => {
+  const { k, limit } = { ...DEFAULT_RECOMMENDATION_OPTIONS, ...options };
+  const weights = options.weights || DEFAULT_FEATURE_WEIGHTS;
+
+  const seedItems = seeds
+    .map(seed => ({ ...seed, vector: toFeatureVector(seed.features) }))
+    .filter(seed => seed.vector);
+  if (seedItems.length === 0) return [];
+
+  return candidates
+    .map(candidate => ({ ...candidate, vector: toFeatureVector(candidate.features) }))
+    .filter(candidate => candidate.vector)
+    .map(candidate => {
+      const nearest = findNearestNeighbours(candidate.vector, seedItems, { k, weights });
+      const score = nearest.reduce((sum, { similarity }) => sum + similarity, 0) / nearest.length;
+
+      return {
+        track: candidate.track,
+        features: candidate.features,
+        score: round(score),
+        neighbours: nearest.map(({ item, similarity }) => ({
+          id: item.track.id,
+          name: item.track.name,
+          artists: (item.track.artists || []).map(artist => artist.name),
+          similarity: round(similarity)
+        })),
+        explanation: explainSimilarity(candidate.features, nearest.map(({ item }) => item.features), weights)
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
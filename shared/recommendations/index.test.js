@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_FEATURE_WEIGHTS,
+  parseFeatureWeights,
+  toFeatureVector,
+  vectorSimilarity,
+  findNearestNeighbours,
+  explainSimilarity,
+  recommendTracks
+} from './index.js';
+
+const features = (overrides = {}) => ({
+  danceability: 0.5,
+  energy: 0.5,
+  valence: 0.5,
+  acousticness: 0.5,
+  instrumentalness: 0,
+  speechiness: 0.05,
+  liveness: 0.1,
+  tempo: 120,
+  loudness: -8,
+  ...overrides
+});
+
+const entry = (id, overrides) => ({
+  track: { id, name: id, artists: [{ name: `Artist ${id}` }] },
+  features: features(overrides)
+});
+
+test('parseFeatureWeights changes known features only, within 0 to 10', () => {
+  const weights = parseFeatureWeights('energy:2, tempo:0, mood:3, valence:abc, liveness:50');
+
+  assert.equal(weights.energy, 2);
+  assert.equal(weights.tempo, 0);
+  assert.equal(weights.valence, DEFAULT_FEATURE_WEIGHTS.valence);
+  assert.equal(weights.liveness, 10);
+  assert.equal(weights.mood, undefined);
+  assert.deepEqual(parseFeatureWeights({ energy: 3 }), { ...DEFAULT_FEATURE_WEIGHTS, energy: 3 });
+});
+
+test('toFeatureVector scales tempo and loudness to 0-1', () => {
+  const vector = toFeatureVector(features({ tempo: 300, loudness: 0 }));
+
+  assert.equal(vector.tempo, 1);
+  assert.ok(vector.loudness > 0.9 && vector.loudness <= 1);
+  assert.equal(toFeatureVector(null), null);
+});
+
+test('identical tracks are most similar and weights pick what counts', () => {
+  const base = toFeatureVector(features());
+  const louder = toFeatureVector(features({ energy: 1 }));
+
+  assert.equal(vectorSimilarity(base, base), 1);
+  assert.ok(vectorSimilarity(base, louder) < 1);
+  assert.equal(vectorSimilarity(base, louder, parseFeatureWeights('energy:0')), 1);
+});
+
+test('findNearestNeighbours returns the k closest, closest first', () => {
+  const items = [0.1, 0.5, 0.9, 0.45].map(energy => ({ energy, vector: toFeatureVector(features({ energy })) }));
+  const nearest = findNearestNeighbours(toFeatureVector(features({ energy: 0.5 })), items, { k: 2 });
+
+  assert.deepEqual(nearest.map(({ item }) => item.energy), [0.5, 0.45]);
+});
+
+test('recommendTracks ranks candidates by their nearest seeds', () => {
+  const seeds = [entry('s1', { energy: 0.9 }), entry('s2', { energy: 0.85 })];
+  const candidates = [
+    entry('calm', { energy: 0.1 }),
+    entry('close', { energy: 0.88 }),
+    { track: { id: 'unknown' }, features: null }
+  ];
+
+  const ranked = recommendTracks(seeds, candidates, { k: 1 });
+  assert.deepEqual(ranked.map(({ track }) => track.id), ['close', 'calm']);
+  assert.equal(ranked[0].neighbours.length, 1);
+  assert.equal(ranked[0].neighbours[0].artists[0], 'Artist s1');
+  assert.ok(ranked[0].score > ranked[1].score);
+  assert.deepEqual(recommendTracks([], candidates), []);
+});
+
+test('explainSimilarity lists the features that count most first', () => {
+  const explanation = explainSimilarity(features({ energy: 0.9 }), [features({ energy: 0.9 })]);
+
+  assert.ok(explanation.length > 0);
+  assert.ok(explanation.every((line, index) => index === 0 || line.contribution <= explanation[index - 1].contribution));
+
+  const energy = explanation.find(line => line.feature === 'energy');
+  assert.equal(energy.value, 0.9);
+  assert.equal(energy.target, 0.9);
+  assert.equal(energy.match, 1);
+  assert.match(energy.text, /90%/);
+});
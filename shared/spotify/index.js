@@ -0,0 +1,19 @@
+/**
+ * Spotify Web API helpers shared by the server and the client
+ */
+
+export {
+  DEFAULT_QUEUE_OPTIONS,
+  getErrorStatus,
+  isNetworkError,
+  getRetryAfter,
+  createRequestQueue,
+  queueSpotifyClient
+} from './requestQueue.js';
+
+export {
+  DEFAULT_SPOTIFY_API_URL,
+  SpotifyWebApiError,
+  buildUrl,
+  createSpotifyWebApi
+} from './webApi.js';
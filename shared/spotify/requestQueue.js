@@ -0,0 +1,245 @@
+/**
+ * Spotify request queue
+ *
+ * Spotify rate limits each app over a rolling window and answers 429 Too
+ * Many Requests with a Retry-After header once the limit is hit. Every call
+ * to the Web API goes through this queue, which
+ *
+ * - keeps one FIFO queue per user and serves them in turn, so one user
+ *   analyzing a large album doesn't starve everyone else
+ * - limits how many requests are in flight, overall and per user
+ * - pauses the user who hit the limit for the Retry-After period when
+ *   Spotify returns 429, up to maxRetryDelay; longer waits fail right away
+ *   so callers can answer 429 themselves instead of hanging
+ * - retries 429s, 5xx gateway errors and network failures with exponential
+ *   backoff and jitter
+ *
+ * Works with errors from the Web API client (statusCode, headers, see
+ * webApi.js), spotify-web-api-node, spotify-web-api-js (the rejected
+ * XMLHttpRequest) and axios (response).
+ */
+
+export const DEFAULT_QUEUE_OPTIONS = {
+  concurrency: 6,
+  perKeyConcurrency: 3,
+  maxRetries: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  maxRetryDelay: 30000
+};
+
+// Statuses worth retrying besides 429: the request never reached Spotify's API
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// Socket errors of Node clients
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Get the HTTP status of a failed request
+ * @param {Object} err - Error from any of the supported clients
+ * @returns {number|undefined} Status code, undefined for network errors
+ */
+export const getErrorStatus = (err) => err?.statusCode ?? err?.response?.status ?? (err?.status || undefined);
+
+/**
+ * Check whether a request failed before getting any response
+ * @param {Object} err - Error from any of the supported clients
+ * @returns {boolean} True for network errors and timeouts
+ */
+export const isNetworkError = (err) => Boolean(
+  err?.status === 0 ||
+  err?.name === 'TimeoutError' ||
+  NETWORK_ERROR_CODES.includes(err?.code) ||
+  (err?.isAxiosError && !err.response)
+);
+
+/**
+ * Get the Retry-After delay of a failed request
+ * @param {Object} err - Error from any of the supported clients
+ * @returns {number|null} Delay in ms, or null if the header is missing
+ */
+export const getRetryAfter = (err) => {
+  const value =
+    err?.headers?.['retry-after'] ??
+    err?.response?.headers?.['retry-after'] ??
+    (typeof err?.getResponseHeader === 'function' ? err.getResponseHeader('Retry-After') : null);
+
+  if (value === null || value === undefined || value === '') return null;
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Create a request queue
+ * @param {Object} options - Queue options (see DEFAULT_QUEUE_OPTIONS)
+ * @returns {Object} Queue with run(key, fn) and stats()
+ */
+export const createRequestQueue = (options = {}) => {
+  const settings = { ...DEFAULT_QUEUE_OPTIONS };
+  for (const [name, value] of Object.entries(options)) {
+    if (value !== undefined) settings[name] = value;
+  }
+  const { concurrency, perKeyConcurrency, maxRetries, baseDelay, maxDelay, maxRetryDelay } = settings;
+
+  // key -> { tasks, active, retrying, pausedUntil }, in the order the keys are served
+  const queues = new Map();
+  let active = 0;
+  // { at, id } of the timer that resumes the earliest paused user
+  let resumeTimer = null;
+
+  const backoff = (attempt) => {
+    const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return delay / 2 + Math.random() * delay / 2;
+  };
+
+  // Find the next user with waiting requests, a free slot and no pause, round-robin
+  const nextQueue = (now) => {
+    for (const [key, queue] of queues) {
+      if (queue.tasks.length > 0 && queue.active < perKeyConcurrency && queue.pausedUntil <= now) {
+        // Move to the back so the other users go first next time
+        queues.delete(key);
+        queues.set(key, queue);
+        return queue;
+      }
+    }
+    return null;
+  };
+
+  // Wake up when the earliest paused user with waiting requests may go on
+  const scheduleResume = (now) => {
+    let resumeAt = Infinity;
+    for (const queue of queues.values()) {
+      if (queue.tasks.length > 0 && queue.pausedUntil > now) {
+        resumeAt = Math.min(resumeAt, queue.pausedUntil);
+      }
+    }
+    if (resumeAt === Infinity || (resumeTimer && resumeTimer.at <= resumeAt)) return;
+
+    if (resumeTimer) clearTimeout(resumeTimer.id);
+    resumeTimer = {
+      at: resumeAt,
+      id: setTimeout(() => {
+        resumeTimer = null;
+        pump();
+      }, resumeAt - now)
+    };
+  };
+
+  const pump = () => {
+    const now = Date.now();
+
+    while (active < concurrency) {
+      const queue = nextQueue(now);
+      if (!queue) break;
+
+      const task = queue.tasks.shift();
+      queue.active++;
+      active++;
+      execute(queue, task);
+    }
+
+    scheduleResume(now);
+  };
+
+  const execute = async (queue, task) => {
+    try {
+      task.resolve(await task.fn());
+    } catch (err) {
+      const status = getErrorStatus(err);
+      const retryable = status === 429 || RETRYABLE_STATUSES.includes(status) || isNetworkError(err);
+      const delay = status === 429
+        ? getRetryAfter(err) ?? backoff(task.attempt)
+        : backoff(task.attempt);
+
+      // Waiting longer than maxRetryDelay would leave the caller hanging, so
+      // the error (with its status and Retry-After) goes back right away
+      if (retryable && task.attempt < maxRetries && delay <= maxRetryDelay) {
+        task.attempt++;
+
+        if (status === 429) {
+          // Only the user who hit the limit waits, the others carry on
+          queue.pausedUntil = Math.max(queue.pausedUntil, Date.now() + delay);
+          queue.tasks.unshift(task);
+        } else {
+          queue.retrying++;
+          setTimeout(() => {
+            queue.retrying--;
+            queue.tasks.unshift(task);
+            pump();
+          }, delay);
+        }
+      } else {
+        task.reject(err);
+      }
+    } finally {
+      queue.active--;
+      active--;
+      pump();
+    }
+  };
+
+  /**
+   * Queue a request
+   * @param {string} key - User the request is made for
+   * @param {Function} fn - Function that makes the request and returns a promise
+   * @returns {Promise} Result of the request
+   */
+  const run = (key, fn) => new Promise((resolve, reject) => {
+    if (!queues.has(key)) queues.set(key, { tasks: [], active: 0, retrying: 0, pausedUntil: 0 });
+    queues.get(key).tasks.push({ fn, resolve, reject, attempt: 0 });
+    pump();
+  });
+
+  // Drop users without waiting, running or retrying requests, once their pause is over
+  const prune = () => {
+    const now = Date.now();
+    for (const [key, queue] of queues) {
+      if (!queue.tasks.length && !queue.active && !queue.retrying && queue.pausedUntil <= now) queues.delete(key);
+    }
+  };
+
+  return {
+    run: (key, fn) => {
+      prune();
+      return run(key, fn);
+    },
+    stats: () => {
+      const now = Date.now();
+      const pauses = [...queues.values()].map(queue => Math.max(0, queue.pausedUntil - now));
+      return {
+        active,
+        waiting: [...queues.values()].reduce((sum, queue) => sum + queue.tasks.length, 0),
+        users: queues.size,
+        pausedUsers: pauses.filter(pause => pause > 0).length,
+        // Longest pause of any user
+        pausedFor: Math.max(0, ...pauses)
+      };
+    }
+  };
+};
+
+// Client methods that only read or change local state and never call Spotify
+const LOCAL_METHODS = /^(set|reset)|^get(Credentials|AccessToken|RefreshToken|ClientId|ClientSecret|RedirectURI)$|^createAuthorizeURL$/;
+
+/**
+ * Route every API method of a Spotify client through a queue
+ * @param {Object} client - Client from createSpotifyWebApi(), or a spotify-web-api-node or spotify-web-api-js instance
+ * @param {Object} queue - Queue from createRequestQueue()
+ * @param {string} key - User the requests are made for
+ * @returns {Object} Client with the same methods, queued
+ */
+export const queueSpotifyClient = (client, queue, key = 'default') => new Proxy(client, {
+  get(target, property, receiver) {
+    const value = Reflect.get(target, property, receiver);
+    if (typeof value !== 'function' || typeof property !== 'string' || LOCAL_METHODS.test(property)) {
+      return value;
+    }
+
+    return (...args) => queue.run(key, () => value.apply(target, args));
+  }
+});
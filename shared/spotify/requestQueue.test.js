@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequestQueue, getRetryAfter, getErrorStatus, isNetworkError, queueSpotifyClient } from './requestQueue.js';
+
+// A 429 like spotify-web-api-node rejects with
+const rateLimited = (seconds) => Object.assign(new Error('Too Many Requests'), {
+  statusCode: 429,
+  headers: { 'retry-after': String(seconds) }
+});
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('getRetryAfter reads seconds and HTTP dates from every client', () => {
+  assert.equal(getRetryAfter(rateLimited(2)), 2000);
+  assert.equal(getRetryAfter({ response: { headers: { 'retry-after': '1' } } }), 1000);
+  assert.equal(getRetryAfter({ getResponseHeader: () => '3' }), 3000);
+  assert.ok(getRetryAfter({ headers: { 'retry-after': new Date(Date.now() + 5000).toUTCString() } }) > 3000);
+  assert.equal(getRetryAfter({}), null);
+});
+
+test('getErrorStatus and isNetworkError tell the clients\' errors apart', () => {
+  assert.equal(getErrorStatus({ statusCode: 404 }), 404);
+  assert.equal(getErrorStatus({ response: { status: 502 } }), 502);
+  assert.equal(getErrorStatus({ status: 0 }), undefined);
+  assert.ok(isNetworkError({ code: 'ECONNRESET' }));
+  assert.ok(!isNetworkError({ statusCode: 500 }));
+});
+
+test('limits the requests in flight per user', async () => {
+  const queue = createRequestQueue({ concurrency: 4, perKeyConcurrency: 1 });
+  let running = 0;
+  let most = 0;
+  const request = async () => {
+    running++;
+    most = Math.max(most, running);
+    await delay(5);
+    running--;
+  };
+
+  await Promise.all([1, 2, 3].map(() => queue.run('user', request)));
+  assert.equal(most, 1);
+});
+
+test('serves users in turn', async () => {
+  const queue = createRequestQueue({ concurrency: 1 });
+  const order = [];
+  const request = (name) => () => delay(1).then(() => order.push(name));
+
+  await Promise.all([
+    queue.run('a', request('a1')),
+    queue.run('a', request('a2')),
+    queue.run('a', request('a3')),
+    queue.run('b', request('b1'))
+  ]);
+  assert.ok(order.indexOf('b1') < order.indexOf('a3'));
+});
+
+test('retries a 429 after its Retry-After, pausing only that user', async () => {
+  const queue = createRequestQueue();
+  let calls = 0;
+  const started = Date.now();
+
+  const limited = queue.run('a', async () => {
+    calls++;
+    if (calls === 1) throw rateLimited(0.1);
+    return 'done';
+  });
+  await delay(10);
+
+  // Another user isn't held up by the pause
+  assert.equal(await queue.run('b', async () => 'other'), 'other');
+  assert.ok(Date.now() - started < 100);
+  assert.equal(queue.stats().pausedUsers, 1);
+
+  assert.equal(await limited, 'done');
+  assert.ok(Date.now() - started >= 100);
+  assert.equal(calls, 2);
+});
+
+test('fails right away when Retry-After is longer than maxRetryDelay', async () => {
+  const queue = createRequestQueue({ maxRetryDelay: 1000 });
+  let calls = 0;
+  const started = Date.now();
+
+  await assert.rejects(
+    queue.run('a', async () => {
+      calls++;
+      throw rateLimited(3600);
+    }),
+    err => err.statusCode === 429 && getRetryAfter(err) === 3600 * 1000
+  );
+  assert.equal(calls, 1);
+  assert.ok(Date.now() - started < 500);
+  assert.equal(queue.stats().pausedFor, 0);
+});
+
+test('retries gateway errors with backoff and gives up after maxRetries', async () => {
+  const queue = createRequestQueue({ maxRetries: 2, baseDelay: 1 });
+  let calls = 0;
+
+  await assert.rejects(queue.run('a', async () => {
+    calls++;
+    throw Object.assign(new Error('Bad Gateway'), { statusCode: 502 });
+  }), { statusCode: 502 });
+  assert.equal(calls, 3);
+});
+
+test('does not retry other errors', async () => {
+  const queue = createRequestQueue();
+  let calls = 0;
+
+  await assert.rejects(queue.run('a', async () => {
+    calls++;
+    throw Object.assign(new Error('Not Found'), { statusCode: 404 });
+  }), { statusCode: 404 });
+  assert.equal(calls, 1);
+});
+
+test('queueSpotifyClient queues API methods and leaves local ones alone', async () => {
+  const queue = createRequestQueue();
+  const client = {
+    token: null,
+    setAccessToken(token) {
+      this.token = token;
+    },
+    async getMe() {
+      return { token: this.token };
+    }
+  };
+  const queued = queueSpotifyClient(client, queue, 'user');
+
+  assert.equal(queued.setAccessToken('abc'), undefined);
+  assert.deepEqual(await queued.getMe(), { token: 'abc' });
+});
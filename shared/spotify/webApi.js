@@ -0,0 +1,181 @@
+/**
+ * Spotify Web API client
+ *
+ * A small client for the Web API endpoints the app uses, built on fetch so
+ * the server and the browser share it. Unlike the published client
+ * libraries, which hard-code api.spotify.com, it takes the API's base URL as
+ * an option, so the app can run against the mock APIs (server/mock) or any
+ * other stand-in.
+ *
+ * Method names and arguments follow spotify-web-api-node and
+ * spotify-web-api-js. Results are { body, headers, statusCode } like
+ * spotify-web-api-node's, or just the body with `fullResponse: false` like
+ * spotify-web-api-js's. Failed requests reject with a SpotifyWebApiError
+ * that carries `statusCode`, `status`, `headers` and `body`, which the
+ * request queue (requestQueue.js) reads for retries.
+ */
+
+export const DEFAULT_SPOTIFY_API_URL = 'https://api.spotify.com/v1';
+
+/**
+ * Error of a failed Web API request
+ */
+export class SpotifyWebApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { statusCode, headers, body } of the response,
+   *   no statusCode for network errors
+   */
+  constructor(message, { statusCode, headers = {}, body = null } = {}) {
+    super(message);
+    this.name = 'SpotifyWebApiError';
+    this.statusCode = statusCode;
+    // The status of a request without a response is 0, like XMLHttpRequest's
+    this.status = statusCode ?? 0;
+    this.headers = headers;
+    this.body = body;
+  }
+}
+
+// Strip trailing slashes so paths can be appended
+const trimUrl = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Add query parameters to a URL, leaving out empty ones and joining arrays
+ * with commas like the Web API expects
+ * @param {string} url - URL without a query string
+ * @param {Object} query - Query parameters
+ * @returns {string} URL with the query string
+ */
+export const buildUrl = (url, query = {}) => {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(query)) {
+    if (value === undefined || value === null) continue;
+    params.set(name, Array.isArray(value) ? value.join(',') : String(value));
+  }
+
+  const search = params.toString();
+  return search ? `${url}?${search}` : url;
+};
+
+/**
+ * Create a Web API client
+ * @param {Object} options - Client options
+ * @param {string} options.apiUrl - Base URL of the Web API, with its version
+ *   (default https://api.spotify.com/v1)
+ * @param {string} options.accessToken - Access token for the requests
+ * @param {boolean} options.fullResponse - Resolve with { body, headers, statusCode }
+ *   (default) or with the body only
+ * @param {Function} options.fetch - fetch implementation (default the global one)
+ * @returns {Object} Client with setAccessToken, getAccessToken and the API methods
+ */
+export const createSpotifyWebApi = ({
+  apiUrl = DEFAULT_SPOTIFY_API_URL,
+  accessToken = null,
+  fullResponse = true,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args)
+} = {}) => {
+  const baseUrl = trimUrl(apiUrl);
+  let token = accessToken;
+
+  const request = async (method, path, { query, body } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+      response = await fetchImpl(buildUrl(`${baseUrl}${path}`, query), {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (err) {
+      throw new SpotifyWebApiError(`Could not reach the Spotify Web API: ${err.message}`);
+    }
+
+    const text = await response.text();
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        data = text;
+      }
+    }
+
+    const responseHeaders = {};
+    response.headers.forEach((value, name) => {
+      responseHeaders[name.toLowerCase()] = value;
+    });
+
+    if (!response.ok) {
+      throw new SpotifyWebApiError(
+        data?.error?.message || data?.error_description || response.statusText || `Request failed with status ${response.status}`,
+        { statusCode: response.status, headers: responseHeaders, body: data }
+      );
+    }
+
+    return fullResponse ? { body: data, headers: responseHeaders, statusCode: response.status } : data;
+  };
+
+  const get = (path, query) => request('GET', path, { query });
+
+  return {
+    setAccessToken(value) {
+      token = value;
+    },
+
+    getAccessToken() {
+      return token;
+    },
+
+    // Any request by method and path, with { query, body }, e.g. to pass a
+    // browser's request on to the Web API
+    request: (method, path, options) => request(method, path, options),
+
+    // User
+    getMe: () => get('/me'),
+    getMyTopTracks: (options) => get('/me/top/tracks', options),
+    getMyTopArtists: (options) => get('/me/top/artists', options),
+
+    // Library
+    getMySavedAlbums: (options) => get('/me/albums', options),
+    containsMySavedAlbums: (albumIds) => get('/me/albums/contains', { ids: albumIds }),
+    addToMySavedAlbums: (albumIds) => request('PUT', '/me/albums', { body: { ids: albumIds } }),
+    removeFromMySavedAlbums: (albumIds) => request('DELETE', '/me/albums', { body: { ids: albumIds } }),
+
+    // Albums and tracks
+    getAlbum: (albumId, options) => get(`/albums/${encodeURIComponent(albumId)}`, options),
+    getAlbumTracks: (albumId, options) => get(`/albums/${encodeURIComponent(albumId)}/tracks`, options),
+    getTrack: (trackId, options) => get(`/tracks/${encodeURIComponent(trackId)}`, options),
+    getTracks: (trackIds, options) => get('/tracks', { ...options, ids: trackIds }),
+    getAudioFeaturesForTrack: (trackId) => get(`/audio-features/${encodeURIComponent(trackId)}`),
+    getAudioFeaturesForTracks: (trackIds) => get('/audio-features', { ids: trackIds }),
+    getAudioAnalysisForTrack: (trackId) => get(`/audio-analysis/${encodeURIComponent(trackId)}`),
+
+    // Search and browse
+    searchAlbums: (query, options) => get('/search', { ...options, q: query, type: 'album' }),
+    searchTracks: (query, options) => get('/search', { ...options, q: query, type: 'track' }),
+    getRecommendations: (options) => get('/recommendations', options),
+    getNewReleases: (options) => get('/browse/new-releases', options),
+    getFeaturedPlaylists: (options) => get('/browse/featured-playlists', options),
+
+    // Playlists
+    createPlaylist: (name, options = {}) => request('POST', '/me/playlists', { body: { ...options, name } }),
+    addTracksToPlaylist: (playlistId, uris, options = {}) => request(
+      'POST',
+      `/playlists/${encodeURIComponent(playlistId)}/tracks`,
+      { body: { ...options, uris } }
+    ),
+
+    // Playback
+    play: ({ device_id: deviceId, ...options } = {}) => request('PUT', '/me/player/play', {
+      query: { device_id: deviceId },
+      body: options
+    }),
+    transferMyPlayback: (deviceIds, options = {}) => request('PUT', '/me/player', {
+      body: { ...options, device_ids: deviceIds }
+    })
+  };
+};
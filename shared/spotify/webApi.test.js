@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildUrl, createSpotifyWebApi, SpotifyWebApiError } from './webApi.js';
+import { getErrorStatus, getRetryAfter, isNetworkError } from './requestQueue.js';
+
+// A fetch that records its requests and answers with the given response
+const fakeFetch = ({ status = 200, body = {}, headers = {} } = {}) => {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, ...init });
+    return new Response(body === null ? null : JSON.stringify(body), { status, headers });
+  };
+  return { fetch, requests };
+};
+
+test('buildUrl joins arrays and leaves out empty parameters', () => {
+  assert.equal(buildUrl('https://x/v1/tracks', { ids: ['a', 'b'], market: undefined, limit: 0 }), 'https://x/v1/tracks?ids=a%2Cb&limit=0');
+  assert.equal(buildUrl('https://x/v1/me'), 'https://x/v1/me');
+});
+
+test('sends requests to the configured API URL with the token', async () => {
+  const { fetch, requests } = fakeFetch({ body: { id: 'album' }, headers: { 'X-Test': '1' } });
+  const api = createSpotifyWebApi({ apiUrl: 'http://localhost:8888/v1/', accessToken: 'abc', fetch });
+
+  const result = await api.getAlbum('a/b', { market: 'SE' });
+  assert.equal(requests[0].url, 'http://localhost:8888/v1/albums/a%2Fb?market=SE');
+  assert.equal(requests[0].method, 'GET');
+  assert.equal(requests[0].headers.Authorization, 'Bearer abc');
+  assert.deepEqual(result, { body: { id: 'album' }, headers: { 'content-type': 'text/plain;charset=UTF-8', 'x-test': '1' }, statusCode: 200 });
+
+  api.setAccessToken('def');
+  await api.getMe();
+  assert.equal(requests[1].headers.Authorization, 'Bearer def');
+});
+
+test('sends JSON bodies and resolves empty responses with null', async () => {
+  const { fetch, requests } = fakeFetch({ status: 204, body: null });
+  const api = createSpotifyWebApi({ fullResponse: false, fetch });
+
+  assert.equal(await api.play({ device_id: 'device', uris: ['spotify:track:a'] }), null);
+  assert.equal(requests[0].url, 'https://api.spotify.com/v1/me/player/play?device_id=device');
+  assert.equal(requests[0].method, 'PUT');
+  assert.equal(requests[0].headers['Content-Type'], 'application/json');
+  assert.deepEqual(JSON.parse(requests[0].body), { uris: ['spotify:track:a'] });
+});
+
+test('sends any request by method and path', async () => {
+  const { fetch, requests } = fakeFetch({ body: { snapshot_id: 's' } });
+  const api = createSpotifyWebApi({ accessToken: 'abc', fetch });
+
+  const { body } = await api.request('DELETE', '/me/tracks', { query: { market: 'SE' }, body: { ids: ['a'] } });
+  assert.deepEqual(body, { snapshot_id: 's' });
+  assert.equal(requests[0].url, 'https://api.spotify.com/v1/me/tracks?market=SE');
+  assert.equal(requests[0].method, 'DELETE');
+  assert.deepEqual(JSON.parse(requests[0].body), { ids: ['a'] });
+});
+
+test('rejects failed requests with the status, headers and body', async () => {
+  const body = { error: { status: 429, message: 'API rate limit exceeded' } };
+  const { fetch } = fakeFetch({ status: 429, body, headers: { 'Retry-After': '4' } });
+  const api = createSpotifyWebApi({ fetch });
+
+  await assert.rejects(api.getMe(), err => {
+    assert.ok(err instanceof SpotifyWebApiError);
+    assert.equal(err.message, 'API rate limit exceeded');
+    assert.equal(err.statusCode, 429);
+    assert.equal(err.status, 429);
+    assert.equal(err.headers['retry-after'], '4');
+    assert.deepEqual(err.body, body);
+    // What the request queue reads to retry
+    assert.equal(getErrorStatus(err), 429);
+    assert.equal(getRetryAfter(err), 4000);
+    return true;
+  });
+});
+
+test('rejects network errors without a status', async () => {
+  const api = createSpotifyWebApi({
+    fetch: async () => {
+      throw new TypeError('fetch failed');
+    }
+  });
+
+  await assert.rejects(api.getMe(), err => err instanceof SpotifyWebApiError && err.statusCode === undefined && isNetworkError(err));
+});